@@ -1,11 +1,36 @@
 // AiOutput Model - Stores AI-generated content and insights
 const mongoose = require('mongoose');
+const FuzeTestFrameworks = require('../../shared/test-frameworks');
+const FuzeComponents = require('../../shared/components');
+
+// A problem found in the generated code; line and column are 1-based
+// within the code block named by block
+const diagnosticSchema = new mongoose.Schema({
+  block: String,
+  line: Number,
+  column: Number,
+  code: Number,
+  message: String,
+  category: {
+    type: String,
+    enum: ['syntax', 'type', 'json', 'schema', 'format']
+  }
+}, { _id: false });
 
 const aiOutputSchema = new mongoose.Schema({
+  // Outputs are generated from a saved element or from a recorded flow
   elementId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Element',
-    required: true,
+    required: function() {
+      return !this.flowId;
+    },
+    index: true
+  },
+  flowId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Flow',
+    default: null,
     index: true
   },
   userId: {
@@ -16,9 +41,16 @@ const aiOutputSchema = new mongoose.Schema({
   task: {
     type: String,
     required: true,
-    enum: ['discuss', 'figma', 'playwright', 'react'],
+    enum: ['discuss', 'figma', 'playwright', 'react', 'storybook'],
     index: true
   },
+  // Test framework the playwright task, or component framework the react
+  // and storybook tasks, generated for
+  framework: {
+    type: String,
+    enum: [...new Set([...Object.keys(FuzeTestFrameworks.FRAMEWORKS), ...Object.keys(FuzeComponents.FRAMEWORKS)]), null],
+    default: null
+  },
   
   // AI processing details
   prompt: {
@@ -58,7 +90,14 @@ const aiOutputSchema = new mongoose.Schema({
     figma: {
       components: mongoose.Schema.Types.Mixed,
       layers: mongoose.Schema.Types.Mixed,
-      styles: mongoose.Schema.Types.Mixed
+      styles: mongoose.Schema.Types.Mixed,
+      variants: mongoose.Schema.Types.Mixed,
+      generated: mongoose.Schema.Types.Mixed,
+      unmapped: mongoose.Schema.Types.Mixed,
+      validation: {
+        components: mongoose.Schema.Types.Mixed,
+        generated: mongoose.Schema.Types.Mixed
+      }
     },
     
     // For Playwright outputs
@@ -69,6 +108,31 @@ const aiOutputSchema = new mongoose.Schema({
       testFile: String
     },
     
+    // For Cypress outputs
+    cypress: {
+      selectors: [String],
+      actions: [String],
+      assertions: [String],
+      testFile: String
+    },
+    
+    // For React Testing Library outputs
+    testingLibrary: {
+      componentName: String,
+      queries: [String],
+      actions: [String],
+      assertions: [String],
+      testFile: String
+    },
+    
+    // For WebdriverIO outputs
+    webdriverio: {
+      selectors: [String],
+      actions: [String],
+      assertions: [String],
+      testFile: String
+    },
+    
     // For React outputs
     react: {
       componentName: String,
@@ -77,12 +141,67 @@ const aiOutputSchema = new mongoose.Schema({
       tailwindClasses: [String]
     },
     
+    // For Storybook outputs; the component is the parentOutputId output
+    storybook: {
+      componentName: String,
+      title: String,
+      storyFile: String,
+      stories: [String],
+      args: [String],
+      code: String
+    },
+    
+    // For Vue SFC outputs
+    vue: {
+      componentName: String,
+      props: mongoose.Schema.Types.Mixed,
+      emits: [String],
+      dependencies: [String],
+      code: String
+    },
+    
+    // For Svelte outputs
+    svelte: {
+      componentName: String,
+      props: mongoose.Schema.Types.Mixed,
+      dependencies: [String],
+      code: String
+    },
+    
+    // For Angular standalone component outputs
+    angular: {
+      componentName: String,
+      selector: String,
+      standalone: Boolean,
+      props: mongoose.Schema.Types.Mixed,
+      outputs: mongoose.Schema.Types.Mixed,
+      dependencies: [String],
+      code: String
+    },
+    
+    // For Web Component outputs
+    webComponent: {
+      componentName: String,
+      tagName: String,
+      props: mongoose.Schema.Types.Mixed,
+      dependencies: [String],
+      code: String
+    },
+    
     // For discussion/analysis outputs
     analysis: {
       accessibility: {
         score: Number,
         issues: [String],
-        suggestions: [String]
+        suggestions: [String],
+        // Findings from the local rules engine
+        violations: [{
+          _id: false,
+          rule: String,
+          impact: String,
+          message: String,
+          selector: String
+        }]
       },
       performance: {
         score: Number,
@@ -145,6 +264,20 @@ const aiOutputSchema = new mongoose.Schema({
     }]
   },
   
+  // Syntax, type and schema checks of the code in the output. A failed
+  // first attempt is sent back to the model once; its diagnostics are kept
+  // in previousDiagnostics.
+  validation: {
+    status: {
+      type: String,
+      enum: ['passed', 'failed', 'skipped']
+    },
+    attempts: Number,
+    checkedAt: Date,
+    diagnostics: [diagnosticSchema],
+    previousDiagnostics: [diagnosticSchema]
+  },
+  
   // Versioning for iterative improvements
   version: {
     type: Number,
@@ -196,9 +329,12 @@ aiOutputSchema.virtual('childOutputs', {
 });
 
 // Instance methods
-aiOutputSchema.methods.markAsCompleted = function(output, structuredData = {}) {
+aiOutputSchema.methods.markAsCompleted = function(output, structuredData = {}, validation = null) {
   this.output.content = output;
   this.structuredData = { ...this.structuredData, ...structuredData };
+  if (validation) {
+    this.validation = validation;
+  }
   this.processing.status = 'completed';
   this.processing.completedAt = new Date();
   
@@ -239,8 +375,10 @@ aiOutputSchema.methods.createIteration = function(newPrompt) {
   
   return new AiOutput({
     elementId: this.elementId,
+    flowId: this.flowId,
     userId: this.userId,
     task: this.task,
+    framework: this.framework,
     prompt: newPrompt,
     model: this.model,
     version: this.version + 1,
@@ -325,8 +463,11 @@ aiOutputSchema.pre('save', function(next) {
   // Auto-generate tags based on task and content
   const autoTags = [this.task];
   
-  if (this.task === 'react' && this.structuredData.react?.componentName) {
-    autoTags.push('component');
+  if (this.task === 'react') {
+    const framework = this.framework || FuzeComponents.DEFAULT_FRAMEWORK;
+    if (this.structuredData[FuzeComponents.FRAMEWORKS[framework].dataKey]?.componentName) {
+      autoTags.push('component', framework);
+    }
   }
   
   if (this.task === 'figma') {
@@ -337,6 +478,10 @@ aiOutputSchema.pre('save', function(next) {
     autoTags.push('testing', 'automation');
   }
   
+  if (this.task === 'storybook') {
+    autoTags.push('storybook', 'documentation');
+  }
+  
   if (this.task === 'discuss') {
     autoTags.push('analysis', 'feedback');
   }
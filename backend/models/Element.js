@@ -1,6 +1,9 @@
 // Element Model - Stores DOM element data
 const mongoose = require('mongoose');
 
+// Most recent elements clustered into a token export or Tailwind theme
+const MAX_TOKEN_SOURCE_ELEMENTS = 2000;
+
 const elementSchema = new mongoose.Schema({
   userId: {
     type: String,
@@ -38,6 +41,34 @@ const elementSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.Mixed,
       default: {}
     },
+    // 'basic' for the fixed property list, 'full' for every property that
+    // differs from the tag's defaults
+    styleMode: {
+      type: String,
+      enum: ['basic', 'full'],
+      default: 'basic'
+    },
+    // Styles per interaction state and pseudo-element, keyed hover, focus,
+    // focusVisible, active, disabled, before and after
+    states: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    // CSS custom properties behind the captured styles: references maps a
+    // style property to the var() names that set it, values holds what those
+    // resolve to at the element, and root is the page's :root token set
+    designTokens: {
+      references: mongoose.Schema.Types.Mixed,
+      values: mongoose.Schema.Types.Mixed,
+      root: mongoose.Schema.Types.Mixed
+    },
+    // Optional descendant tree, stored as captured: nodes carry tag, box as
+    // [x, y, width, height], and only non-empty id, classes, text, styles
+    // and children
+    subtree: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
     
     // Element attributes
     attributes: {
@@ -65,7 +96,80 @@ const elementSchema = new mongoose.Schema({
     selector: {
       type: String,
       required: true
-    }
+    },
+    
+    // Viewport state when the element was measured
+    viewport: {
+      width: Number,
+      height: Number,
+      scrollX: Number,
+      scrollY: Number,
+      devicePixelRatio: Number
+    },
+    frameOffset: {
+      x: Number,
+      y: Number
+    },
+    
+    // Ranked fallback selectors, each verified unique when captured
+    selectors: [{
+      _id: false,
+      selector: String,
+      score: Number,
+      strategy: String
+    }],
+    
+    // Recommended Playwright locator (getByRole, getByLabel, getByTestId...)
+    locator: {
+      role: String,
+      name: String,
+      recommended: String,
+      alternatives: [String]
+    },
+    
+    // What assistive technology sees: role, name, focus and ARIA states,
+    // plus the same for labelled or interactive descendants
+    accessibility: {
+      role: String,
+      name: String,
+      nameSource: String,
+      description: String,
+      focusable: Boolean,
+      tabIndex: Number,
+      hidden: Boolean,
+      states: mongoose.Schema.Types.Mixed,
+      descendants: [mongoose.Schema.Types.Mixed]
+    },
+    
+    // Frame and shadow DOM context for elements outside the main document
+    deepSelector: String,
+    shadowHosts: [{
+      _id: false,
+      tag: String,
+      selector: String
+    }],
+    framePath: [{
+      _id: false,
+      selector: String,
+      xpath: String,
+      src: String,
+      name: String,
+      crossOrigin: Boolean
+    }]
+  },
+  
+  // Cropped screenshot of the element taken when it was selected. The image
+  // bytes are excluded from queries unless explicitly selected.
+  screenshot: {
+    data: {
+      type: Buffer,
+      select: false
+    },
+    contentType: String,
+    width: Number,
+    height: Number,
+    devicePixelRatio: Number,
+    capturedAt: Date
   },
   
   // Metadata
@@ -175,6 +279,29 @@ elementSchema.statics.findSimilar = function(element, userId) {
     .sort({ createdAt: -1 });
 };
 
+// Link every member of a selection set to all the others. A set that
+// captured the same element twice saves its document once.
+elementSchema.statics.linkGroup = function(members) {
+  const unique = [...new Map(members.map(member => [String(member._id), member])).values()];
+  const ids = unique.map(member => member._id);
+  
+  members.forEach(member => {
+    member.relatedElements = ids.filter(id => !id.equals(member._id));
+  });
+  
+  return Promise.all(unique.map(member => member.save()));
+};
+
+// Styles and design tokens of the most recent elements matching the query,
+// for clustering into tokens or a Tailwind theme
+elementSchema.statics.findTokenSources = function(query) {
+  return this.find(query)
+    .sort({ createdAt: -1 })
+    .limit(MAX_TOKEN_SOURCE_ELEMENTS)
+    .select('element.styles element.designTokens')
+    .lean();
+};
+
 // Pre-save middleware
 elementSchema.pre('save', function(next) {
   // Ensure tags are unique and trimmed
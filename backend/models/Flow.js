@@ -0,0 +1,95 @@
+// Flow Model - Stores user flows recorded in the browser
+const mongoose = require('mongoose');
+
+// The element a step acted on, with the locators resolved when it happened
+const targetSchema = new mongoose.Schema({
+  tag: String,
+  role: String,
+  name: String,
+  text: String,
+  locator: String,
+  alternatives: [String],
+  selector: String,
+  framePath: [{
+    _id: false,
+    selector: String,
+    xpath: String,
+    src: String,
+    name: String,
+    crossOrigin: Boolean
+  }]
+}, { _id: false });
+
+const stepSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['navigate', 'click', 'fill', 'select', 'check', 'uncheck', 'upload', 'press', 'assert']
+  },
+  timestamp: {
+    type: Number,
+    required: true
+  },
+  // Page the step happened on, or the destination for navigations
+  url: String,
+  target: targetSchema,
+  
+  // fill: the final value of the field; masked fills (passwords) are stored
+  // without it
+  value: String,
+  masked: Boolean,
+  // select: the selected option values
+  values: [String],
+  // upload: names of the chosen files; their contents are not recorded
+  files: [String],
+  // press: a Playwright key combination such as Enter or Control+k
+  key: String
+}, { _id: false });
+
+const flowSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  startUrl: {
+    type: String,
+    required: true
+  },
+  steps: [stepSchema],
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  
+  metadata: {
+    userAgent: String,
+    viewport: {
+      width: Number,
+      height: Number
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+flowSchema.index({ userId: 1, createdAt: -1 });
+flowSchema.index({ startUrl: 1 });
+
+// Virtual for AI outputs
+flowSchema.virtual('aiOutputs', {
+  ref: 'AiOutput',
+  localField: '_id',
+  foreignField: 'flowId'
+});
+
+module.exports = mongoose.model('Flow', flowSchema);
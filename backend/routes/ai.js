@@ -4,15 +4,48 @@ const router = express.Router();
 const Joi = require('joi');
 const AiOutput = require('../models/AiOutput');
 const Element = require('../models/Element');
+const Flow = require('../models/Flow');
 const aiService = require('../services/aiService');
+const tokenService = require('../services/tokenService');
+const FuzeTestFrameworks = require('../../shared/test-frameworks');
+const FuzeComponents = require('../../shared/components');
+const FuzeGroups = require('../../shared/groups');
+
+// Frameworks each task can target: test frameworks for playwright,
+// component frameworks for react
+const TASK_FRAMEWORKS = {
+  playwright: FuzeTestFrameworks,
+  react: FuzeComponents
+};
+const FRAMEWORK_NAMES = [...new Set(Object.values(TASK_FRAMEWORKS).flatMap(registry => Object.keys(registry.FRAMEWORKS)))];
 
 // Validation schemas
 const aiTaskSchema = Joi.object({
   elementId: Joi.string(),
+  // A recorded flow is turned into a multi-step Playwright test
+  flowId: Joi.string().hex().length(24),
   userId: Joi.string().required(),
-  task: Joi.string().valid('discuss', 'figma', 'playwright', 'react').required(),
-  element: Joi.object().required(),
-  pageUrl: Joi.string().uri().required(),
+  task: Joi.string().valid('discuss', 'figma', 'playwright', 'react', 'storybook').required()
+    .when('flowId', { is: Joi.exist(), then: Joi.valid(Joi.override, 'playwright') }),
+  // Stories are written for a component the react task generated; the
+  // element, page and framework come from that output
+  parentOutputId: Joi.string().hex().length(24)
+    .when('task', { is: 'storybook', then: Joi.required(), otherwise: Joi.forbidden() }),
+  // Test framework for the playwright task or component framework for the
+  // react task; flows only generate Playwright
+  framework: Joi.string()
+    .when('task', {
+      switch: Object.entries(TASK_FRAMEWORKS).map(([task, registry]) => ({
+        is: task,
+        then: Joi.valid(...Object.keys(registry.FRAMEWORKS))
+      })),
+      otherwise: Joi.forbidden()
+    })
+    .when('flowId', { is: Joi.exist(), then: Joi.valid(Joi.override, 'playwright') }),
+  element: Joi.object(),
+  elements: Joi.array().items(Joi.object()).min(2),
+  pageUrl: Joi.string().uri()
+    .when('flowId', { is: Joi.exist(), otherwise: Joi.when('parentOutputId', { is: Joi.exist(), otherwise: Joi.required() }) }),
   prompt: Joi.string(),
   model: Joi.object({
     name: Joi.string(),
@@ -22,14 +55,17 @@ const aiTaskSchema = Joi.object({
   options: Joi.object({
     temperature: Joi.number().min(0).max(2),
     maxTokens: Joi.number().min(1).max(8000),
-    stream: Joi.boolean().default(false)
+    stream: Joi.boolean().default(false),
+    axe: Joi.boolean().default(false)
   })
-});
+}).or('element', 'elements', 'flowId', 'parentOutputId');
 
 const querySchema = Joi.object({
   elementId: Joi.string(),
+  flowId: Joi.string(),
   userId: Joi.string(),
-  task: Joi.string().valid('discuss', 'figma', 'playwright', 'react'),
+  task: Joi.string().valid('discuss', 'figma', 'playwright', 'react', 'storybook'),
+  framework: Joi.string().valid(...FRAMEWORK_NAMES),
   status: Joi.string().valid('pending', 'processing', 'completed', 'failed'),
   limit: Joi.number().integer().min(1).max(100).default(20),
   page: Joi.number().integer().min(1).default(1)
@@ -47,7 +83,21 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const { elementId, userId, task, element, pageUrl, prompt, model, options } = value;
+    const { elementId, flowId, userId, task, elements, prompt, model, options } = value;
+    const framework = TASK_FRAMEWORKS[task] ? value.framework || TASK_FRAMEWORKS[task].DEFAULT_FRAMEWORK : null;
+
+    if (flowId) {
+      return await startFlowTask(req, res, value);
+    }
+
+    if (task === 'storybook') {
+      return await startStoryTask(req, res, value);
+    }
+
+    const { pageUrl } = value;
+
+    // A selection set is processed as one combined element
+    const element = elements ? FuzeGroups.buildGroupElement(elements) : value.element;
 
     // If elementId provided, verify element exists
     let elementDoc = null;
@@ -61,20 +111,29 @@ router.post('/', async (req, res) => {
       }
     }
 
+    // React components use the custom values recurring across the user's
+    // saved elements as Tailwind theme names
+    const promptContext = { axe: options?.axe, framework };
+    if (task === 'react' && !prompt) {
+      const saved = await Element.findTokenSources({ userId });
+      promptContext.tailwindTheme = tokenService.buildTailwindTheme(saved).extend;
+    }
+
     // Generate or use provided prompt
-    const finalPrompt = prompt || aiService.generatePrompt(task, element, pageUrl);
+    const finalPrompt = prompt || aiService.generatePrompt(task, element, pageUrl, promptContext);
 
     // Create AI output record
     const aiOutput = new AiOutput({
       elementId: elementDoc?._id,
       userId,
       task,
+      framework,
       prompt: finalPrompt,
       model: model || { provider: 'openai', name: 'gpt-4', version: '1.0' },
       output: {
         content: '',
         format: getOutputFormat(task),
-        language: getOutputLanguage(task)
+        language: getOutputLanguage(task, framework)
       },
       processing: {
         status: 'pending'
@@ -84,7 +143,7 @@ router.post('/', async (req, res) => {
     await aiOutput.save();
 
     // Start AI processing asynchronously
-    processAiTaskAsync(aiOutput._id, task, element, pageUrl, finalPrompt, options);
+    processAiTaskAsync(aiOutput._id, task, element, pageUrl, finalPrompt, { ...options, framework });
 
     res.status(202).json({
       message: 'AI task queued for processing',
@@ -138,7 +197,7 @@ router.get('/', async (req, res) => {
       });
     }
 
-    const { elementId, userId, task, status, limit, page } = value;
+    const { elementId, flowId, userId, task, framework, status, limit, page } = value;
     
     // Build query
     const query = {};
@@ -147,6 +206,10 @@ router.get('/', async (req, res) => {
       query.elementId = elementId;
     }
     
+    if (flowId) {
+      query.flowId = flowId;
+    }
+    
     if (userId) {
       query.userId = userId;
     }
@@ -155,6 +218,10 @@ router.get('/', async (req, res) => {
       query.task = task;
     }
     
+    if (framework) {
+      query.framework = framework;
+    }
+    
     if (status) {
       query['processing.status'] = status;
     }
@@ -212,15 +279,34 @@ router.post('/:id/iterate', async (req, res) => {
       });
     }
 
+    // Stories are rewritten against the same component output
+    let component = null;
+    if (originalOutput.task === 'storybook') {
+      const componentOutput = await findStoryComponentOutput(originalOutput);
+      if (!componentOutput) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'The component output these stories were written for no longer exists'
+        });
+      }
+      component = getStoryComponent(componentOutput);
+    }
+
     // Create new iteration
     const iteration = originalOutput.createIteration(prompt);
     await iteration.save();
 
-    // Get element data for processing
-    const element = await Element.findById(originalOutput.elementId);
-    
-    // Start processing
-    processAiTaskAsync(iteration._id, iteration.task, element?.element, element?.pageUrl, prompt);
+    // Get element or flow data for processing
+    if (originalOutput.flowId) {
+      const flow = await Flow.findById(originalOutput.flowId).lean();
+      processAiTaskAsync(iteration._id, iteration.task, null, flow?.startUrl, prompt, { flow });
+    } else {
+      const element = await Element.findById(originalOutput.elementId);
+      processAiTaskAsync(iteration._id, iteration.task, element?.element, element?.pageUrl, prompt, {
+        framework: iteration.framework,
+        ...(component && { component })
+      });
+    }
 
     res.status(202).json({
       message: 'AI task iteration queued for processing',
@@ -354,21 +440,160 @@ function getOutputFormat(task) {
     discuss: 'markdown',
     figma: 'json',
     playwright: 'code',
-    react: 'code'
+    react: 'code',
+    storybook: 'code'
   };
   return formats[task] || 'text';
 }
 
-function getOutputLanguage(task) {
+// Test and component output is in the language of its framework
+function getOutputLanguage(task, framework = null) {
+  if (TASK_FRAMEWORKS[task] && framework) {
+    return TASK_FRAMEWORKS[task].FRAMEWORKS[framework].language;
+  }
+
   const languages = {
     discuss: null,
     figma: 'json',
     playwright: 'typescript',
-    react: 'tsx'
+    react: 'tsx',
+    storybook: 'typescript'
   };
   return languages[task] || null;
 }
 
+// Queue a storybook task for a completed component output. The story is
+// linked to the component through parentOutputId and uses its element,
+// framework and recorded props.
+async function startStoryTask(req, res, value) {
+  const { parentOutputId, userId, task, prompt, model, options } = value;
+
+  const componentOutput = await AiOutput.findById(parentOutputId);
+  if (!componentOutput) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Parent AI output not found'
+    });
+  }
+
+  if (componentOutput.task !== 'react' || componentOutput.processing.status !== 'completed') {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Stories can only be generated for a completed react task output'
+    });
+  }
+
+  const elementDoc = componentOutput.elementId ? await Element.findById(componentOutput.elementId) : null;
+  const element = value.element || elementDoc?.element;
+  const pageUrl = value.pageUrl || elementDoc?.pageUrl;
+  if (!element) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'The parent output has no saved element; send the element with the request'
+    });
+  }
+
+  const component = getStoryComponent(componentOutput);
+  const { framework } = component;
+
+  const finalPrompt = prompt || aiService.generatePrompt(task, element, pageUrl, { framework, component });
+
+  const aiOutput = new AiOutput({
+    elementId: componentOutput.elementId,
+    parentOutputId: componentOutput._id,
+    userId,
+    task,
+    framework,
+    prompt: finalPrompt,
+    model: model || { provider: 'openai', name: 'gpt-4', version: '1.0' },
+    output: {
+      content: '',
+      format: getOutputFormat(task),
+      language: getOutputLanguage(task, framework)
+    },
+    processing: {
+      status: 'pending'
+    }
+  });
+
+  await aiOutput.save();
+
+  processAiTaskAsync(aiOutput._id, task, element, pageUrl, finalPrompt, { ...options, framework, component });
+
+  res.status(202).json({
+    message: 'AI task queued for processing',
+    taskId: aiOutput._id,
+    status: 'pending'
+  });
+}
+
+// The react output a story was written for. Iterations of a story are
+// parented to the previous story, so follow parentOutputId past them.
+async function findStoryComponentOutput(storyOutput) {
+  let output = storyOutput;
+  while (output && output.task === 'storybook') {
+    output = output.parentOutputId ? await AiOutput.findById(output.parentOutputId) : null;
+  }
+  return output && output.task === 'react' ? output : null;
+}
+
+// The component a story is written for, as recorded on its react output
+function getStoryComponent(componentOutput) {
+  const framework = componentOutput.framework || FuzeComponents.DEFAULT_FRAMEWORK;
+  const recorded = componentOutput.structuredData?.[FuzeComponents.FRAMEWORKS[framework].dataKey] || {};
+
+  return {
+    framework,
+    componentName: recorded.componentName,
+    props: recorded.props,
+    tagName: recorded.tagName,
+    code: componentOutput.output.content
+  };
+}
+
+// Queue a Playwright task for a recorded flow; the flow rides along in the
+// processing options so the service can build and check the test from it
+async function startFlowTask(req, res, value) {
+  const { flowId, userId, task, prompt, model, options } = value;
+
+  const flow = await Flow.findById(flowId).lean();
+  if (!flow) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Flow not found'
+    });
+  }
+
+  const finalPrompt = prompt || aiService.generateFlowPrompt(flow);
+
+  const aiOutput = new AiOutput({
+    flowId: flow._id,
+    userId,
+    task,
+    framework: FuzeTestFrameworks.DEFAULT_FRAMEWORK,
+    prompt: finalPrompt,
+    model: model || { provider: 'openai', name: 'gpt-4', version: '1.0' },
+    output: {
+      content: '',
+      format: getOutputFormat(task),
+      language: getOutputLanguage(task)
+    },
+    processing: {
+      status: 'pending'
+    }
+  });
+
+  await aiOutput.save();
+
+  processAiTaskAsync(aiOutput._id, task, null, flow.startUrl, finalPrompt, { ...options, flow });
+
+  res.status(202).json({
+    message: 'AI task queued for processing',
+    taskId: aiOutput._id,
+    status: 'pending'
+  });
+}
+
 async function processAiTaskAsync(taskId, task, element, pageUrl, prompt, options = {}) {
   try {
     // Update status to processing
@@ -381,7 +606,7 @@ async function processAiTaskAsync(taskId, task, element, pageUrl, prompt, option
     const result = await aiService.processTask(task, element, pageUrl, prompt, options);
 
     // Mark as completed
-    await aiOutput.markAsCompleted(result.content, result.structuredData);
+    await aiOutput.markAsCompleted(result.content, result.structuredData, result.validation);
 
   } catch (error) {
     console.error('AI processing error:', error);
@@ -5,41 +5,143 @@ const Joi = require('joi');
 const Element = require('../models/Element');
 const Discussion = require('../models/Discussion');
 const AiOutput = require('../models/AiOutput');
+const tokenService = require('../services/tokenService');
+const exportService = require('../services/exportService');
+const archiveService = require('../services/archiveService');
+const FuzePlaywright = require('../../shared/playwright');
 
 // Validation schemas
+const accessibilityNodeSchema = Joi.object({
+  tag: Joi.string(),
+  role: Joi.string().allow(null),
+  name: Joi.string().allow(''),
+  nameSource: Joi.string().allow(null),
+  focusable: Joi.boolean(),
+  tabIndex: Joi.number(),
+  hidden: Joi.boolean(),
+  states: Joi.object().pattern(Joi.string(), Joi.string())
+});
+
+// Captured descendants; box is [x, y, width, height] relative to the element
+const subtreeNodeSchema = Joi.object({
+  tag: Joi.string().required(),
+  id: Joi.string(),
+  classes: Joi.array().items(Joi.string()),
+  text: Joi.string(),
+  box: Joi.array().items(Joi.number()).length(4),
+  styles: Joi.object(),
+  children: Joi.array().items(Joi.link('#subtreeNode'))
+}).id('subtreeNode');
+
+const elementDataSchema = Joi.object({
+  tag: Joi.string().required(),
+  id: Joi.string().allow(null),
+  classes: Joi.array().items(Joi.string()),
+  text: Joi.string().allow(''),
+  html: Joi.string().required(),
+  styles: Joi.object(),
+  styleMode: Joi.string().valid('basic', 'full'),
+  states: Joi.object().pattern(
+    Joi.string().valid('hover', 'focus', 'focusVisible', 'active', 'disabled', 'before', 'after'),
+    Joi.object()
+  ),
+  designTokens: Joi.object({
+    references: Joi.object().pattern(Joi.string(), Joi.array().items(Joi.string())),
+    values: Joi.object().pattern(Joi.string(), Joi.string().allow('')),
+    root: Joi.object().pattern(Joi.string(), Joi.string().allow(''))
+  }),
+  subtree: Joi.object({
+    depth: Joi.number().integer().min(1),
+    nodeCount: Joi.number().integer().min(0),
+    truncated: Joi.boolean(),
+    children: Joi.array().items(subtreeNodeSchema)
+  }).allow(null),
+  attributes: Joi.object(),
+  boundingBox: Joi.object({
+    x: Joi.number(),
+    y: Joi.number(),
+    width: Joi.number(),
+    height: Joi.number(),
+    top: Joi.number(),
+    left: Joi.number(),
+    bottom: Joi.number(),
+    right: Joi.number()
+  }),
+  viewport: Joi.object({
+    width: Joi.number(),
+    height: Joi.number(),
+    scrollX: Joi.number(),
+    scrollY: Joi.number(),
+    devicePixelRatio: Joi.number()
+  }),
+  frameOffset: Joi.object({
+    x: Joi.number(),
+    y: Joi.number()
+  }).allow(null),
+  xpath: Joi.string().required(),
+  selector: Joi.string().required(),
+  selectors: Joi.array().items(Joi.object({
+    selector: Joi.string().required(),
+    score: Joi.number(),
+    strategy: Joi.string()
+  })),
+  locator: Joi.object({
+    role: Joi.string().allow(null),
+    name: Joi.string().allow(''),
+    recommended: Joi.string(),
+    alternatives: Joi.array().items(Joi.string())
+  }),
+  accessibility: accessibilityNodeSchema.keys({
+    description: Joi.string().allow(''),
+    descendants: Joi.array().items(accessibilityNodeSchema.keys({
+      selector: Joi.string()
+    }))
+  }),
+  deepSelector: Joi.string(),
+  shadowHosts: Joi.array().items(Joi.object({
+    tag: Joi.string(),
+    selector: Joi.string()
+  })),
+  framePath: Joi.array().items(Joi.object({
+    selector: Joi.string(),
+    xpath: Joi.string().allow(null),
+    src: Joi.string().allow(null),
+    name: Joi.string().allow(null),
+    crossOrigin: Joi.boolean()
+  }))
+});
+
+const metadataSchema = Joi.object({
+  userAgent: Joi.string(),
+  screenResolution: Joi.string(),
+  viewport: Joi.object({
+    width: Joi.number(),
+    height: Joi.number()
+  })
+});
+
+const screenshotSchema = Joi.object({
+  dataUrl: Joi.string().pattern(/^data:image\/(png|jpeg|webp);base64,/).required(),
+  width: Joi.number(),
+  height: Joi.number(),
+  devicePixelRatio: Joi.number()
+});
+
 const elementSchema = Joi.object({
   userId: Joi.string().required(),
   pageUrl: Joi.string().uri().required(),
-  element: Joi.object({
-    tag: Joi.string().required(),
-    id: Joi.string().allow(null),
-    classes: Joi.array().items(Joi.string()),
-    text: Joi.string().allow(''),
-    html: Joi.string().required(),
-    styles: Joi.object(),
-    attributes: Joi.object(),
-    boundingBox: Joi.object({
-      x: Joi.number(),
-      y: Joi.number(),
-      width: Joi.number(),
-      height: Joi.number(),
-      top: Joi.number(),
-      left: Joi.number(),
-      bottom: Joi.number(),
-      right: Joi.number()
-    }),
-    xpath: Joi.string().required(),
-    selector: Joi.string().required()
-  }).required(),
+  element: elementDataSchema.required(),
+  screenshot: screenshotSchema,
   tags: Joi.array().items(Joi.string()),
-  metadata: Joi.object({
-    userAgent: Joi.string(),
-    screenResolution: Joi.string(),
-    viewport: Joi.object({
-      width: Joi.number(),
-      height: Joi.number()
-    })
-  })
+  metadata: metadataSchema
+});
+
+const groupSchema = Joi.object({
+  userId: Joi.string().required(),
+  pageUrl: Joi.string().uri().required(),
+  elements: Joi.array().items(elementDataSchema).min(2).max(50).required(),
+  tags: Joi.array().items(Joi.string()),
+  metadata: metadataSchema
 });
 
 const querySchema = Joi.object({
@@ -54,6 +156,78 @@ const querySchema = Joi.object({
   page: Joi.number().integer().min(1).default(1)
 });
 
+const tokenInventorySchema = Joi.object({
+  userId: Joi.string().required(),
+  site: Joi.string().required()
+});
+
+const tokenExportSchema = Joi.object({
+  userId: Joi.string().required(),
+  // Only the user's elements with this tag
+  tag: Joi.string(),
+  format: Joi.string().valid('both', 'w3c', 'style-dictionary').default('both')
+});
+
+const tailwindConfigSchema = Joi.object({
+  userId: Joi.string().required(),
+  // Only the user's elements with this tag
+  tag: Joi.string(),
+  minUsage: Joi.number().integer().min(1).default(2),
+  format: Joi.string().valid('json', 'js').default('json')
+});
+
+const pageObjectSchema = Joi.object({
+  userId: Joi.string().required(),
+  pageUrl: Joi.string().uri().required(),
+  className: Joi.string().pattern(/^[A-Z][A-Za-z0-9]*$/),
+  format: Joi.string().valid('json', 'ts', 'spec').default('json')
+});
+
+// A selection set by id, or everything a user saved on a page; either way
+// only the user's own elements
+const exportSchema = Joi.object({
+  userId: Joi.string().required(),
+  elementIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(100).unique(),
+  pageUrl: Joi.string().uri()
+}).xor('elementIds', 'pageUrl');
+
+// Convert an uploaded data URL into the stored screenshot fields
+function decodeScreenshot({ dataUrl, ...dimensions }) {
+  const [header, base64] = dataUrl.split(',');
+
+  return {
+    ...dimensions,
+    data: Buffer.from(base64, 'base64'),
+    contentType: header.slice('data:'.length, header.indexOf(';')),
+    capturedAt: new Date()
+  };
+}
+
+// Store an element, updating the existing record when the same user already
+// captured the same selector on the same page
+async function upsertElement(value) {
+  if (value.screenshot) {
+    value = { ...value, screenshot: decodeScreenshot(value.screenshot) };
+  }
+
+  const existing = await Element.findOne({
+    userId: value.userId,
+    pageUrl: value.pageUrl,
+    'element.selector': value.element.selector
+  });
+
+  if (existing) {
+    Object.assign(existing, value);
+    existing.metadata.capturedAt = new Date();
+    await existing.save();
+    return { element: existing, duplicate: true };
+  }
+
+  const element = new Element(value);
+  await element.save();
+  return { element, duplicate: false };
+}
+
 // POST /api/elements - Store a new element
 router.post('/', async (req, res) => {
   try {
@@ -66,30 +240,16 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Check for duplicate elements (same selector on same page by same user)
-    const existing = await Element.findOne({
-      userId: value.userId,
-      pageUrl: value.pageUrl,
-      'element.selector': value.element.selector
-    });
+    const { element, duplicate } = await upsertElement(value);
 
-    if (existing) {
-      // Update existing element instead of creating duplicate
-      Object.assign(existing, value);
-      existing.metadata.capturedAt = new Date();
-      await existing.save();
-      
+    if (duplicate) {
       return res.status(200).json({
         message: 'Element updated',
-        element: existing,
+        element,
         duplicate: true
       });
     }
 
-    // Create new element
-    const element = new Element(value);
-    await element.save();
-
     res.status(201).json({
       message: 'Element stored successfully',
       element: element
@@ -104,6 +264,45 @@ router.post('/', async (req, res) => {
   }
 });
 
+// POST /api/elements/group - Store a selection set as one group
+router.post('/group', async (req, res) => {
+  try {
+    const { error, value } = groupSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const { elements, ...shared } = value;
+
+    // Store members one at a time so duplicates within the set are merged.
+    // Screenshots are uploaded per member afterwards, keeping the group
+    // request under the body size limit.
+    const members = [];
+    for (const element of elements) {
+      const result = await upsertElement({ ...shared, element });
+      members.push(result.element);
+    }
+
+    await Element.linkGroup(members);
+
+    res.status(201).json({
+      message: 'Element group stored successfully',
+      elements: members,
+      count: members.length
+    });
+
+  } catch (error) {
+    console.error('Error storing element group:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to store element group'
+    });
+  }
+});
+
 // GET /api/elements - Retrieve elements with filtering
 router.get('/', async (req, res) => {
   try {
@@ -219,6 +418,10 @@ router.put('/:id', async (req, res) => {
       });
     }
 
+    if (value.screenshot) {
+      value.screenshot = decodeScreenshot(value.screenshot);
+    }
+
     // Update element
     Object.assign(element, value);
     await element.save();
@@ -268,6 +471,57 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// GET /api/elements/:id/screenshot - Get the element's screenshot image
+router.get('/:id/screenshot', async (req, res) => {
+  try {
+    const element = await Element.findById(req.params.id).select('+screenshot.data');
+
+    if (!element || !element.screenshot?.data) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Screenshot not found'
+      });
+    }
+
+    res.type(element.screenshot.contentType || 'image/png');
+    res.send(element.screenshot.data);
+
+  } catch (error) {
+    console.error('Error retrieving screenshot:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve screenshot'
+    });
+  }
+});
+
+// GET /api/elements/:id/group - Get the group an element belongs to
+router.get('/:id/group', async (req, res) => {
+  try {
+    const element = await Element.findById(req.params.id)
+      .populate('relatedElements');
+
+    if (!element) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Element not found'
+      });
+    }
+
+    res.json({
+      elements: [element, ...element.relatedElements],
+      count: element.relatedElements.length + 1
+    });
+
+  } catch (error) {
+    console.error('Error retrieving element group:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve element group'
+    });
+  }
+});
+
 // GET /api/elements/:id/similar - Find similar elements
 router.get('/:id/similar', async (req, res) => {
   try {
@@ -296,6 +550,248 @@ router.get('/:id/similar', async (req, res) => {
   }
 });
 
+// GET /api/elements/tokens/inventory - Combine the design tokens seen across
+// a user's saved elements on one site
+router.get('/tokens/inventory', async (req, res) => {
+  try {
+    const { error, value } = tokenInventorySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const { userId, site } = value;
+
+    const elements = await Element.find({
+      userId,
+      pageUrl: tokenService.siteFilter(site),
+      'element.designTokens': { $exists: true }
+    })
+      .select('pageUrl element.designTokens')
+      .lean();
+
+    res.json({
+      site,
+      inventory: tokenService.buildInventory(elements)
+    });
+
+  } catch (error) {
+    console.error('Error building token inventory:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to build token inventory'
+    });
+  }
+});
+
+// GET /api/elements/tokens/export - Cluster the styles of a user's elements,
+// optionally only those with a tag, into W3C Design Tokens and Style
+// Dictionary files
+router.get('/tokens/export', async (req, res) => {
+  try {
+    const { error, value } = tokenExportSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const { userId, tag, format } = value;
+
+    const query = { userId };
+    if (tag) {
+      query.tags = tag;
+    }
+
+    const elements = await Element.findTokenSources(query);
+
+    const tokens = tokenService.buildExport(elements);
+
+    if (format === 'w3c') {
+      res.attachment('tokens.json');
+      return res.json(tokens.w3c);
+    }
+
+    if (format === 'style-dictionary') {
+      res.attachment('style-dictionary.tokens.json');
+      return res.json(tokens.styleDictionary);
+    }
+
+    res.json(tokens);
+
+  } catch (error) {
+    console.error('Error exporting tokens:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to export design tokens'
+    });
+  }
+});
+
+// GET /api/elements/tailwind/config - theme.extend section for the recurring
+// custom values across a user's elements, optionally only those with a tag
+router.get('/tailwind/config', async (req, res) => {
+  try {
+    const { error, value } = tailwindConfigSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const { userId, tag, minUsage, format } = value;
+
+    const query = { userId };
+    if (tag) {
+      query.tags = tag;
+    }
+
+    const elements = await Element.findTokenSources(query);
+
+    const theme = tokenService.buildTailwindTheme(elements, minUsage);
+
+    if (format === 'js') {
+      res.attachment('tailwind.config.js');
+      return res.type('application/javascript').send(theme.config);
+    }
+
+    res.json(theme);
+
+  } catch (error) {
+    console.error('Error building Tailwind config:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to build Tailwind config'
+    });
+  }
+});
+
+// GET /api/elements/playwright/page-object - One Page Object class and spec
+// for every element a user saved on a page
+router.get('/playwright/page-object', async (req, res) => {
+  try {
+    const { error, value } = pageObjectSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const { userId, pageUrl, className, format } = value;
+
+    // Oldest first, so members keep their names as more elements are picked
+    const records = await Element.find({ userId, pageUrl })
+      .sort({ createdAt: 1 })
+      .select('element createdAt')
+      .lean();
+
+    if (records.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'No saved elements for this page'
+      });
+    }
+
+    const pageObject = FuzePlaywright.generatePageObject(records.map(record => record.element), pageUrl, { className });
+
+    if (format === 'ts') {
+      res.attachment(pageObject.fileName);
+      return res.type('text/plain').send(pageObject.code);
+    }
+
+    if (format === 'spec') {
+      res.attachment(pageObject.specFileName);
+      return res.type('text/plain').send(pageObject.spec);
+    }
+
+    res.json({
+      pageUrl,
+      ...pageObject,
+      members: pageObject.members.map(({ index, ...member }) => ({
+        ...member,
+        elementId: records[index]._id
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error generating page object:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to generate page object'
+    });
+  }
+});
+
+// POST /api/elements/export - Zip a selection set or a page's elements with
+// their latest AI outputs as a project ready to run
+router.post('/export', async (req, res) => {
+  try {
+    const { error, value } = exportSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const { userId, elementIds, pageUrl } = value;
+
+    const query = elementIds ? { _id: { $in: elementIds }, userId } : { pageUrl, userId };
+
+    const records = await Element.find(query)
+      .sort({ createdAt: 1 })
+      .select('pageUrl element createdAt')
+      .lean();
+
+    if (records.length === 0 || (elementIds && records.length < elementIds.length)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: elementIds
+          ? `${elementIds.length - records.length} of the requested elements ${elementIds.length - records.length === 1 ? 'was' : 'were'} not found`
+          : 'No saved elements for this page'
+      });
+    }
+
+    // A selection set keeps the order it was sent in
+    if (elementIds) {
+      records.sort((a, b) => elementIds.indexOf(String(a._id)) - elementIds.indexOf(String(b._id)));
+    }
+
+    const ids = records.map(record => record._id);
+    const [outputs, discussions] = await Promise.all([
+      AiOutput.find({
+        elementId: { $in: ids },
+        task: { $in: ['react', 'playwright', 'figma'] },
+        'processing.status': 'completed'
+      })
+        .sort({ createdAt: -1 })
+        .select('elementId task framework output.content structuredData.react.componentName validation.status validation.diagnostics createdAt')
+        .lean(),
+      Discussion.find({ elementId: { $in: ids }, status: 'active' })
+        .sort({ createdAt: 1 })
+        .select('elementId parentId userId comment createdAt')
+        .lean()
+    ]);
+
+    const project = exportService.buildProject(records, outputs, discussions);
+
+    res.attachment(`${project.name}.zip`);
+    res.type('application/zip').send(archiveService.createZip(project.files));
+
+  } catch (error) {
+    console.error('Error exporting project:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to export project'
+    });
+  }
+});
+
 // GET /api/elements/stats/overview - Get user statistics
 router.get('/stats/overview', async (req, res) => {
   try {
@@ -0,0 +1,242 @@
+// Flows API Routes
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const Flow = require('../models/Flow');
+const AiOutput = require('../models/AiOutput');
+const FuzePlaywright = require('../../shared/playwright');
+
+// Validation schemas
+const framePathSchema = Joi.object({
+  selector: Joi.string().allow(null),
+  xpath: Joi.string().allow(null),
+  src: Joi.string().allow(''),
+  name: Joi.string().allow(''),
+  crossOrigin: Joi.boolean()
+});
+
+const targetSchema = Joi.object({
+  tag: Joi.string().required(),
+  role: Joi.string().allow(null),
+  name: Joi.string().allow('', null),
+  text: Joi.string().allow(''),
+  locator: Joi.string(),
+  alternatives: Joi.array().items(Joi.string()),
+  selector: Joi.string(),
+  framePath: Joi.array().items(framePathSchema)
+});
+
+const stepSchema = Joi.object({
+  type: Joi.string().valid('navigate', 'click', 'fill', 'select', 'check', 'uncheck', 'upload', 'press', 'assert').required(),
+  timestamp: Joi.number().required(),
+  url: Joi.string().uri().when('type', { is: 'navigate', then: Joi.required() }),
+  target: targetSchema.when('type', {
+    is: Joi.valid('click', 'fill', 'select', 'check', 'uncheck', 'upload', 'assert'),
+    then: Joi.required()
+  }),
+  value: Joi.string().allow(''),
+  masked: Joi.boolean(),
+  values: Joi.array().items(Joi.string().allow('')),
+  files: Joi.array().items(Joi.string()),
+  key: Joi.string().when('type', { is: 'press', then: Joi.required() })
+});
+
+const flowSchema = Joi.object({
+  userId: Joi.string().required(),
+  name: Joi.string().max(200).required(),
+  startUrl: Joi.string().uri().required(),
+  steps: Joi.array().items(stepSchema).min(1).max(1000).required(),
+  recordedAt: Joi.date(),
+  metadata: Joi.object({
+    userAgent: Joi.string(),
+    viewport: Joi.object({
+      width: Joi.number(),
+      height: Joi.number()
+    })
+  })
+});
+
+const querySchema = Joi.object({
+  userId: Joi.string(),
+  startUrl: Joi.string().uri(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  page: Joi.number().integer().min(1).default(1)
+});
+
+const testSchema = Joi.object({
+  format: Joi.string().valid('json', 'ts').default('json')
+});
+
+// POST /api/flows - Store a recorded flow
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = flowSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    // Keystrokes arrive as separate fills when a client does not merge them
+    const flow = new Flow({
+      ...value,
+      steps: value.steps.reduce(FuzePlaywright.mergeFlowStep, [])
+    });
+    await flow.save();
+
+    res.status(201).json({
+      message: 'Flow stored successfully',
+      flow
+    });
+
+  } catch (error) {
+    console.error('Error storing flow:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to store flow'
+    });
+  }
+});
+
+// GET /api/flows - Get flows with filtering
+router.get('/', async (req, res) => {
+  try {
+    const { error, value } = querySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const { userId, startUrl, limit, page } = value;
+
+    const query = {};
+    if (userId) {
+      query.userId = userId;
+    }
+    if (startUrl) {
+      query.startUrl = startUrl;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const flows = await Flow.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Flow.countDocuments(query);
+
+    res.json({
+      flows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving flows:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve flows'
+    });
+  }
+});
+
+// GET /api/flows/:id - Get specific flow by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const flow = await Flow.findById(req.params.id).populate('aiOutputs');
+
+    if (!flow) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Flow not found'
+      });
+    }
+
+    res.json({ flow });
+
+  } catch (error) {
+    console.error('Error retrieving flow:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve flow'
+    });
+  }
+});
+
+// GET /api/flows/:id/test - Deterministic Playwright test for the flow
+router.get('/:id/test', async (req, res) => {
+  try {
+    const { error, value } = testSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const flow = await Flow.findById(req.params.id).lean();
+
+    if (!flow) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Flow not found'
+      });
+    }
+
+    const test = FuzePlaywright.generateFlowTest(flow);
+
+    if (value.format === 'ts') {
+      res.attachment('flow.spec.ts');
+      return res.type('text/plain').send(test.code);
+    }
+
+    res.json({ flowId: flow._id, ...test });
+
+  } catch (error) {
+    console.error('Error generating flow test:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to generate flow test'
+    });
+  }
+});
+
+// DELETE /api/flows/:id - Delete a flow
+router.delete('/:id', async (req, res) => {
+  try {
+    const flow = await Flow.findById(req.params.id);
+
+    if (!flow) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Flow not found'
+      });
+    }
+
+    // Also delete the tests generated from it
+    await AiOutput.deleteMany({ flowId: flow._id });
+
+    await Flow.findByIdAndDelete(req.params.id);
+
+    res.json({
+      message: 'Flow deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting flow:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete flow'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,130 @@
+// Workspace Sink API Routes
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const AiOutput = require('../models/AiOutput');
+const Element = require('../models/Element');
+const Flow = require('../models/Flow');
+const workspaceService = require('../services/workspaceService');
+
+// Validation schemas
+const writeSchema = Joi.object({
+  outputId: Joi.string().required(),
+  // Hash of the existing file from the diff the caller reviewed; required
+  // to overwrite
+  baseHash: Joi.string().hex().length(64),
+  // Return the path and diff without writing
+  dryRun: Joi.boolean().default(false)
+});
+
+const ERROR_NAMES = {
+  400: 'Bad Request',
+  403: 'Forbidden',
+  404: 'Not Found'
+};
+
+// GET /api/workspaces - List configured workspace sinks
+router.get('/', async (req, res) => {
+  try {
+    const sinks = Object.values(workspaceService.getSinks());
+
+    res.json({ sinks });
+
+  } catch (error) {
+    console.error('Error reading workspace sinks:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to read workspace sinks'
+    });
+  }
+});
+
+// POST /api/workspaces/:name/write - Write an AI output to a workspace sink
+router.post('/:name/write', async (req, res) => {
+  try {
+    const { error, value } = writeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        details: error.details.map(d => d.message)
+      });
+    }
+
+    const sink = workspaceService.getSink(req.params.name);
+    if (!sink) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Workspace sink not found'
+      });
+    }
+
+    const aiOutput = await AiOutput.findById(value.outputId);
+    if (!aiOutput) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'AI output not found'
+      });
+    }
+
+    if (aiOutput.processing.status !== 'completed') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Only completed AI outputs can be written to a workspace'
+      });
+    }
+
+    // The element or flow supplies the {page} placeholder and the fallback
+    // component name
+    const elementDoc = aiOutput.elementId ? await Element.findById(aiOutput.elementId).lean() : null;
+    const flow = aiOutput.flowId ? await Flow.findById(aiOutput.flowId).lean() : null;
+    const context = {
+      element: elementDoc?.element,
+      flow,
+      pageUrl: elementDoc?.pageUrl || flow?.startUrl
+    };
+
+    const result = await workspaceService.write(sink, aiOutput, context, value);
+    const { status, ...details } = result;
+
+    if (status === 'conflict') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: value.baseHash
+          ? 'The file changed since the diff was made; review the new diff and resend its baseHash to overwrite'
+          : 'The file already exists; review the diff and resend with its baseHash to overwrite',
+        sink: sink.name,
+        ...details
+      });
+    }
+
+    const messages = {
+      created: 'Output written to workspace',
+      overwritten: 'Workspace file overwritten',
+      unchanged: 'Workspace file already matches the output',
+      preview: 'Dry run; nothing was written'
+    };
+
+    res.status(status === 'created' ? 201 : 200).json({
+      message: messages[status],
+      status,
+      sink: sink.name,
+      ...details
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: ERROR_NAMES[error.statusCode],
+        message: error.message
+      });
+    }
+
+    console.error('Error writing AI output to workspace:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to write AI output to workspace'
+    });
+  }
+});
+
+module.exports = router;
@@ -14,12 +14,17 @@ dotenv.config();
 const elementRoutes = require('./routes/elements');
 const discussionRoutes = require('./routes/discussions');
 const aiRoutes = require('./routes/ai');
+const flowRoutes = require('./routes/flows');
+const workspaceRoutes = require('./routes/workspaces');
 const authRoutes = require('./routes/auth');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const authMiddleware = require('./middleware/auth');
 
+// Import services
+const typescriptService = require('./services/typescriptService');
+
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -44,9 +49,25 @@ const logger = winston.createLogger({
 
 // Middleware
 app.use(helmet());
-app.use(cors({
-  origin: ['chrome-extension://*', 'http://localhost:*'],
+const corsOptions = {
+  origin: [
+    'chrome-extension://*',
+    'http://localhost:*'
+  ],
   credentials: true
+};
+
+// Figma plugin UIs run in an iframe with a null origin. Sandboxed iframes and
+// data: pages send the same origin, so it is allowed without credentials and
+// only for the one route the plugin reads, loading an AI output by ID.
+const FIGMA_PLUGIN_ROUTE = /^\/api\/ai\/[0-9a-f]{24}$/i;
+
+app.use(cors((req, callback) => {
+  if (process.env.ALLOW_FIGMA_PLUGIN === 'true' && req.header('Origin') === 'null'
+    && ['GET', 'OPTIONS'].includes(req.method) && FIGMA_PLUGIN_ROUTE.test(req.path)) {
+    return callback(null, { origin: 'null', credentials: false, methods: ['GET'] });
+  }
+  callback(null, corsOptions);
 }));
 app.use(morgan('combined', {
   stream: { write: message => logger.info(message.trim()) }
@@ -69,6 +90,8 @@ app.use('/api/auth', authRoutes);
 app.use('/api/elements', elementRoutes);
 app.use('/api/discussions', discussionRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/flows', flowRoutes);
+app.use('/api/workspaces', workspaceRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -123,6 +146,10 @@ const startServer = async () => {
       logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
     });
     
+    typescriptService.warmUp().catch(error => {
+      logger.warn('TypeScript worker warm-up failed:', error);
+    });
+    
     // Handle graceful shutdown
     process.on('SIGTERM', gracefulShutdown);
     process.on('SIGINT', gracefulShutdown);
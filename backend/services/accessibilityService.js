@@ -0,0 +1,165 @@
+// Accessibility Service - Local rules engine for captured accessibility snapshots
+const FORM_CONTROL_ROLES = new Set([
+  'checkbox', 'combobox', 'listbox', 'radio', 'searchbox', 'slider',
+  'spinbutton', 'switch', 'textbox'
+]);
+
+const INTERACTIVE_ROLES = new Set([
+  ...FORM_CONTROL_ROLES, 'button', 'link', 'menuitem', 'menuitemcheckbox',
+  'menuitemradio', 'option', 'tab', 'treeitem'
+]);
+
+// Points deducted from a perfect score of 5 per violation
+const IMPACT_PENALTIES = {
+  critical: 2,
+  serious: 1,
+  moderate: 0.5,
+  minor: 0.25
+};
+
+const RULES = [
+  {
+    id: 'image-alt',
+    impact: 'critical',
+    applies: node => node.tag === 'img' && node.role === 'img',
+    passes: node => !!node.name,
+    message: 'Image has no alt text',
+    suggestion: 'Add an alt attribute that describes the image, or alt="" if it is purely decorative'
+  },
+  {
+    id: 'control-label',
+    impact: 'critical',
+    applies: node => FORM_CONTROL_ROLES.has(node.role),
+    passes: node => !!node.name,
+    message: 'Form control has no accessible label',
+    suggestion: 'Associate a <label> with the control, or add aria-label / aria-labelledby'
+  },
+  {
+    id: 'placeholder-label',
+    impact: 'moderate',
+    applies: node => FORM_CONTROL_ROLES.has(node.role) && !!node.name,
+    passes: node => node.nameSource !== 'placeholder',
+    message: 'Form control is labelled only by its placeholder',
+    suggestion: 'Add a visible <label>; placeholder text disappears as soon as the user types'
+  },
+  {
+    id: 'button-name',
+    impact: 'critical',
+    applies: node => node.role === 'button',
+    passes: node => !!node.name,
+    message: 'Button has no accessible name',
+    suggestion: 'Give the button visible text, or an aria-label when it only contains an icon'
+  },
+  {
+    id: 'link-name',
+    impact: 'serious',
+    applies: node => node.role === 'link',
+    passes: node => !!node.name,
+    message: 'Link has no accessible name',
+    suggestion: 'Add link text, or alt text to the image inside the link'
+  },
+  {
+    id: 'empty-heading',
+    impact: 'moderate',
+    applies: node => node.role === 'heading',
+    passes: node => !!node.name,
+    message: 'Heading is empty',
+    suggestion: 'Remove the empty heading or give it text content'
+  },
+  {
+    id: 'keyboard-reachable',
+    impact: 'serious',
+    applies: node => INTERACTIVE_ROLES.has(node.role) && !node.hidden && node.states?.disabled !== 'true',
+    passes: node => node.focusable,
+    message: 'Interactive element cannot be reached with the keyboard',
+    suggestion: 'Use a native interactive element, or add tabindex="0" with keyboard handlers'
+  },
+  {
+    id: 'positive-tabindex',
+    impact: 'moderate',
+    applies: node => node.tabIndex > 0,
+    passes: () => false,
+    message: 'Element has a positive tabindex',
+    suggestion: 'Use tabindex="0" and DOM order instead of overriding the tab sequence'
+  },
+  {
+    id: 'aria-hidden-focusable',
+    impact: 'serious',
+    applies: node => node.states?.hidden === 'true',
+    passes: node => !node.focusable,
+    message: 'Focusable element is hidden from assistive technology with aria-hidden',
+    suggestion: 'Remove aria-hidden, or make the element unfocusable with tabindex="-1"'
+  }
+];
+
+class AccessibilityService {
+  // Run every rule against the captured element and its recorded
+  // descendants. Returns null when the capture has no snapshot.
+  audit(element) {
+    const snapshot = element?.accessibility;
+    if (!snapshot) return null;
+
+    const nodes = [
+      { ...snapshot, selector: element.selector },
+      ...(snapshot.descendants || [])
+    ];
+
+    const violations = [];
+    nodes.forEach(node => {
+      RULES.forEach(rule => {
+        if (rule.applies(node) && !rule.passes(node)) {
+          violations.push({
+            rule: rule.id,
+            impact: rule.impact,
+            message: rule.message,
+            selector: node.selector || node.tag
+          });
+        }
+      });
+    });
+
+    const penalty = violations.reduce((total, violation) => total + IMPACT_PENALTIES[violation.impact], 0);
+    const suggestions = [...new Set(violations.map(violation =>
+      RULES.find(rule => rule.id === violation.rule).suggestion
+    ))];
+
+    return {
+      score: Math.max(1, Math.round(5 - penalty)),
+      issues: violations.map(violation => `${violation.message} (${violation.selector})`),
+      suggestions,
+      violations
+    };
+  }
+
+  // Markdown report used as the discuss output when no AI model is available
+  formatReport(element, result) {
+    if (!result) {
+      return `**Accessibility Checks: ${element.tag}**\n\nNo accessibility snapshot was captured for this element.`;
+    }
+
+    const lines = [
+      `**Accessibility Checks: ${element.tag}**`,
+      '',
+      `- Role: ${element.accessibility.role || 'none'}`,
+      `- Accessible name: ${element.accessibility.name || '(none)'}`,
+      `- Focusable: ${element.accessibility.focusable ? 'yes' : 'no'}`,
+      `- Score: ${result.score}/5`,
+      ''
+    ];
+
+    if (result.violations.length === 0) {
+      lines.push('No issues found by the automated checks.');
+    } else {
+      lines.push('**Issues:**');
+      result.violations.forEach(violation => {
+        lines.push(`- [${violation.impact}] ${violation.message} (\`${violation.selector}\`)`);
+      });
+      lines.push('', '**Suggestions:**');
+      result.suggestions.forEach(suggestion => lines.push(`- ${suggestion}`));
+    }
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = new AccessibilityService();
@@ -1,21 +1,93 @@
 // AI Service - Handles AI processing and prompt generation
 const { OpenAI } = require('openai');
+const accessibilityService = require('./accessibilityService');
+const FuzeTailwind = require('../../shared/tailwind');
+const FuzeReact = require('../../shared/react');
+const FuzePlaywright = require('../../shared/playwright');
+const FuzeTestFrameworks = require('../../shared/test-frameworks');
+const FuzeComponents = require('../../shared/components');
+const figmaService = require('./figmaService');
+const typescriptService = require('./typescriptService');
+const storybookService = require('./storybookService');
+const validationService = require('./validationService');
 
 class AiService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+    // Without a key, tasks fall back to local processing where one exists
+    this.openai = process.env.OPENAI_API_KEY
+      ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
+      : null;
   }
 
-  generatePrompt(task, element, pageUrl) {
-    const baseInfo = this.getElementInfo(element);
+  // context.tailwindTheme is a theme.extend object whose names the
+  // converted Tailwind classes should use; context.framework picks the
+  // test framework template for the playwright task and the component
+  // framework template for the react task
+  generatePrompt(task, element, pageUrl, context = {}) {
+    const baseInfo = this.getElementInfo(element, { ...context, pageUrl });
     const templates = this.getPromptTemplates();
+    const key = (task === 'playwright' || task === 'react') && context.framework ? context.framework : task;
+    const prompt = templates[key] ? templates[key](baseInfo, pageUrl) : templates.default(baseInfo, pageUrl);
+    
+    return element.members ? this.formatGroupPreamble(element.members) + prompt : prompt;
+  }
+
+  // Prompt for turning a recorded flow into an end-to-end test; the
+  // deterministic test is the starting point the model refines
+  generateFlowPrompt(flow) {
+    const steps = flow.steps.map((step, index) => `${index + 1}. ${this.formatFlowStep(step)}`).join('\n');
+    const starter = FuzePlaywright.generateFlowTest(flow).code;
     
-    return templates[task] ? templates[task](baseInfo, pageUrl) : templates.default(baseInfo, pageUrl);
+    return `
+You are a QA automation expert specializing in Playwright. Turn this recorded user flow into an end-to-end test.
+
+**Flow:** ${flow.name}
+**Start URL:** ${flow.startUrl}
+
+**Recorded Steps (locators were resolved when each step happened):**
+${steps}
+
+**Generated Starting Point (replays every step in order):**
+\`\`\`typescript
+${starter}
+\`\`\`
+
+**Test Requirements:**
+- Keep every step and its locator; prefer the recommended locator over the CSS selector
+- Wait for navigations with expect(page).toHaveURL rather than fixed timeouts
+- Assert the outcome of each meaningful step (values, checked state, visible results)
+- Keep masked values in environment variables; never hard-code secrets
+- Group related steps with test.step and explain non-obvious waits in comments
+
+**Output Format:**
+Provide one complete TypeScript test file in a \`\`\`typescript block.
+    `;
+  }
+
+  formatFlowStep(step) {
+    const target = step.target
+      ? ` ${step.target.locator || step.target.selector}${step.target.name ? ` ("${step.target.name}")` : ''}`
+      : '';
+    
+    switch (step.type) {
+      case 'navigate':
+        return `navigate to ${step.url}`;
+      case 'fill':
+        return `fill${target} with ${step.masked ? '[masked]' : JSON.stringify(step.value || '')}`;
+      case 'select':
+        return `select ${JSON.stringify(step.values || [])} in${target}`;
+      case 'upload':
+        return `upload ${JSON.stringify(step.files || [])} to${target}`;
+      case 'press':
+        return `press ${step.key}${target ? ` in${target}` : ''}`;
+      case 'assert':
+        return `check${target} is visible`;
+      default:
+        return `${step.type}${target}`;
+    }
   }
 
-  getElementInfo(element) {
+  getElementInfo(element, context = {}) {
     return {
       tag: element.tag,
       classes: element.classes?.join(', ') || 'None',
@@ -24,10 +96,254 @@ class AiService {
       styles: this.formatStyles(element.styles),
       attributes: this.formatAttributes(element.attributes),
       selector: element.selector,
-      xpath: element.xpath
+      locator: element.locator?.recommended || 'None',
+      role: element.locator?.role || 'None',
+      accessibleName: element.locator?.name || 'None',
+      fallbackSelectors: this.formatSelectors(element.selectors),
+      xpath: element.xpath,
+      location: this.formatLocation(element),
+      accessibility: this.formatAccessibility(element.accessibility),
+      states: this.formatStates(element.states),
+      subtree: this.formatSubtree(element.subtree),
+      tailwind: this.formatTailwind(element, context.tailwindTheme),
+      tailwindTheme: this.formatTailwindTheme(context.tailwindTheme),
+      reactStarter: this.formatReactStarter(element, context.tailwindTheme),
+      componentStarter: this.formatComponentStarter(element, context),
+      figmaStarter: this.formatFigmaStarter(element),
+      testStarter: this.formatTestStarter(element, context),
+      parentComponent: context.component?.code || 'Not available',
+      storyStarter: this.formatStoryStarter(element, context)
     };
   }
 
+  // Deterministic CSF3 story for the parent component of a storybook task
+  formatStoryStarter(element, context) {
+    if (!context.component) return 'None';
+    
+    try {
+      return storybookService.generate(element, context.component).code.trimEnd();
+    } catch (error) {
+      console.error('Error generating story starter:', error);
+      return 'None';
+    }
+  }
+
+  // Deterministic test in the requested framework, driven by the element's
+  // tag, role and attributes
+  formatTestStarter(element, context) {
+    try {
+      return FuzeTestFrameworks.generateTest(context.framework, element, context.pageUrl || '', { axe: context.axe }).code;
+    } catch (error) {
+      console.error('Error generating test starter:', error);
+      return 'None';
+    }
+  }
+
+  // Deterministic node tree with Auto Layout inferred from the captured
+  // styles and boxes, for the model to refine
+  formatFigmaStarter(element) {
+    try {
+      const { node, unmapped } = figmaService.generate(element);
+      const leftovers = unmapped.map(({ layer, property, value }) => `- ${layer}: ${property}: ${value}`);
+      
+      return [
+        '```json',
+        JSON.stringify(node),
+        '```',
+        leftovers.length > 0 ? `Not expressed in the nodes above:\n${leftovers.join('\n')}` : null
+      ].filter(Boolean).join('\n');
+    } catch (error) {
+      console.error('Error generating Figma starter:', error);
+      return 'None';
+    }
+  }
+
+  // The captured markup converted for a Vue, Svelte, Angular or Web
+  // Component target; React has its own starter
+  formatComponentStarter(element, context) {
+    if (!element.html || !FuzeComponents.FRAMEWORKS[context.framework] || context.framework === 'react') return 'None';
+    
+    try {
+      return FuzeComponents.generateComponent(context.framework, element, { theme: context.tailwindTheme }).code.trimEnd();
+    } catch (error) {
+      console.error('Error generating component starter:', error);
+      return 'None';
+    }
+  }
+
+  // Deterministic conversion of the captured markup, for the model to refine
+  formatReactStarter(element, theme) {
+    if (!element.html) return 'None';
+    
+    try {
+      return FuzeReact.generateComponent(element, { theme }).code;
+    } catch (error) {
+      console.error('Error generating React starter:', error);
+      return 'None';
+    }
+  }
+
+  formatTailwind(element, theme) {
+    if (!element.styles) return 'None';
+    
+    const { classes, unmatched } = FuzeTailwind.classesForElement(element, { theme });
+    const leftovers = Object.entries(unmatched).map(([prop, value]) => `${prop}: ${value}`);
+    
+    return [
+      classes.join(' ') || 'None',
+      leftovers.length > 0 ? `Not covered by a utility: ${leftovers.join('; ')}` : null
+    ].filter(Boolean).join('\n');
+  }
+
+  formatTailwindTheme(theme) {
+    if (!theme || Object.keys(theme).length === 0) return 'Default Tailwind theme';
+    
+    return FuzeTailwind.formatConfig(theme);
+  }
+
+  // Indented outline of the captured descendants, one line per node
+  formatSubtree(subtree) {
+    if (!subtree || !Array.isArray(subtree.children) || subtree.children.length === 0) {
+      return 'Not captured';
+    }
+    
+    const lines = [];
+    const visit = (node, depth) => {
+      const name = node.tag +
+        (node.id ? `#${node.id}` : '') +
+        (node.classes?.length ? `.${node.classes.join('.')}` : '');
+      const [x, y, width, height] = node.box || [];
+      const styles = Object.entries(node.styles || {})
+        .map(([key, value]) => `${key}: ${value}`)
+        .join('; ');
+      
+      lines.push([
+        `${'  '.repeat(depth)}- ${name}`,
+        node.box ? `at ${x},${y} size ${width}x${height}` : null,
+        node.text ? `"${node.text}"` : null,
+        styles ? `{ ${styles} }` : null
+      ].filter(Boolean).join(' '));
+      
+      (node.children || []).forEach(child => visit(child, depth + 1));
+    };
+    
+    subtree.children.forEach(child => visit(child, 0));
+    
+    if (subtree.truncated) {
+      lines.push(`(truncated at ${subtree.nodeCount} nodes / ${subtree.depth} levels)`);
+    }
+    
+    return lines.join('\n');
+  }
+
+  // Interaction-state and pseudo-element styles resolved from the page's CSS
+  formatStates(states) {
+    if (!states || Object.keys(states).length === 0) return 'None captured';
+    
+    return Object.entries(states)
+      .map(([state, styles]) => `${this.formatStateName(state)}:\n${this.formatStyles(styles)}`)
+      .join('\n\n');
+  }
+
+  formatStateName(state) {
+    const names = {
+      hover: ':hover',
+      focus: ':focus',
+      focusVisible: ':focus-visible',
+      active: ':active',
+      disabled: ':disabled',
+      before: '::before',
+      after: '::after'
+    };
+    
+    return names[state] || state;
+  }
+
+  // One variant per interaction state, carrying the CSS that changes in it
+  buildFigmaVariants(states) {
+    const interactive = Object.entries(states || {})
+      .filter(([state]) => state !== 'before' && state !== 'after');
+    
+    if (interactive.length === 0) return [];
+    
+    return [
+      { name: 'State=Default', overrides: {} },
+      ...interactive.map(([state, styles]) => ({
+        name: `State=${state.charAt(0).toUpperCase()}${state.slice(1)}`,
+        overrides: styles
+      }))
+    ];
+  }
+
+  formatAccessibility(snapshot) {
+    if (!snapshot) return 'Not captured';
+    
+    const describe = node => [
+      `role=${node.role || 'none'}`,
+      `name="${node.name || ''}"${node.nameSource ? ` (from ${node.nameSource})` : ''}`,
+      node.focusable ? 'focusable' : 'not focusable',
+      node.tabIndex > 0 ? `tabindex=${node.tabIndex}` : null,
+      Object.keys(node.states || {}).length > 0
+        ? `states: ${Object.entries(node.states).map(([key, value]) => `${key}=${value}`).join(', ')}`
+        : null
+    ].filter(Boolean).join(', ');
+    
+    const lines = [`- Element: ${describe(snapshot)}`];
+    if (snapshot.description) {
+      lines.push(`- Description: ${snapshot.description}`);
+    }
+    (snapshot.descendants || []).forEach(node => {
+      lines.push(`  - ${node.tag}${node.selector ? ` (${node.selector})` : ''}: ${describe(node)}`);
+    });
+    
+    return lines.join('\n');
+  }
+
+  formatSelectors(selectors) {
+    if (!Array.isArray(selectors) || selectors.length === 0) return 'None';
+    
+    return selectors
+      .map(entry => `${entry.selector} (stability ${entry.score}, ${entry.strategy})`)
+      .join('\n');
+  }
+
+  // Describe the iframes and shadow roots between the page and the element
+  formatLocation(element) {
+    const frames = (element.framePath || []).map(frame => frame.selector || frame.src);
+    const hosts = (element.shadowHosts || []).map(host => host.selector);
+    
+    if (frames.length === 0 && hosts.length === 0) {
+      return 'Main document';
+    }
+    
+    return [
+      frames.length > 0 ? `Inside iframes: ${frames.join(' > ')}` : null,
+      hosts.length > 0 ? `Inside open shadow roots of: ${hosts.join(' > ')}` : null,
+      element.deepSelector ? `Piercing selector: ${element.deepSelector}` : null
+    ].filter(Boolean).join('\n');
+  }
+
+  formatGroupPreamble(members) {
+    const memberDetails = members.map((member, index) => {
+      const info = this.getElementInfo(member);
+      return `
+**Member ${index + 1}:**
+- Tag: ${info.tag}
+- Selector: ${info.selector}
+- Classes: ${info.classes}
+- Text: ${info.text}
+- Styles:
+${info.styles}
+`;
+    }).join('');
+    
+    return `
+The following task applies to a group of ${members.length} elements that were selected together.
+Treat them as a single unit (for example one component that renders every member, or one test covering the whole set) rather than as separate elements.
+${memberDetails}
+    `;
+  }
+
   formatStyles(styles) {
     if (!styles || typeof styles !== 'object') return '';
     
@@ -63,6 +379,12 @@ ${elementInfo.styles}
 **Attributes:**
 ${elementInfo.attributes}
 
+**Interaction States:**
+${elementInfo.states}
+
+**Accessibility Tree:**
+${elementInfo.accessibility}
+
 Please provide analysis in the following areas:
 
 1. **Accessibility Assessment**
@@ -104,10 +426,21 @@ You are a Figma design expert. Convert this DOM element into a comprehensive Fig
 - Text: ${elementInfo.text}
 - Current Styles: ${elementInfo.styles}
 
+**Interaction States (from the page's CSS):**
+${elementInfo.states}
+
+**Child Elements (positions relative to the element; styles omit values inherited unchanged):**
+${elementInfo.subtree}
+
+**Generated Starting Point (converted from the captured styles and boxes):**
+${elementInfo.figmaStarter}
+Refine this node tree rather than rewriting it. Keep the same JSON shape: colors as 0-1 RGBA,
+positions relative to the parent layer, and Figma enum values such as "HORIZONTAL" and "SPACE_BETWEEN".
+
 **Requirements:**
-1. Create a valid Figma JSON structure using Auto Layout
+1. Create a valid Figma JSON structure using Auto Layout, with a child layer for each child element listed above
 2. Convert CSS properties to equivalent Figma properties
-3. Include component variants for different states (hover, focus, disabled)
+3. Include one component variant per interaction state listed above, applying only the properties that change in that state; render ::before/::after as their own layers
 4. Add proper constraints and responsive behavior
 5. Include text styles and color styles
 
@@ -132,14 +465,26 @@ You are a QA automation expert specializing in Playwright. Generate comprehensiv
 
 **Element Under Test:**
 - Tag: ${elementInfo.tag}
+- Accessible Role: ${elementInfo.role}
+- Accessible Name: ${elementInfo.accessibleName}
+- Recommended Locator: ${elementInfo.locator}
 - CSS Selector: ${elementInfo.selector}
 - XPath: ${elementInfo.xpath}
 - Text Content: ${elementInfo.text}
 - Page URL: ${pageUrl}
 
+**Fallback Selectors (unique when captured, most stable first):**
+${elementInfo.fallbackSelectors}
+
+**Element Location:**
+${elementInfo.location}
+
 **Current Styles:**
 ${elementInfo.styles}
 
+**Interaction States (from the page's CSS):**
+${elementInfo.states}
+
 **Test Requirements:**
 Generate tests covering:
 
@@ -155,7 +500,7 @@ Generate tests covering:
 
 3. **Interaction Testing** (if applicable)
    - Click interactions
-   - Hover states
+   - Hover states (assert the style changes listed under Interaction States)
    - Focus management
    - Form submissions (if form element)
 
@@ -168,6 +513,18 @@ Generate tests covering:
    - Screen reader compatibility
    - ARIA attributes validation
 
+**Locators:**
+Use the recommended locator above exactly as given. Prefer user-facing locators
+(getByRole, getByLabel, getByPlaceholder, getByTestId) and only fall back to the
+CSS selectors when no recommended locator is available.
+
+**Generated Starting Point (from the element's tag, role and attributes):**
+\`\`\`typescript
+${elementInfo.testStarter}
+\`\`\`
+Extend this spec rather than rewriting it: keep its locator, escaping and assertions, and add
+scenarios for the behaviour the captured element suggests.
+
 **Output Format:**
 Provide complete TypeScript test file with:
 - Proper imports and setup
@@ -179,6 +536,130 @@ Provide complete TypeScript test file with:
 Make tests robust, maintainable, and following Playwright best practices.
       `,
 
+      cypress: (elementInfo, pageUrl) => `
+You are a QA automation expert specializing in Cypress. Generate comprehensive end-to-end tests for this DOM element.
+
+**Element Under Test:**
+- Tag: ${elementInfo.tag}
+- Accessible Role: ${elementInfo.role}
+- Accessible Name: ${elementInfo.accessibleName}
+- CSS Selector: ${elementInfo.selector}
+- Text Content: ${elementInfo.text}
+- Page URL: ${pageUrl}
+
+**Fallback Selectors (unique when captured, most stable first):**
+${elementInfo.fallbackSelectors}
+
+**Current Styles:**
+${elementInfo.styles}
+
+**Interaction States (from the page's CSS):**
+${elementInfo.states}
+
+**Test Requirements:**
+1. **Visibility & Content** - The element is visible and shows the captured text and attributes
+2. **Interaction** - Typing, selecting, checking or clicking as the element allows
+3. **Accessibility** - ARIA attributes, focus behaviour and a cypress-axe scan where useful
+
+**Selectors:**
+Prefer data-testid / data-cy attributes, then the CSS selectors above. Enter shadow roots with
+.shadow() and same-origin iframes through their contentDocument body.
+
+**Generated Starting Point (from the element's tag, role and attributes):**
+\`\`\`typescript
+${elementInfo.testStarter}
+\`\`\`
+Extend this spec rather than rewriting it: keep its selectors, aliases and assertions, and add
+scenarios for the behaviour the captured element suggests.
+
+**Output Format:**
+Provide one complete TypeScript spec (\`*.cy.ts\`) in a \`\`\`typescript block. Use Cypress's
+retrying .should() assertions instead of cy.wait with fixed times, and reuse the @element alias.
+      `,
+
+      'testing-library': (elementInfo, pageUrl) => `
+You are a frontend testing expert specializing in React Testing Library. Write component tests for a
+React component that renders this DOM element.
+
+**Element Rendered by the Component:**
+- Tag: ${elementInfo.tag}
+- Accessible Role: ${elementInfo.role}
+- Accessible Name: ${elementInfo.accessibleName}
+- Text Content: ${elementInfo.text}
+- Attributes: ${elementInfo.attributes}
+- Captured On: ${pageUrl}
+
+**Accessibility:**
+${elementInfo.accessibility}
+
+**Component Under Test (converted from the captured HTML):**
+\`\`\`tsx
+${elementInfo.reactStarter}
+\`\`\`
+
+**Generated Starting Point (from the element's tag, role and attributes):**
+\`\`\`tsx
+${elementInfo.testStarter}
+\`\`\`
+Extend these tests rather than rewriting them: keep the queries and assertions, and add cases for
+the props and states the component supports.
+
+**Test Requirements:**
+- Query the way users find elements: getByRole with a name first, then getByLabelText, getByText,
+  and getByTestId only as a last resort
+- Drive interaction with @testing-library/user-event (userEvent.setup()), not fireEvent
+- Assert with @testing-library/jest-dom matchers (toBeInTheDocument, toHaveValue, toBeChecked, toHaveFocus)
+- Check forwarded handler props with jest.fn()
+
+**Output Format:**
+Provide one complete test file (\`*.test.tsx\`) in a \`\`\`tsx block.
+      `,
+
+      webdriverio: (elementInfo, pageUrl) => `
+You are a QA automation expert specializing in WebdriverIO. Generate comprehensive end-to-end tests for this DOM element.
+
+**Element Under Test:**
+- Tag: ${elementInfo.tag}
+- Accessible Role: ${elementInfo.role}
+- Accessible Name: ${elementInfo.accessibleName}
+- CSS Selector: ${elementInfo.selector}
+- XPath: ${elementInfo.xpath}
+- Text Content: ${elementInfo.text}
+- Page URL: ${pageUrl}
+
+**Fallback Selectors (unique when captured, most stable first):**
+${elementInfo.fallbackSelectors}
+
+**Element Location:**
+${elementInfo.location}
+
+**Current Styles:**
+${elementInfo.styles}
+
+**Interaction States (from the page's CSS):**
+${elementInfo.states}
+
+**Test Requirements:**
+1. **Visibility & Content** - The element is displayed and shows the captured text and attributes
+2. **Interaction** - setValue, selectBy*, click or browser.keys as the element allows
+3. **Accessibility** - ARIA attributes, keyboard focus and an @axe-core/webdriverio scan where useful
+
+**Selectors:**
+Use the CSS selectors above, or aria/ selectors built from the accessible name. Enter shadow roots
+with shadow$ and iframes with browser.switchToFrame.
+
+**Generated Starting Point (from the element's tag, role and attributes):**
+\`\`\`typescript
+${elementInfo.testStarter}
+\`\`\`
+Extend this spec rather than rewriting it: keep its selectors and assertions, and add scenarios for
+the behaviour the captured element suggests.
+
+**Output Format:**
+Provide one complete TypeScript spec in a \`\`\`typescript block using the @wdio/globals imports and
+the expect-webdriverio matchers, which wait on their own.
+      `,
+
       react: (elementInfo, pageUrl) => `
 You are a senior React developer. Create a modern, reusable React component that replicates this DOM element.
 
@@ -189,9 +670,28 @@ You are a senior React developer. Create a modern, reusable React component that
 - Styles: ${elementInfo.styles}
 - Attributes: ${elementInfo.attributes}
 
+**Interaction States (from the page's CSS):**
+${elementInfo.states}
+
+**Child Elements (positions relative to the element; styles omit values inherited unchanged):**
+${elementInfo.subtree}
+
+**Tailwind Classes (converted from the captured styles):**
+${elementInfo.tailwind}
+
+**Project Tailwind Config:**
+${elementInfo.tailwindTheme}
+
+**Generated Starting Point (converted from the captured HTML):**
+\`\`\`tsx
+${elementInfo.reactStarter}
+\`\`\`
+Refine this component rather than rewriting it: keep its markup structure, prop names
+and array props for repeated items, and improve typing, accessibility and styling.
+
 **Requirements:**
 1. **TypeScript** - Fully typed with proper interfaces
-2. **Tailwind CSS** - Convert styles to Tailwind classes
+2. **Tailwind CSS** - Start from the converted classes above; keep arbitrary values such as \`p-[13px]\` rather than rounding them
 3. **Accessibility** - ARIA attributes and keyboard support
 4. **Flexibility** - Configurable props for reusability
 5. **Modern React** - Hooks, functional components
@@ -202,7 +702,7 @@ Create:
 2. **TypeScript Interfaces** - Props and component types
 3. **Style Conversion** - CSS to Tailwind mapping
 4. **Usage Examples** - Multiple implementation examples
-5. **Variants** - Different component states/styles
+5. **Variants** - Different component states/styles, reproducing the interaction states above with Tailwind state modifiers (hover:, focus-visible:, active:, disabled:, before:, after:)
 
 **Additional Features:**
 - forwardRef support for ref passing
@@ -222,6 +722,90 @@ Provide:
 Focus on production-ready, maintainable code that follows React best practices and modern development patterns.
       `,
 
+      vue: (elementInfo, pageUrl) => this.componentPrompt(elementInfo, pageUrl, {
+        role: 'a senior Vue developer. Create a reusable Vue 3 single-file component',
+        language: 'vue',
+        requirements: [
+          '`<script setup lang="ts">` with the Composition API',
+          'Props declared with `defineProps<Props>()` and an exported `Props` interface; defaults with `withDefaults`',
+          'Events declared with `defineEmits`, slots for content a parent should own',
+          'Tailwind CSS classes in the template; keep arbitrary values such as `p-[13px]`',
+          'ARIA attributes and keyboard support'
+        ],
+        output: 'one complete `.vue` file in a ```vue block, followed by a usage example'
+      }),
+
+      svelte: (elementInfo, pageUrl) => this.componentPrompt(elementInfo, pageUrl, {
+        role: 'a senior Svelte developer. Create a reusable Svelte 5 component',
+        language: 'svelte',
+        requirements: [
+          '`<script lang="ts">` with runes: props from `let { ... }: Props = $props()` with an explicit `Props` interface',
+          'Defaults in the destructuring, `$state` / `$derived` for local state, snippets for content a parent should own',
+          'Rest props spread onto the root element',
+          'Tailwind CSS classes in the markup; keep arbitrary values such as `p-[13px]`',
+          'ARIA attributes and keyboard support'
+        ],
+        output: 'one complete `.svelte` file in a ```svelte block, followed by a usage example'
+      }),
+
+      angular: (elementInfo, pageUrl) => this.componentPrompt(elementInfo, pageUrl, {
+        role: 'a senior Angular developer. Create a reusable standalone Angular component',
+        language: 'typescript',
+        requirements: [
+          '`standalone: true` with an inline template and `ChangeDetectionStrategy.OnPush`',
+          'Signal inputs (`input()` / `input.required()`) and `output()` for events, all typed',
+          'Built-in control flow (`@if`, `@for`) rather than structural directives',
+          'Tailwind CSS classes in the template; keep arbitrary values such as `p-[13px]`',
+          'ARIA attributes and keyboard support'
+        ],
+        output: 'one complete `*.component.ts` file in a ```typescript block, followed by a usage example'
+      }),
+
+      'web-component': (elementInfo, pageUrl) => this.componentPrompt(elementInfo, pageUrl, {
+        role: 'a senior frontend engineer. Create a framework-free custom element',
+        language: 'typescript',
+        requirements: [
+          'A class extending `HTMLElement` with an open shadow root and a `customElements.define` call guarded by `customElements.get`',
+          'Configurable values as attributes listed in `static observedAttributes`, reflected to properties and handled in `attributeChangedCallback`',
+          'Styles inside the shadow root (page and Tailwind CSS do not reach it), with CSS custom properties and `::part` for theming',
+          'Slots for content a parent should own, and events dispatched as `CustomEvent`s with `composed: true`',
+          'ARIA attributes and keyboard support'
+        ],
+        output: 'one complete TypeScript module in a ```typescript block, followed by a usage example'
+      }),
+
+      storybook: (elementInfo, pageUrl) => `
+You are a senior frontend engineer. Write a Storybook story file for a component that was generated from this DOM element.
+
+**Captured Element:**
+- Tag: ${elementInfo.tag}
+- Text: ${elementInfo.text}
+- Attributes: ${elementInfo.attributes}
+- Page URL: ${pageUrl}
+
+**Interaction States (from the page's CSS):**
+${elementInfo.states}
+
+**Component:**
+${elementInfo.parentComponent}
+
+**Generated Starting Point:**
+\`\`\`typescript
+${elementInfo.storyStarter}
+\`\`\`
+Refine this story file rather than rewriting it.
+
+**Requirements:**
+1. Component Story Format 3: a typed default export \`meta\` and \`StoryObj\` stories with no render functions unless the framework needs one
+2. Meta \`args\` taken from the captured text and attributes, mapped onto the component's props or inputs
+3. A \`Default\` story plus one story per captured interaction state: \`parameters.pseudo\` (storybook-addon-pseudo-states) for hover, focus and active, args for disabled
+4. \`argTypes\` for props with a fixed set of values
+5. Import the component from the file the component output names
+
+**Output Format:**
+Provide one complete \`*.stories.ts\` file in a \`\`\`typescript block.
+    `,
+
       default: (elementInfo, pageUrl) => `
 Analyze this DOM element and provide insights:
 
@@ -236,7 +820,52 @@ Please provide general analysis and recommendations.
     };
   }
 
+  // Shared shape of the non-React component prompts: the captured element,
+  // the deterministic conversion and the framework's own requirements
+  componentPrompt(elementInfo, pageUrl, { role, language, requirements, output }) {
+    return `
+You are ${role} that replicates this DOM element.
+
+**Element to Replicate:**
+- Tag: ${elementInfo.tag}
+- Classes: ${elementInfo.classes}
+- Text: ${elementInfo.text}
+- Styles: ${elementInfo.styles}
+- Attributes: ${elementInfo.attributes}
+- Page URL: ${pageUrl}
+
+**Interaction States (from the page's CSS):**
+${elementInfo.states}
+
+**Child Elements (positions relative to the element; styles omit values inherited unchanged):**
+${elementInfo.subtree}
+
+**Tailwind Classes (converted from the captured styles):**
+${elementInfo.tailwind}
+
+**Generated Starting Point (converted from the captured HTML):**
+\`\`\`${language}
+${elementInfo.componentStarter}
+\`\`\`
+Refine this component rather than rewriting it: keep its markup structure, and turn the text and
+attribute values a parent would change into props.
+
+**Requirements:**
+${requirements.map((requirement, index) => `${index + 1}. ${requirement}`).join('\n')}
+
+**Output Format:**
+Provide ${output}.
+    `;
+  }
+
+  // Code in the response is validated; a response that fails is sent back
+  // to the model once with the diagnostics
   async processTask(task, element, pageUrl, prompt, options = {}) {
+    if (!this.openai) {
+      const result = this.processTaskLocally(task, element, pageUrl, options);
+      return { ...result, validation: { ...(await validationService.validate(task, result.content, options)), attempts: 1 } };
+    }
+    
     try {
       const startTime = Date.now();
       
@@ -248,40 +877,50 @@ Please provide general analysis and recommendations.
       };
       
       const finalOptions = { ...defaultOptions, ...options };
+      const messages = [
+        {
+          role: 'system',
+          content: this.getSystemPrompt(task, options.framework)
+        },
+        {
+          role: 'user',
+          content: prompt
+        }
+      ];
       
       // Make OpenAI API call
-      const response = await this.openai.chat.completions.create({
-        model: finalOptions.model,
-        messages: [
-          {
-            role: 'system',
-            content: this.getSystemPrompt(task)
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: finalOptions.temperature,
-        max_tokens: finalOptions.maxTokens
-      });
-
-      const content = response.choices[0]?.message?.content || '';
-      const tokensUsed = response.usage?.total_tokens || 0;
+      let { content, tokensUsed } = await this.requestCompletion(messages, finalOptions);
+      let validation = { ...(await validationService.validate(task, content, options)), attempts: 1 };
+      
+      if (validation.status === 'failed') {
+        const previousDiagnostics = validation.diagnostics;
+        const retry = await this.requestCompletion([
+          ...messages,
+          { role: 'assistant', content },
+          { role: 'user', content: validationService.formatFeedback(validation) }
+        ], finalOptions);
+        
+        content = retry.content;
+        tokensUsed = {
+          input: tokensUsed.input + retry.tokensUsed.input,
+          output: tokensUsed.output + retry.tokensUsed.output,
+          total: tokensUsed.total + retry.tokensUsed.total
+        };
+        validation = { ...(await validationService.validate(task, content, options)), attempts: 2, previousDiagnostics };
+      }
       
       // Process structured data based on task
-      const structuredData = await this.extractStructuredData(task, content, element);
+      const structuredData = options.flow
+        ? this.extractPlaywrightData(content, null, options.flow)
+        : await this.extractStructuredData(task, content, element, options.framework);
       
       return {
         content,
         structuredData,
+        validation,
         processing: {
           duration: Date.now() - startTime,
-          tokensUsed: {
-            input: response.usage?.prompt_tokens || 0,
-            output: response.usage?.completion_tokens || 0,
-            total: tokensUsed
-          },
+          tokensUsed,
           model: finalOptions.model
         }
       };
@@ -292,43 +931,301 @@ Please provide general analysis and recommendations.
     }
   }
 
-  getSystemPrompt(task) {
+  async requestCompletion(messages, options) {
+    const response = await this.openai.chat.completions.create({
+      model: options.model,
+      messages,
+      temperature: options.temperature,
+      max_tokens: options.maxTokens
+    });
+    
+    return {
+      content: response.choices[0]?.message?.content || '',
+      tokensUsed: {
+        input: response.usage?.prompt_tokens || 0,
+        output: response.usage?.completion_tokens || 0,
+        total: response.usage?.total_tokens || 0
+      }
+    };
+  }
+
+  // Results that can be produced without an AI model
+  processTaskLocally(task, element, pageUrl, options = {}) {
+    const startTime = Date.now();
+    
+    if (options.flow) {
+      return this.processFlowLocally(options.flow, startTime);
+    }
+    
+    if (task === 'react') {
+      return this.processComponentLocally(element, options, startTime);
+    }
+    
+    if (task === 'figma') {
+      return this.processFigmaLocally(element, startTime);
+    }
+    
+    if (task === 'storybook') {
+      return this.processStoryLocally(element, options, startTime);
+    }
+    
+    if (task === 'playwright') {
+      return this.processTestLocally(element, pageUrl, options, startTime);
+    }
+    
+    if (task !== 'discuss') {
+      throw new Error(`OpenAI API key is not configured; ${task} requires an AI model`);
+    }
+    
+    const accessibility = accessibilityService.audit(element);
+    
+    return {
+      content: accessibilityService.formatReport(element, accessibility),
+      structuredData: accessibility ? { analysis: { accessibility } } : {},
+      processing: {
+        duration: Date.now() - startTime,
+        tokensUsed: { input: 0, output: 0, total: 0 },
+        model: 'local'
+      }
+    };
+  }
+
+  // The test is parsed before it is returned so a generator bug surfaces as
+  // a failed task instead of a broken test file
+  processTestLocally(element, pageUrl, options, startTime) {
+    const test = FuzeTestFrameworks.generateTest(options.framework, element, pageUrl, { axe: options.axe });
+    const { label, language, axePackage } = FuzeTestFrameworks.FRAMEWORKS[test.framework];
+    const { valid, diagnostics } = typescriptService.parse(test.code, test.fileName);
+    
+    if (!valid) {
+      const details = diagnostics.map(({ line, column, message }) => `${line}:${column} ${message}`).join('; ');
+      throw new Error(`Generated ${label} test failed to parse: ${details}`);
+    }
+    
+    const content = [
+      `**${label} Test (${test.fileName}):**`,
+      '',
+      `\`\`\`${language}`,
+      test.code.trimEnd(),
+      '```',
+      '',
+      '**Scenarios:**',
+      ...test.tests.map(title => `- ${title}`),
+      ...(options.axe && axePackage ? ['', `Install \`${axePackage}\` for the accessibility scan.`] : [])
+    ].join('\n');
+    
+    return {
+      content,
+      structuredData: this.extractTestData(test.framework, content, element),
+      processing: {
+        duration: Date.now() - startTime,
+        tokensUsed: { input: 0, output: 0, total: 0 },
+        model: 'local'
+      }
+    };
+  }
+
+  processStoryLocally(element, options, startTime) {
+    const story = storybookService.generate(element, options.component || { framework: options.framework });
+    const { valid, diagnostics } = typescriptService.parse(story.code, story.fileName);
+    
+    if (!valid) {
+      const details = diagnostics.map(({ line, column, message }) => `${line}:${column} ${message}`).join('; ');
+      throw new Error(`Generated story failed to parse: ${details}`);
+    }
+    
+    const content = [
+      `**Storybook Story (${story.fileName}):**`,
+      '',
+      '```typescript',
+      story.code.trimEnd(),
+      '```',
+      '',
+      '**Stories:**',
+      ...story.stories.map(name => `- ${name}`),
+      ...(story.notes.length > 0 ? ['', '**Notes:**', ...story.notes.map(note => `- ${note}`)] : [])
+    ].join('\n');
+    
+    return {
+      content,
+      structuredData: this.extractStorybookData(content, element),
+      processing: {
+        duration: Date.now() - startTime,
+        tokensUsed: { input: 0, output: 0, total: 0 },
+        model: 'local'
+      }
+    };
+  }
+
+  processFlowLocally(flow, startTime) {
+    const test = FuzePlaywright.generateFlowTest(flow);
+    const { valid, diagnostics } = typescriptService.parse(test.code, 'flow.spec.ts');
+    
+    if (!valid) {
+      const details = diagnostics.map(({ line, column, message }) => `${line}:${column} ${message}`).join('; ');
+      throw new Error(`Generated flow test failed to parse: ${details}`);
+    }
+    
+    const content = [
+      '**Playwright Test:**',
+      '',
+      '```typescript',
+      test.code.trimEnd(),
+      '```',
+      '',
+      `Replays ${test.steps} recorded steps from ${flow.startUrl}.`,
+      ...(test.secrets > 0
+        ? ['', `Masked fields read FLOW_SECRET_1${test.secrets > 1 ? ` to FLOW_SECRET_${test.secrets}` : ''} from the environment.`]
+        : [])
+    ].join('\n');
+    
+    return {
+      content,
+      structuredData: this.extractPlaywrightData(content, null, flow),
+      processing: {
+        duration: Date.now() - startTime,
+        tokensUsed: { input: 0, output: 0, total: 0 },
+        model: 'local'
+      }
+    };
+  }
+
+  processFigmaLocally(element, startTime) {
+    const { node, unmapped } = figmaService.generate(element);
+    const variants = this.buildFigmaVariants(element.states);
+    const content = [
+      '**Figma Component Structure:**',
+      '',
+      '```json',
+      JSON.stringify(node, null, 2),
+      '```',
+      ...(variants.length > 0 ? ['', '**Component Variants:**', ...variants.map(variant => `- ${variant.name}`)] : []),
+      ...(unmapped.length > 0
+        ? ['', '**Not Mapped:**', ...unmapped.map(({ layer, property, value }) => `- ${layer}: \`${property}: ${value}\``)]
+        : [])
+    ].join('\n');
+    
+    return {
+      content,
+      structuredData: this.extractFigmaData(content, element),
+      processing: {
+        duration: Date.now() - startTime,
+        tokensUsed: { input: 0, output: 0, total: 0 },
+        model: 'local'
+      }
+    };
+  }
+
+  processComponentLocally(element, options, startTime) {
+    const generated = FuzeComponents.generateComponent(options.framework, element);
+    const { label, language } = FuzeComponents.FRAMEWORKS[generated.framework];
+    const content = [
+      `**${label} (${generated.fileName}):**`,
+      '',
+      `\`\`\`${language}`,
+      generated.code.trimEnd(),
+      '```',
+      '',
+      '**Usage Example:**',
+      `\`\`\`${generated.framework === 'react' ? 'tsx' : 'html'}`,
+      generated.usage,
+      '```',
+      ...(generated.notes.length > 0 ? ['', '**Notes:**', ...generated.notes.map(note => `- ${note}`)] : [])
+    ].join('\n');
+    
+    const structuredData = this.extractComponentData(generated.framework, content, element);
+    structuredData[FuzeComponents.FRAMEWORKS[generated.framework].dataKey].componentName = generated.componentName;
+    
+    return {
+      content,
+      structuredData,
+      processing: {
+        duration: Date.now() - startTime,
+        tokensUsed: { input: 0, output: 0, total: 0 },
+        model: 'local'
+      }
+    };
+  }
+
+  getSystemPrompt(task, framework = null) {
+    const testPrompts = {
+      cypress: 'You are a senior QA automation engineer specializing in Cypress. Write reliable end-to-end specs that rely on retrying assertions.',
+      'testing-library': 'You are a senior frontend engineer specializing in React Testing Library. Write user-centric component tests with accessible queries.',
+      webdriverio: 'You are a senior QA automation engineer specializing in WebdriverIO. Write maintainable end-to-end specs with the async API.'
+    };
+    
+    if (task === 'playwright' && testPrompts[framework]) {
+      return testPrompts[framework];
+    }
+    
+    const componentPrompts = {
+      vue: 'You are a senior Vue developer with expertise in TypeScript and the Composition API. Create production-ready single-file components.',
+      svelte: 'You are a senior Svelte developer with expertise in TypeScript and Svelte 5 runes. Create production-ready components.',
+      angular: 'You are a senior Angular developer with expertise in standalone components and signals. Create production-ready components.',
+      'web-component': 'You are a senior frontend engineer with expertise in Custom Elements and Shadow DOM. Create production-ready, framework-free components.'
+    };
+    
+    if (task === 'react' && componentPrompts[framework]) {
+      return componentPrompts[framework];
+    }
+    
     const prompts = {
       discuss: 'You are an expert UX/UI designer and accessibility consultant. Provide thorough, actionable analysis with specific recommendations.',
       figma: 'You are a Figma design system expert. Generate accurate, implementation-ready Figma component structures.',
       playwright: 'You are a senior QA automation engineer specializing in Playwright. Write comprehensive, maintainable test code.',
-      react: 'You are a senior React developer with expertise in TypeScript and modern development practices. Create production-ready components.'
+      react: 'You are a senior React developer with expertise in TypeScript and modern development practices. Create production-ready components.',
+      storybook: 'You are a senior frontend engineer who maintains a Storybook design system. Write Component Story Format 3 stories that document every state of a component.'
     };
     
     return prompts[task] || 'You are a helpful assistant providing technical guidance.';
   }
 
-  async extractStructuredData(task, content, element) {
+  async extractStructuredData(task, content, element, framework = null) {
     const extractors = {
-      figma: (content) => this.extractFigmaData(content),
-      playwright: (content) => this.extractPlaywrightData(content, element),
-      react: (content) => this.extractReactData(content, element),
-      discuss: (content) => this.extractAnalysisData(content)
+      figma: (content) => this.extractFigmaData(content, element),
+      playwright: (content) => this.extractTestData(framework, content, element),
+      react: (content) => this.extractComponentData(framework, content, element),
+      storybook: (content) => this.extractStorybookData(content, element),
+      discuss: (content) => this.extractAnalysisData(content, element)
     };
     
     return extractors[task] ? extractors[task](content) : {};
   }
 
-  extractFigmaData(content) {
+  // The model's JSON and the deterministic conversion are both checked
+  // against the Figma node schema; invalid JSON is reported, not thrown
+  extractFigmaData(content, element) {
     try {
       // Extract JSON blocks from content
       const jsonMatch = content.match(/```json\s*([\s\S]*?)\s*```/);
       let figmaJson = null;
+      let componentsValidation;
       
-      if (jsonMatch) {
-        figmaJson = JSON.parse(jsonMatch[1]);
+      if (!jsonMatch) {
+        componentsValidation = { valid: false, errors: ['No JSON block found in the response'] };
+      } else {
+        try {
+          figmaJson = JSON.parse(jsonMatch[1]);
+          componentsValidation = figmaService.validate(figmaJson);
+        } catch (error) {
+          componentsValidation = { valid: false, errors: [`Invalid JSON: ${error.message}`] };
+        }
       }
       
+      const generated = figmaService.generate(element);
+      
       return {
         figma: {
           components: figmaJson,
           layers: figmaJson?.children || [],
-          styles: this.extractFigmaStyles(content)
+          styles: this.extractFigmaStyles(content),
+          variants: this.buildFigmaVariants(element.states),
+          generated: generated.node,
+          unmapped: generated.unmapped,
+          validation: {
+            components: componentsValidation,
+            generated: figmaService.validate(generated.node)
+          }
         }
       };
     } catch (error) {
@@ -359,18 +1256,33 @@ Please provide general analysis and recommendations.
     return styles;
   }
 
-  extractPlaywrightData(content, element) {
+  // Locators of the elements a flow acted on, in order of first use
+  getFlowLocators(flow) {
+    const locators = flow.steps
+      .filter(step => step.target)
+      .map(step => step.target.locator || step.target.selector);
+    
+    return [...new Set(locators)];
+  }
+
+  // Flow tests list the locator of every element the flow acted on
+  extractPlaywrightData(content, element, flow = null) {
     try {
       // Extract selectors and test actions
-      const selectors = [element.selector];
-      if (element.xpath) selectors.push(element.xpath);
+      const selectors = flow ? this.getFlowLocators(flow) : [element.selector];
+      if (element?.locator?.recommended) selectors.unshift(element.locator.recommended);
+      if (element?.deepSelector && element.deepSelector !== element.selector) selectors.push(element.deepSelector);
+      if (element?.xpath) selectors.push(element.xpath);
       
       // Extract actions from test content
       const actionPatterns = [
         /await.*\.click\(\)/g,
         /await.*\.fill\(.*\)/g,
         /await.*\.hover\(\)/g,
-        /await.*\.focus\(\)/g
+        /await.*\.focus\(\)/g,
+        /await.*\.selectOption\(.*\)/g,
+        /await.*\.(?:check|uncheck)\(\)/g,
+        /await.*\.press\(.*\)/g
       ];
       
       const actions = [];
@@ -382,7 +1294,7 @@ Please provide general analysis and recommendations.
       });
       
       // Extract assertions
-      const assertionPattern = /await expect\(.*\)\./g;
+      const assertionPattern = /(?:await )?expect\(.*\)\.\S+\(.*\);/g;
       const assertions = content.match(assertionPattern) || [];
       
       return {
@@ -399,6 +1311,198 @@ Please provide general analysis and recommendations.
     }
   }
 
+  // Test output is keyed by framework; Playwright keeps its own extractor
+  extractTestData(framework, content, element) {
+    const extractors = {
+      cypress: () => this.extractCypressData(content, element),
+      'testing-library': () => this.extractTestingLibraryData(content, element),
+      webdriverio: () => this.extractWebdriverioData(content, element)
+    };
+    
+    return extractors[framework] ? extractors[framework]() : this.extractPlaywrightData(content, element);
+  }
+
+  extractCypressData(content, element) {
+    try {
+      const testFile = this.extractCodeBlock(content, 'typescript') || this.extractCodeBlock(content, 'javascript');
+      const selectors = [...testFile.matchAll(/(?:cy\.get|\.find)\((['"`])(.+?)\1\)/g)]
+        .map(match => match[2])
+        .filter(selector => !selector.startsWith('@'));
+      
+      return {
+        cypress: {
+          selectors: [...new Set(selectors.length > 0 ? selectors : [element.deepSelector || element.selector])],
+          actions: testFile.match(/^.*\.(?:click|dblclick|type|clear|check|uncheck|select|focus|trigger)\(.*\);/gm)?.map(line => line.trim()) || [],
+          assertions: testFile.match(/^.*\.(?:should|and)\(.*\);/gm)?.map(line => line.trim()) || [],
+          testFile
+        }
+      };
+    } catch (error) {
+      console.error('Error extracting Cypress data:', error);
+      return { cypress: {} };
+    }
+  }
+
+  extractTestingLibraryData(content, element) {
+    try {
+      const testFile = this.extractCodeBlock(content, 'tsx') || this.extractCodeBlock(content, 'typescript');
+      const componentMatch = testFile.match(/render\(\s*<([A-Z]\w*)/);
+      
+      return {
+        testingLibrary: {
+          componentName: componentMatch ? componentMatch[1] : null,
+          queries: [...new Set(testFile.match(/screen\.(?:get|query|find)(?:All)?By\w+\([^)]*\)/g) || [])],
+          actions: testFile.match(/await\s+(?:user|userEvent)\.\w+\(.*\)/g) || [],
+          assertions: testFile.match(/expect\(.*\)\.\S+\(.*\);/g) || [],
+          testFile
+        }
+      };
+    } catch (error) {
+      console.error('Error extracting Testing Library data:', error);
+      return { testingLibrary: {} };
+    }
+  }
+
+  extractWebdriverioData(content, element) {
+    try {
+      const testFile = this.extractCodeBlock(content, 'typescript') || this.extractCodeBlock(content, 'javascript');
+      const selectors = [...testFile.matchAll(/(?:\$\$?|shadow\$)\((['"`])(.+?)\1\)/g)].map(match => match[2]);
+      
+      return {
+        webdriverio: {
+          selectors: [...new Set(selectors.length > 0 ? selectors : [element.deepSelector || element.selector])],
+          actions: testFile.match(/await .*\.(?:click|doubleClick|setValue|addValue|clearValue|selectBy\w+|moveTo|keys)\(.*\)/g) || [],
+          assertions: testFile.match(/(?:await )?expect\(.*\)\.\S+\(.*\);/g) || [],
+          testFile
+        }
+      };
+    } catch (error) {
+      console.error('Error extracting WebdriverIO data:', error);
+      return { webdriverio: {} };
+    }
+  }
+
+  // Component output is keyed by framework; React keeps its own extractor
+  extractComponentData(framework, content, element) {
+    const extractors = {
+      vue: () => this.extractVueData(content, element),
+      svelte: () => this.extractSvelteData(content, element),
+      angular: () => this.extractAngularData(content, element),
+      'web-component': () => this.extractWebComponentData(content, element)
+    };
+    
+    return extractors[framework] ? extractors[framework]() : this.extractReactData(content, element);
+  }
+
+  extractStorybookData(content, element) {
+    try {
+      const code = this.extractCodeBlock(content, 'typescript') || this.extractCodeBlock(content, 'tsx') || this.extractCodeBlock(content, 'javascript');
+      const componentMatch = code.match(/component:\s*['"]?([\w-]+)/);
+      const titleMatch = code.match(/title:\s*['"`]([^'"`]+)['"`]/);
+      const fileMatch = content.match(/\b([\w.-]+\.stories\.[jt]sx?)\b/);
+      const argsMatch = code.match(/const meta[\s\S]*?\n\s{2}args:\s*\{([\s\S]*?)\n\s{2}\},?/);
+      
+      return {
+        storybook: {
+          componentName: componentMatch ? componentMatch[1] : this.getFallbackComponentName(element),
+          title: titleMatch ? titleMatch[1] : null,
+          storyFile: fileMatch ? fileMatch[1] : null,
+          stories: [...code.matchAll(/export\s+const\s+(\w+)\s*(?::\s*Story\w*)?\s*=/g)].map(match => match[1]),
+          args: argsMatch
+            ? this.splitTopLevel(argsMatch[1]).map(entry => entry.split(':')[0].trim().replace(/^['"]|['"]$/g, '')).filter(Boolean)
+            : [],
+          code
+        }
+      };
+    } catch (error) {
+      console.error('Error extracting Storybook data:', error);
+      return { storybook: {} };
+    }
+  }
+
+  extractVueData(content, element) {
+    try {
+      const code = this.extractCodeBlock(content, 'vue') || this.extractCodeBlock(content, 'html');
+      const fileMatch = content.match(/\b([A-Z]\w*)\.vue\b/);
+      
+      return {
+        vue: {
+          componentName: fileMatch ? fileMatch[1] : this.getFallbackComponentName(element),
+          props: this.parseVueProps(code),
+          emits: this.parseVueEmits(code),
+          dependencies: this.extractImports(code),
+          code
+        }
+      };
+    } catch (error) {
+      console.error('Error extracting Vue data:', error);
+      return { vue: {} };
+    }
+  }
+
+  extractSvelteData(content, element) {
+    try {
+      const code = this.extractCodeBlock(content, 'svelte') || this.extractCodeBlock(content, 'html');
+      const fileMatch = content.match(/\b([A-Z]\w*)\.svelte\b/);
+      
+      return {
+        svelte: {
+          componentName: fileMatch ? fileMatch[1] : this.getFallbackComponentName(element),
+          props: this.parseSvelteProps(code),
+          dependencies: this.extractImports(code),
+          code
+        }
+      };
+    } catch (error) {
+      console.error('Error extracting Svelte data:', error);
+      return { svelte: {} };
+    }
+  }
+
+  extractAngularData(content, element) {
+    try {
+      const code = this.extractCodeBlock(content, 'typescript');
+      const classMatch = code.match(/export\s+class\s+(\w+)/);
+      const selectorMatch = code.match(/selector:\s*['"`]([^'"`]+)['"`]/);
+      
+      return {
+        angular: {
+          componentName: classMatch ? classMatch[1] : `${this.getFallbackComponentName(element)}Component`,
+          selector: selectorMatch ? selectorMatch[1] : null,
+          standalone: /standalone:\s*true/.test(code),
+          props: this.parseAngularInputs(code),
+          outputs: this.parseAngularOutputs(code),
+          dependencies: this.extractImports(code),
+          code
+        }
+      };
+    } catch (error) {
+      console.error('Error extracting Angular data:', error);
+      return { angular: {} };
+    }
+  }
+
+  extractWebComponentData(content, element) {
+    try {
+      const code = this.extractCodeBlock(content, 'typescript') || this.extractCodeBlock(content, 'javascript');
+      const classMatch = code.match(/class\s+(\w+)\s+extends\s+HTMLElement/);
+      const tagMatch = code.match(/customElements\.define\(\s*['"`]([^'"`]+)['"`]/);
+      
+      return {
+        webComponent: {
+          componentName: classMatch ? classMatch[1] : this.getFallbackComponentName(element),
+          tagName: tagMatch ? tagMatch[1] : null,
+          props: this.parseObservedAttributes(code),
+          dependencies: this.extractImports(code),
+          code
+        }
+      };
+    } catch (error) {
+      console.error('Error extracting Web Component data:', error);
+      return { webComponent: {} };
+    }
+  }
+
   extractReactData(content, element) {
     try {
       // Extract component name
@@ -406,7 +1510,7 @@ Please provide general analysis and recommendations.
       const componentName = componentNameMatch ? componentNameMatch[1] : element.tag + 'Component';
       
       // Extract props interface
-      const propsMatch = content.match(/interface\s+\w+Props\s*{([\s\S]*?)}/);
+      const propsMatch = content.match(/interface\s+\w+Props\b[^{]*{([\s\S]*?)}/);
       const props = propsMatch ? this.parsePropsInterface(propsMatch[1]) : {};
       
       // Extract dependencies
@@ -418,10 +1522,10 @@ Please provide general analysis and recommendations.
       }
       
       // Extract Tailwind classes
-      const tailwindPattern = /className\s*=\s*[`"']([^`"']*)[`"']/g;
+      const tailwindPattern = /className\s*=\s*\{?\s*[`"']([^`"']*)[`"']/g;
       const tailwindClasses = [];
       while ((match = tailwindPattern.exec(content)) !== null) {
-        tailwindClasses.push(...match[1].split(' ').filter(cls => cls.trim()));
+        tailwindClasses.push(...match[1].split(' ').filter(cls => cls.trim() && !cls.includes('${')));
       }
       
       return {
@@ -438,12 +1542,15 @@ Please provide general analysis and recommendations.
     }
   }
 
-  extractAnalysisData(content) {
+  extractAnalysisData(content, element) {
     try {
       // Extract scores and issues from analysis
       const sections = content.split(/#{1,3}\s/);
       const analysis = {
-        accessibility: this.extractScoreAndIssues(content, 'accessibility'),
+        accessibility: this.mergeAccessibilityChecks(
+          this.extractScoreAndIssues(content, 'accessibility'),
+          accessibilityService.audit(element)
+        ),
         performance: this.extractScoreAndIssues(content, 'performance'),
         design: this.extractScoreAndIssues(content, 'design')
       };
@@ -455,6 +1562,19 @@ Please provide general analysis and recommendations.
     }
   }
 
+  // Rule-based findings take precedence over what the model reported; its
+  // issues and suggestions are appended after them
+  mergeAccessibilityChecks(fromAi, fromRules) {
+    if (!fromRules) return fromAi;
+    
+    return {
+      score: fromRules.score,
+      issues: [...new Set([...fromRules.issues, ...fromAi.issues])],
+      suggestions: [...new Set([...fromRules.suggestions, ...fromAi.suggestions])],
+      violations: fromRules.violations
+    };
+  }
+
   extractScoreAndIssues(content, category) {
     const categorySection = content.toLowerCase();
     const issues = [];
@@ -497,6 +1617,207 @@ Please provide general analysis and recommendations.
     return match ? match[1].trim() : '';
   }
 
+  getFallbackComponentName(element) {
+    return element ? FuzeReact.getComponentName(element, null) : 'Component';
+  }
+
+  extractImports(code) {
+    const sources = [...code.matchAll(/import\s+(?:[^'"`;]*?\s+from\s+)?['"]([^'"]+)['"]/g)].map(match => match[1]);
+    return [...new Set(sources)];
+  }
+
+  // defineProps with a type argument (inline or a named interface/type),
+  // a runtime object or an array of names; withDefaults supplies defaults
+  parseVueProps(code) {
+    let props = {};
+    const typed = code.match(/defineProps<\s*([\s\S]*?)\s*>\(\s*\)/);
+    const runtime = code.match(/defineProps\(\s*(\{[\s\S]*?\}|\[[\s\S]*?\])\s*\)/);
+    
+    if (typed) {
+      const body = typed[1].startsWith('{') ? typed[1].slice(1, -1) : this.findTypeBody(code, typed[1]);
+      props = this.parsePropsInterface(body || '');
+    } else if (runtime && runtime[1].startsWith('[')) {
+      [...runtime[1].matchAll(/['"]([^'"]+)['"]/g)].forEach(([, name]) => {
+        props[name] = { type: 'unknown', optional: true };
+      });
+    } else if (runtime) {
+      props = this.parseRuntimeProps(runtime[1].slice(1, -1));
+    }
+    
+    const defaults = code.match(/withDefaults\(\s*defineProps[\s\S]*?\)\s*,\s*\{([\s\S]*?)\}\s*\)/);
+    if (defaults) {
+      this.splitTopLevel(defaults[1]).forEach(entry => {
+        const match = entry.match(/^(\w+)\s*:\s*([\s\S]+)$/);
+        if (match && props[match[1]]) {
+          props[match[1]] = { ...props[match[1]], optional: true, default: match[2].trim() };
+        }
+      });
+    }
+    
+    return props;
+  }
+
+  // Runtime props objects: name: String or name: { type, required, default }
+  parseRuntimeProps(body) {
+    const constructorTypes = {
+      String: 'string', Number: 'number', Boolean: 'boolean', Array: 'unknown[]',
+      Object: 'Record<string, unknown>', Function: '(...args: unknown[]) => unknown', Date: 'Date'
+    };
+    const props = {};
+    
+    this.splitTopLevel(body).forEach(entry => {
+      const match = entry.match(/^['"]?(\w+)['"]?\s*:\s*([\s\S]+)$/);
+      if (!match) return;
+      
+      const [, name, definition] = match;
+      const typeMatch = definition.startsWith('{') ? definition.match(/type:\s*(\w+)/) : definition.match(/^(\w+)/);
+      const defaultMatch = definition.match(/default:\s*([^,}]+)/);
+      
+      props[name] = {
+        type: (typeMatch && constructorTypes[typeMatch[1]]) || 'unknown',
+        optional: !/required:\s*true/.test(definition),
+        ...(defaultMatch && { default: defaultMatch[1].trim() })
+      };
+    });
+    
+    return props;
+  }
+
+  parseVueEmits(code) {
+    const typed = code.match(/defineEmits<\s*\{([\s\S]*?)\}\s*>\(\s*\)/);
+    if (typed) {
+      const names = [...typed[1].matchAll(/(?:\(e:\s*['"]([\w:-]+)['"]|['"]?([\w:-]+)['"]?\s*:\s*\[)/g)];
+      return names.map(match => match[1] || match[2]);
+    }
+    
+    const runtime = code.match(/defineEmits\(\s*\[([\s\S]*?)\]\s*\)/);
+    return runtime ? [...runtime[1].matchAll(/['"]([^'"]+)['"]/g)].map(match => match[1]) : [];
+  }
+
+  // Svelte 5 $props() destructuring typed inline or by a named interface,
+  // or Svelte 4 export let declarations
+  parseSvelteProps(code) {
+    const props = {};
+    const runes = code.match(/let\s*\{([\s\S]*?)\}\s*(?::\s*([\s\S]*?))?\s*=\s*\$props\(\)/);
+    
+    if (runes) {
+      const annotation = (runes[2] || '').trim();
+      const body = annotation.startsWith('{') ? annotation.slice(1, -1) : this.findTypeBody(code, annotation);
+      const types = this.parsePropsInterface(body || '');
+      
+      this.splitTopLevel(runes[1]).forEach(entry => {
+        const match = entry.match(/^(\w+)(?:\s*:\s*\w+)?(?:\s*=\s*([\s\S]+))?$/);
+        if (!match) return;
+        const [, name, defaultValue] = match;
+        props[name] = {
+          type: types[name]?.type || 'unknown',
+          optional: defaultValue !== undefined || types[name]?.optional !== false,
+          ...(defaultValue !== undefined && { default: defaultValue.trim() })
+        };
+      });
+      
+      return props;
+    }
+    
+    for (const match of code.matchAll(/export\s+let\s+(\w+)\s*(?::\s*([^=;\n]+))?(?:=\s*([^;\n]+))?;?/g)) {
+      const [, name, type, defaultValue] = match;
+      props[name] = {
+        type: type ? type.trim() : 'unknown',
+        optional: defaultValue !== undefined,
+        ...(defaultValue !== undefined && { default: defaultValue.trim() })
+      };
+    }
+    
+    return props;
+  }
+
+  // Decorator inputs (@Input() name: Type) and signal inputs
+  // (name = input<Type>(default) / input.required<Type>())
+  parseAngularInputs(code) {
+    const props = {};
+    
+    for (const match of code.matchAll(/@Input\(([^)]*)\)\s*(?:set\s+)?(\w+)([!?])?\s*(?::\s*([^=;\n]+))?(?:=\s*([^;\n]+))?/g)) {
+      const [, args, name, modifier, type, defaultValue] = match;
+      props[name] = {
+        type: type ? type.trim() : 'unknown',
+        optional: !/required:\s*true/.test(args) && modifier !== '!',
+        ...(defaultValue !== undefined && { default: defaultValue.trim() })
+      };
+    }
+    
+    for (const match of code.matchAll(/(\w+)\s*=\s*input(\.required)?(?:<([^>]+)>)?\(([^)]*)\)/g)) {
+      const [, name, required, type, args] = match;
+      const defaultValue = required ? '' : args.split(',')[0].trim();
+      props[name] = {
+        type: type ? type.trim() : 'unknown',
+        optional: !required,
+        ...(defaultValue && { default: defaultValue })
+      };
+    }
+    
+    return props;
+  }
+
+  parseAngularOutputs(code) {
+    const outputs = [
+      ...code.matchAll(/@Output\([^)]*\)\s*(\w+)\s*=\s*new\s+EventEmitter(?:<([^>]+)>)?/g),
+      ...code.matchAll(/(\w+)\s*=\s*output(?:<([^>]+)>)?\(/g)
+    ];
+    
+    return outputs.map(([, name, type]) => ({ name, type: type ? type.trim() : 'void' }));
+  }
+
+  // Custom element attributes from static observedAttributes, as a field or
+  // a getter; attribute values are always strings
+  parseObservedAttributes(code) {
+    const match = code.match(/observedAttributes\s*(?:=|\(\)\s*(?::[^{]+)?\{\s*return)\s*\[([^\]]*)\]/);
+    const props = {};
+    
+    if (match) {
+      [...match[1].matchAll(/['"]([^'"]+)['"]/g)].forEach(([, name]) => {
+        props[name] = { type: 'string', optional: true };
+      });
+    }
+    
+    return props;
+  }
+
+  // Body of a named interface or object type alias in the same code
+  findTypeBody(code, typeName) {
+    if (!/^\w+$/.test(typeName)) return null;
+    const pattern = new RegExp(`(?:interface\\s+${typeName}\\b[^{]*|type\\s+${typeName}\\s*=\\s*)\\{([\\s\\S]*?)\\n\\s*\\}`);
+    const match = code.match(pattern);
+    return match ? match[1] : null;
+  }
+
+  // Split on commas that are not nested in brackets, braces or strings
+  splitTopLevel(text) {
+    const entries = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+    
+    for (const char of text) {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (/['"`]/.test(char)) {
+        quote = char;
+      } else if ('([{<'.includes(char)) {
+        depth++;
+      } else if (')]}>'.includes(char)) {
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        entries.push(current.trim());
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+    
+    if (current.trim()) entries.push(current.trim());
+    return entries.filter(entry => !entry.startsWith('//'));
+  }
+
   parsePropsInterface(propsString) {
     const props = {};
     const lines = propsString.split('\n');
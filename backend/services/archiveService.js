@@ -0,0 +1,102 @@
+// Archive Service - Builds zip archives in memory for exports
+const zlib = require('zlib');
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+// Zip 2.0: deflate, no zip64
+const ZIP_VERSION = 20;
+const UTF8_FLAG = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+const CRC_TABLE = Array.from({ length: 256 }, (value, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+class ArchiveService {
+  // Zip of { path, content } entries; content is a string or Buffer. Entries
+  // are deflated unless that makes them larger.
+  createZip(entries, date = new Date()) {
+    const { time, day } = this.toDosDateTime(date);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    entries.forEach(entry => {
+      const name = Buffer.from(entry.path, 'utf8');
+      const data = Buffer.isBuffer(entry.content) ? entry.content : Buffer.from(entry.content, 'utf8');
+      const deflated = zlib.deflateRawSync(data);
+      const method = deflated.length < data.length ? METHOD_DEFLATE : METHOD_STORE;
+      const stored = method === METHOD_DEFLATE ? deflated : data;
+      const crc = this.crc32(data);
+
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+      local.writeUInt16LE(ZIP_VERSION, 4);
+      local.writeUInt16LE(UTF8_FLAG, 6);
+      local.writeUInt16LE(method, 8);
+      local.writeUInt16LE(time, 10);
+      local.writeUInt16LE(day, 12);
+      local.writeUInt32LE(crc, 14);
+      local.writeUInt32LE(stored.length, 18);
+      local.writeUInt32LE(data.length, 22);
+      local.writeUInt16LE(name.length, 26);
+      local.writeUInt16LE(0, 28);
+
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+      central.writeUInt16LE(ZIP_VERSION, 4);
+      central.writeUInt16LE(ZIP_VERSION, 6);
+      central.writeUInt16LE(UTF8_FLAG, 8);
+      central.writeUInt16LE(method, 10);
+      central.writeUInt16LE(time, 12);
+      central.writeUInt16LE(day, 14);
+      central.writeUInt32LE(crc, 16);
+      central.writeUInt32LE(stored.length, 20);
+      central.writeUInt32LE(data.length, 24);
+      central.writeUInt16LE(name.length, 28);
+      // Extra field, comment, disk number and internal/external attributes
+      // stay zero
+      central.writeUInt32LE(offset, 42);
+
+      localParts.push(local, name, stored);
+      centralParts.push(central, name);
+      offset += local.length + name.length + stored.length;
+    });
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+  }
+
+  crc32(buffer) {
+    let crc = 0xffffffff;
+    for (let index = 0; index < buffer.length; index++) {
+      crc = CRC_TABLE[(crc ^ buffer[index]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  // MS-DOS time and date fields; zip timestamps have no time zone and a
+  // two-second resolution
+  toDosDateTime(date) {
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      day: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+}
+
+module.exports = new ArchiveService();
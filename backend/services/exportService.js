@@ -0,0 +1,333 @@
+// Export Service - Project archives for the elements saved on a page or in a selection set
+const FuzeComponents = require('../../shared/components');
+const FuzePlaywright = require('../../shared/playwright');
+const FuzeTestFrameworks = require('../../shared/test-frameworks');
+const figmaService = require('./figmaService');
+const tokenService = require('./tokenService');
+const validationService = require('./validationService');
+
+// Tasks whose latest output is exported and the framework the project is
+// set up for; outputs for other frameworks are left out
+const EXPORT_TASKS = {
+  react: 'react',
+  playwright: 'playwright',
+  figma: null
+};
+
+// Versions written to the archive's package.json
+const PACKAGE_VERSIONS = {
+  react: '^18.3.1',
+  '@playwright/test': '^1.44.0',
+  '@types/react': '^18.3.3',
+  '@types/node': '^20.12.12',
+  typescript: '^5.4.5'
+};
+
+class ExportService {
+  // Files for a project archive: a component, spec and Figma node tree per
+  // element, from the element's latest completed AI output for each task or
+  // the offline generators when it has none, plus design tokens, Playwright
+  // and TypeScript config and a README listing the discussions. outputs
+  // must be sorted newest first. Returns { name, files: [{ path, content }] }.
+  buildProject(records, outputs, discussions, options = {}) {
+    const exportedAt = options.exportedAt || new Date();
+    const latest = this.selectLatestOutputs(outputs);
+    const usedNames = new Set();
+    const notes = [];
+
+    const items = records.map(record => {
+      const output = task => latest.get(`${record._id}:${task}`) || null;
+      const component = this.buildComponent(record, output('react'), usedNames, notes);
+      const slug = FuzePlaywright.toKebabCase(component.componentName);
+
+      return {
+        record,
+        component,
+        test: this.buildTest(record, output('playwright'), slug, notes),
+        figma: this.buildFigma(record, output('figma'), slug, notes)
+      };
+    });
+
+    const pageUrls = [...new Set(records.map(record => record.pageUrl))];
+    const name = `fuzepicker-${pageUrls.length === 1 ? this.toSlug(pageUrls[0]) : 'export'}`;
+    const tokens = tokenService.buildExport(records);
+
+    const files = [
+      { path: 'README.md', content: this.renderReadme(items, discussions, { pageUrls, exportedAt, notes }) },
+      { path: 'package.json', content: this.renderPackage(name) },
+      { path: 'tsconfig.json', content: this.renderTsconfig() },
+      { path: 'playwright.config.ts', content: this.renderPlaywrightConfig(pageUrls) },
+      ...items.flatMap(item => [item.component, item.test, item.figma]),
+      { path: 'tokens/tokens.json', content: this.toJson(tokens.w3c) },
+      { path: 'tokens/style-dictionary.tokens.json', content: this.toJson(tokens.styleDictionary) }
+    ];
+
+    return {
+      name,
+      files: files.map(file => ({ path: `${name}/${file.path}`, content: file.content }))
+    };
+  }
+
+  // Newest output per element and task, skipping frameworks the project
+  // does not use
+  selectLatestOutputs(outputs) {
+    const latest = new Map();
+
+    outputs.forEach(output => {
+      const framework = EXPORT_TASKS[output.task];
+      if (framework === undefined) return;
+      if (framework && output.framework && output.framework !== framework) return;
+
+      const key = `${output.elementId}:${output.task}`;
+      if (!latest.has(key)) latest.set(key, output);
+    });
+
+    return latest;
+  }
+
+  buildComponent(record, output, usedNames, notes) {
+    const recordedName = output?.structuredData?.react?.componentName;
+    const code = output ? validationService.extractCodeBlock(output.output?.content || '', 'tsx') : null;
+
+    if (code !== null) {
+      const componentName = this.reserveName(recordedName || FuzeComponents.generateComponent('react', record.element).componentName, usedNames);
+      this.noteValidation(output, `src/components/${componentName}.tsx`, notes);
+      return this.createFile(`src/components/${componentName}.tsx`, code, output, { componentName });
+    }
+
+    if (output) {
+      notes.push(`AI output ${output._id} has no \`\`\`tsx block, so the component for \`${record.element.selector}\` was generated offline`);
+    }
+
+    let generated = FuzeComponents.generateComponent('react', record.element);
+    const componentName = this.reserveName(generated.componentName, usedNames);
+    if (componentName !== generated.componentName) {
+      generated = FuzeComponents.generateComponent('react', record.element, { componentName });
+    }
+
+    return this.createFile(`src/components/${componentName}.tsx`, generated.code, null, { componentName });
+  }
+
+  buildTest(record, output, slug, notes) {
+    const filePath = `tests/${slug}.spec.ts`;
+    const code = output ? validationService.extractCodeBlock(output.output?.content || '', 'typescript') : null;
+
+    if (code !== null) {
+      this.noteValidation(output, filePath, notes);
+      return this.createFile(filePath, code, output);
+    }
+
+    if (output) {
+      notes.push(`AI output ${output._id} has no \`\`\`typescript block, so the test for \`${record.element.selector}\` was generated offline`);
+    }
+
+    const generated = FuzeTestFrameworks.generateTest('playwright', record.element, record.pageUrl);
+    return this.createFile(filePath, generated.code, null);
+  }
+
+  // First JSON block that parses; the converter's node tree otherwise
+  buildFigma(record, output, slug, notes) {
+    const filePath = `figma/${slug}.json`;
+
+    if (output) {
+      const blocks = [...(output.output?.content || '').matchAll(/```json\s*([\s\S]*?)\s*```/g)].map(match => match[1]);
+      for (const block of blocks) {
+        try {
+          const node = JSON.parse(block);
+          this.noteValidation(output, filePath, notes);
+          return this.createFile(filePath, this.toJson(node), output);
+        } catch (error) {
+          // Try the next block
+        }
+      }
+      notes.push(`AI output ${output._id} has no valid JSON block, so the Figma JSON for \`${record.element.selector}\` was generated offline`);
+    }
+
+    return this.createFile(filePath, this.toJson(figmaService.generate(record.element).node), null);
+  }
+
+  // source records where a file came from for the README
+  createFile(filePath, content, output, extra = {}) {
+    return {
+      path: filePath,
+      content: content.endsWith('\n') ? content : `${content}\n`,
+      source: output ? { outputId: output._id, createdAt: output.createdAt } : null,
+      ...extra
+    };
+  }
+
+  noteValidation(output, filePath, notes) {
+    if (output.validation?.status === 'failed') {
+      const count = output.validation.diagnostics?.length || 0;
+      notes.push(`\`${filePath}\` comes from AI output ${output._id}, which failed validation with ${count} ${count === 1 ? 'error' : 'errors'}`);
+    }
+  }
+
+  reserveName(baseName, usedNames) {
+    let name = baseName;
+    for (let index = 2; usedNames.has(name); index++) {
+      name = `${baseName}${index}`;
+    }
+    usedNames.add(name);
+    return name;
+  }
+
+  // --- Project files ---
+
+  renderPackage(name) {
+    return this.toJson({
+      name,
+      private: true,
+      scripts: {
+        test: 'playwright test',
+        typecheck: 'tsc --noEmit'
+      },
+      dependencies: {
+        react: PACKAGE_VERSIONS.react
+      },
+      devDependencies: {
+        '@playwright/test': PACKAGE_VERSIONS['@playwright/test'],
+        '@types/react': PACKAGE_VERSIONS['@types/react'],
+        '@types/node': PACKAGE_VERSIONS['@types/node'],
+        typescript: PACKAGE_VERSIONS.typescript
+      }
+    });
+  }
+
+  renderTsconfig() {
+    return this.toJson({
+      compilerOptions: {
+        target: 'ES2022',
+        module: 'ESNext',
+        moduleResolution: 'Bundler',
+        lib: ['ES2022', 'DOM', 'DOM.Iterable'],
+        jsx: 'react-jsx',
+        strict: true,
+        skipLibCheck: true,
+        noEmit: true
+      },
+      include: ['src', 'tests', 'playwright.config.ts']
+    });
+  }
+
+  // Specs navigate to absolute URLs; baseURL is only set when every element
+  // comes from the same origin
+  renderPlaywrightConfig(pageUrls) {
+    const origins = [...new Set(pageUrls.map(pageUrl => {
+      try {
+        return new URL(pageUrl).origin;
+      } catch (error) {
+        return null;
+      }
+    }))];
+    const baseUrl = origins.length === 1 && origins[0] ? origins[0] : null;
+
+    return [
+      "import { defineConfig, devices } from '@playwright/test';",
+      '',
+      'export default defineConfig({',
+      "  testDir: './tests',",
+      '  fullyParallel: true,',
+      '  forbidOnly: !!process.env.CI,',
+      '  retries: process.env.CI ? 2 : 0,',
+      "  reporter: 'html',",
+      '  use: {',
+      ...(baseUrl ? [`    baseURL: ${FuzePlaywright.toJsString(baseUrl)},`] : []),
+      "    trace: 'on-first-retry'",
+      '  },',
+      '  projects: [',
+      "    { name: 'chromium', use: { ...devices['Desktop Chrome'] } }",
+      '  ]',
+      '});',
+      ''
+    ].join('\n');
+  }
+
+  renderReadme(items, discussions, { pageUrls, exportedAt, notes }) {
+    const byElement = new Map();
+    discussions.forEach(discussion => {
+      const key = String(discussion.elementId);
+      if (!byElement.has(key)) byElement.set(key, []);
+      byElement.get(key).push(discussion);
+    });
+
+    const source = file => (file.source ? `AI output ${file.source.outputId}` : 'generated offline');
+
+    const lines = [
+      `# ${pageUrls.length === 1 ? pageUrls[0] : 'FuzePicker export'}`,
+      '',
+      `Exported from FuzePicker on ${exportedAt.toISOString()}: ${items.length} ${items.length === 1 ? 'element' : 'elements'} from ${pageUrls.length === 1 ? 'one page' : `${pageUrls.length} pages`}.`,
+      '',
+      '## Getting started',
+      '',
+      '```bash',
+      'npm install',
+      'npx playwright install chromium',
+      'npm test',
+      '```',
+      '',
+      'Components use Tailwind classes; add Tailwind to the app that renders them.',
+      '',
+      '## Contents',
+      '',
+      '- `src/components/` - React components',
+      '- `tests/` - Playwright specs, run with `playwright.config.ts`',
+      '- `figma/` - Figma node JSON for the FuzePicker Figma plugin',
+      '- `tokens/tokens.json` and `tokens/style-dictionary.tokens.json` - Design tokens in W3C Design Tokens and Style Dictionary format',
+      '',
+      '| Element | Page | Component | Test | Figma |',
+      '| --- | --- | --- | --- | --- |',
+      ...items.map(({ record, component, test, figma }) => `| ${[
+        `\`${record.element.selector}\``,
+        record.pageUrl,
+        `\`${component.path}\` (${source(component)})`,
+        `\`${test.path}\` (${source(test)})`,
+        `\`${figma.path}\` (${source(figma)})`
+      ].map(cell => this.escapeCell(cell)).join(' | ')} |`),
+      '',
+      ...(notes.length > 0 ? ['## Notes', '', ...notes.map(note => `- ${note}`), ''] : []),
+      '## Discussions',
+      ''
+    ];
+
+    items.forEach(({ record, component }) => {
+      lines.push(`### ${component.componentName} (\`${record.element.selector}\`)`, '');
+      const thread = this.renderThread(byElement.get(String(record._id)) || [], null, 0);
+      lines.push(...(thread.length > 0 ? thread : ['No discussions.']), '');
+    });
+
+    return lines.join('\n');
+  }
+
+  // Comments oldest first with replies nested under their parent
+  renderThread(discussions, parentId, depth) {
+    return discussions
+      .filter(discussion => String(discussion.parentId || null) === String(parentId))
+      .flatMap(discussion => [
+        `${'  '.repeat(depth)}- **${discussion.userId}** (${new Date(discussion.createdAt).toISOString().slice(0, 10)}): ${discussion.comment.replace(/\s*\n\s*/g, ' ')}`,
+        ...this.renderThread(discussions, discussion._id, depth + 1)
+      ]);
+  }
+
+  escapeCell(value) {
+    return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  }
+
+  // example.com/checkout/cart -> example-com-checkout-cart
+  toSlug(pageUrl) {
+    let value = pageUrl;
+    try {
+      const url = new URL(pageUrl);
+      value = `${url.hostname}${url.pathname}`;
+    } catch (error) {
+      // Not a URL; slug it as is
+    }
+    return value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'page';
+  }
+
+  toJson(value) {
+    return `${JSON.stringify(value, null, 2)}\n`;
+  }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,129 @@
+// Figma Service - Node generation and schema validation for Figma JSON
+const Joi = require('joi');
+const FuzeFigma = require('../../shared/figma');
+
+const NODE_TYPES = [
+  'FRAME', 'GROUP', 'COMPONENT', 'COMPONENT_SET', 'INSTANCE', 'TEXT', 'RECTANGLE',
+  'ELLIPSE', 'VECTOR', 'LINE', 'POLYGON', 'STAR', 'BOOLEAN_OPERATION', 'SECTION'
+];
+
+const unit = Joi.number().min(0).max(1);
+
+const colorSchema = Joi.object({
+  r: unit.required(),
+  g: unit.required(),
+  b: unit.required(),
+  a: unit
+});
+
+const paintSchema = Joi.object({
+  type: Joi.string()
+    .valid('SOLID', 'GRADIENT_LINEAR', 'GRADIENT_RADIAL', 'GRADIENT_ANGULAR', 'GRADIENT_DIAMOND', 'IMAGE', 'EMOJI', 'VIDEO')
+    .required(),
+  color: colorSchema.when('type', { is: 'SOLID', then: Joi.required() }),
+  opacity: unit,
+  visible: Joi.boolean(),
+  gradientStops: Joi.array().items(Joi.object({
+    position: unit.required(),
+    color: colorSchema.required()
+  }))
+}).unknown(true);
+
+const effectSchema = Joi.object({
+  type: Joi.string().valid('DROP_SHADOW', 'INNER_SHADOW', 'LAYER_BLUR', 'BACKGROUND_BLUR').required(),
+  radius: Joi.number().min(0).required(),
+  color: colorSchema.when('type', { is: Joi.valid('DROP_SHADOW', 'INNER_SHADOW'), then: Joi.required() }),
+  offset: Joi.object({ x: Joi.number().required(), y: Joi.number().required() })
+    .when('type', { is: Joi.valid('DROP_SHADOW', 'INNER_SHADOW'), then: Joi.required() }),
+  spread: Joi.number(),
+  visible: Joi.boolean(),
+  blendMode: Joi.string()
+}).unknown(true);
+
+const typeStyleSchema = Joi.object({
+  fontFamily: Joi.string(),
+  fontWeight: Joi.number().min(1).max(1000),
+  fontSize: Joi.number().greater(0),
+  textAlignHorizontal: Joi.string().valid('LEFT', 'CENTER', 'RIGHT', 'JUSTIFIED'),
+  textAlignVertical: Joi.string().valid('TOP', 'CENTER', 'BOTTOM'),
+  letterSpacing: Joi.number(),
+  lineHeightPx: Joi.number().min(0),
+  lineHeightUnit: Joi.string().valid('PIXELS', 'FONT_SIZE_%', 'INTRINSIC_%'),
+  textCase: Joi.string().valid('ORIGINAL', 'UPPER', 'LOWER', 'TITLE', 'SMALL_CAPS', 'SMALL_CAPS_FORCED'),
+  textDecoration: Joi.string().valid('NONE', 'UNDERLINE', 'STRIKETHROUGH'),
+  italic: Joi.boolean()
+}).unknown(true);
+
+const nonNegative = Joi.number().min(0);
+
+// Properties shared by the plugin API and the REST API's node format.
+// Unknown properties are allowed; the ones listed must have valid values.
+const figmaNodeSchema = Joi.object({
+  type: Joi.string().valid(...NODE_TYPES).required(),
+  name: Joi.string().allow(''),
+  visible: Joi.boolean(),
+  x: Joi.number(),
+  y: Joi.number(),
+  width: nonNegative,
+  height: nonNegative,
+  opacity: unit,
+  fills: Joi.array().items(paintSchema),
+  strokes: Joi.array().items(paintSchema),
+  strokeWeight: nonNegative,
+  strokeTopWeight: nonNegative,
+  strokeRightWeight: nonNegative,
+  strokeBottomWeight: nonNegative,
+  strokeLeftWeight: nonNegative,
+  strokeAlign: Joi.string().valid('INSIDE', 'OUTSIDE', 'CENTER'),
+  dashPattern: Joi.array().items(nonNegative),
+  cornerRadius: nonNegative,
+  topLeftRadius: nonNegative,
+  topRightRadius: nonNegative,
+  bottomRightRadius: nonNegative,
+  bottomLeftRadius: nonNegative,
+  effects: Joi.array().items(effectSchema),
+  clipsContent: Joi.boolean(),
+  layoutMode: Joi.string().valid('NONE', 'HORIZONTAL', 'VERTICAL'),
+  layoutWrap: Joi.string().valid('NO_WRAP', 'WRAP'),
+  primaryAxisSizingMode: Joi.string().valid('FIXED', 'AUTO'),
+  counterAxisSizingMode: Joi.string().valid('FIXED', 'AUTO'),
+  primaryAxisAlignItems: Joi.string().valid('MIN', 'CENTER', 'MAX', 'SPACE_BETWEEN'),
+  counterAxisAlignItems: Joi.string().valid('MIN', 'CENTER', 'MAX', 'BASELINE'),
+  itemSpacing: Joi.number(),
+  counterAxisSpacing: nonNegative,
+  paddingTop: nonNegative,
+  paddingRight: nonNegative,
+  paddingBottom: nonNegative,
+  paddingLeft: nonNegative,
+  layoutAlign: Joi.string().valid('INHERIT', 'STRETCH', 'MIN', 'CENTER', 'MAX'),
+  layoutGrow: Joi.number().valid(0, 1),
+  layoutPositioning: Joi.string().valid('AUTO', 'ABSOLUTE'),
+  characters: Joi.string().allow('').when('type', { is: 'TEXT', then: Joi.required() }),
+  textAutoResize: Joi.string().valid('NONE', 'WIDTH_AND_HEIGHT', 'HEIGHT', 'TRUNCATE'),
+  style: typeStyleSchema,
+  children: Joi.array().items(Joi.link('#figmaNode'))
+}).unknown(true).id('figmaNode');
+
+class FigmaService {
+  // Deterministic node tree for the element; see shared/figma.js
+  generate(element) {
+    return FuzeFigma.toFigmaNode(element);
+  }
+
+  // { valid, errors } for a node tree. A missing node is reported rather
+  // than thrown so AI responses without a JSON block can be recorded.
+  validate(node) {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      return { valid: false, errors: ['Expected a Figma node object'] };
+    }
+
+    const { error } = figmaNodeSchema.validate(node, { abortEarly: false });
+
+    return {
+      valid: !error,
+      errors: error ? error.details.map(detail => detail.message) : []
+    };
+  }
+}
+
+module.exports = new FigmaService();
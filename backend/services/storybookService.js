@@ -0,0 +1,265 @@
+// Storybook Service - CSF3 stories for components generated by the react task
+const FuzeComponents = require('../../shared/components');
+
+// Storybook renderer package for each component framework
+const RENDERERS = {
+  react: '@storybook/react',
+  vue: '@storybook/vue3',
+  svelte: '@storybook/svelte',
+  angular: '@storybook/angular',
+  'web-component': '@storybook/web-components'
+};
+
+// Interaction states storybook-addon-pseudo-states can force; disabled is
+// an attribute instead
+const PSEUDO_STATES = ['hover', 'focus', 'focusVisible', 'active'];
+
+const DISABLEABLE_TAGS = new Set(['button', 'input', 'select', 'textarea', 'fieldset', 'optgroup', 'option']);
+
+// Props that usually carry a component's text, most likely first
+const TEXT_PROPS = ['children', 'label', 'text', 'title', 'content'];
+
+// Attributes whose React prop name differs from the HTML name
+const REACT_PROP_NAMES = {
+  class: 'className',
+  for: 'htmlFor',
+  tabindex: 'tabIndex',
+  readonly: 'readOnly',
+  maxlength: 'maxLength',
+  minlength: 'minLength',
+  autocomplete: 'autoComplete',
+  autofocus: 'autoFocus',
+  colspan: 'colSpan',
+  rowspan: 'rowSpan',
+  crossorigin: 'crossOrigin',
+  srcset: 'srcSet'
+};
+
+// React props typed as numbers
+const REACT_NUMBER_PROPS = new Set(['tabIndex', 'maxLength', 'minLength', 'colSpan', 'rowSpan', 'rows', 'cols', 'size']);
+
+// Attributes that belong to the Disabled story rather than every story
+const DISABLED_ATTRIBUTES = ['disabled', 'aria-disabled'];
+
+class StorybookService {
+  // Story file for a generated component. component holds what the parent
+  // output recorded: framework, componentName, props and, for Angular and
+  // Web Components, selector and tagName.
+  generate(element, component = {}) {
+    const framework = FuzeComponents.FRAMEWORKS[component.framework] ? component.framework : FuzeComponents.DEFAULT_FRAMEWORK;
+    // Angular names are recorded with the Component suffix the class gets
+    const baseName = framework === 'angular' && component.componentName
+      ? component.componentName.replace(/(.)Component$/, '$1')
+      : component.componentName;
+    const generated = FuzeComponents.generateComponent(framework, element, baseName ? { componentName: baseName } : {});
+    const componentName = generated.className || generated.componentName;
+    const props = component.props && typeof component.props === 'object' && !Array.isArray(component.props) ? component.props : {};
+    const notes = [];
+
+    const args = this.buildArgs(element, framework, props, notes);
+    const stories = this.buildStories(element, framework, props, notes);
+    const fileName = `${generated.fileName.replace(/\.(tsx|ts|vue|svelte)$/, '').replace(/\.component$/, '')}.stories.ts`;
+    const target = {
+      framework,
+      componentName,
+      modulePath: `./${generated.fileName.replace(/\.(tsx|ts)$/, '')}`,
+      tagName: component.tagName || generated.tagName
+    };
+
+    if (stories.some(story => story.parameters)) {
+      notes.push('Install `storybook-addon-pseudo-states` for the hover, focus and active stories');
+    }
+
+    return {
+      framework,
+      componentName,
+      fileName,
+      title: `Components/${generated.componentName}`,
+      args,
+      stories: stories.map(story => story.name),
+      code: this.render(target, `Components/${generated.componentName}`, args, stories),
+      notes
+    };
+  }
+
+  // Captured text goes to the component's text prop; attributes go to the
+  // props the framework forwards to the root element. Angular components
+  // only take their declared inputs.
+  buildArgs(element, framework, props, notes) {
+    const args = {};
+    const propNames = Object.keys(props);
+    const forwardsAttributes = framework !== 'angular';
+    const skipped = [];
+
+    const textProp = TEXT_PROPS.find(name => propNames.includes(name));
+    if (element.text && textProp) {
+      args[textProp] = element.text;
+    } else if (element.text) {
+      notes.push(`The captured text "${element.text.slice(0, 40)}" is part of the component markup; add a prop to vary it`);
+    }
+
+    Object.entries(element.attributes || {}).forEach(([name, value]) => {
+      if (/^(class|style|id)$/i.test(name) || /^(on|data-)/i.test(name)) return;
+      if (DISABLED_ATTRIBUTES.includes(name.toLowerCase())) return;
+
+      const argName = this.getArgName(name, framework, propNames);
+      if (args[argName] !== undefined) return;
+
+      if (!forwardsAttributes && !propNames.includes(argName)) {
+        skipped.push(`\`${name}\``);
+        return;
+      }
+
+      if (framework === 'react' && REACT_NUMBER_PROPS.has(argName) && /^-?\d+$/.test(value)) {
+        args[argName] = Number(value);
+      } else {
+        args[argName] = value === '' ? true : value;
+      }
+    });
+
+    if (skipped.length > 0) {
+      notes.push(`${skipped.join(', ')} ${skipped.length === 1 ? 'is not an input' : 'are not inputs'} of the component, so ${skipped.length === 1 ? 'it has no arg' : 'they have no args'}`);
+    }
+
+    return args;
+  }
+
+  // A declared prop matching the attribute wins (aria-label -> ariaLabel);
+  // otherwise the name the framework forwards
+  getArgName(attribute, framework, propNames) {
+    const camel = attribute.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    if (propNames.includes(attribute)) return attribute;
+    if (propNames.includes(camel)) return camel;
+
+    if (framework === 'react' && !/^(aria|data)-/.test(attribute)) {
+      return REACT_PROP_NAMES[attribute.toLowerCase()] || attribute;
+    }
+    return framework === 'angular' ? camel : attribute;
+  }
+
+  // Default story plus one per captured interaction state; pseudo-elements
+  // are part of every story so they get none. An element captured while
+  // disabled gets a Disabled story too.
+  buildStories(element, framework, props, notes) {
+    const stories = [{ name: 'Default' }];
+    const states = Object.keys(element.states || {});
+    const attributes = element.attributes || {};
+    if (!states.includes('disabled') && ('disabled' in attributes || attributes['aria-disabled'] === 'true')) {
+      states.push('disabled');
+    }
+
+    PSEUDO_STATES.filter(state => states.includes(state)).forEach(state => {
+      stories.push({ name: this.toStoryName(state), parameters: { pseudo: { [state]: true } } });
+    });
+
+    if (states.includes('disabled')) {
+      if (DISABLEABLE_TAGS.has(element.tag) && (framework !== 'angular' || Object.keys(props).includes('disabled'))) {
+        stories.push({ name: 'Disabled', args: { disabled: true } });
+      } else if (framework !== 'angular') {
+        stories.push({ name: 'Disabled', args: { 'aria-disabled': 'true' } });
+      } else {
+        notes.push('The component has no `disabled` input, so there is no Disabled story');
+      }
+    }
+
+    return stories;
+  }
+
+  toStoryName(state) {
+    return state.charAt(0).toUpperCase() + state.slice(1);
+  }
+
+  // --- CSF3 ---
+
+  render(target, title, args, stories) {
+    const { framework, componentName, modulePath, tagName } = target;
+    const componentImport = {
+      react: `import { ${componentName} } from '${modulePath}';`,
+      angular: `import { ${componentName} } from '${modulePath}';`,
+      'web-component': `import '${modulePath}';`
+    }[framework] || `import ${componentName} from '${modulePath}';`;
+
+    const metaLines = [
+      `  title: '${this.escapeString(title)}',`,
+      framework === 'web-component' ? `  component: '${tagName}',` : `  component: ${componentName},`,
+      ...(framework === 'web-component' ? this.renderWebComponentRender(tagName) : []),
+      ...this.renderObject('args', args, 1)
+    ];
+
+    const meta = framework === 'angular' || framework === 'web-component'
+      ? [`const meta: Meta${framework === 'angular' ? `<${componentName}>` : ''} = {`, ...metaLines, '};']
+      : ['const meta = {', ...metaLines, `} satisfies Meta<typeof ${componentName}>;`];
+
+    const storyType = {
+      angular: `type Story = StoryObj<${componentName}>;`,
+      'web-component': 'type Story = StoryObj;'
+    }[framework] || 'type Story = StoryObj<typeof meta>;';
+
+    return [
+      `import type { Meta, StoryObj } from '${RENDERERS[framework]}';`,
+      componentImport,
+      '',
+      ...meta,
+      '',
+      'export default meta;',
+      storyType,
+      '',
+      ...stories.flatMap(story => [...this.renderStory(story), ''])
+    ].join('\n');
+  }
+
+  // Web Components have no framework to map args, so the story sets them
+  // as attributes
+  renderWebComponentRender(tagName) {
+    return [
+      '  render: (args) => {',
+      `    const element = document.createElement('${tagName}');`,
+      '    Object.entries(args).forEach(([name, value]) => {',
+      '      if (value === false || value === undefined || value === null) return;',
+      '      element.setAttribute(name, value === true ? \'\' : String(value));',
+      '    });',
+      '    return element;',
+      '  },'
+    ];
+  }
+
+  renderStory(story) {
+    const body = [
+      ...(story.args ? this.renderObject('args', story.args, 1) : []),
+      ...(story.parameters ? this.renderObject('parameters', story.parameters, 1) : [])
+    ];
+
+    return body.length > 0
+      ? [`export const ${story.name}: Story = {`, ...body, '};']
+      : [`export const ${story.name}: Story = {};`];
+  }
+
+  renderObject(key, value, depth) {
+    const pad = '  '.repeat(depth);
+    const entries = Object.entries(value);
+
+    if (entries.length === 0) return [];
+
+    return [
+      `${pad}${key}: {`,
+      ...entries.flatMap(([name, entry]) => (entry && typeof entry === 'object'
+        ? this.renderObject(this.formatKey(name), entry, depth + 1)
+        : [`${pad}  ${this.formatKey(name)}: ${this.formatValue(entry)},`])),
+      `${pad}},`
+    ];
+  }
+
+  formatKey(name) {
+    return /^[A-Za-z_$][\w$]*$/.test(name) ? name : `'${this.escapeString(name)}'`;
+  }
+
+  formatValue(value) {
+    return typeof value === 'string' ? `'${this.escapeString(value)}'` : String(value);
+  }
+
+  escapeString(value) {
+    return value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'').replace(/\r?\n/g, '\\n');
+  }
+}
+
+module.exports = new StorybookService();
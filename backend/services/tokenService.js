@@ -0,0 +1,487 @@
+// Token Service - Builds design-token inventories from captured custom properties
+const FuzeTailwind = require('../../shared/tailwind');
+
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|(rgb|hsl)a?\(.*\)|oklch\(.*\)|transparent|currentcolor)$/i;
+const DIMENSION_PATTERN = /^-?\d*\.?\d+(px|rem|em|%|vh|vw)$/i;
+
+// Captured properties that identify a token's type when its value does not
+const PROPERTY_TYPES = [
+  { type: 'color', pattern: /color$|^background$|^fill$|^stroke$/i },
+  { type: 'fontFamily', pattern: /^fontFamily$/ },
+  { type: 'fontWeight', pattern: /^fontWeight$/ },
+  { type: 'shadow', pattern: /Shadow$/ },
+  { type: 'dimension', pattern: /^(padding|margin|gap|rowGap|columnGap|width|height|top|right|bottom|left|fontSize|lineHeight|letterSpacing|borderRadius|borderWidth)/ }
+];
+
+// Style properties read for each exported token group
+const EXPORT_GROUPS = [
+  { group: 'color', type: 'color', prefix: 'color', properties: /color$|^border$|^background$/i },
+  { group: 'fontFamily', type: 'fontFamily', prefix: 'font', properties: /^fontFamily$/ },
+  { group: 'fontSize', type: 'dimension', prefix: 'font-size', properties: /^fontSize$/ },
+  { group: 'radius', type: 'dimension', prefix: 'radius', properties: /^border(\w*)Radius$/ },
+  { group: 'spacing', type: 'dimension', prefix: 'spacing', properties: /^(padding|margin)(Top|Right|Bottom|Left)?$|^(row|column)?Gap$|^gap$/i }
+];
+
+// The dimension groups share px values, so an unreferenced :root size only
+// names a group its own name points to
+const ROOT_DIMENSION_GROUPS = [
+  { group: 'fontSize', pattern: /font-?size|^--(fs|text)-/i },
+  { group: 'radius', pattern: /radius|rounded|corner/i },
+  { group: 'spacing', pattern: /spac|gap|gutter|padding|margin|inset/i }
+];
+
+// tailwind.config.js theme section for each token group
+const TAILWIND_SECTIONS = {
+  color: 'colors',
+  fontFamily: 'fontFamily',
+  fontSize: 'fontSize',
+  radius: 'borderRadius',
+  spacing: 'spacing'
+};
+
+// Colors closer than this (Euclidean distance in 0-255 RGB) are one token
+const COLOR_MERGE_DISTANCE = 6;
+const ALPHA_MERGE_DISTANCE = 0.02;
+
+// Pixel values within this fraction of each other (or half a pixel) are one token
+const DIMENSION_MERGE_RATIO = 0.03;
+
+// Where each group lives in a Style Dictionary category/type/item tree
+const STYLE_DICTIONARY_PATHS = {
+  color: ['color', 'base'],
+  fontFamily: ['font', 'family'],
+  fontSize: ['size', 'font'],
+  radius: ['size', 'radius'],
+  spacing: ['size', 'spacing']
+};
+
+class TokenService {
+  // Combine the tokens recorded on a set of saved elements. Each token lists
+  // the distinct values it resolved to (more than one means the site is
+  // inconsistent), whether it is declared on :root, and how many elements
+  // used it for each property.
+  buildInventory(elements) {
+    const tokens = {};
+
+    const entryFor = name => {
+      tokens[name] = tokens[name] || {
+        name,
+        values: [],
+        definedAtRoot: false,
+        usage: {},
+        elementCount: 0
+      };
+      return tokens[name];
+    };
+
+    const addValue = (entry, value) => {
+      if (value && !entry.values.includes(value)) {
+        entry.values.push(value);
+      }
+    };
+
+    elements.forEach(doc => {
+      const designTokens = doc.element?.designTokens;
+      if (!designTokens) return;
+
+      Object.entries(designTokens.root || {}).forEach(([name, value]) => {
+        const entry = entryFor(name);
+        entry.definedAtRoot = true;
+        addValue(entry, value);
+      });
+
+      const usedHere = new Set();
+      Object.entries(designTokens.references || {}).forEach(([property, names]) => {
+        names.forEach(name => {
+          const entry = entryFor(name);
+          entry.usage[property] = (entry.usage[property] || 0) + 1;
+          addValue(entry, designTokens.values?.[name]);
+          usedHere.add(name);
+        });
+      });
+
+      usedHere.forEach(name => {
+        tokens[name].elementCount++;
+      });
+    });
+
+    const inventory = Object.values(tokens)
+      .map(entry => ({ ...entry, type: this.inferType(entry) }))
+      .sort((a, b) => b.elementCount - a.elementCount || a.name.localeCompare(b.name));
+
+    return {
+      elementCount: elements.length,
+      tokenCount: inventory.length,
+      unusedCount: inventory.filter(entry => entry.elementCount === 0).length,
+      tokens: inventory
+    };
+  }
+
+  // Guess a token's type from its value, falling back to the properties it
+  // was used for
+  inferType(entry) {
+    const value = (entry.values[0] || '').trim();
+
+    if (COLOR_PATTERN.test(value)) return 'color';
+    if (DIMENSION_PATTERN.test(value)) return 'dimension';
+    if (/^\d{3}$/.test(value)) return 'fontWeight';
+
+    for (const property of Object.keys(entry.usage)) {
+      const match = PROPERTY_TYPES.find(candidate => candidate.pattern.test(property));
+      if (match) return match.type;
+    }
+
+    if (value.includes(',') && !value.includes('(')) return 'fontFamily';
+
+    return 'other';
+  }
+
+  // Cluster the style values used across saved elements into token groups
+  // and render them as W3C Design Tokens and Style Dictionary JSON
+  buildExport(elements) {
+    const groups = this.clusterTokens(elements);
+
+    return {
+      summary: this.summarize(elements, groups),
+      w3c: this.toW3c(groups),
+      styleDictionary: this.toStyleDictionary(groups)
+    };
+  }
+
+  // theme.extend entries for the clustered values used at least minUsage
+  // times that no default Tailwind utility already covers
+  buildTailwindTheme(elements, minUsage = 2) {
+    const groups = this.clusterTokens(elements);
+    const extend = {};
+
+    Object.entries(groups).forEach(([group, { tokens }]) => {
+      tokens
+        .filter(token => token.usage >= minUsage && !FuzeTailwind.matchesDefault(group, token.value))
+        .forEach(token => {
+          const section = TAILWIND_SECTIONS[group];
+          extend[section] = extend[section] || {};
+          extend[section][this.tailwindKey(group, token)] = this.formatTokenValue(group, token.value, 'w3c');
+        });
+    });
+
+    return {
+      summary: this.summarize(elements, groups),
+      extend,
+      config: FuzeTailwind.formatConfig(extend)
+    };
+  }
+
+  // Theme keys drop the group prefix. Unnamed colors become custom-N and
+  // unnamed fonts take their first family; bare sizes keep their unit so
+  // that `p-13px` is not mistaken for Tailwind's 4px-based `p-13`.
+  tailwindKey(group, token) {
+    const prefix = EXPORT_GROUPS.find(candidate => candidate.group === group).prefix;
+    const key = token.name.startsWith(`${prefix}-`) ? token.name.slice(prefix.length + 1) : token.name;
+
+    if (!/^\d+(_\d+)?$/.test(key)) return key;
+    if (group === 'color') return `custom-${key}`;
+    if (group === 'fontFamily') {
+      return token.value.split(',')[0].trim().replace(/["']/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    }
+    return `${key.replace('_', '.')}px`;
+  }
+
+  summarize(elements, groups) {
+    return {
+      elementCount: elements.length,
+      tokenCount: Object.values(groups).reduce((sum, { tokens }) => sum + tokens.length, 0),
+      groups: Object.fromEntries(Object.entries(groups).map(([group, { tokens }]) => [group, tokens.length]))
+    };
+  }
+
+  clusterTokens(elements) {
+    const samples = Object.fromEntries(EXPORT_GROUPS.map(({ group }) => [group, new Map()]));
+    const customProperties = this.collectCustomPropertyNames(elements);
+
+    elements.forEach(doc => {
+      Object.entries(doc.element?.styles || {}).forEach(([property, value]) => {
+        EXPORT_GROUPS.forEach(({ group, properties }) => {
+          if (!properties.test(property)) return;
+
+          this.extractValues(group, value).forEach(sample => {
+            const counts = samples[group];
+            counts.set(sample, (counts.get(sample) || 0) + 1);
+          });
+        });
+      });
+    });
+
+    const groups = {};
+    EXPORT_GROUPS.forEach(({ group, type, prefix }) => {
+      const used = new Set();
+      groups[group] = {
+        type,
+        tokens: this.clusterValues(group, samples[group])
+          .map((cluster, index) => {
+            const baseName = this.nameToken(group, prefix, cluster, index, customProperties);
+            let name = baseName;
+            for (let suffix = 2; used.has(name); suffix++) {
+              name = `${baseName}-${suffix}`;
+            }
+            used.add(name);
+            return { ...cluster, name };
+          })
+      };
+    });
+
+    return groups;
+  }
+
+  // Normalized values a style contributes to a group: colors as rgba
+  // strings, dimensions as px strings, font stacks as-is. Shorthands like
+  // `padding: 8px 16px` contribute each part.
+  extractValues(group, value) {
+    if (typeof value !== 'string' || !value) return [];
+
+    if (group === 'color') {
+      const matches = value.match(/#[0-9a-f]{3,8}\b|(rgb|hsl)a?\([^)]*\)/gi) || [];
+      return matches
+        .map(match => this.parseColor(match))
+        .filter(color => color && color.a > 0)
+        .map(color => this.formatRgba(color));
+    }
+
+    if (group === 'fontFamily') {
+      return [value.split(',').map(family => family.trim()).join(', ')];
+    }
+
+    return value
+      .split(/[\s/]+/)
+      .filter(part => /^\d*\.?\d+px$/.test(part) && parseFloat(part) > 0)
+      .map(part => `${parseFloat(part)}px`);
+  }
+
+  // Greedy clustering, most used value first: each value joins the first
+  // cluster whose representative is within the merge distance
+  clusterValues(group, counts) {
+    const clusters = [];
+    const sorted = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+
+    sorted.forEach(([value, count]) => {
+      const cluster = clusters.find(candidate => this.isNearDuplicate(group, candidate.value, value));
+
+      if (cluster) {
+        cluster.usage += count;
+        cluster.aliases.push(value);
+      } else {
+        clusters.push({ value, usage: count, aliases: [] });
+      }
+    });
+
+    return clusters.sort((a, b) => {
+      if (group === 'color' || group === 'fontFamily') return b.usage - a.usage;
+      return parseFloat(a.value) - parseFloat(b.value);
+    });
+  }
+
+  isNearDuplicate(group, a, b) {
+    if (group === 'color') {
+      const first = this.parseColor(a);
+      const second = this.parseColor(b);
+      const distance = Math.hypot(first.r - second.r, first.g - second.g, first.b - second.b);
+      return distance <= COLOR_MERGE_DISTANCE && Math.abs(first.a - second.a) <= ALPHA_MERGE_DISTANCE;
+    }
+
+    if (group === 'fontFamily') {
+      const normalize = stack => stack.toLowerCase().replace(/["']/g, '');
+      return normalize(a) === normalize(b);
+    }
+
+    const first = parseFloat(a);
+    const second = parseFloat(b);
+    return Math.abs(first - second) <= Math.max(0.5, first * DIMENSION_MERGE_RATIO);
+  }
+
+  // Prefer the page's own custom property name for a value; otherwise name
+  // dimensions by size and colors and fonts by usage rank
+  nameToken(group, prefix, cluster, index, customProperties) {
+    const candidates = [cluster.value, ...cluster.aliases];
+    const match = candidates
+      .map(value => customProperties.get(this.normalizeForLookup(group, value)))
+      .find(Boolean);
+
+    if (match) return match.replace(/^--/, '');
+    if (group === 'color' || group === 'fontFamily') return `${prefix}-${index + 1}`;
+    return `${prefix}-${String(parseFloat(cluster.value)).replace('.', '_')}`;
+  }
+
+  // Custom property names from captured design tokens, keyed by group and
+  // normalized value so exported clusters can reuse the page's own naming.
+  // Names seen feeding a property of the group win over unreferenced :root
+  // tokens that merely share the value, which only count for their own
+  // group.
+  collectCustomPropertyNames(elements) {
+    const names = new Map();
+    const register = (group, name, value) => {
+      const key = this.normalizeForLookup(group, value);
+      if (key && !names.has(key)) names.set(key, name);
+    };
+
+    elements.forEach(doc => {
+      const designTokens = doc.element?.designTokens || {};
+      Object.entries(designTokens.references || {}).forEach(([property, tokenNames]) => {
+        EXPORT_GROUPS.filter(({ properties }) => properties.test(property)).forEach(({ group }) => {
+          tokenNames.forEach(name => register(group, name, designTokens.values?.[name]));
+        });
+      });
+    });
+
+    elements.forEach(doc => {
+      Object.entries(doc.element?.designTokens?.root || {}).forEach(([name, value]) => {
+        this.getRootTokenGroups(name, value).forEach(group => register(group, name, value));
+      });
+    });
+
+    return names;
+  }
+
+  // Export groups an unreferenced :root token can name: colors by value,
+  // sizes by what their name says they are and font stacks by a font name
+  getRootTokenGroups(name, value) {
+    const text = String(value || '').trim();
+
+    if (COLOR_PATTERN.test(text)) return ['color'];
+    if (DIMENSION_PATTERN.test(text)) {
+      return ROOT_DIMENSION_GROUPS.filter(({ pattern }) => pattern.test(name)).map(({ group }) => group);
+    }
+    return /font|family|typeface/i.test(name) ? ['fontFamily'] : [];
+  }
+
+  normalizeForLookup(group, value) {
+    const [normalized] = this.extractValues(group, value);
+    return normalized ? `${group}:${normalized.toLowerCase().replace(/["']/g, '')}` : null;
+  }
+
+  toW3c(groups) {
+    const output = {};
+
+    Object.entries(groups).forEach(([group, { type, tokens }]) => {
+      if (tokens.length === 0) return;
+
+      output[group] = { $type: type };
+      tokens.forEach(token => {
+        output[group][token.name] = {
+          $value: this.formatTokenValue(group, token.value, 'w3c'),
+          $extensions: {
+            'com.fuzepicker': { usage: token.usage, aliases: token.aliases }
+          }
+        };
+      });
+    });
+
+    return output;
+  }
+
+  toStyleDictionary(groups) {
+    const output = {};
+
+    Object.entries(groups).forEach(([group, { tokens }]) => {
+      const [category, type] = STYLE_DICTIONARY_PATHS[group];
+
+      tokens.forEach(token => {
+        output[category] = output[category] || {};
+        output[category][type] = output[category][type] || {};
+        output[category][type][token.name] = {
+          value: this.formatTokenValue(group, token.value, 'style-dictionary'),
+          comment: `Used ${token.usage} time${token.usage === 1 ? '' : 's'}` +
+            (token.aliases.length > 0 ? `; merged ${token.aliases.join(', ')}` : ''),
+          attributes: { usage: token.usage }
+        };
+      });
+    });
+
+    return output;
+  }
+
+  formatTokenValue(group, value, format) {
+    if (group === 'color') {
+      return this.toHex(this.parseColor(value));
+    }
+
+    if (group === 'fontFamily' && format === 'w3c') {
+      return value.split(',').map(family => family.trim().replace(/^["']|["']$/g, ''));
+    }
+
+    return value;
+  }
+
+  parseColor(value) {
+    const text = value.trim().toLowerCase();
+
+    const hex = text.match(/^#([0-9a-f]{3,8})$/);
+    if (hex) {
+      let digits = hex[1];
+      if (digits.length === 3 || digits.length === 4) {
+        digits = digits.split('').map(digit => digit + digit).join('');
+      }
+      if (digits.length !== 6 && digits.length !== 8) return null;
+
+      return {
+        r: parseInt(digits.slice(0, 2), 16),
+        g: parseInt(digits.slice(2, 4), 16),
+        b: parseInt(digits.slice(4, 6), 16),
+        a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1
+      };
+    }
+
+    const functional = text.match(/^(rgb|hsl)a?\(([^)]*)\)$/);
+    if (!functional) return null;
+
+    const parts = functional[2].split(/[\s,/]+/).filter(Boolean);
+    const alpha = parts[3] === undefined ? 1 : this.parseChannel(parts[3], 1);
+
+    if (functional[1] === 'rgb') {
+      const [r, g, b] = parts.slice(0, 3).map(part => this.parseChannel(part, 255));
+      return { r, g, b, a: alpha };
+    }
+
+    const hue = parseFloat(parts[0]);
+    const saturation = parseFloat(parts[1]) / 100;
+    const lightness = parseFloat(parts[2]) / 100;
+    const chroma = saturation * Math.min(lightness, 1 - lightness);
+    const channel = n => {
+      const k = (n + hue / 30) % 12;
+      return Math.round(255 * (lightness - chroma * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+    };
+
+    return { r: channel(0), g: channel(8), b: channel(4), a: alpha };
+  }
+
+  parseChannel(part, scale) {
+    return part.endsWith('%') ? (parseFloat(part) / 100) * scale : parseFloat(part);
+  }
+
+  formatRgba({ r, g, b, a }) {
+    const round = n => Math.round(n);
+    return a < 1
+      ? `rgba(${round(r)}, ${round(g)}, ${round(b)}, ${Math.round(a * 100) / 100})`
+      : `rgb(${round(r)}, ${round(g)}, ${round(b)})`;
+  }
+
+  toHex({ r, g, b, a }) {
+    const hex = n => Math.round(n).toString(16).padStart(2, '0');
+    return `#${hex(r)}${hex(g)}${hex(b)}${a < 1 ? hex(a * 255) : ''}`;
+  }
+
+  // Mongo filter matching page URLs on a site, given an origin
+  // ("https://example.com") or a bare hostname ("example.com")
+  siteFilter(site) {
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    let prefix;
+    try {
+      prefix = escape(new URL(site).origin);
+    } catch (error) {
+      prefix = `[a-z][a-z0-9+.-]*://${escape(site)}(:\\d+)?`;
+    }
+
+    return { $regex: `^${prefix}([/?#]|$)`, $options: 'i' };
+  }
+}
+
+module.exports = new TokenService();
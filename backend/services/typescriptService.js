@@ -0,0 +1,182 @@
+// TypeScript Service - Parses and type-checks generated code before it is returned
+const fs = require('fs');
+const path = require('path');
+const { Worker, isMainThread, parentPort } = require('worker_threads');
+const ts = require('typescript');
+
+// Stub React and Playwright declarations plus loose fallbacks for every
+// other package; see backend/types
+const STUB_FILES = ['react.d.ts', 'playwright.d.ts', 'globals.d.ts']
+  .map(file => path.join(__dirname, '..', 'types', file));
+
+// Packages without a stub are any: their type references cannot be found
+// and their type exports resolve to a namespace, which says nothing about
+// the generated code
+const STUB_LIMIT_CODES = new Set([2688, 2709]);
+
+const COMPILER_OPTIONS = {
+  target: ts.ScriptTarget.ES2022,
+  module: ts.ModuleKind.ESNext,
+  moduleResolution: ts.ModuleResolutionKind.Bundler,
+  lib: ['lib.es2022.d.ts', 'lib.dom.d.ts', 'lib.dom.iterable.d.ts'],
+  jsx: ts.JsxEmit.ReactJSX,
+  types: [],
+  noEmit: true,
+  skipLibCheck: true,
+  allowSyntheticDefaultImports: true,
+  esModuleInterop: true,
+  experimentalDecorators: true,
+  allowImportingTsExtensions: true,
+  strict: false
+};
+
+class TypeScriptService {
+  constructor() {
+    // Library and stub source files are parsed once and shared by every check
+    this.libraryFiles = new Map();
+
+    // Type checks run on one worker thread, off the request event loop
+    this.worker = null;
+    this.pendingChecks = new Map();
+    this.nextCheckId = 1;
+  }
+
+  // Syntax diagnostics for a source file; .tsx file names enable JSX
+  parse(code, fileName = 'generated.ts') {
+    const sourceFile = ts.createSourceFile(
+      fileName,
+      code,
+      ts.ScriptTarget.Latest,
+      false,
+      fileName.endsWith('.tsx') ? ts.ScriptKind.TSX : ts.ScriptKind.TS
+    );
+
+    const diagnostics = sourceFile.parseDiagnostics.map(diagnostic => this.formatDiagnostic(sourceFile, diagnostic));
+
+    return {
+      valid: diagnostics.length === 0,
+      diagnostics
+    };
+  }
+
+  // Syntax and type diagnostics for a generated file, checked on the worker
+  // thread against the stub environment. Only the generated file is reported.
+  check(code, fileName = 'generated.ts') {
+    const worker = this.getWorker();
+    const id = this.nextCheckId++;
+
+    return new Promise((resolve, reject) => {
+      this.pendingChecks.set(id, { resolve, reject });
+      worker.ref();
+      worker.postMessage({ id, code, fileName });
+    });
+  }
+
+  // Start the worker and parse the library files before the first request
+  // needs them; the first check otherwise takes seconds
+  warmUp() {
+    return this.check('export {};', 'warm-up.ts');
+  }
+
+  // The worker only keeps the process alive while checks are pending, and
+  // is restarted on the next check if it dies
+  getWorker() {
+    if (this.worker) return this.worker;
+
+    const worker = new Worker(__filename);
+    worker.unref();
+    worker.on('message', ({ id, result, error }) => {
+      const pending = this.pendingChecks.get(id);
+      if (!pending) return;
+
+      this.pendingChecks.delete(id);
+      if (this.pendingChecks.size === 0) worker.unref();
+      if (error) {
+        pending.reject(new Error(error));
+      } else {
+        pending.resolve(result);
+      }
+    });
+    worker.on('error', error => this.failPendingChecks(worker, error));
+    worker.on('exit', code => this.failPendingChecks(worker, new Error(`TypeScript worker exited with code ${code}`)));
+
+    this.worker = worker;
+    return worker;
+  }
+
+  failPendingChecks(worker, error) {
+    if (this.worker !== worker) return;
+
+    this.worker = null;
+    this.pendingChecks.forEach(({ reject }) => reject(error));
+    this.pendingChecks.clear();
+  }
+
+  // The check itself, run on the worker thread
+  runCheck(code, fileName) {
+    const { valid, diagnostics } = this.parse(code, fileName);
+    if (!valid) {
+      return { valid, diagnostics: diagnostics.map(diagnostic => ({ ...diagnostic, category: 'syntax' })) };
+    }
+
+    const filePath = path.join('/generated', path.basename(fileName));
+    const host = this.createHost(filePath, code);
+    const program = ts.createProgram([filePath, ...STUB_FILES], COMPILER_OPTIONS, host);
+    const sourceFile = program.getSourceFile(filePath);
+
+    const typeDiagnostics = program.getSemanticDiagnostics(sourceFile)
+      .filter(diagnostic => !STUB_LIMIT_CODES.has(diagnostic.code))
+      .map(diagnostic => ({ ...this.formatDiagnostic(sourceFile, diagnostic), category: 'type' }));
+
+    return {
+      valid: typeDiagnostics.length === 0,
+      diagnostics: typeDiagnostics
+    };
+  }
+
+  createHost(filePath, code) {
+    const host = ts.createCompilerHost(COMPILER_OPTIONS);
+    const getSourceFile = host.getSourceFile.bind(host);
+
+    host.getSourceFile = (fileName, languageVersion, onError) => {
+      if (fileName === filePath) {
+        return ts.createSourceFile(fileName, code, languageVersion, true, fileName.endsWith('.tsx') ? ts.ScriptKind.TSX : ts.ScriptKind.TS);
+      }
+
+      if (!this.libraryFiles.has(fileName)) {
+        this.libraryFiles.set(fileName, getSourceFile(fileName, languageVersion, onError));
+      }
+      return this.libraryFiles.get(fileName);
+    };
+    host.fileExists = fileName => fileName === filePath || fs.existsSync(fileName);
+    host.readFile = fileName => (fileName === filePath ? code : ts.sys.readFile(fileName));
+    host.writeFile = () => {};
+
+    return host;
+  }
+
+  formatDiagnostic(sourceFile, diagnostic) {
+    const { line, character } = sourceFile.getLineAndCharacterOfPosition(diagnostic.start || 0);
+
+    return {
+      line: line + 1,
+      column: character + 1,
+      code: diagnostic.code,
+      message: ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n')
+    };
+  }
+}
+
+const typescriptService = new TypeScriptService();
+
+if (!isMainThread) {
+  parentPort.on('message', ({ id, code, fileName }) => {
+    try {
+      parentPort.postMessage({ id, result: typescriptService.runCheck(code, fileName) });
+    } catch (error) {
+      parentPort.postMessage({ id, error: error.message });
+    }
+  });
+}
+
+module.exports = typescriptService;
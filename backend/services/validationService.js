@@ -0,0 +1,129 @@
+// Validation Service - Syntax, type and schema checks for generated code
+const FuzeComponents = require('../../shared/components');
+const FuzeTestFrameworks = require('../../shared/test-frameworks');
+const figmaService = require('./figmaService');
+const typescriptService = require('./typescriptService');
+
+const MAX_FEEDBACK_DIAGNOSTICS = 20;
+
+class ValidationService {
+  // { status, checkedAt, diagnostics } for the code in a task's output.
+  // React and Playwright code is type-checked against the stub environment,
+  // Figma JSON against the node schema; other tasks are skipped.
+  async validate(task, content, options = {}) {
+    const validators = {
+      react: () => this.validateComponent(content, options.framework),
+      playwright: () => this.validateTest(content, options),
+      figma: () => this.validateFigma(content)
+    };
+
+    if (!validators[task]) {
+      return { status: 'skipped', checkedAt: new Date(), diagnostics: [] };
+    }
+
+    const diagnostics = await validators[task]();
+
+    return {
+      status: diagnostics.length === 0 ? 'passed' : 'failed',
+      checkedAt: new Date(),
+      diagnostics
+    };
+  }
+
+  // Vue and Svelte files are not TypeScript, so only their script block is
+  // parsed; the other frameworks are type-checked
+  validateComponent(content, framework) {
+    const target = FuzeComponents.FRAMEWORKS[framework] ? framework : FuzeComponents.DEFAULT_FRAMEWORK;
+    const { language, extension } = FuzeComponents.FRAMEWORKS[target];
+    const code = this.extractCodeBlock(content, language);
+    const fileName = `Component${extension}`;
+
+    if (code === null) {
+      return [this.missingBlock(language, fileName)];
+    }
+
+    if (target === 'vue' || target === 'svelte') {
+      const script = code.match(/<script\b([^>]*)>([\s\S]*?)<\/script>/);
+      if (!script) return [];
+
+      const scriptName = /lang=["']ts["']/.test(script[1]) ? 'script.ts' : 'script.js';
+      const leadingLines = code.slice(0, script.index + script[0].indexOf('>') + 1).split('\n').length - 1;
+      return typescriptService.parse(script[2], scriptName).diagnostics
+        .map(diagnostic => ({ ...diagnostic, line: diagnostic.line + leadingLines, block: fileName, category: 'syntax' }));
+    }
+
+    return this.checkTypeScript(code, fileName);
+  }
+
+  validateTest(content, options) {
+    const framework = FuzeTestFrameworks.FRAMEWORKS[options.framework] ? options.framework : FuzeTestFrameworks.DEFAULT_FRAMEWORK;
+    const { language, extension } = FuzeTestFrameworks.FRAMEWORKS[options.flow ? FuzeTestFrameworks.DEFAULT_FRAMEWORK : framework];
+    const fileName = options.flow ? 'flow.spec.ts' : `generated${extension}`;
+    const code = this.extractCodeBlock(content, language);
+
+    return code === null ? [this.missingBlock(language, fileName)] : this.checkTypeScript(code, fileName);
+  }
+
+  // Every JSON block must parse and be a Figma node tree
+  validateFigma(content) {
+    const blocks = [...content.matchAll(/```json\s*([\s\S]*?)\s*```/g)].map(match => match[1]);
+
+    if (blocks.length === 0) {
+      return [this.missingBlock('json', 'figma.json')];
+    }
+
+    return blocks.flatMap((block, index) => {
+      const name = `figma.json block ${index + 1}`;
+      let node;
+
+      try {
+        node = JSON.parse(block);
+      } catch (error) {
+        const position = error.message.match(/position (\d+)/);
+        const before = position ? block.slice(0, Number(position[1])).split('\n') : null;
+        return [{
+          block: name,
+          line: before ? before.length : null,
+          column: before ? before[before.length - 1].length + 1 : null,
+          message: `Invalid JSON: ${error.message}`,
+          category: 'json'
+        }];
+      }
+
+      return figmaService.validate(node).errors.map(message => ({ block: name, message, category: 'schema' }));
+    });
+  }
+
+  async checkTypeScript(code, fileName) {
+    const { diagnostics } = await typescriptService.check(code, fileName);
+    return diagnostics.map(diagnostic => ({ ...diagnostic, block: fileName }));
+  }
+
+  // First block in the language; null when the response has none
+  extractCodeBlock(content, language) {
+    const match = content.match(new RegExp(`\`\`\`${language}[ \\t]*\\n([\\s\\S]*?)\`\`\``));
+    return match ? match[1] : null;
+  }
+
+  missingBlock(language, fileName) {
+    return { block: fileName, message: `No \`\`\`${language} code block found in the response`, category: 'format' };
+  }
+
+  // Message sending a failed output back to the model
+  formatFeedback(validation) {
+    const lines = validation.diagnostics.slice(0, MAX_FEEDBACK_DIAGNOSTICS).map(({ block, line, column, message, category }) => (
+      `- ${block}${line ? `:${line}:${column}` : ''} (${category}) ${message}`
+    ));
+    const more = validation.diagnostics.length - lines.length;
+
+    return [
+      'The code in your response failed validation:',
+      ...lines,
+      ...(more > 0 ? [`- ...and ${more} more`] : []),
+      '',
+      'Fix these errors and reply with the complete corrected response in the same format.'
+    ].join('\n');
+  }
+}
+
+module.exports = new ValidationService();
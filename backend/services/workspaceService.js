@@ -0,0 +1,393 @@
+// Workspace Service - Writes AI outputs into configured local workspace directories
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const FuzeComponents = require('../../shared/components');
+const FuzeTestFrameworks = require('../../shared/test-frameworks');
+const validationService = require('./validationService');
+
+// Lines of unchanged context around each diff hunk
+const DIFF_CONTEXT = 3;
+
+// Above this many line pairs the changed region is shown as replaced
+// rather than aligned line by line
+const MAX_DIFF_CELLS = 4000000;
+
+class WorkspaceService {
+  // Sinks come from the JSON file WORKSPACE_SINKS points to, keyed by name:
+  // { "web": { "root": "/abs/path", "templates": { "react": "src/components/{ComponentName}{ext}" } } }
+  // The file is read on every call so edits apply without a restart.
+  getSinks() {
+    const configPath = process.env.WORKSPACE_SINKS;
+    if (!configPath) return {};
+
+    const config = JSON.parse(fs.readFileSync(path.resolve(configPath), 'utf8'));
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('WORKSPACE_SINKS must contain an object of sinks keyed by name');
+    }
+
+    return Object.fromEntries(Object.entries(config).map(([name, sink]) => {
+      if (!sink || typeof sink.root !== 'string' || !path.isAbsolute(sink.root)) {
+        throw new Error(`Workspace sink "${name}" needs an absolute root directory`);
+      }
+      const templates = sink.templates && typeof sink.templates === 'object' ? sink.templates : {};
+      if (Object.values(templates).some(template => typeof template !== 'string' || template.trim() === '')) {
+        throw new Error(`Workspace sink "${name}" has an empty path template`);
+      }
+      return [name, { name, root: sink.root, templates }];
+    }));
+  }
+
+  getSink(name) {
+    const sinks = this.getSinks();
+    return Object.prototype.hasOwnProperty.call(sinks, name) ? sinks[name] : null;
+  }
+
+  // Write an output's code to the sink. A new file is written straight away;
+  // an existing one is only replaced when baseHash matches its current
+  // content, so the caller has seen the diff being applied. Returns
+  // { status: created|overwritten|unchanged|conflict|preview, path, diff, baseHash }.
+  async write(sink, output, context = {}, options = {}) {
+    const relativePath = this.renderTemplate(this.getTemplate(sink, output), this.getPlaceholders(output, context));
+    const filePath = this.resolvePath(sink, relativePath);
+    const content = this.getContent(output, context);
+    const existing = await this.readExisting(filePath);
+    const result = { path: path.relative(fs.realpathSync(sink.root), filePath).split(path.sep).join('/') };
+
+    if (existing === null) {
+      if (options.dryRun) {
+        return { ...result, status: 'preview', diff: this.createDiff('', content, result.path, true) };
+      }
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      try {
+        // wx fails if the file appeared since it was read
+        await fs.promises.writeFile(filePath, content, { flag: 'wx' });
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        return this.write(sink, output, context, { ...options, baseHash: undefined });
+      }
+      return { ...result, status: 'created' };
+    }
+
+    const baseHash = this.hash(existing);
+    if (existing === content) {
+      return { ...result, status: 'unchanged', baseHash };
+    }
+
+    const diff = this.createDiff(existing, content, result.path);
+    if (options.dryRun) {
+      return { ...result, status: 'preview', diff, baseHash };
+    }
+    if (options.baseHash !== baseHash) {
+      return { ...result, status: 'conflict', diff, baseHash };
+    }
+
+    await fs.promises.writeFile(filePath, content);
+    return { ...result, status: 'overwritten', diff, baseHash: this.hash(content) };
+  }
+
+  // Template for the output's task; "task:framework" keys take precedence
+  // so one sink can place React and Vue components differently
+  getTemplate(sink, output) {
+    const template = (output.framework && sink.templates[`${output.task}:${output.framework}`]) || sink.templates[output.task];
+    if (!template) {
+      const target = output.framework ? `${output.task} (${output.framework})` : output.task;
+      throw this.createError(400, `Workspace sink "${sink.name}" has no path template for ${target} outputs`);
+    }
+    return template;
+  }
+
+  // Placeholder values never contain path separators, so only the template
+  // itself decides the directory
+  getPlaceholders(output, context) {
+    const componentName = this.getComponentName(output, context);
+
+    return {
+      ComponentName: componentName,
+      'component-name': this.toSlug(componentName.replace(/([a-z0-9])([A-Z])/g, '$1-$2')),
+      page: this.getPageSlug(context.pageUrl),
+      task: output.task,
+      framework: output.framework || '',
+      ext: this.getExtension(output, context),
+      id: String(output._id)
+    };
+  }
+
+  renderTemplate(template, placeholders) {
+    return template.replace(/\{([^{}]+)\}/g, (match, key) => {
+      if (!Object.prototype.hasOwnProperty.call(placeholders, key)) {
+        throw this.createError(400, `Unknown placeholder ${match} in path template "${template}"`);
+      }
+      return placeholders[key];
+    });
+  }
+
+  // Absolute path for a rendered template. Paths that leave the root, either
+  // through .. segments or a symlinked directory, are refused.
+  resolvePath(sink, relativePath) {
+    if (path.isAbsolute(relativePath)) {
+      throw this.createError(403, `Path "${relativePath}" must be relative to the workspace root`);
+    }
+
+    let root;
+    try {
+      root = fs.realpathSync(sink.root);
+    } catch (error) {
+      throw this.createError(400, `Workspace root ${sink.root} of sink "${sink.name}" does not exist`);
+    }
+
+    const filePath = path.resolve(root, relativePath);
+    if (filePath === root || !this.isInside(root, filePath)) {
+      throw this.createError(403, `Path "${relativePath}" is outside the workspace root`);
+    }
+
+    // lstat so a dangling symlink counts as existing and is refused below
+    let existing = filePath;
+    while (!this.pathExists(existing)) existing = path.dirname(existing);
+    let realPath = null;
+    try {
+      realPath = fs.realpathSync(existing);
+    } catch (error) {
+      // Dangling symlink
+    }
+    if (!realPath || !this.isInside(root, realPath)) {
+      throw this.createError(403, `Path "${relativePath}" resolves outside the workspace root`);
+    }
+
+    return filePath;
+  }
+
+  isInside(root, filePath) {
+    const relative = path.relative(root, filePath);
+    return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+  }
+
+  pathExists(filePath) {
+    try {
+      fs.lstatSync(filePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async readExisting(filePath) {
+    try {
+      return await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      if (error.code === 'EISDIR') throw this.createError(400, 'The path template points at a directory');
+      throw error;
+    }
+  }
+
+  // File contents for an output: the code block in the output's language,
+  // the whole response for discussions
+  getContent(output, context) {
+    const content = output.output?.content || '';
+    if (output.task === 'discuss') {
+      return this.withTrailingNewline(content);
+    }
+
+    const language = this.getLanguage(output, context);
+    const code = output.task === 'storybook' && output.structuredData?.storybook?.code
+      ? output.structuredData.storybook.code
+      : validationService.extractCodeBlock(content, language);
+
+    if (code === null) {
+      throw this.createError(400, `The output has no \`\`\`${language} code block to write`);
+    }
+    return this.withTrailingNewline(code);
+  }
+
+  getLanguage(output, context) {
+    if (output.task === 'react') {
+      return FuzeComponents.FRAMEWORKS[output.framework || FuzeComponents.DEFAULT_FRAMEWORK].language;
+    }
+    if (output.task === 'playwright') {
+      return FuzeTestFrameworks.FRAMEWORKS[this.getTestFramework(output, context)].language;
+    }
+    return { figma: 'json', storybook: 'typescript' }[output.task];
+  }
+
+  getExtension(output, context) {
+    if (output.task === 'react') {
+      return FuzeComponents.FRAMEWORKS[output.framework || FuzeComponents.DEFAULT_FRAMEWORK].extension;
+    }
+    if (output.task === 'playwright') {
+      return FuzeTestFrameworks.FRAMEWORKS[this.getTestFramework(output, context)].extension;
+    }
+    return { figma: '.json', storybook: '.stories.ts', discuss: '.md' }[output.task];
+  }
+
+  // Flow tests are always Playwright
+  getTestFramework(output, context) {
+    return !context.flow && FuzeTestFrameworks.FRAMEWORKS[output.framework] ? output.framework : FuzeTestFrameworks.DEFAULT_FRAMEWORK;
+  }
+
+  // Name recorded by the output, else the one the generators would give the
+  // element, else the flow name
+  getComponentName(output, context) {
+    const structured = output.structuredData || {};
+    const dataKey = output.framework && FuzeComponents.FRAMEWORKS[output.framework]?.dataKey;
+    const recorded = (output.task === 'react' && structured[dataKey || 'react']?.componentName)
+      || (output.task === 'storybook' && structured.storybook?.componentName)
+      || (output.task === 'playwright' && structured.testingLibrary?.componentName);
+
+    let name = recorded;
+    if (!name && context.element) {
+      name = FuzeComponents.generateComponent(FuzeComponents.DEFAULT_FRAMEWORK, context.element).componentName;
+    }
+    if (!name && context.flow?.name) {
+      name = context.flow.name.replace(/(?:^|[^A-Za-z0-9]+)([A-Za-z0-9])/g, (match, letter) => letter.toUpperCase());
+    }
+
+    return (name || 'Component').replace(/[^A-Za-z0-9_]/g, '') || 'Component';
+  }
+
+  // /checkout/cart -> checkout-cart; the site root is "index"
+  getPageSlug(pageUrl) {
+    try {
+      return this.toSlug(new URL(pageUrl).pathname.replace(/\.\w+$/, '')) || 'index';
+    } catch (error) {
+      return 'index';
+    }
+  }
+
+  toSlug(value) {
+    return value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  }
+
+  withTrailingNewline(text) {
+    return text.endsWith('\n') ? text : `${text}\n`;
+  }
+
+  hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  // --- Unified diff ---
+
+  createDiff(before, after, filePath, created = false) {
+    const hunks = this.formatHunks(this.diffLines(this.splitLines(before), this.splitLines(after)));
+    if (hunks.length === 0) return '';
+
+    return [
+      created ? '--- /dev/null' : `--- a/${filePath}`,
+      `+++ b/${filePath}`,
+      ...hunks
+    ].join('\n') + '\n';
+  }
+
+  // Lines keep their newline so a missing final newline shows as a change
+  splitLines(text) {
+    return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+  }
+
+  // Edit script of [' ' | '-' | '+', line] pairs. The common prefix and
+  // suffix are trimmed before the longest common subsequence is aligned.
+  diffLines(before, after) {
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) start++;
+
+    let beforeEnd = before.length;
+    let afterEnd = after.length;
+    while (beforeEnd > start && afterEnd > start && before[beforeEnd - 1] === after[afterEnd - 1]) {
+      beforeEnd--;
+      afterEnd--;
+    }
+
+    const removed = before.slice(start, beforeEnd);
+    const added = after.slice(start, afterEnd);
+    const middle = removed.length * added.length > MAX_DIFF_CELLS
+      ? [...removed.map(line => ['-', line]), ...added.map(line => ['+', line])]
+      : this.alignLines(removed, added);
+
+    return [
+      ...before.slice(0, start).map(line => [' ', line]),
+      ...middle,
+      ...before.slice(beforeEnd).map(line => [' ', line])
+    ];
+  }
+
+  alignLines(before, after) {
+    // lengths[i][j] is the LCS length of before[i..] and after[j..]
+    const lengths = Array.from({ length: before.length + 1 }, () => new Uint32Array(after.length + 1));
+    for (let i = before.length - 1; i >= 0; i--) {
+      for (let j = after.length - 1; j >= 0; j--) {
+        lengths[i][j] = before[i] === after[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const operations = [];
+    let i = 0;
+    let j = 0;
+    while (i < before.length && j < after.length) {
+      if (before[i] === after[j]) {
+        operations.push([' ', before[i]]);
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        operations.push(['-', before[i++]]);
+      } else {
+        operations.push(['+', after[j++]]);
+      }
+    }
+
+    return [
+      ...operations,
+      ...before.slice(i).map(line => ['-', line]),
+      ...after.slice(j).map(line => ['+', line])
+    ];
+  }
+
+  formatHunks(operations) {
+    let oldLine = 1;
+    let newLine = 1;
+    const lines = operations.map(([type, text]) => {
+      const entry = { type, text, oldLine, newLine };
+      if (type !== '+') oldLine++;
+      if (type !== '-') newLine++;
+      return entry;
+    });
+
+    const ranges = [];
+    lines.forEach((line, index) => {
+      if (line.type === ' ') return;
+      const start = Math.max(0, index - DIFF_CONTEXT);
+      const end = Math.min(lines.length, index + DIFF_CONTEXT + 1);
+      const last = ranges[ranges.length - 1];
+      if (last && start <= last.end) {
+        last.end = end;
+      } else {
+        ranges.push({ start, end });
+      }
+    });
+
+    return ranges.map(({ start, end }) => {
+      const hunk = lines.slice(start, end);
+      const oldCount = hunk.filter(line => line.type !== '+').length;
+      const newCount = hunk.filter(line => line.type !== '-').length;
+      const oldStart = oldCount === 0 ? hunk[0].oldLine - 1 : hunk[0].oldLine;
+      const newStart = newCount === 0 ? hunk[0].newLine - 1 : hunk[0].newLine;
+
+      return [
+        `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`,
+        ...hunk.map(line => (line.text.endsWith('\n')
+          ? `${line.type}${line.text.slice(0, -1)}`
+          : `${line.type}${line.text}\n\\ No newline at end of file`))
+      ].join('\n');
+    });
+  }
+
+  createError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = new WorkspaceService();
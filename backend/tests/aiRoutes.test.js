@@ -0,0 +1,62 @@
+const express = require('express');
+const request = require('supertest');
+const AiOutput = require('../models/AiOutput');
+const Flow = require('../models/Flow');
+const aiRoutes = require('../routes/ai');
+
+describe('POST /api/ai', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/ai', aiRoutes);
+
+  let consoleError;
+
+  beforeEach(() => {
+    consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rejects a flowId that is not an ObjectId', async () => {
+    const response = await request(app)
+      .post('/api/ai')
+      .send({ userId: 'u', task: 'playwright', flowId: 'abc' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Validation Error');
+  });
+
+  test('answers 500 when loading the flow fails', async () => {
+    jest.spyOn(Flow, 'findById').mockReturnValue({ lean: () => Promise.reject(new Error('connection lost')) });
+
+    const response = await request(app)
+      .post('/api/ai')
+      .send({ userId: 'u', task: 'playwright', flowId: '64b7f0c2a1b2c3d4e5f60718' });
+
+    expect(response.status).toBe(500);
+    expect(response.body.error).toBe('Internal Server Error');
+    expect(consoleError).toHaveBeenCalled();
+  });
+
+  test('rejects a parentOutputId that is not an ObjectId', async () => {
+    const response = await request(app)
+      .post('/api/ai')
+      .send({ userId: 'u', task: 'storybook', parentOutputId: 'abc' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Validation Error');
+  });
+
+  test('answers 500 when loading the parent output fails', async () => {
+    jest.spyOn(AiOutput, 'findById').mockRejectedValue(new Error('connection lost'));
+
+    const response = await request(app)
+      .post('/api/ai')
+      .send({ userId: 'u', task: 'storybook', parentOutputId: '64b7f0c2a1b2c3d4e5f60718' });
+
+    expect(response.status).toBe(500);
+    expect(response.body.error).toBe('Internal Server Error');
+  });
+});
@@ -0,0 +1,88 @@
+const zlib = require('zlib');
+const archiveService = require('../services/archiveService');
+
+// Entries read back through the central directory
+function readZip(zip) {
+  const end = zip.length - 22;
+  expect(zip.readUInt32LE(end)).toBe(0x06054b50);
+
+  const count = zip.readUInt16LE(end + 10);
+  let position = zip.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let index = 0; index < count; index++) {
+    expect(zip.readUInt32LE(position)).toBe(0x02014b50);
+    const method = zip.readUInt16LE(position + 10);
+    const crc = zip.readUInt32LE(position + 16);
+    const compressedSize = zip.readUInt32LE(position + 20);
+    const size = zip.readUInt32LE(position + 24);
+    const nameLength = zip.readUInt16LE(position + 28);
+    const offset = zip.readUInt32LE(position + 42);
+    const path = zip.toString('utf8', position + 46, position + 46 + nameLength);
+
+    expect(zip.readUInt32LE(offset)).toBe(0x04034b50);
+    expect(zip.readUInt32LE(offset + 14)).toBe(crc);
+    const dataStart = offset + 30 + zip.readUInt16LE(offset + 26);
+    const stored = zip.subarray(dataStart, dataStart + compressedSize);
+    const content = method === 8 ? zlib.inflateRawSync(stored) : stored;
+
+    expect(content.length).toBe(size);
+    entries.push({ path, method, crc, content });
+    position += 46 + nameLength;
+  }
+
+  return entries;
+}
+
+describe('archiveService', () => {
+  test('round-trips entries through the central directory', () => {
+    const repeated = 'export const Button = () => null;\n'.repeat(50);
+    const zip = archiveService.createZip([
+      { path: 'src/Button.tsx', content: repeated },
+      { path: 'README.md', content: 'hi' },
+      { path: 'assets/logo.bin', content: Buffer.from([0, 1, 2, 255]) }
+    ]);
+
+    const entries = readZip(zip);
+    expect(entries.map(entry => entry.path)).toEqual(['src/Button.tsx', 'README.md', 'assets/logo.bin']);
+    expect(entries[0].content.toString('utf8')).toBe(repeated);
+    expect(entries[1].content.toString('utf8')).toBe('hi');
+    expect([...entries[2].content]).toEqual([0, 1, 2, 255]);
+  });
+
+  test('deflates only when it makes an entry smaller', () => {
+    const entries = readZip(archiveService.createZip([
+      { path: 'big.txt', content: 'a'.repeat(1000) },
+      { path: 'small.txt', content: 'a' }
+    ]));
+
+    expect(entries.map(entry => entry.method)).toEqual([8, 0]);
+  });
+
+  test('stores UTF-8 names with the UTF-8 flag', () => {
+    const zip = archiveService.createZip([{ path: 'ünïcode.txt', content: 'x' }]);
+
+    expect(zip.readUInt16LE(6) & 0x0800).toBe(0x0800);
+    expect(readZip(zip)[0].path).toBe('ünïcode.txt');
+  });
+
+  test('computes the standard CRC-32', () => {
+    expect(archiveService.crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    expect(archiveService.crc32(Buffer.alloc(0))).toBe(0);
+  });
+
+  test('encodes local time in MS-DOS format', () => {
+    const { time, day } = archiveService.toDosDateTime(new Date(2024, 2, 15, 13, 45, 31));
+
+    expect(time).toBe((13 << 11) | (45 << 5) | 15);
+    expect(day).toBe(((2024 - 1980) << 9) | (3 << 5) | 15);
+    expect(archiveService.toDosDateTime(new Date(1970, 0, 1)).day >> 9).toBe(0);
+  });
+
+  test('writes an empty archive', () => {
+    const zip = archiveService.createZip([]);
+
+    expect(zip.length).toBe(22);
+    expect(readZip(zip)).toEqual([]);
+  });
+});
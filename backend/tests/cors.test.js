@@ -0,0 +1,54 @@
+const request = require('supertest');
+const app = require('../server');
+
+describe('CORS', () => {
+  const outputPath = '/api/ai/64b7f0c2a1b2c3d4e5f60718';
+
+  const preflight = (origin, path = outputPath) => request(app)
+    .options(path)
+    .set('Origin', origin)
+    .set('Access-Control-Request-Method', 'GET');
+
+  afterEach(() => {
+    delete process.env.ALLOW_FIGMA_PLUGIN;
+  });
+
+  test('rejects the null origin unless the Figma plugin is allowed', async () => {
+    const response = await preflight('null');
+    expect(response.headers['access-control-allow-origin']).toBeUndefined();
+  });
+
+  test('allows the null origin for the Figma plugin without credentials', async () => {
+    process.env.ALLOW_FIGMA_PLUGIN = 'true';
+
+    const response = await preflight('null');
+    expect(response.headers['access-control-allow-origin']).toBe('null');
+    expect(response.headers['access-control-allow-credentials']).toBeUndefined();
+  });
+
+  test('allows the null origin only on the AI output route', async () => {
+    process.env.ALLOW_FIGMA_PLUGIN = 'true';
+
+    for (const path of ['/health', '/api/elements', '/api/ai/stats/overview', '/api/workspaces/site/write']) {
+      const response = await preflight('null', path);
+      expect(response.headers['access-control-allow-origin']).toBeUndefined();
+    }
+  });
+
+  test('allows the null origin to read but not write the AI output route', async () => {
+    process.env.ALLOW_FIGMA_PLUGIN = 'true';
+
+    const response = await request(app)
+      .options(outputPath)
+      .set('Origin', 'null')
+      .set('Access-Control-Request-Method', 'DELETE');
+    expect(response.headers['access-control-allow-methods']).toBe('GET');
+  });
+
+  test('does not reflect other origins', async () => {
+    process.env.ALLOW_FIGMA_PLUGIN = 'true';
+
+    const response = await preflight('https://example.com');
+    expect(response.headers['access-control-allow-origin']).toBeUndefined();
+  });
+});
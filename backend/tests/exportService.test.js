@@ -0,0 +1,167 @@
+const express = require('express');
+const request = require('supertest');
+const Element = require('../models/Element');
+const elementRoutes = require('../routes/elements');
+const exportService = require('../services/exportService');
+
+const EXPORTED_AT = new Date('2024-03-05T00:00:00Z');
+
+function record(id, selector, pageUrl = 'https://shop.test/cart') {
+  return {
+    _id: id,
+    pageUrl,
+    element: { tag: 'button', selector, text: 'Buy', html: '<button>Buy</button>', classes: [], styles: {} }
+  };
+}
+
+function build(records, outputs = [], discussions = []) {
+  const project = exportService.buildProject(records, outputs, discussions, { exportedAt: EXPORTED_AT });
+  const file = suffix => project.files.find(entry => entry.path === `${project.name}/${suffix}`);
+  return { project, file };
+}
+
+describe('exportService.buildProject', () => {
+  test('names the project after the page and puts every file under it', () => {
+    const { project } = build([record('e1', '#buy')]);
+
+    expect(project.name).toBe('fuzepicker-shop-test-cart');
+    expect(project.files.map(entry => entry.path)).toEqual([
+      'README.md',
+      'package.json',
+      'tsconfig.json',
+      'playwright.config.ts',
+      'src/components/ButtonComponent.tsx',
+      'tests/button-component.spec.ts',
+      'figma/button-component.json',
+      'tokens/tokens.json',
+      'tokens/style-dictionary.tokens.json'
+    ].map(path => `fuzepicker-shop-test-cart/${path}`));
+  });
+
+  test('uses the newest output per task and skips other frameworks', () => {
+    const { file } = build([record('e1', '#buy')], [
+      { _id: 'o3', elementId: 'e1', task: 'react', framework: 'vue', output: { content: '```vue\n<template />\n```' } },
+      {
+        _id: 'o2',
+        elementId: 'e1',
+        task: 'react',
+        framework: 'react',
+        output: { content: '```tsx\nexport const BuyButton = () => null;\n```' },
+        structuredData: { react: { componentName: 'BuyButton' } }
+      },
+      { _id: 'o1', elementId: 'e1', task: 'react', framework: 'react', output: { content: '```tsx\nexport const Old = () => null;\n```' } },
+      { _id: 'o4', elementId: 'e1', task: 'playwright', framework: 'cypress', output: { content: '```typescript\ncy.visit("/");\n```' } },
+      { _id: 'o5', elementId: 'e1', task: 'discuss', output: { content: 'Looks fine' } }
+    ]);
+
+    expect(file('src/components/BuyButton.tsx').content).toBe('export const BuyButton = () => null;\n');
+    expect(file('tests/buy-button.spec.ts').content).toContain("import { test, expect } from '@playwright/test';");
+    expect(file('README.md').content).toContain('| `#buy` | https://shop.test/cart | `src/components/BuyButton.tsx` (AI output o2) | `tests/buy-button.spec.ts` (generated offline) |');
+  });
+
+  test('generates offline and notes it when an output has no code block', () => {
+    const { file } = build([record('e1', '#buy')], [
+      { _id: 'o1', elementId: 'e1', task: 'react', framework: 'react', output: { content: 'Sorry, no code' } },
+      { _id: 'o2', elementId: 'e1', task: 'figma', output: { content: '```json\n{ not json\n```' } }
+    ]);
+
+    expect(file('src/components/ButtonComponent.tsx').content).toContain('export const ButtonComponent');
+    expect(JSON.parse(file('figma/button-component.json').content).type).toBe('FRAME');
+
+    const readme = file('README.md').content;
+    expect(readme).toContain('- AI output o1 has no ```tsx block, so the component for `#buy` was generated offline');
+    expect(readme).toContain('- AI output o2 has no valid JSON block, so the Figma JSON for `#buy` was generated offline');
+  });
+
+  test('notes outputs that failed validation', () => {
+    const { file } = build([record('e1', '#buy')], [{
+      _id: 'o1',
+      elementId: 'e1',
+      task: 'react',
+      framework: 'react',
+      output: { content: '```tsx\nexport const Buy = () => nul;\n```' },
+      validation: { status: 'failed', diagnostics: [{ message: "Cannot find name 'nul'." }] }
+    }]);
+
+    expect(file('README.md').content).toContain('- `src/components/ButtonComponent.tsx` comes from AI output o1, which failed validation with 1 error');
+  });
+
+  test('gives elements that share a component name distinct names', () => {
+    const { project, file } = build([record('e1', '#buy'), record('e2', '#buy-again'), record('e3', '#buy-more')]);
+
+    const components = project.files.map(entry => entry.path).filter(path => path.includes('/src/components/'));
+    expect(components.map(path => path.split('/').pop())).toEqual(['ButtonComponent.tsx', 'ButtonComponent2.tsx', 'ButtonComponent3.tsx']);
+    expect(file('src/components/ButtonComponent2.tsx').content).toContain('export const ButtonComponent2 = ');
+    expect(file('tests/button-component2.spec.ts')).toBeDefined();
+  });
+
+  test('renders discussions as threads under their element', () => {
+    const { file } = build([record('e1', '#buy'), record('e2', '#cart')], [], [
+      { _id: 'd1', elementId: 'e1', userId: 'ann', comment: 'Too\nsmall', createdAt: '2024-03-01T10:00:00Z', parentId: null },
+      { _id: 'd2', elementId: 'e1', userId: 'bob', comment: 'Agreed', createdAt: '2024-03-02T10:00:00Z', parentId: 'd1' },
+      { _id: 'd3', elementId: 'e1', userId: 'cy', comment: 'Ship it', createdAt: '2024-03-03T10:00:00Z', parentId: null }
+    ]);
+
+    const readme = file('README.md').content;
+    expect(readme).toContain('Exported from FuzePicker on 2024-03-05T00:00:00.000Z: 2 elements from one page.');
+    expect(readme).toContain([
+      '### ButtonComponent (`#buy`)',
+      '',
+      '- **ann** (2024-03-01): Too small',
+      '  - **bob** (2024-03-02): Agreed',
+      '- **cy** (2024-03-03): Ship it',
+      '',
+      '### ButtonComponent2 (`#cart`)',
+      '',
+      'No discussions.'
+    ].join('\n'));
+  });
+
+  test('escapes pipes in README table cells', () => {
+    const { file } = build([record('e1', 'a[title="x|y"]')]);
+
+    expect(file('README.md').content).toContain('| `a[title="x\\|y"]` |');
+  });
+
+  test('sets baseURL only when every page shares an origin', () => {
+    const single = build([record('e1', '#a', 'https://shop.test/cart'), record('e2', '#b', 'https://shop.test/checkout')]);
+    expect(single.project.name).toBe('fuzepicker-export');
+    expect(single.file('playwright.config.ts').content).toContain("baseURL: 'https://shop.test',");
+
+    const mixed = build([record('e1', '#a', 'https://shop.test/cart'), record('e2', '#b', 'https://blog.test/')]);
+    expect(mixed.file('playwright.config.ts').content).not.toContain('baseURL');
+    expect(mixed.file('README.md').content).toContain('2 elements from 2 pages.');
+  });
+});
+
+describe('POST /api/elements/export', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/elements', elementRoutes);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('requires userId for a selection set', async () => {
+    const response = await request(app)
+      .post('/api/elements/export')
+      .send({ elementIds: ['64b7f0c2a1b2c3d4e5f60718'] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Validation Error');
+  });
+
+  test('only exports the user\'s own elements', async () => {
+    const find = jest.spyOn(Element, 'find').mockReturnValue({
+      sort: () => ({ select: () => ({ lean: async () => [] }) })
+    });
+
+    const response = await request(app)
+      .post('/api/elements/export')
+      .send({ userId: 'u', elementIds: ['64b7f0c2a1b2c3d4e5f60718'] });
+
+    expect(find).toHaveBeenCalledWith({ _id: { $in: ['64b7f0c2a1b2c3d4e5f60718'] }, userId: 'u' });
+    expect(response.status).toBe(404);
+  });
+});
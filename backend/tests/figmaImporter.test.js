@@ -0,0 +1,207 @@
+const FuzeFigmaImport = require('../../figma-plugin/lib/importer');
+const FuzeFigma = require('../../shared/figma');
+
+// Just enough of the plugin API to build layers: nodes keep what is set on
+// them, text needs its font loaded, and child layout properties throw
+// outside an Auto Layout parent like they do in Figma
+function createFigmaMock({ availableFamilies = ['Inter'] } = {}) {
+  const loadedFonts = new Set();
+
+  const createNode = type => {
+    const node = {
+      type,
+      children: [],
+      parent: null,
+      resize(width, height) {
+        this.width = width;
+        this.height = height;
+      },
+      appendChild(child) {
+        child.parent = this;
+        this.children.push(child);
+      }
+    };
+
+    ['layoutAlign', 'layoutGrow'].forEach(property => {
+      let value;
+      Object.defineProperty(node, property, {
+        get: () => value,
+        set(next) {
+          if (!node.parent || !node.parent.layoutMode || node.parent.layoutMode === 'NONE') {
+            throw new Error(`${property} requires an Auto Layout parent`);
+          }
+          if (property === 'layoutGrow' && typeof next !== 'number') {
+            throw new Error('Expected layoutGrow to be a number');
+          }
+          value = next;
+        }
+      });
+    });
+
+    if (type === 'TEXT') {
+      let characters = '';
+      delete node.appendChild;
+      Object.defineProperty(node, 'characters', {
+        get: () => characters,
+        set(next) {
+          if (!node.fontName || !loadedFonts.has(`${node.fontName.family}|${node.fontName.style}`)) {
+            throw new Error('Cannot write to node with unloaded font');
+          }
+          characters = next;
+        }
+      });
+    }
+
+    return node;
+  };
+
+  return {
+    currentPage: createNode('PAGE'),
+    createFrame: jest.fn(() => createNode('FRAME')),
+    createComponent: jest.fn(() => createNode('COMPONENT')),
+    createText: jest.fn(() => createNode('TEXT')),
+    createRectangle: jest.fn(() => createNode('RECTANGLE')),
+    createEllipse: jest.fn(() => createNode('ELLIPSE')),
+    combineAsVariants: jest.fn((components, parent) => {
+      const set = createNode('COMPONENT_SET');
+      components.forEach(component => set.appendChild(component));
+      parent.appendChild(set);
+      return set;
+    }),
+    loadFontAsync: jest.fn(async fontName => {
+      if (!availableFamilies.includes(fontName.family)) {
+        throw new Error(`Font ${fontName.family} is not available`);
+      }
+      loadedFonts.add(`${fontName.family}|${fontName.style}`);
+    })
+  };
+}
+
+const button = {
+  tag: 'button',
+  classes: ['btn'],
+  text: 'Save',
+  html: '<button class="btn">Save</button>',
+  styles: {
+    color: 'rgb(255, 255, 255)',
+    backgroundColor: 'rgb(37, 99, 235)',
+    fontSize: '16px',
+    fontFamily: 'Inter, sans-serif',
+    fontWeight: '600',
+    padding: '8px 16px',
+    borderRadius: '6px',
+    display: 'inline-flex',
+    width: '80px',
+    height: '40px'
+  },
+  boundingBox: { x: 0, y: 0, width: 80, height: 40 }
+};
+
+describe('importFigmaData', () => {
+  test('builds the converter output as layers on the current page', async () => {
+    const figma = createFigmaMock();
+    const { node } = FuzeFigma.toFigmaNode(button);
+
+    const { root, report } = await FuzeFigmaImport.importFigmaData(figma, node, { x: 10, y: 20 });
+
+    expect(figma.currentPage.children).toEqual([root]);
+    expect(root.type).toBe('FRAME');
+    expect(root.layoutMode).toBe(node.layoutMode);
+    expect(root.x).toBe(10);
+    expect(root.y).toBe(20);
+    expect(root.fills[0].type).toBe('SOLID');
+    expect(root.fills[0].color.b).toBeCloseTo(235 / 255, 3);
+
+    const text = root.children.find(child => child.type === 'TEXT');
+    expect(text.characters).toBe('Save');
+    expect(text.fontName).toEqual({ family: 'Inter', style: 'SemiBold' });
+    expect(report.nodeCount).toBe(1 + root.children.length);
+    expect(report.missingFonts).toEqual([]);
+  });
+
+  test('falls back to Inter Regular for fonts that cannot be loaded', async () => {
+    const figma = createFigmaMock();
+    const node = {
+      type: 'TEXT',
+      name: 'Label',
+      characters: 'Hello',
+      style: { fontFamily: 'Brand Sans', fontWeight: 700, fontSize: 14 }
+    };
+
+    const { root, report } = await FuzeFigmaImport.importFigmaData(figma, node);
+
+    expect(root.fontName).toEqual({ family: 'Inter', style: 'Regular' });
+    expect(root.characters).toBe('Hello');
+    expect(root.fontSize).toBe(14);
+    expect(report.missingFonts).toEqual(['Brand Sans Bold']);
+  });
+
+  test('reports properties the API rejects or that have no mapping instead of throwing', async () => {
+    const figma = createFigmaMock();
+    const node = {
+      type: 'FRAME',
+      name: 'Card',
+      // The root has no Auto Layout parent, so this is never set
+      layoutAlign: 'STRETCH',
+      layoutMode: 'HORIZONTAL',
+      children: [
+        { type: 'RECTANGLE', name: 'Bar', layoutAlign: 'STRETCH', layoutGrow: 'fill', fills: [{ type: 'IMAGE', imageRef: 'x' }] },
+        { type: 'VECTOR', name: 'Icon' }
+      ],
+      blendMode: 'MULTIPLY'
+    };
+
+    const { root, report } = await FuzeFigmaImport.importFigmaData(figma, node);
+
+    expect(root.children.map(child => child.type)).toEqual(['RECTANGLE', 'FRAME']);
+    expect(root.children[0].layoutAlign).toBe('STRETCH');
+    expect(report.unmapped).toEqual(expect.arrayContaining([
+      expect.objectContaining({ layer: 'Card', property: 'blendMode' }),
+      expect.objectContaining({ layer: 'Bar', property: 'fills' }),
+      expect.objectContaining({ layer: 'Bar', property: 'layoutGrow', value: 'fill' }),
+      expect.objectContaining({ layer: 'Icon', property: 'type', value: 'VECTOR' })
+    ]));
+    expect(report.unmapped.some(entry => entry.property === 'layoutAlign')).toBe(false);
+  });
+
+  test('combines component set variants', async () => {
+    const figma = createFigmaMock();
+    const node = {
+      type: 'COMPONENT_SET',
+      name: 'Button',
+      children: [
+        { type: 'FRAME', name: 'State=Default', width: 80, height: 40 },
+        { type: 'FRAME', name: 'State=Hover', width: 80, height: 40 }
+      ]
+    };
+
+    const { root } = await FuzeFigmaImport.importFigmaData(figma, node);
+
+    expect(figma.combineAsVariants).toHaveBeenCalledTimes(1);
+    expect(root.name).toBe('Button');
+    expect(root.children.map(child => [child.type, child.name, child.width])).toEqual([
+      ['COMPONENT', 'State=Default', 80],
+      ['COMPONENT', 'State=Hover', 80]
+    ]);
+  });
+});
+
+describe('resolveSource', () => {
+  const generated = { type: 'FRAME', name: 'Generated' };
+  const components = { type: 'FRAME', name: 'From AI' };
+
+  test('uses the AI node when it passed validation', () => {
+    const aiOutput = { structuredData: { figma: { components, generated, validation: { components: { valid: true } } } } };
+    expect(FuzeFigmaImport.resolveSource({ aiOutput })).toMatchObject({ node: components, source: 'components' });
+  });
+
+  test('falls back to the conversion when the AI node is invalid', () => {
+    const figma = { components, generated, unmapped: ['boxShadow'], validation: { components: { valid: false } } };
+    expect(FuzeFigmaImport.resolveSource({ structuredData: { figma } })).toEqual({ node: generated, unmapped: ['boxShadow'], source: 'generated' });
+  });
+
+  test('rejects input without Figma data', () => {
+    expect(() => FuzeFigmaImport.resolveSource(null)).toThrow('Expected a FuzePicker AI output');
+    expect(() => FuzeFigmaImport.resolveSource({ structuredData: {} })).toThrow('no Figma data');
+  });
+});
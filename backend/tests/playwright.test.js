@@ -0,0 +1,25 @@
+const FuzePlaywright = require('../../shared/playwright');
+
+describe('toJsString', () => {
+  const toJsString = FuzePlaywright.toJsString;
+
+  test('escapes quotes and backslashes', () => {
+    expect(toJsString("it's")).toBe("'it\\'s'");
+    expect(toJsString('say "hi"')).toBe('\'say "hi"\'');
+    expect(toJsString('C:\\path\\')).toBe("'C:\\\\path\\\\'");
+  });
+
+  test('escapes line breaks', () => {
+    expect(toJsString('one\ntwo\r\nthree')).toBe("'one\\ntwo\\r\\nthree'");
+    expect(toJsString('a\u2028b\u2029c')).toBe("'a\\u2028b\\u2029c'");
+  });
+
+  test('produces a literal that evaluates back to the value', () => {
+    const value = "O'Brien \\ \"quoted\"\nnext line\u2028end";
+    expect(eval(toJsString(value))).toBe(value);
+  });
+
+  test('stringifies non-string values', () => {
+    expect(toJsString(42)).toBe("'42'");
+  });
+});
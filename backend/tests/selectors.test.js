@@ -0,0 +1,65 @@
+const FuzeSelectors = require('../../shared/selectors');
+
+describe('stripStatePseudoClass', () => {
+  const strip = FuzeSelectors.stripStatePseudoClass;
+
+  test('keeps child, next-sibling and subsequent-sibling combinators', () => {
+    expect(strip('.nav > a:hover', 'hover')).toBe('.nav > a');
+    expect(strip('.list > li:hover + li', 'hover')).toBe('.list > li + li');
+    expect(strip('.tabs li:focus ~ .panel', 'focus')).toBe('.tabs li ~ .panel');
+    expect(strip('.a>b:active+c~d', 'active')).toBe('.a>b+c~d');
+  });
+
+  test('turns a compound that was only the pseudo-class into *', () => {
+    expect(strip(':hover', 'hover')).toBe('*');
+    expect(strip('.nav > :hover', 'hover')).toBe('.nav > *');
+    expect(strip('.card :focus + .hint', 'focus')).toBe('.card * + .hint');
+    expect(strip('.a >:hover', 'hover')).toBe('.a >*');
+    expect(strip(':is(:hover, .x) span', 'hover')).toBe(':is(*, .x) span');
+  });
+
+  test('leaves other states in place', () => {
+    expect(strip('a:hover:focus', 'hover')).toBe('a:focus');
+    expect(strip('a:focus-visible', 'focus')).toBe('a:focus-visible');
+    expect(strip('a:focus-visible', 'focusVisible')).toBe('a');
+  });
+});
+
+describe('hasState', () => {
+  test('matches whole pseudo-class names', () => {
+    expect(FuzeSelectors.hasState('a:focus', 'focus')).toBe(true);
+    expect(FuzeSelectors.hasState('a:focus-within', 'focus')).toBe(false);
+    expect(FuzeSelectors.hasState('a:hover', 'active')).toBe(false);
+  });
+});
+
+describe('splitSelectorList', () => {
+  test('splits on top-level commas only', () => {
+    expect(FuzeSelectors.splitSelectorList('a:hover, :is(.b, .c) > d ,e')).toEqual(['a:hover', ':is(.b, .c) > d', 'e']);
+  });
+});
+
+describe('getSpecificity', () => {
+  const specificity = FuzeSelectors.getSpecificity;
+
+  test('counts ids, classes, attributes, pseudo-classes and types', () => {
+    expect(specificity('a')).toEqual([0, 0, 1]);
+    expect(specificity('.nav > a:hover')).toEqual([0, 2, 1]);
+    expect(specificity('#main ul li.active[data-x="a b"]')).toEqual([1, 2, 2]);
+    expect(specificity('a::before')).toEqual([0, 0, 2]);
+    expect(specificity('a:after')).toEqual([0, 0, 2]);
+    expect(specificity('*:hover')).toEqual([0, 1, 0]);
+    expect(specificity('li:nth-child(2n + 1)')).toEqual([0, 1, 1]);
+  });
+
+  test('uses the most specific argument of :is() and :not() and nothing for :where()', () => {
+    expect(specificity(':is(#a, .b) span')).toEqual([1, 0, 1]);
+    expect(specificity('a:not(.x, p)')).toEqual([0, 1, 1]);
+    expect(specificity(':where(#a .b) a')).toEqual([0, 0, 1]);
+  });
+
+  test('orders like the cascade', () => {
+    const sorted = ['#id', '.a .b', 'a', '.a'].sort((a, b) => FuzeSelectors.compareSpecificity(specificity(a), specificity(b)));
+    expect(sorted).toEqual(['a', '.a', '.a .b', '#id']);
+  });
+});
@@ -0,0 +1,68 @@
+const FuzeTailwind = require('../../shared/tailwind');
+
+describe('toClasses', () => {
+  const toClasses = FuzeTailwind.toClasses;
+
+  test('collapses padding longhands and shorthands', () => {
+    expect(toClasses({ paddingTop: '16px', paddingRight: '16px', paddingBottom: '16px', paddingLeft: '16px' }).classes).toEqual(['p-4']);
+    expect(toClasses({ padding: '8px 12px' }).classes).toEqual(['px-3', 'py-2']);
+  });
+
+  test('uses arbitrary values off the scale', () => {
+    expect(toClasses({ padding: '13px' }).classes).toEqual(['p-[13px]']);
+    expect(toClasses({ color: 'rgb(1, 2, 3)' }).classes).toEqual(['text-[#010203]']);
+  });
+
+  test('matches palette colors and type scales', () => {
+    const result = toClasses({ color: 'rgb(59, 130, 246)', backgroundColor: '#ffffff', fontSize: '14px', fontWeight: '600' });
+    expect(result.classes).toEqual(['text-blue-500', 'bg-white', 'text-sm', 'font-semibold']);
+    expect(result.unmatched).toEqual({});
+  });
+
+  test('combines border width, style and color', () => {
+    const result = toClasses({
+      borderTopWidth: '1px', borderRightWidth: '1px', borderBottomWidth: '1px', borderLeftWidth: '1px',
+      borderTopStyle: 'solid', borderTopColor: 'rgb(229, 231, 235)', borderRadius: '8px'
+    });
+    expect(result.classes).toEqual(['border', 'border-gray-200', 'rounded-lg']);
+  });
+
+  test('skips a tag\'s default display', () => {
+    expect(toClasses({ display: 'block' }, { tag: 'div' }).classes).toEqual([]);
+    expect(toClasses({ display: 'block' }, { tag: 'span' }).classes).toEqual(['block']);
+  });
+
+  test('prefers theme names', () => {
+    expect(toClasses({ fontSize: '18px' }, { theme: { fontSize: { brand: '18px' } } }).classes).toEqual(['text-brand']);
+  });
+
+  test('reports unsupported properties as unmatched', () => {
+    expect(toClasses({ display: 'flex', gap: '8px', clipPath: 'circle(50%)' })).toEqual({
+      classes: ['flex', 'gap-2'],
+      unmatched: { clipPath: 'circle(50%)' }
+    });
+  });
+
+  test('treats identity transforms as no transform', () => {
+    expect(toClasses({ transform: 'none' })).toEqual({ classes: [], unmatched: {} });
+    expect(toClasses({ transform: 'matrix(1, 0, 0, 1, 0, 0)' })).toEqual({ classes: [], unmatched: {} });
+    expect(toClasses({ transform: 'matrix3d(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1)' })).toEqual({ classes: [], unmatched: {} });
+    expect(toClasses({ transform: 'matrix(1, 0, 0, 1, 5, 0)' }).unmatched).toEqual({ transform: 'matrix(1, 0, 0, 1, 5, 0)' });
+  });
+});
+
+describe('classesForElement', () => {
+  test('prefixes state classes and unmatched state properties with the variant', () => {
+    const result = FuzeTailwind.classesForElement({
+      tag: 'button',
+      styles: { backgroundColor: 'rgb(59, 130, 246)' },
+      states: {
+        hover: { backgroundColor: 'rgb(37, 99, 235)', transform: 'matrix(1, 0, 0, 1, 0, 0)' },
+        focus: { clipPath: 'inset(0)' }
+      }
+    });
+
+    expect(result.classes).toEqual(['bg-blue-500', 'hover:bg-blue-600']);
+    expect(result.unmatched).toEqual({ 'focus:clipPath': 'inset(0)' });
+  });
+});
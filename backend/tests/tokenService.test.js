@@ -0,0 +1,46 @@
+const tokenService = require('../services/tokenService');
+
+const element = (styles, designTokens) => ({ element: { styles, designTokens } });
+
+describe('clusterTokens', () => {
+  test('names sizes after :root tokens of their own group only', () => {
+    const root = { '--radius-lg': '16px', '--space-4': '16px', '--font-sans': 'Inter, sans-serif' };
+    const elements = [
+      element({ fontSize: '16px', borderRadius: '16px', padding: '16px', fontFamily: 'Inter, sans-serif' }, { root }),
+      element({ fontSize: '16px', borderRadius: '16px', padding: '16px' }, { root })
+    ];
+
+    const groups = tokenService.clusterTokens(elements);
+
+    expect(groups.fontSize.tokens.map(token => token.name)).toEqual(['font-size-16']);
+    expect(groups.radius.tokens.map(token => token.name)).toEqual(['radius-lg']);
+    expect(groups.spacing.tokens.map(token => token.name)).toEqual(['space-4']);
+    expect(groups.fontFamily.tokens.map(token => token.name)).toEqual(['font-sans']);
+  });
+
+  test('prefers names from references over :root tokens with the same value', () => {
+    const designTokens = {
+      root: { '--radius-card': '8px', '--radius-button': '8px' },
+      references: { borderRadius: ['--radius-button'] },
+      values: { '--radius-button': '8px' }
+    };
+
+    const groups = tokenService.clusterTokens([element({ borderRadius: '8px' }, designTokens)]);
+
+    expect(groups.radius.tokens.map(token => token.name)).toEqual(['radius-button']);
+  });
+
+  test('suffixes a clashing name without dropping its own number', () => {
+    // --spacing-16 is 4px on the page, so the 16px cluster's generated name
+    // clashes with it
+    const root = { '--spacing-16': '4px' };
+    const elements = [element({ padding: '4px 16px' }, { root })];
+
+    const groups = tokenService.clusterTokens(elements);
+
+    expect(groups.spacing.tokens.map(token => [token.value, token.name])).toEqual([
+      ['4px', 'spacing-16'],
+      ['16px', 'spacing-16-2']
+    ]);
+  });
+});
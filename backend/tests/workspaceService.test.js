@@ -0,0 +1,150 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const workspaceService = require('../services/workspaceService');
+
+const REACT_CODE = 'export const Buy = () => <button>Buy</button>;';
+
+function reactOutput(code = REACT_CODE) {
+  return {
+    _id: '64b7f0c2a1b2c3d4e5f60718',
+    task: 'react',
+    framework: 'react',
+    output: { content: `**React:**\n\n\`\`\`tsx\n${code}\n\`\`\`\n` },
+    structuredData: { react: { componentName: 'BuyButton' } }
+  };
+}
+
+describe('workspaceService', () => {
+  let base;
+  let root;
+
+  const sink = templates => ({ name: 'web', root, templates });
+
+  beforeEach(() => {
+    base = fs.mkdtempSync(path.join(os.tmpdir(), 'fuze-workspace-'));
+    root = path.join(base, 'project');
+    fs.mkdirSync(root);
+  });
+
+  afterEach(() => {
+    fs.rmSync(base, { recursive: true, force: true });
+  });
+
+  test('writes a new file from the path template', async () => {
+    const result = await workspaceService.write(sink({ react: 'src/components/{ComponentName}{ext}' }), reactOutput());
+
+    expect(result).toEqual({ status: 'created', path: 'src/components/BuyButton.tsx' });
+    expect(fs.readFileSync(path.join(root, 'src/components/BuyButton.tsx'), 'utf8')).toBe(`${REACT_CODE}\n`);
+  });
+
+  test('refuses templates that leave the root through ..', async () => {
+    await expect(workspaceService.write(sink({ react: '../{ComponentName}{ext}' }), reactOutput()))
+      .rejects.toMatchObject({ statusCode: 403 });
+    await expect(workspaceService.write(sink({ react: 'src/../../outside/{ComponentName}{ext}' }), reactOutput()))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(fs.readdirSync(base)).toEqual(['project']);
+  });
+
+  test('refuses paths through a symlinked directory that leaves the root', async () => {
+    fs.mkdirSync(path.join(base, 'outside'));
+    fs.symlinkSync(path.join(base, 'outside'), path.join(root, 'linked'), 'dir');
+
+    await expect(workspaceService.write(sink({ react: 'linked/{ComponentName}{ext}' }), reactOutput()))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(fs.readdirSync(path.join(base, 'outside'))).toEqual([]);
+  });
+
+  test('refuses a dangling symlink', async () => {
+    fs.mkdirSync(path.join(root, 'src'));
+    fs.symlinkSync(path.join(base, 'missing.tsx'), path.join(root, 'src', 'BuyButton.tsx'));
+
+    await expect(workspaceService.write(sink({ react: 'src/{ComponentName}{ext}' }), reactOutput()))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(fs.existsSync(path.join(base, 'missing.tsx'))).toBe(false);
+  });
+
+  test('only overwrites with the baseHash of the diffed file', async () => {
+    const target = sink({ react: '{ComponentName}{ext}' });
+    const filePath = path.join(root, 'BuyButton.tsx');
+    fs.writeFileSync(filePath, 'export const Buy = () => null;\n');
+
+    const conflict = await workspaceService.write(target, reactOutput());
+    expect(conflict.status).toBe('conflict');
+    expect(conflict.diff).toContain('-export const Buy = () => null;');
+    expect(conflict.diff).toContain(`+${REACT_CODE}`);
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('export const Buy = () => null;\n');
+
+    const stale = await workspaceService.write(target, reactOutput(), {}, { baseHash: 'f'.repeat(64) });
+    expect(stale.status).toBe('conflict');
+
+    const overwritten = await workspaceService.write(target, reactOutput(), {}, { baseHash: conflict.baseHash });
+    expect(overwritten.status).toBe('overwritten');
+    expect(fs.readFileSync(filePath, 'utf8')).toBe(`${REACT_CODE}\n`);
+
+    const unchanged = await workspaceService.write(target, reactOutput());
+    expect(unchanged).toMatchObject({ status: 'unchanged', baseHash: overwritten.baseHash });
+  });
+
+  test('previews without writing on a dry run', async () => {
+    const result = await workspaceService.write(sink({ react: '{ComponentName}{ext}' }), reactOutput(), {}, { dryRun: true });
+
+    expect(result.status).toBe('preview');
+    expect(result.diff).toBe(`--- /dev/null\n+++ b/BuyButton.tsx\n@@ -0,0 +1,1 @@\n+${REACT_CODE}\n`);
+    expect(fs.existsSync(path.join(root, 'BuyButton.tsx'))).toBe(false);
+  });
+});
+
+describe('createDiff', () => {
+  const lines = count => Array.from({ length: count }, (_, index) => `line ${index + 1}\n`).join('');
+
+  test('returns no diff for equal content', () => {
+    expect(workspaceService.createDiff('a\n', 'a\n', 'file.txt')).toBe('');
+  });
+
+  test('keeps three lines of context and splits distant changes into hunks', () => {
+    const before = lines(20);
+    const after = before.replace('line 2\n', 'line two\n').replace('line 18\n', 'line eighteen\n');
+
+    expect(workspaceService.createDiff(before, after, 'file.txt')).toBe([
+      '--- a/file.txt',
+      '+++ b/file.txt',
+      '@@ -1,5 +1,5 @@',
+      ' line 1',
+      '-line 2',
+      '+line two',
+      ' line 3',
+      ' line 4',
+      ' line 5',
+      '@@ -15,6 +15,6 @@',
+      ' line 15',
+      ' line 16',
+      ' line 17',
+      '-line 18',
+      '+line eighteen',
+      ' line 19',
+      ' line 20',
+      ''
+    ].join('\n'));
+  });
+
+  test('merges changes whose context overlaps', () => {
+    const before = lines(10);
+    const after = before.replace('line 3\n', '').replace('line 7\n', 'line 7\nline 7.5\n');
+
+    expect(workspaceService.createDiff(before, after, 'file.txt').split('\n').filter(line => line.startsWith('@@')))
+      .toEqual(['@@ -1,10 +1,10 @@']);
+  });
+
+  test('marks a missing final newline', () => {
+    expect(workspaceService.createDiff('a\n', 'a', 'file.txt')).toBe([
+      '--- a/file.txt',
+      '+++ b/file.txt',
+      '@@ -1,1 +1,1 @@',
+      '-a',
+      '+a',
+      '\\ No newline at end of file',
+      ''
+    ].join('\n'));
+  });
+});
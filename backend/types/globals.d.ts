@@ -0,0 +1,22 @@
+// Loose declarations for everything the React and Playwright stubs do not
+// model: other packages resolve to any, and the globals of the other test
+// runners exist so their specs can still be checked for their own mistakes.
+
+declare module '*';
+
+declare const describe: any;
+declare const context: any;
+declare const it: any;
+declare const before: any;
+declare const after: any;
+declare const beforeEach: any;
+declare const afterEach: any;
+declare const beforeAll: any;
+declare const afterAll: any;
+declare const expect: any;
+declare const jest: any;
+declare const cy: any;
+declare const Cypress: any;
+declare const browser: any;
+declare const $: any;
+declare const $$: any;
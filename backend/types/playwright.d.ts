@@ -0,0 +1,294 @@
+// Stub Playwright Test types for checking generated specs in-process. The
+// page, locator and assertion APIs the generators and models use are named
+// so a misspelt method fails the check; arguments are loosely typed.
+
+declare module '@playwright/test' {
+  type AriaRole = string;
+
+  interface LocatorOptions {
+    has?: Locator;
+    hasNot?: Locator;
+    hasText?: string | RegExp;
+    hasNotText?: string | RegExp;
+  }
+
+  interface ByRoleOptions {
+    name?: string | RegExp;
+    exact?: boolean;
+    checked?: boolean;
+    disabled?: boolean;
+    expanded?: boolean;
+    includeHidden?: boolean;
+    level?: number;
+    pressed?: boolean;
+    selected?: boolean;
+  }
+
+  interface Locators {
+    locator(selector: string | Locator, options?: LocatorOptions): Locator;
+    getByRole(role: AriaRole, options?: ByRoleOptions): Locator;
+    getByText(text: string | RegExp, options?: { exact?: boolean }): Locator;
+    getByLabel(text: string | RegExp, options?: { exact?: boolean }): Locator;
+    getByPlaceholder(text: string | RegExp, options?: { exact?: boolean }): Locator;
+    getByAltText(text: string | RegExp, options?: { exact?: boolean }): Locator;
+    getByTitle(text: string | RegExp, options?: { exact?: boolean }): Locator;
+    getByTestId(testId: string | RegExp): Locator;
+    frameLocator(selector: string): FrameLocator;
+  }
+
+  interface FrameLocator extends Locators {
+    first(): FrameLocator;
+    last(): FrameLocator;
+    nth(index: number): FrameLocator;
+    owner(): Locator;
+  }
+
+  interface Locator extends Locators {
+    first(): Locator;
+    last(): Locator;
+    nth(index: number): Locator;
+    filter(options?: LocatorOptions & { visible?: boolean }): Locator;
+    and(locator: Locator): Locator;
+    or(locator: Locator): Locator;
+    contentFrame(): FrameLocator;
+    page(): Page;
+    all(): Promise<Locator[]>;
+    count(): Promise<number>;
+    click(options?: object): Promise<void>;
+    dblclick(options?: object): Promise<void>;
+    tap(options?: object): Promise<void>;
+    hover(options?: object): Promise<void>;
+    focus(options?: object): Promise<void>;
+    blur(options?: object): Promise<void>;
+    fill(value: string, options?: object): Promise<void>;
+    clear(options?: object): Promise<void>;
+    type(text: string, options?: object): Promise<void>;
+    pressSequentially(text: string, options?: object): Promise<void>;
+    press(key: string, options?: object): Promise<void>;
+    check(options?: object): Promise<void>;
+    uncheck(options?: object): Promise<void>;
+    setChecked(checked: boolean, options?: object): Promise<void>;
+    selectOption(values: string | string[] | { value?: string; label?: string; index?: number } | null, options?: object): Promise<string[]>;
+    selectText(options?: object): Promise<void>;
+    setInputFiles(files: string | string[] | object, options?: object): Promise<void>;
+    dragTo(target: Locator, options?: object): Promise<void>;
+    scrollIntoViewIfNeeded(options?: object): Promise<void>;
+    dispatchEvent(type: string, eventInit?: object, options?: object): Promise<void>;
+    waitFor(options?: { state?: 'attached' | 'detached' | 'visible' | 'hidden'; timeout?: number }): Promise<void>;
+    evaluate<R>(fn: (element: any, arg?: any) => R | Promise<R>, arg?: any): Promise<R>;
+    evaluateAll<R>(fn: (elements: any[], arg?: any) => R | Promise<R>, arg?: any): Promise<R>;
+    getAttribute(name: string, options?: object): Promise<string | null>;
+    textContent(options?: object): Promise<string | null>;
+    innerText(options?: object): Promise<string>;
+    innerHTML(options?: object): Promise<string>;
+    inputValue(options?: object): Promise<string>;
+    allTextContents(): Promise<string[]>;
+    allInnerTexts(): Promise<string[]>;
+    boundingBox(options?: object): Promise<{ x: number; y: number; width: number; height: number } | null>;
+    screenshot(options?: object): Promise<Uint8Array>;
+    isVisible(options?: object): Promise<boolean>;
+    isHidden(options?: object): Promise<boolean>;
+    isEnabled(options?: object): Promise<boolean>;
+    isDisabled(options?: object): Promise<boolean>;
+    isEditable(options?: object): Promise<boolean>;
+    isChecked(options?: object): Promise<boolean>;
+    ariaSnapshot(options?: object): Promise<string>;
+  }
+
+  interface Keyboard {
+    press(key: string, options?: object): Promise<void>;
+    down(key: string): Promise<void>;
+    up(key: string): Promise<void>;
+    type(text: string, options?: object): Promise<void>;
+    insertText(text: string): Promise<void>;
+  }
+
+  interface Mouse {
+    click(x: number, y: number, options?: object): Promise<void>;
+    dblclick(x: number, y: number, options?: object): Promise<void>;
+    move(x: number, y: number, options?: object): Promise<void>;
+    down(options?: object): Promise<void>;
+    up(options?: object): Promise<void>;
+    wheel(deltaX: number, deltaY: number): Promise<void>;
+  }
+
+  interface Response {
+    ok(): boolean;
+    status(): number;
+    url(): string;
+    json(): Promise<any>;
+    text(): Promise<string>;
+  }
+
+  interface BrowserContext {
+    newPage(): Promise<Page>;
+    pages(): Page[];
+    cookies(urls?: string | string[]): Promise<object[]>;
+    addCookies(cookies: object[]): Promise<void>;
+    clearCookies(): Promise<void>;
+    grantPermissions(permissions: string[], options?: object): Promise<void>;
+    route(url: string | RegExp, handler: (route: any) => any): Promise<void>;
+    close(): Promise<void>;
+  }
+
+  interface Page extends Locators {
+    goto(url: string, options?: object): Promise<Response | null>;
+    reload(options?: object): Promise<Response | null>;
+    goBack(options?: object): Promise<Response | null>;
+    goForward(options?: object): Promise<Response | null>;
+    url(): string;
+    title(): Promise<string>;
+    content(): Promise<string>;
+    context(): BrowserContext;
+    setContent(html: string, options?: object): Promise<void>;
+    setViewportSize(size: { width: number; height: number }): Promise<void>;
+    viewportSize(): { width: number; height: number } | null;
+    waitForLoadState(state?: 'load' | 'domcontentloaded' | 'networkidle', options?: object): Promise<void>;
+    waitForURL(url: string | RegExp | ((url: URL) => boolean), options?: object): Promise<void>;
+    waitForSelector(selector: string, options?: object): Promise<any>;
+    waitForTimeout(timeout: number): Promise<void>;
+    waitForResponse(url: string | RegExp | ((response: Response) => boolean), options?: object): Promise<Response>;
+    waitForEvent(event: string, options?: object): Promise<any>;
+    evaluate<R>(fn: string | ((arg?: any) => R | Promise<R>), arg?: any): Promise<R>;
+    addInitScript(script: string | Function | object, arg?: any): Promise<void>;
+    addStyleTag(options: object): Promise<any>;
+    route(url: string | RegExp, handler: (route: any) => any): Promise<void>;
+    screenshot(options?: object): Promise<Uint8Array>;
+    emulateMedia(options?: object): Promise<void>;
+    on(event: string, listener: (...args: any[]) => void): Page;
+    click(selector: string, options?: object): Promise<void>;
+    fill(selector: string, value: string, options?: object): Promise<void>;
+    close(options?: object): Promise<void>;
+    keyboard: Keyboard;
+    mouse: Mouse;
+  }
+
+  interface TestInfo {
+    title: string;
+    project: { name: string };
+    attach(name: string, options: object): Promise<void>;
+  }
+
+  interface Fixtures {
+    page: Page;
+    context: BrowserContext;
+    browserName: 'chromium' | 'firefox' | 'webkit';
+    baseURL: string | undefined;
+    request: any;
+  }
+
+  type TestBody = (fixtures: Fixtures, testInfo: TestInfo) => Promise<void> | void;
+  type Hook = (fixtures: Fixtures, testInfo: TestInfo) => Promise<void> | void;
+
+  interface TestType {
+    (title: string, body: TestBody): void;
+    (title: string, details: object, body: TestBody): void;
+    only: TestType;
+    skip: TestType & ((condition?: boolean, description?: string) => void);
+    fixme: TestType & ((condition?: boolean, description?: string) => void);
+    fail: TestType & ((condition?: boolean, description?: string) => void);
+    slow(condition?: boolean, description?: string): void;
+    describe: {
+      (title: string, body: () => void): void;
+      only(title: string, body: () => void): void;
+      skip(title: string, body: () => void): void;
+      serial(title: string, body: () => void): void;
+      parallel(title: string, body: () => void): void;
+      configure(options: object): void;
+    };
+    beforeEach(body: Hook): void;
+    beforeEach(title: string, body: Hook): void;
+    afterEach(body: Hook): void;
+    afterEach(title: string, body: Hook): void;
+    beforeAll(body: Hook): void;
+    afterAll(body: Hook): void;
+    use(options: object): void;
+    step<T>(title: string, body: () => Promise<T> | T, options?: object): Promise<T>;
+    setTimeout(timeout: number): void;
+    info(): TestInfo;
+    extend<T>(fixtures: object): TestType;
+  }
+
+  interface Matchers<R> {
+    not: Matchers<R>;
+    resolves: Matchers<R>;
+    rejects: Matchers<R>;
+    toBe(expected: unknown): R;
+    toEqual(expected: unknown): R;
+    toStrictEqual(expected: unknown): R;
+    toBeTruthy(): R;
+    toBeFalsy(): R;
+    toBeDefined(): R;
+    toBeUndefined(): R;
+    toBeNull(): R;
+    toBeNaN(): R;
+    toBeGreaterThan(expected: number | bigint): R;
+    toBeGreaterThanOrEqual(expected: number | bigint): R;
+    toBeLessThan(expected: number | bigint): R;
+    toBeLessThanOrEqual(expected: number | bigint): R;
+    toBeCloseTo(expected: number, digits?: number): R;
+    toBeInstanceOf(expected: Function): R;
+    toContain(expected: unknown): R;
+    toContainEqual(expected: unknown): R;
+    toHaveLength(expected: number): R;
+    toHaveProperty(path: string | string[], value?: unknown): R;
+    toMatch(expected: string | RegExp): R;
+    toMatchObject(expected: object): R;
+    toThrow(expected?: unknown): R;
+    toBeAttached(options?: object): Promise<void>;
+    toBeChecked(options?: object): Promise<void>;
+    toBeDisabled(options?: object): Promise<void>;
+    toBeEditable(options?: object): Promise<void>;
+    toBeEmpty(options?: object): Promise<void>;
+    toBeEnabled(options?: object): Promise<void>;
+    toBeFocused(options?: object): Promise<void>;
+    toBeHidden(options?: object): Promise<void>;
+    toBeInViewport(options?: object): Promise<void>;
+    toBeVisible(options?: object): Promise<void>;
+    toContainText(expected: string | RegExp | Array<string | RegExp>, options?: object): Promise<void>;
+    toHaveAccessibleDescription(expected: string | RegExp, options?: object): Promise<void>;
+    toHaveAccessibleName(expected: string | RegExp, options?: object): Promise<void>;
+    toHaveAttribute(name: string, value?: string | RegExp, options?: object): Promise<void>;
+    toHaveClass(expected: string | RegExp | Array<string | RegExp>, options?: object): Promise<void>;
+    toHaveCount(count: number, options?: object): Promise<void>;
+    toHaveCSS(name: string, value: string | RegExp, options?: object): Promise<void>;
+    toHaveId(id: string | RegExp, options?: object): Promise<void>;
+    toHaveJSProperty(name: string, value: unknown, options?: object): Promise<void>;
+    toHaveRole(role: AriaRole, options?: object): Promise<void>;
+    toHaveScreenshot(nameOrOptions?: string | string[] | object, options?: object): Promise<void>;
+    toHaveText(expected: string | RegExp | Array<string | RegExp>, options?: object): Promise<void>;
+    toHaveTitle(expected: string | RegExp, options?: object): Promise<void>;
+    toHaveURL(expected: string | RegExp, options?: object): Promise<void>;
+    toHaveValue(value: string | RegExp, options?: object): Promise<void>;
+    toHaveValues(values: Array<string | RegExp>, options?: object): Promise<void>;
+    toMatchAriaSnapshot(expected: string, options?: object): Promise<void>;
+    toPass(options?: object): Promise<void>;
+  }
+
+  interface Expect {
+    <T>(actual: T, messageOrOptions?: string | object): Matchers<any>;
+    soft<T>(actual: T, messageOrOptions?: string | object): Matchers<any>;
+    poll<T>(actual: () => T | Promise<T>, options?: object): Matchers<Promise<void>>;
+    configure(options: object): Expect;
+    extend(matchers: object): Expect;
+  }
+
+  export const test: TestType;
+  export const expect: Expect;
+  export function defineConfig(config: object): object;
+  export const devices: { [name: string]: object };
+  export type { Page, Locator, FrameLocator, BrowserContext, TestInfo, Response };
+}
+
+declare module '@axe-core/playwright' {
+  export default class AxeBuilder {
+    constructor(options: { page: import('@playwright/test').Page });
+    include(selector: string | string[]): this;
+    exclude(selector: string | string[]): this;
+    withTags(tags: string | string[]): this;
+    withRules(rules: string | string[]): this;
+    disableRules(rules: string | string[]): this;
+    options(options: object): this;
+    analyze(): Promise<{ violations: Array<{ id: string; impact?: string | null; description: string; nodes: unknown[] }>; passes: unknown[]; incomplete: unknown[] }>;
+  }
+}
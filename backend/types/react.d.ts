@@ -0,0 +1,157 @@
+// Stub React types for checking generated components in-process. Hooks,
+// component and event types are modelled; element props are left open so
+// the check catches mistakes in the generated code, not gaps in this file.
+
+declare namespace React {
+  type Key = string | number | bigint;
+  type ReactNode = ReactElement | string | number | bigint | boolean | null | undefined | Iterable<ReactNode>;
+
+  interface ReactElement<P = any> {
+    type: any;
+    props: P;
+    key: string | null;
+  }
+
+  type JSXElementConstructor<P> = (props: P) => ReactNode;
+  type ElementType<P = any> = string | JSXElementConstructor<P>;
+  type FC<P = {}> = (props: P) => ReactNode;
+  type FunctionComponent<P = {}> = FC<P>;
+  type PropsWithChildren<P = unknown> = P & { children?: ReactNode };
+
+  type SetStateAction<S> = S | ((previous: S) => S);
+  type Dispatch<A> = (value: A) => void;
+  type DependencyList = readonly unknown[];
+  type EffectCallback = () => void | (() => void);
+
+  interface RefObject<T> { current: T }
+  interface MutableRefObject<T> { current: T }
+  type RefCallback<T> = (instance: T | null) => void;
+  type Ref<T> = RefCallback<T> | RefObject<T | null> | null;
+  type ForwardedRef<T> = ((instance: T | null) => void) | MutableRefObject<T | null> | null;
+
+  interface Context<T> {
+    Provider: FC<{ value: T; children?: ReactNode }>;
+    Consumer: FC<{ children: (value: T) => ReactNode }>;
+  }
+
+  type CSSProperties = { [property: string]: string | number | undefined };
+
+  interface SyntheticEvent<T = Element, E = Event> {
+    currentTarget: T;
+    target: EventTarget & T;
+    nativeEvent: E;
+    type: string;
+    defaultPrevented: boolean;
+    preventDefault(): void;
+    stopPropagation(): void;
+    isDefaultPrevented(): boolean;
+    isPropagationStopped(): boolean;
+  }
+  interface UIEvent<T = Element, E = Event> extends SyntheticEvent<T, E> { detail: number }
+  interface MouseEvent<T = Element, E = globalThis.MouseEvent> extends UIEvent<T, E> {
+    altKey: boolean; ctrlKey: boolean; metaKey: boolean; shiftKey: boolean;
+    button: number; buttons: number; clientX: number; clientY: number; pageX: number; pageY: number;
+  }
+  interface PointerEvent<T = Element> extends MouseEvent<T, globalThis.PointerEvent> { pointerId: number; pointerType: string }
+  interface KeyboardEvent<T = Element> extends UIEvent<T, globalThis.KeyboardEvent> {
+    key: string; code: string; altKey: boolean; ctrlKey: boolean; metaKey: boolean; shiftKey: boolean; repeat: boolean;
+  }
+  interface FocusEvent<T = Element> extends UIEvent<T, globalThis.FocusEvent> { relatedTarget: EventTarget | null }
+  interface ChangeEvent<T = Element> extends SyntheticEvent<T> { target: EventTarget & T }
+  interface FormEvent<T = Element> extends SyntheticEvent<T> {}
+  interface DragEvent<T = Element> extends MouseEvent<T, globalThis.DragEvent> { dataTransfer: DataTransfer }
+  interface TouchEvent<T = Element> extends UIEvent<T, globalThis.TouchEvent> {}
+  interface WheelEvent<T = Element> extends MouseEvent<T, globalThis.WheelEvent> { deltaX: number; deltaY: number }
+
+  type EventHandler<E> = (event: E) => void;
+  type MouseEventHandler<T = Element> = EventHandler<MouseEvent<T>>;
+  type KeyboardEventHandler<T = Element> = EventHandler<KeyboardEvent<T>>;
+  type FocusEventHandler<T = Element> = EventHandler<FocusEvent<T>>;
+  type ChangeEventHandler<T = Element> = EventHandler<ChangeEvent<T>>;
+  type FormEventHandler<T = Element> = EventHandler<FormEvent<T>>;
+
+  interface HTMLAttributes<T = Element> {
+    children?: ReactNode;
+    className?: string;
+    style?: CSSProperties;
+    id?: string;
+    role?: string;
+    tabIndex?: number;
+    title?: string;
+    hidden?: boolean;
+    onClick?: MouseEventHandler<T>;
+    onKeyDown?: KeyboardEventHandler<T>;
+    onKeyUp?: KeyboardEventHandler<T>;
+    onFocus?: FocusEventHandler<T>;
+    onBlur?: FocusEventHandler<T>;
+    onChange?: FormEventHandler<T>;
+    onSubmit?: FormEventHandler<T>;
+    onMouseEnter?: MouseEventHandler<T>;
+    onMouseLeave?: MouseEventHandler<T>;
+    [attribute: string]: any;
+  }
+  interface AllHTMLAttributes<T = Element> extends HTMLAttributes<T> {}
+  interface ButtonHTMLAttributes<T = HTMLButtonElement> extends HTMLAttributes<T> {
+    type?: 'submit' | 'reset' | 'button';
+    disabled?: boolean;
+  }
+  interface InputHTMLAttributes<T = HTMLInputElement> extends HTMLAttributes<T> {
+    onChange?: ChangeEventHandler<T>;
+    value?: string | number | readonly string[];
+  }
+  interface AnchorHTMLAttributes<T = HTMLAnchorElement> extends HTMLAttributes<T> { href?: string }
+  interface ImgHTMLAttributes<T = HTMLImageElement> extends HTMLAttributes<T> { src?: string; alt?: string }
+  interface SVGProps<T = SVGElement> extends HTMLAttributes<T> {}
+
+  type ComponentProps<T> = T extends JSXElementConstructor<infer P> ? P : HTMLAttributes<any>;
+  type ComponentPropsWithoutRef<T> = ComponentProps<T>;
+  type ComponentPropsWithRef<T> = ComponentProps<T> & { ref?: Ref<any> };
+  type HTMLProps<T> = AllHTMLAttributes<T>;
+
+  function useState<S>(initial: S | (() => S)): [S, Dispatch<SetStateAction<S>>];
+  function useState<S = undefined>(): [S | undefined, Dispatch<SetStateAction<S | undefined>>];
+  function useReducer<S, A>(reducer: (state: S, action: A) => S, initial: S): [S, Dispatch<A>];
+  function useEffect(effect: EffectCallback, deps?: DependencyList): void;
+  function useLayoutEffect(effect: EffectCallback, deps?: DependencyList): void;
+  function useRef<T>(initial: T): MutableRefObject<T>;
+  function useRef<T>(initial: T | null): RefObject<T | null>;
+  function useRef<T = undefined>(): MutableRefObject<T | undefined>;
+  function useMemo<T>(factory: () => T, deps: DependencyList): T;
+  function useCallback<T extends (...args: any[]) => any>(callback: T, deps: DependencyList): T;
+  function useContext<T>(context: Context<T>): T;
+  function useId(): string;
+  function useImperativeHandle<T>(ref: Ref<T> | undefined, init: () => T, deps?: DependencyList): void;
+  function createContext<T>(defaultValue: T): Context<T>;
+  function forwardRef<T, P = {}>(render: (props: P, ref: ForwardedRef<T>) => ReactNode): FC<P & { ref?: Ref<T> }>;
+  function memo<P>(component: FC<P>): FC<P>;
+  function createElement(type: any, props?: any, ...children: ReactNode[]): ReactElement;
+  function cloneElement(element: ReactElement, props?: any, ...children: ReactNode[]): ReactElement;
+  function isValidElement(value: unknown): value is ReactElement;
+
+  const Fragment: FC<{ children?: ReactNode }>;
+  const StrictMode: FC<{ children?: ReactNode }>;
+  const Children: {
+    map<T>(children: ReactNode, fn: (child: ReactNode, index: number) => T): T[];
+    forEach(children: ReactNode, fn: (child: ReactNode, index: number) => void): void;
+    count(children: ReactNode): number;
+    toArray(children: ReactNode): ReactNode[];
+    only(children: ReactNode): ReactElement;
+  };
+}
+
+declare module 'react' {
+  export = React;
+}
+
+declare module 'react/jsx-runtime' {
+  export namespace JSX {
+    type Element = React.ReactElement;
+    type ElementType = string | ((props: any) => React.ReactNode);
+    interface ElementChildrenAttribute { children: {} }
+    interface IntrinsicAttributes { key?: React.Key | null }
+    interface IntrinsicElements { [element: string]: any }
+  }
+  export function jsx(type: any, props: any, key?: React.Key): React.ReactElement;
+  export function jsxs(type: any, props: any, key?: React.Key): React.ReactElement;
+  export const Fragment: React.FC<{ children?: React.ReactNode }>;
+}
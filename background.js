@@ -1,10 +1,24 @@
 // FuzePicker Background Script - Service Worker for Manifest V3
+importScripts('shared/tailwind.js', 'shared/html.js', 'shared/react.js', 'shared/figma.js', 'shared/playwright.js', 'shared/test-frameworks.js', 'shared/components.js', 'shared/groups.js');
+
 const API_BASE_URL = 'http://localhost:3001/api'; // Backend API URL
+const USER_ID = 'user_1'; // TODO: Implement proper auth
+
+// Longest side of a stored element screenshot, in pixels
+const MAX_SCREENSHOT_SIZE = 1600;
+
+// The backend queues AI tasks; their output is polled for this long
+const AI_TASK_POLL_INTERVAL = 1000;
+const AI_TASK_POLL_ATTEMPTS = 120;
 
 // Store for current sessions and selections
 let currentSelections = new Map();
 let aiTaskQueue = [];
 
+// Recorded steps are appended one at a time so concurrent messages from a
+// page and its frames cannot overwrite each other
+let recordingWrites = Promise.resolve();
+
 // Handle extension icon click
 chrome.action.onClicked.addListener(async (tab) => {
   try {
@@ -34,6 +48,26 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     case 'saveComment':
       handleSaveComment(request, sendResponse);
       break;
+    case 'getWorkspaceSinks':
+      getWorkspaceSinks().then(sendResponse);
+      break;
+    case 'writeToWorkspace':
+      writeToWorkspace(request).then(sendResponse);
+      break;
+    case 'startRecording':
+      startRecording(request.tabId).then(sendResponse);
+      break;
+    case 'stopRecording':
+      stopRecording(request.tabId).then(sendResponse);
+      break;
+    case 'getRecordingState':
+      getRecording(request.tabId ?? sender.tab?.id).then(recording => {
+        sendResponse({ active: !!recording, steps: recording?.steps.length || 0 });
+      });
+      break;
+    case 'recordStep':
+      appendRecordedStep(sender.tab.id, request.step).then(() => sendResponse({ recorded: true }));
+      break;
     default:
       console.log('Unknown action:', request.action);
   }
@@ -42,33 +76,136 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 });
 
 async function handleElementSelected(request, sender) {
-  const { element, pageUrl } = request;
+  const { elements, pageUrl } = request;
+  const element = elements ? FuzeGroups.buildGroupElement(elements) : request.element;
   const tabId = sender.tab.id;
   
   // Store selection locally
   const selectionId = `${tabId}_${Date.now()}`;
-  currentSelections.set(selectionId, {
+  const selection = {
     id: selectionId,
     element,
+    elements: elements || null,
     pageUrl,
     tabId,
     timestamp: Date.now(),
     comments: [],
-    aiOutputs: {}
-  });
+    aiOutputs: {},
+    screenshot: null
+  };
+  currentSelections.set(selectionId, selection);
+  
+  // The group's own screenshot is shown in the popup; each member's is saved
+  // with it
+  let memberScreenshots = [];
+  try {
+    [selection.screenshot, ...memberScreenshots] = await captureElementScreenshots(sender.tab, sender.frameId, [element, ...(elements || [])]);
+    notifyPopupUpdate();
+  } catch (error) {
+    console.error('Failed to capture element screenshot:', error);
+  }
   
   try {
     // Send to backend API
-    await saveElementToBackend(element, pageUrl);
-    console.log('Element saved to backend');
+    if (elements) {
+      await saveGroupToBackend(elements, pageUrl, memberScreenshots);
+      console.log(`Group of ${elements.length} elements saved to backend`);
+    } else {
+      await saveElementToBackend(element, pageUrl, selection.screenshot);
+      console.log('Element saved to backend');
+    }
   } catch (error) {
     console.error('Failed to save element to backend:', error);
   }
 }
 
+// Capture the visible tab once and crop it to each element, all selected in
+// the frame frameId. Bounding boxes were measured at selection time, so they
+// are shifted by however far the frame has scrolled since, offset by any
+// iframes, and scaled by devicePixelRatio. Elements that cannot be placed
+// get null.
+async function captureElementScreenshots(tab, frameId, elements) {
+  // Boxes inside cross-origin frames cannot be placed on the tab
+  const placeable = element => element.boundingBox && (element.frameOffset || !element.framePath?.length);
+  if (!elements.some(placeable)) {
+    return elements.map(() => null);
+  }
+  
+  const target = { frameId: frameId || 0 };
+  const state = await chrome.tabs.sendMessage(tab.id, { action: 'prepareCapture' }, target);
+  
+  try {
+    // The frame no longer holds the selection
+    if (!state) {
+      return elements.map(() => null);
+    }
+    
+    const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+    
+    return await Promise.all(elements.map(element => {
+      if (!placeable(element)) return null;
+      
+      const { boundingBox, viewport = {}, frameOffset } = element;
+      const rect = {
+        x: boundingBox.left - (state.scrollX - (viewport.scrollX ?? state.scrollX)) + (frameOffset?.x || 0),
+        y: boundingBox.top - (state.scrollY - (viewport.scrollY ?? state.scrollY)) + (frameOffset?.y || 0),
+        width: boundingBox.width,
+        height: boundingBox.height
+      };
+      
+      return cropScreenshot(dataUrl, rect, state.devicePixelRatio || 1);
+    }));
+  } finally {
+    chrome.tabs.sendMessage(tab.id, { action: 'finishCapture' }, target).catch(() => {});
+  }
+}
+
+async function cropScreenshot(dataUrl, rect, devicePixelRatio) {
+  const source = await createImageBitmap(await (await fetch(dataUrl)).blob());
+  
+  // Clip to the captured viewport; parts of the element off screen are lost
+  const sx = Math.max(0, Math.round(rect.x * devicePixelRatio));
+  const sy = Math.max(0, Math.round(rect.y * devicePixelRatio));
+  const sw = Math.min(source.width, Math.round((rect.x + rect.width) * devicePixelRatio)) - sx;
+  const sh = Math.min(source.height, Math.round((rect.y + rect.height) * devicePixelRatio)) - sy;
+  
+  if (sw <= 0 || sh <= 0) {
+    return null;
+  }
+  
+  const scale = Math.min(1, MAX_SCREENSHOT_SIZE / Math.max(sw, sh));
+  const canvas = new OffscreenCanvas(Math.round(sw * scale), Math.round(sh * scale));
+  canvas.getContext('2d').drawImage(source, sx, sy, sw, sh, 0, 0, canvas.width, canvas.height);
+  
+  const blob = await canvas.convertToBlob({ type: 'image/png' });
+  
+  return {
+    dataUrl: await blobToDataUrl(blob),
+    width: canvas.width,
+    height: canvas.height,
+    devicePixelRatio,
+    capturedAt: Date.now()
+  };
+}
+
+// FileReader is not guaranteed in service workers, so encode by hand
+async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${blob.type};base64,${btoa(binary)}`;
+}
+
 async function handleAiTask(request, sender) {
-  const { task, element, pageUrl } = request;
-  const tabId = sender.tab.id;
+  const { task, elements, pageUrl } = request;
+  const element = elements ? FuzeGroups.buildGroupElement(elements) : request.element;
+  // The popup is not a tab, so it sends the tab it belongs to
+  const tabId = sender.tab?.id ?? request.tabId;
+  const framework = task === 'playwright'
+    ? await getTestFramework(request.framework)
+    : task === 'react' ? await getComponentFramework(request.framework) : null;
   
   console.log(`Processing AI task: ${task}`);
   
@@ -77,7 +214,7 @@ async function handleAiTask(request, sender) {
     const taskId = `${tabId}_${task}_${Date.now()}`;
     aiTaskQueue.push({ taskId, task, element, pageUrl, tabId });
     
-    const result = await processAiTask(task, element, pageUrl);
+    const result = await processAiTask(task, element, pageUrl, elements, framework);
     
     // Store result
     const selection = Array.from(currentSelections.values())
@@ -96,21 +233,38 @@ async function handleAiTask(request, sender) {
   }
 }
 
-async function processAiTask(task, element, pageUrl) {
-  const prompt = generateAiPrompt(task, element, pageUrl);
-  
+// The framework the popup sent, otherwise the one it last saved; the
+// page toolbar sends none
+async function getTestFramework(requested) {
+  const { testFramework } = await chrome.storage.local.get('testFramework');
+  const framework = requested || testFramework;
+  return FuzeTestFrameworks.FRAMEWORKS[framework] ? framework : FuzeTestFrameworks.DEFAULT_FRAMEWORK;
+}
+
+// Same for the framework the react task generates components in
+async function getComponentFramework(requested) {
+  const { componentFramework } = await chrome.storage.local.get('componentFramework');
+  const framework = requested || componentFramework;
+  return FuzeComponents.FRAMEWORKS[framework] ? framework : FuzeComponents.DEFAULT_FRAMEWORK;
+}
+
+// The backend writes the prompt from its templates, which carry the
+// recommended locator, frame path, group members and Tailwind theme names
+async function processAiTask(task, element, pageUrl, elements = null, framework = null) {
   try {
     // Call backend API for AI processing
-    const response = await fetch(`${API_BASE_URL}/ai-task`, {
+    const response = await fetch(`${API_BASE_URL}/ai`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify({
+        userId: USER_ID,
         task,
         element,
-        pageUrl,
-        prompt
+        ...(elements && { elements }),
+        ...(framework && { framework }),
+        pageUrl
       })
     });
     
@@ -118,46 +272,118 @@ async function processAiTask(task, element, pageUrl) {
       throw new Error(`API call failed: ${response.status}`);
     }
     
-    const result = await response.json();
-    return result;
+    const { taskId } = await response.json();
+    const aiOutput = await waitForAiOutput(taskId);
+    // The output ID lets the popup write the result to a workspace
+    return { task, output: aiOutput.output.content, outputId: aiOutput._id };
     
   } catch (error) {
     console.error('API call failed, using fallback:', error);
-    return getFallbackAiResponse(task, element);
+    return getFallbackAiResponse(task, element, pageUrl, framework);
   }
 }
 
-function generateAiPrompt(task, element, pageUrl) {
-  const baseInfo = `
-    Element: ${element.tag}
-    Classes: ${element.classes.join(', ')}
-    Text: ${element.text}
-    Page: ${pageUrl}
-    Styles: ${JSON.stringify(element.styles, null, 2)}
-  `;
-  
-  switch (task) {
-    case 'discuss':
-      return `Analyze this DOM element for design, accessibility, structure, and usability. Suggest improvements or ask questions for team feedback.\n\n${baseInfo}`;
+async function waitForAiOutput(taskId) {
+  for (let attempt = 0; attempt < AI_TASK_POLL_ATTEMPTS; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, AI_TASK_POLL_INTERVAL));
     
-    case 'figma':
-      return `Convert this DOM element and its styles into a Figma-compatible JSON structure using auto layout, text layers, fills, and borders.\n\n${baseInfo}`;
+    const response = await fetch(`${API_BASE_URL}/ai/${taskId}`);
+    if (!response.ok) {
+      throw new Error(`API call failed: ${response.status}`);
+    }
     
-    case 'playwright':
-      return `Generate a Playwright test for this DOM element. Include visibility check, interaction, and accessibility check.\n\n${baseInfo}`;
+    const { aiOutput } = await response.json();
+    if (aiOutput.processing.status === 'completed') return aiOutput;
+    if (aiOutput.processing.status === 'failed') {
+      throw new Error(aiOutput.processing.error?.message || `AI task ${taskId} failed`);
+    }
+  }
+  
+  throw new Error(`AI task ${taskId} did not finish in time`);
+}
+
+async function getWorkspaceSinks() {
+  try {
+    const response = await fetch(`${API_BASE_URL}/workspaces`);
+    if (!response.ok) {
+      throw new Error(`API call failed: ${response.status}`);
+    }
     
-    case 'react':
-      return `Generate a functional React component that visually replicates this DOM element. Use Tailwind CSS for styling.\n\n${baseInfo}`;
+    const { sinks } = await response.json();
+    return { sinks };
+  } catch (error) {
+    console.error('Failed to load workspace sinks:', error);
+    return { sinks: [] };
+  }
+}
+
+// Write an AI output to a workspace sink. A 409 comes back as a conflict
+// with the diff and baseHash to resend once the user has reviewed it.
+async function writeToWorkspace({ sink, outputId, baseHash }) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/workspaces/${encodeURIComponent(sink)}/write`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ outputId, ...(baseHash && { baseHash }) })
+    });
     
-    default:
-      return `Analyze this DOM element:\n\n${baseInfo}`;
+    const result = await response.json();
+    if (response.status === 409) {
+      return { success: false, conflict: true, ...result };
+    }
+    return { success: response.ok, ...result };
+  } catch (error) {
+    console.error('Failed to write to workspace:', error);
+    return { success: false, message: error.message };
   }
 }
 
-function getFallbackAiResponse(task, element) {
-  // Fallback responses when API is not available
+// Component set with one variant per captured interaction state
+function formatFigmaVariants(element) {
+  const states = Object.entries(element.states || {})
+    .filter(([state]) => state !== 'before' && state !== 'after');
+  
+  if (states.length === 0) return '';
+  
+  const componentSet = {
+    type: 'COMPONENT_SET',
+    name: `${element.tag.toUpperCase()}_Component`,
+    children: [
+      { type: 'COMPONENT', name: 'State=Default', overrides: {} },
+      ...states.map(([state, styles]) => ({
+        type: 'COMPONENT',
+        name: `State=${state.charAt(0).toUpperCase()}${state.slice(1)}`,
+        overrides: styles
+      }))
+    ]
+  };
+  
+  return `
+**Component Variants:**
+
+\`\`\`json
+${JSON.stringify(componentSet, null, 2)}
+\`\`\`
+`;
+}
+
+// CSS the Figma conversion could not express, for the designer to redo by hand
+function formatUnmappedFigma(unmapped) {
+  if (unmapped.length === 0) return '';
+  
+  return `
+**Not Mapped:**
+${unmapped.map(({ layer, property, value }) => `- ${layer}: \`${property}: ${value}\``).join('\n')}
+`;
+}
+
+function getFallbackAiResponse(task, element, pageUrl, framework = null) {
+  // Fallback responses when API is not available. Only the requested task's
+  // generator runs, so one that throws cannot break the others.
   const responses = {
-    discuss: {
+    discuss: () => ({
       task: 'discuss',
       output: `**Element Analysis: ${element.tag}**
 
@@ -176,157 +402,81 @@ function getFallbackAiResponse(task, element) {
 - Does this element align with the design system?
 - Are there any specific interaction requirements?
 - Should this component be reusable across other pages?`
-    },
+    }),
     
-    figma: {
-      task: 'figma',
-      output: `**Figma Component Structure:**
+    figma: () => {
+      const figmaNode = FuzeFigma.toFigmaNode(element);
+      
+      return {
+        task: 'figma',
+        output: `**Figma Component Structure:**
 
 \`\`\`json
-{
-  "type": "FRAME",
-  "name": "${element.tag.toUpperCase()}_Component",
-  "fills": [{"type": "SOLID", "color": {"r": 1, "g": 1, "b": 1}}],
-  "children": [
-    {
-      "type": "TEXT",
-      "name": "Text_Layer",
-      "characters": "${element.text}",
-      "style": {
-        "fontSize": ${element.styles.fontSize || "16"},
-        "fontFamily": "${element.styles.fontFamily || 'Inter'}",
-        "fontWeight": ${element.styles.fontWeight || "400"}
-      }
-    }
-  ],
-  "layoutMode": "VERTICAL",
-  "primaryAxisSizingMode": "AUTO",
-  "counterAxisSizingMode": "AUTO"
-}
+${JSON.stringify(figmaNode.node, null, 2)}
 \`\`\`
-
+${formatFigmaVariants(element)}${formatUnmappedFigma(figmaNode.unmapped)}
 **Implementation Notes:**
-- Convert CSS styles to Figma properties
-- Use Auto Layout for responsive behavior
+- Colors are 0-1 RGBA and positions are relative to the parent layer
+- Auto Layout direction, spacing and padding are inferred from the flex/grid styles and child boxes
 - Apply component variants for different states`
+      };
     },
     
-    playwright: {
-      task: 'playwright',
-      output: `**Playwright Test:**
+    playwright: () => {
+      const test = FuzeTestFrameworks.generateTest(framework, element, pageUrl);
+      const testFramework = FuzeTestFrameworks.FRAMEWORKS[test.framework];
+      
+      return {
+        task: 'playwright',
+        output: `**${testFramework.label} Test (${test.fileName}):**
 
-\`\`\`typescript
-import { test, expect } from '@playwright/test';
-
-test('${element.tag} element interactions', async ({ page }) => {
-  await page.goto('${pageUrl}');
-  
-  // Locate element
-  const element = page.locator('${element.selector}');
-  
-  // Visibility check
-  await expect(element).toBeVisible();
-  
-  // Text content check
-  ${element.text ? `await expect(element).toContainText('${element.text}');` : '// No text content to verify'}
-  
-  // Accessibility check
-  await expect(element).toBeAttached();
-  
-  // Interaction test (if applicable)
-  ${element.tag === 'button' || element.tag === 'a' ? `
-  await element.click();
-  // Add assertions for post-click behavior
-  ` : '// No standard interactions for this element type'}
-  
-  // Style verification
-  await expect(element).toHaveCSS('display', '${element.styles.display}');
-});
+\`\`\`${testFramework.language}
+${test.code.trimEnd()}
 \`\`\`
 
-**Additional Test Considerations:**
-- Add responsive design tests
-- Include keyboard navigation tests
-- Test with screen readers
-- Verify loading states if applicable`
+**Scenarios:**
+${test.tests.map(title => `- ${title}`).join('\n')}`
+      };
     },
     
-    react: {
-      task: 'react',
-      output: `**React Component:**
-
-\`\`\`tsx
-import React from 'react';
+    react: () => {
+      const component = FuzeComponents.generateComponent(framework, element);
+      const componentFramework = FuzeComponents.FRAMEWORKS[component.framework];
+      
+      return {
+        task: 'react',
+        output: `**${componentFramework.label} (${component.fileName}):**
 
-interface ${element.tag.charAt(0).toUpperCase() + element.tag.slice(1)}ComponentProps {
-  children?: React.ReactNode;
-  className?: string;
-  ${element.text ? 'text?: string;' : ''}
-}
-
-const ${element.tag.charAt(0).toUpperCase() + element.tag.slice(1)}Component: React.FC<${element.tag.charAt(0).toUpperCase() + element.tag.slice(1)}ComponentProps> = ({
-  children,
-  className = '',
-  ${element.text ? `text = '${element.text}',` : ''}
-  ...props
-}) => {
-  return (
-    <${element.tag}
-      className={\`${element.classes.join(' ')} \${className}\`}
-      {...props}
-    >
-      ${element.text ? '{text}' : '{children}'}
-    </${element.tag}>
-  );
-};
-
-export default ${element.tag.charAt(0).toUpperCase() + element.tag.slice(1)}Component;
+\`\`\`${componentFramework.language}
+${component.code.trimEnd()}
 \`\`\`
 
 **Usage Example:**
-\`\`\`tsx
-<${element.tag.charAt(0).toUpperCase() + element.tag.slice(1)}Component${element.text ? ` text="${element.text}"` : ''} />
+\`\`\`${component.framework === 'react' ? 'tsx' : 'html'}
+${component.usage}
 \`\`\`
-
+${component.framework === 'web-component' ? '' : `
 **Tailwind Classes (equivalent styles):**
-${generateTailwindClasses(element.styles)}`
+${formatTailwindClasses(element)}`}`
+      };
     }
   };
   
-  return responses[task] || { task, output: 'Task not supported in fallback mode.' };
+  return responses[task] ? responses[task]() : { task, output: 'Task not supported in fallback mode.' };
 }
 
-function generateTailwindClasses(styles) {
-  const tailwindMap = {
-    'display: flex': 'flex',
-    'justify-content: center': 'justify-center',
-    'align-items: center': 'items-center',
-    'padding: 8px': 'p-2',
-    'padding: 16px': 'p-4',
-    'margin: 8px': 'm-2',
-    'margin: 16px': 'm-4',
-    'border-radius: 4px': 'rounded',
-    'border-radius: 8px': 'rounded-lg',
-    'background-color: rgb(59, 130, 246)': 'bg-blue-500',
-    'color: rgb(255, 255, 255)': 'text-white',
-    'font-weight: bold': 'font-bold',
-    'font-size: 14px': 'text-sm',
-    'font-size: 16px': 'text-base',
-    'font-size: 18px': 'text-lg'
-  };
-  
-  const suggestions = [];
-  Object.entries(styles).forEach(([prop, value]) => {
-    const cssDeclaration = `${prop}: ${value}`;
-    if (tailwindMap[cssDeclaration]) {
-      suggestions.push(tailwindMap[cssDeclaration]);
-    }
-  });
+// Converted classes plus any captured properties Tailwind has no utility for
+function formatTailwindClasses(element) {
+  const { classes, unmatched } = FuzeTailwind.classesForElement(element);
+  const leftovers = Object.entries(unmatched).map(([prop, value]) => `- ${prop}: ${value}`);
   
-  return suggestions.length > 0 ? suggestions.join(' ') : 'Custom styles needed - see original CSS';
+  return [
+    classes.length > 0 ? `\`${classes.join(' ')}\`` : 'No utilities needed',
+    leftovers.length > 0 ? `\nNot covered by a utility (keep as custom CSS):\n${leftovers.join('\n')}` : ''
+  ].join('');
 }
 
-async function saveElementToBackend(element, pageUrl) {
+async function saveElementToBackend(element, pageUrl, screenshot = null) {
   try {
     const response = await fetch(`${API_BASE_URL}/elements`, {
       method: 'POST',
@@ -334,9 +484,10 @@ async function saveElementToBackend(element, pageUrl) {
         'Content-Type': 'application/json',
       },
       body: JSON.stringify({
-        userId: 'user_1', // TODO: Implement proper auth
+        userId: USER_ID,
         pageUrl,
-        element
+        element,
+        ...(screenshot && { screenshot: toUploadedScreenshot(screenshot) })
       })
     });
     
@@ -351,6 +502,73 @@ async function saveElementToBackend(element, pageUrl) {
   }
 }
 
+// The fields the backend stores for a captured screenshot
+function toUploadedScreenshot(screenshot) {
+  if (!screenshot) return null;
+  
+  return {
+    dataUrl: screenshot.dataUrl,
+    width: screenshot.width,
+    height: screenshot.height,
+    devicePixelRatio: screenshot.devicePixelRatio
+  };
+}
+
+// Screenshots are uploaded one member at a time once the group is stored;
+// sent together they could exceed the backend's request size limit
+async function saveGroupToBackend(elements, pageUrl, screenshots = []) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/elements/group`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        userId: USER_ID,
+        pageUrl,
+        elements
+      })
+    });
+    
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    
+    const result = await response.json();
+    
+    // Members come back in the order they were sent
+    for (const [index, member] of result.elements.entries()) {
+      if (screenshots[index]) {
+        await saveScreenshotToBackend(member._id, screenshots[index]);
+      }
+    }
+    
+    return result;
+  } catch (error) {
+    console.error('Backend group save failed:', error);
+    throw error;
+  }
+}
+
+async function saveScreenshotToBackend(elementId, screenshot) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/elements/${elementId}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ screenshot: toUploadedScreenshot(screenshot) })
+    });
+    
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+  } catch (error) {
+    // The element is stored either way; only its screenshot is missing
+    console.error(`Screenshot upload for element ${elementId} failed:`, error);
+  }
+}
+
 async function handleSaveComment(request, sendResponse) {
   const { elementId, comment } = request;
   
@@ -362,7 +580,7 @@ async function handleSaveComment(request, sendResponse) {
       },
       body: JSON.stringify({
         elementId,
-        userId: 'user_1', // TODO: Implement proper auth
+        userId: USER_ID,
         comment,
         timestamp: Date.now()
       })
@@ -380,6 +598,97 @@ async function handleSaveComment(request, sendResponse) {
   }
 }
 
+// Recordings live in session storage rather than memory: the service
+// worker can be stopped between the page loads of a long flow
+function recordingKey(tabId) {
+  return `recording_${tabId}`;
+}
+
+async function getRecording(tabId) {
+  const key = recordingKey(tabId);
+  return (await chrome.storage.session.get(key))[key] || null;
+}
+
+async function startRecording(tabId) {
+  const tab = await chrome.tabs.get(tabId);
+  const recording = {
+    startUrl: tab.url,
+    startedAt: Date.now(),
+    steps: []
+  };
+  
+  await chrome.storage.session.set({ [recordingKey(tabId)]: recording });
+  await chrome.tabs.sendMessage(tabId, { action: 'setRecording', active: true }).catch(() => {});
+  
+  return { active: true };
+}
+
+function appendRecordedStep(tabId, step) {
+  recordingWrites = recordingWrites.then(async () => {
+    const recording = await getRecording(tabId);
+    if (!recording) return;
+    
+    recording.steps = FuzePlaywright.mergeFlowStep(recording.steps, step);
+    await chrome.storage.session.set({ [recordingKey(tabId)]: recording });
+  }).catch(error => console.error('Failed to record step:', error));
+  
+  return recordingWrites;
+}
+
+// End the recording, generate its test and save it to the backend as a Flow
+async function stopRecording(tabId) {
+  await recordingWrites;
+  const recording = await getRecording(tabId);
+  
+  await chrome.storage.session.remove(recordingKey(tabId));
+  await chrome.tabs.sendMessage(tabId, { action: 'setRecording', active: false }).catch(() => {});
+  
+  if (!recording) {
+    return { active: false, flow: null };
+  }
+  
+  const flow = {
+    name: `Flow on ${new URL(recording.startUrl).host}`,
+    startUrl: recording.startUrl,
+    steps: recording.steps,
+    recordedAt: recording.startedAt
+  };
+  const test = FuzePlaywright.generateFlowTest(flow).code;
+  
+  let flowId = null;
+  try {
+    const saved = await saveFlowToBackend(flow);
+    flowId = saved.flow._id;
+  } catch (error) {
+    console.error('Failed to save flow to backend:', error);
+  }
+  
+  const lastFlow = { flow, test, flowId, savedAt: Date.now() };
+  await chrome.storage.local.set({ lastFlow });
+  notifyPopupUpdate();
+  
+  return { active: false, ...lastFlow };
+}
+
+async function saveFlowToBackend(flow) {
+  const response = await fetch(`${API_BASE_URL}/flows`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      userId: USER_ID,
+      ...flow
+    })
+  });
+  
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  
+  return await response.json();
+}
+
 function openPopup() {
   chrome.action.openPopup();
 }
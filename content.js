@@ -2,8 +2,213 @@
 let isPickerActive = false;
 let highlightedElement = null;
 let selectedElement = null;
+let selectedNode = null;
+let selectionGroup = [];
 let shadowRoot = null;
 let toolbar = null;
+let breadcrumb = null;
+let selectionCommitTimer = null;
+
+// Flow recording: steps go to the background script, which keeps the
+// recording across page loads
+let isRecording = false;
+let recordingIndicator = null;
+let lastRecordedUrl = null;
+let recordingUrlTimer = null;
+const recordedFillTargets = new WeakMap();
+
+// Capture options set from the popup
+let captureSettings = {
+  styleMode: 'basic',
+  subtree: false,
+  subtreeDepth: 3,
+  subtreeMaxNodes: 50
+};
+
+// UA default computed styles per tag, measured once per page
+const defaultStyleCache = new Map();
+
+// Properties captured in basic style mode
+const BASIC_STYLE_PROPERTIES = [
+  'color', 'backgroundColor', 'fontSize', 'fontFamily', 'fontWeight',
+  'padding', 'margin', 'border', 'borderRadius', 'display', 'position',
+  'width', 'height', 'flexDirection', 'justifyContent', 'alignItems'
+];
+
+// Subtree capture limits; the popup's values are clamped to these
+const MAX_SUBTREE_DEPTH = 10;
+const MAX_SUBTREE_NODES = 500;
+const MAX_SUBTREE_TEXT_LENGTH = 200;
+
+// Cap on the :root custom properties recorded with each capture
+const MAX_ROOT_TOKENS = 500;
+
+// Tags that never render content worth describing
+const SUBTREE_SKIPPED_TAGS = new Set(['script', 'style', 'template', 'noscript', 'link', 'meta']);
+
+// Values that say nothing about a node and are dropped from subtree styles
+const EMPTY_STYLE_VALUES = new Set(['', 'none', 'auto', 'normal', '0', '0px', 'rgba(0, 0, 0, 0)', 'static']);
+
+// Alignment properties that only mean something on flex and grid containers
+const CONTAINER_STYLE_PROPERTIES = new Set(['flexDirection', 'justifyContent', 'alignItems']);
+
+// Inherited properties are only kept on a subtree node when they change
+const INHERITED_STYLE_PROPERTIES = new Set([
+  'color', 'fontSize', 'fontFamily', 'fontWeight', 'fontStyle', 'lineHeight',
+  'letterSpacing', 'textAlign', 'textTransform', 'whiteSpace', 'visibility', 'cursor'
+]);
+
+// Interaction states resolved from the page's CSS rules, plus the selector
+// helpers they need; see shared/selectors.js
+const { STATE_PSEUDO_CLASSES, splitSelectorList, splitOutsideParens } = FuzeSelectors;
+
+const PSEUDO_ELEMENTS = ['before', 'after'];
+
+// Properties read from ::before/::after when they render
+const PSEUDO_STYLE_PROPERTIES = [
+  'content', 'display', 'position', 'top', 'right', 'bottom', 'left',
+  'width', 'height', 'color', 'backgroundColor', 'backgroundImage',
+  'border', 'borderRadius', 'fontSize', 'fontWeight', 'opacity',
+  'transform', 'boxShadow'
+];
+
+// Delay before a keyboard-driven selection is persisted, so walking
+// up through several ancestors only stores the element we stop on
+const SELECTION_COMMIT_DELAY = 300;
+
+const SELECTOR_SCORES = {
+  testId: 100,
+  id: 90,
+  ariaLabel: 80,
+  attribute: 70,
+  role: 60,
+  class: 50,
+  tag: 30,
+  structural: 10
+};
+
+const TEST_ID_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-cy', 'data-qa'];
+const SEMANTIC_ATTRIBUTES = ['name', 'placeholder', 'alt', 'title'];
+
+const UNSTABLE_TOKEN_PATTERNS = [
+  /^:r[0-9a-z]*:$/i, // React useId
+  /\d{4,}/, // timestamps and counters
+  /^(css|sc|jsx|emotion|styled|svelte)-[a-z0-9]+$/i, // CSS-in-JS
+  /__(?=[\w-]*[0-9A-Z])[\w-]{5,}$/ // CSS modules: Button_root__a8F3k
+];
+
+// Implicit ARIA roles for native elements (a subset of HTML-AAM)
+const IMPLICIT_ROLES = {
+  article: 'article',
+  aside: 'complementary',
+  button: 'button',
+  datalist: 'listbox',
+  details: 'group',
+  dialog: 'dialog',
+  fieldset: 'group',
+  figure: 'figure',
+  h1: 'heading',
+  h2: 'heading',
+  h3: 'heading',
+  h4: 'heading',
+  h5: 'heading',
+  h6: 'heading',
+  hr: 'separator',
+  li: 'listitem',
+  main: 'main',
+  menu: 'list',
+  meter: 'meter',
+  nav: 'navigation',
+  ol: 'list',
+  optgroup: 'group',
+  option: 'option',
+  output: 'status',
+  progress: 'progressbar',
+  summary: 'button',
+  table: 'table',
+  tbody: 'rowgroup',
+  td: 'cell',
+  textarea: 'textbox',
+  tfoot: 'rowgroup',
+  th: 'columnheader',
+  thead: 'rowgroup',
+  tr: 'row',
+  ul: 'list'
+};
+
+const INPUT_ROLES = {
+  button: 'button',
+  checkbox: 'checkbox',
+  email: 'textbox',
+  image: 'button',
+  number: 'spinbutton',
+  radio: 'radio',
+  range: 'slider',
+  reset: 'button',
+  search: 'searchbox',
+  submit: 'button',
+  tel: 'textbox',
+  text: 'textbox',
+  url: 'textbox'
+};
+
+// Roles whose accessible name may come from their text content
+const NAME_FROM_CONTENT_ROLES = new Set([
+  'button', 'cell', 'checkbox', 'columnheader', 'heading', 'link', 'listitem',
+  'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row',
+  'rowheader', 'switch', 'tab', 'tooltip', 'treeitem'
+]);
+
+const LABELABLE_TAGS = new Set(['input', 'select', 'textarea', 'meter', 'output', 'progress']);
+
+const ARIA_STATE_ATTRIBUTES = [
+  'busy', 'checked', 'current', 'disabled', 'expanded', 'haspopup', 'hidden',
+  'invalid', 'live', 'modal', 'pressed', 'readonly', 'required', 'selected'
+];
+
+// Descendants worth recording in the accessibility snapshot
+const ACCESSIBILITY_DESCENDANT_SELECTOR = [
+  'a[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea', 'img',
+  'svg', '[role]', '[tabindex]', '[aria-label]', '[aria-labelledby]', 'h1, h2, h3, h4, h5, h6'
+].join(', ');
+const MAX_ACCESSIBILITY_DESCENDANTS = 50;
+
+// Names longer than this make brittle getByRole/getByText locators
+const MAX_LOCATOR_NAME_LENGTH = 80;
+
+// Arrow keys walk the DOM relative to the current selection, stepping
+// across open shadow root boundaries
+const TRAVERSAL_KEYS = {
+  ArrowUp: element => getComposedParent(element),
+  ArrowDown: element => element.firstElementChild || element.shadowRoot?.firstElementChild,
+  ArrowLeft: element => element.previousElementSibling,
+  ArrowRight: element => element.nextElementSibling
+};
+
+// How often the top frame looks for client-side navigations while recording
+const RECORDING_URL_POLL_INTERVAL = 500;
+
+// Clicks are recorded on the closest of these, so a click on an icon inside
+// a button replays as a click on the button
+const RECORDED_CLICK_TARGETS = [
+  'a[href]', 'button', 'summary', 'label', 'input', 'select', 'textarea',
+  '[role="button"]', '[role="link"]', '[role="menuitem"]', '[role="menuitemcheckbox"]',
+  '[role="menuitemradio"]', '[role="tab"]', '[role="option"]', '[role="treeitem"]',
+  '[role="checkbox"]', '[role="switch"]', '[role="radio"]', '[contenteditable="true"]', '[onclick]'
+].join(', ');
+
+// Keys recorded without a modifier; typing is recorded as fills instead
+const RECORDED_KEYS = new Set(['Enter', 'Escape', 'Tab', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'PageUp', 'PageDown', 'Home', 'End', ' ']);
+
+// Keys that only move the caret or type while a text field has focus
+const TEXT_EDITING_KEYS = new Set(['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', ' ']);
+
+// Input types that are clicked rather than filled
+const CLICKED_INPUT_TYPES = new Set(['button', 'submit', 'reset', 'image']);
+
+// Inputs whose value is picked rather than typed; recorded as a fill once
+// the change is committed, since fill sets them directly
+const PICKED_INPUT_TYPES = new Set(['range', 'color', 'date', 'time', 'datetime-local', 'month', 'week']);
 
 // Initialize picker when extension is loaded
 initializePicker();
@@ -11,6 +216,13 @@ initializePicker();
 function initializePicker() {
   createShadowDom();
   setupEventListeners();
+  setupRecordingListeners();
+  loadCaptureSettings();
+  
+  // Pick up a recording that was running when this page loaded
+  chrome.runtime.sendMessage({ action: 'getRecordingState' })
+    .then(response => setRecording(!!response?.active))
+    .catch(() => {});
   
   // Listen for messages from popup/background
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -18,7 +230,32 @@ function initializePicker() {
       togglePicker();
       sendResponse({ status: 'toggled', active: isPickerActive });
     } else if (request.action === 'getSelectedElement') {
-      sendResponse({ element: selectedElement });
+      // Every frame receives this and the first answer wins, so only a
+      // frame holding a selection answers
+      if (selectedElement) {
+        sendResponse({ element: selectedElement, elements: getGroupData() });
+      }
+    } else if (request.action === 'prepareCapture') {
+      // Sent to the frame that reported the selection. Keep the highlight
+      // and toolbar out of the screenshot and report the scroll position
+      // once repainted.
+      setOverlayVisible(false);
+      if (!selectedNode) {
+        sendResponse(null);
+        return;
+      }
+      requestAnimationFrame(() => requestAnimationFrame(() => {
+        sendResponse({
+          scrollX: window.scrollX,
+          scrollY: window.scrollY,
+          devicePixelRatio: window.devicePixelRatio
+        });
+      }));
+      return true;
+    } else if (request.action === 'finishCapture') {
+      setOverlayVisible(true);
+    } else if (request.action === 'setRecording') {
+      setRecording(request.active);
     }
   });
 }
@@ -53,6 +290,26 @@ function createShadowDom() {
       transition: all 0.15s ease;
     }
     
+    .fuzepicker-group-highlight {
+      position: absolute;
+      pointer-events: none;
+      border: 2px dashed #8b5cf6;
+      background: rgba(139, 92, 246, 0.08);
+      border-radius: 4px;
+      z-index: 999997;
+    }
+    
+    .fuzepicker-group-count {
+      display: flex;
+      align-items: center;
+      padding: 0 8px;
+      border-radius: 6px;
+      background: #ede9fe;
+      color: #6d28d9;
+      font-weight: 600;
+      white-space: nowrap;
+    }
+    
     .fuzepicker-toolbar {
       position: absolute;
       background: white;
@@ -104,12 +361,92 @@ function createShadowDom() {
       justify-content: center;
       font-size: 12px;
     }
+    
+    .fuzepicker-breadcrumb {
+      position: fixed;
+      left: 12px;
+      bottom: 12px;
+      max-width: calc(100% - 24px);
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 4px;
+      padding: 6px 10px;
+      background: rgba(17, 24, 39, 0.9);
+      color: #e5e7eb;
+      border-radius: 6px;
+      pointer-events: auto;
+      font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+      font-size: 11px;
+      z-index: 999999;
+    }
+    
+    .fuzepicker-crumb {
+      padding: 2px 4px;
+      border: none;
+      border-radius: 3px;
+      background: transparent;
+      color: inherit;
+      font: inherit;
+      cursor: pointer;
+    }
+    
+    .fuzepicker-crumb:hover {
+      background: rgba(59, 130, 246, 0.4);
+    }
+    
+    .fuzepicker-crumb.current {
+      background: #3b82f6;
+      color: white;
+    }
+    
+    .fuzepicker-crumb-separator {
+      color: #6b7280;
+    }
+    
+    .fuzepicker-recording {
+      position: fixed;
+      top: 12px;
+      right: 12px;
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      padding: 6px 10px;
+      background: rgba(17, 24, 39, 0.9);
+      color: #fca5a5;
+      border-radius: 6px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 12px;
+      font-weight: 600;
+      z-index: 999999;
+    }
   `;
   shadowRoot.appendChild(style);
 }
 
+function loadCaptureSettings() {
+  chrome.storage.local.get('captureSettings').then(result => {
+    captureSettings = { ...captureSettings, ...result.captureSettings };
+  });
+  
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.captureSettings) {
+      captureSettings = { ...captureSettings, ...changes.captureSettings.newValue };
+    }
+  });
+}
+
+function setOverlayVisible(visible) {
+  const shadowHost = document.getElementById('fuzepicker-shadow-host');
+  if (shadowHost) {
+    shadowHost.style.visibility = visible ? 'visible' : 'hidden';
+  }
+}
+
 function setupEventListeners() {
-  document.addEventListener('mouseover', handleMouseOver);
+  // mousemove rather than mouseover: moves between nodes of the same shadow
+  // tree never reach the document as mouseover events
+  document.addEventListener('mousemove', handleMouseMove);
   document.addEventListener('mouseout', handleMouseOut);
   document.addEventListener('click', handleClick);
   document.addEventListener('keydown', handleKeyDown);
@@ -120,22 +457,30 @@ function togglePicker() {
   
   if (!isPickerActive) {
     clearHighlight();
+    clearSelectionGroup();
     hideToolbar();
+    hideBreadcrumb();
   }
   
   document.body.style.cursor = isPickerActive ? 'crosshair' : 'default';
 }
 
-function handleMouseOver(event) {
+function handleMouseMove(event) {
   if (!isPickerActive || event.target.closest('#fuzepicker-shadow-host')) return;
   
-  highlightElement(event.target);
+  const target = getDeepTarget(event);
+  if (target !== highlightedElement) {
+    highlightElement(target);
+  }
 }
 
 function handleMouseOut(event) {
   if (!isPickerActive || event.target.closest('#fuzepicker-shadow-host')) return;
   
-  clearHighlight();
+  // Only clear once the pointer leaves the document entirely
+  if (!event.relatedTarget) {
+    clearHighlight();
+  }
 }
 
 function handleClick(event) {
@@ -144,8 +489,38 @@ function handleClick(event) {
   event.preventDefault();
   event.stopPropagation();
   
-  selectElement(event.target);
-  showToolbar(event.target);
+  const target = getDeepTarget(event);
+  
+  if (event.shiftKey) {
+    toggleGroupMember(target);
+  } else {
+    clearSelectionGroup();
+    selectElement(target);
+  }
+  
+  showToolbar(target);
+  showBreadcrumb(target);
+}
+
+// event.target stops at shadow hosts; the composed path reaches into open
+// shadow roots down to the node actually under the pointer
+function getDeepTarget(event) {
+  const node = event.composedPath().find(entry => entry.nodeType === Node.ELEMENT_NODE);
+  return node || event.target;
+}
+
+function getComposedParent(element) {
+  if (element.parentElement) {
+    return element.parentElement;
+  }
+  
+  return getShadowHost(element.getRootNode());
+}
+
+// Checked structurally: frame documents have their own ShadowRoot class,
+// so instanceof fails for nodes from another realm
+function getShadowHost(root) {
+  return root.nodeType === Node.DOCUMENT_FRAGMENT_NODE && root.host ? root.host : null;
 }
 
 function handleKeyDown(event) {
@@ -154,7 +529,40 @@ function handleKeyDown(event) {
       togglePicker();
     }
     hideToolbar();
+    hideBreadcrumb();
+    return;
   }
+  
+  if (!isPickerActive || !selectedNode || !TRAVERSAL_KEYS[event.key]) return;
+  
+  // Let modified arrows (text selection, history navigation) through
+  if (event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return;
+  
+  event.preventDefault();
+  event.stopPropagation();
+  
+  const next = TRAVERSAL_KEYS[event.key](selectedNode);
+  if (isPickableElement(next)) {
+    moveSelection(next);
+  }
+}
+
+function isPickableElement(element) {
+  return !!element &&
+    element !== document.documentElement &&
+    element.id !== 'fuzepicker-shadow-host';
+}
+
+// Move the selection to another node without a click, keeping the
+// highlight, toolbar and breadcrumb in sync
+function moveSelection(element) {
+  clearSelectionGroup();
+  selectElement(element, { defer: true });
+  highlightElement(element);
+  showToolbar(element);
+  showBreadcrumb(element);
+  
+  element.scrollIntoView({ block: 'nearest', inline: 'nearest' });
 }
 
 function highlightElement(element) {
@@ -182,12 +590,35 @@ function clearHighlight() {
   highlightedElement = null;
 }
 
-function selectElement(element) {
+function selectElement(element, { defer = false } = {}) {
+  selectedNode = element;
   selectedElement = extractElementData(element);
   
+  clearTimeout(selectionCommitTimer);
+  selectionCommitTimer = null;
+  
+  if (defer) {
+    selectionCommitTimer = setTimeout(commitSelection, SELECTION_COMMIT_DELAY);
+  } else {
+    commitSelection();
+  }
+}
+
+function flushPendingSelection() {
+  if (selectionCommitTimer) {
+    clearTimeout(selectionCommitTimer);
+    commitSelection();
+  }
+}
+
+function commitSelection() {
+  selectionCommitTimer = null;
+  const elements = getGroupData();
+  
   // Store selection in Chrome storage
   chrome.storage.local.set({
     selectedElement: selectedElement,
+    selectedElements: elements,
     pageUrl: window.location.href,
     timestamp: Date.now()
   });
@@ -196,25 +627,66 @@ function selectElement(element) {
   chrome.runtime.sendMessage({
     action: 'elementSelected',
     element: selectedElement,
+    elements,
     pageUrl: window.location.href
   });
 }
 
-function extractElementData(element) {
-  const rect = element.getBoundingClientRect();
-  const computedStyles = window.getComputedStyle(element);
+// Shift-click adds an element to the selection set, or removes it if it
+// is already a member. The current single selection seeds the set.
+function toggleGroupMember(element) {
+  if (selectionGroup.length === 0 && selectedNode && selectedNode !== element) {
+    selectionGroup.push(selectedNode);
+  }
   
-  // Extract relevant CSS properties
-  const relevantStyles = {};
-  const stylesToCapture = [
-    'color', 'backgroundColor', 'fontSize', 'fontFamily', 'fontWeight',
-    'padding', 'margin', 'border', 'borderRadius', 'display', 'position',
-    'width', 'height', 'flexDirection', 'justifyContent', 'alignItems'
-  ];
+  const index = selectionGroup.indexOf(element);
+  if (index === -1) {
+    // Members must not contain each other, otherwise the group is ambiguous
+    selectionGroup = selectionGroup.filter(member =>
+      !member.contains(element) && !element.contains(member)
+    );
+    selectionGroup.push(element);
+  } else {
+    selectionGroup.splice(index, 1);
+  }
+  
+  const primary = selectionGroup[selectionGroup.length - 1] || element;
+  selectElement(primary);
+  renderGroupHighlights();
+}
+
+function clearSelectionGroup() {
+  selectionGroup = [];
+  renderGroupHighlights();
+}
+
+// Extracted data for every member, or null when fewer than two are selected
+function getGroupData() {
+  if (selectionGroup.length < 2) return null;
+  return selectionGroup.map(extractElementData);
+}
+
+function renderGroupHighlights() {
+  shadowRoot.querySelectorAll('.fuzepicker-group-highlight').forEach(box => box.remove());
   
-  stylesToCapture.forEach(prop => {
-    relevantStyles[prop] = computedStyles.getPropertyValue(prop);
+  selectionGroup.forEach(member => {
+    const rect = member.getBoundingClientRect();
+    const box = document.createElement('div');
+    box.className = 'fuzepicker-group-highlight';
+    box.style.cssText = `
+      top: ${rect.top + window.scrollY}px;
+      left: ${rect.left + window.scrollX}px;
+      width: ${rect.width}px;
+      height: ${rect.height}px;
+    `;
+    shadowRoot.appendChild(box);
   });
+}
+
+function extractElementData(element) {
+  const rect = element.getBoundingClientRect();
+  const selectors = generateSelectors(element);
+  const styles = extractStyles(element);
   
   return {
     id: element.id || null,
@@ -222,7 +694,11 @@ function extractElementData(element) {
     classes: Array.from(element.classList),
     text: element.innerText?.trim() || '',
     html: element.outerHTML,
-    styles: relevantStyles,
+    styles,
+    styleMode: captureSettings.styleMode,
+    states: extractStates(element),
+    designTokens: extractDesignTokens(element, styles),
+    subtree: captureSettings.subtree ? extractSubtree(element) : null,
     attributes: Array.from(element.attributes).reduce((acc, attr) => {
       acc[attr.name] = attr.value;
       return acc;
@@ -237,146 +713,1526 @@ function extractElementData(element) {
       bottom: rect.bottom,
       right: rect.right
     },
+    viewport: {
+      width: window.innerWidth,
+      height: window.innerHeight,
+      scrollX: window.scrollX,
+      scrollY: window.scrollY,
+      devicePixelRatio: window.devicePixelRatio
+    },
+    frameOffset: getFrameOffset(),
     xpath: getXPath(element),
-    selector: generateSelector(element)
+    selector: selectors[0].selector,
+    selectors,
+    deepSelector: generateDeepSelector(element),
+    shadowHosts: getShadowHosts(element).map(host => ({
+      tag: host.tagName.toLowerCase(),
+      selector: generateSelector(host)
+    })),
+    framePath: getFramePath(),
+    locator: generateLocator(element),
+    accessibility: extractAccessibilityData(element)
   };
 }
 
-function getXPath(element) {
-  if (element.id) {
-    return `//*[@id="${element.id}"]`;
+// Computed styles keyed by camelCase property. Basic mode reads a fixed
+// list; full mode reads every property and keeps only those that differ
+// from what the same tag computes to with no page CSS applied.
+function extractStyles(element) {
+  const computedStyles = window.getComputedStyle(element);
+  const styles = {};
+  
+  if (captureSettings.styleMode !== 'full') {
+    BASIC_STYLE_PROPERTIES.forEach(prop => {
+      styles[prop] = computedStyles[prop];
+    });
+    return styles;
   }
   
-  const parts = [];
-  while (element && element.nodeType === Node.ELEMENT_NODE) {
-    let nbOfPreviousSiblings = 0;
-    let hasNextSiblings = false;
-    let sibling = element.previousSibling;
+  const defaults = getDefaultStyles(element);
+  
+  for (let i = 0; i < computedStyles.length; i++) {
+    const prop = computedStyles[i];
     
-    while (sibling) {
-      if (sibling.nodeType === Node.ELEMENT_NODE && sibling.nodeName === element.nodeName) {
-        nbOfPreviousSiblings++;
-      }
-      sibling = sibling.previousSibling;
-    }
+    // Vendor-prefixed duplicates and custom properties are not styles
+    if (prop.startsWith('-')) continue;
     
-    sibling = element.nextSibling;
-    while (sibling) {
-      if (sibling.nodeType === Node.ELEMENT_NODE && sibling.nodeName === element.nodeName) {
-        hasNextSiblings = true;
-        break;
-      }
-      sibling = sibling.nextSibling;
+    const value = computedStyles.getPropertyValue(prop);
+    if (value !== defaults[prop]) {
+      styles[toCamelCase(prop)] = value;
     }
-    
-    const index = nbOfPreviousSiblings || hasNextSiblings ? `[${nbOfPreviousSiblings + 1}]` : '';
-    parts.unshift(element.nodeName.toLowerCase() + index);
-    element = element.parentNode;
   }
   
-  return parts.length ? '/' + parts.join('/') : null;
+  return styles;
 }
 
-function generateSelector(element) {
-  if (element.id) {
-    return `#${element.id}`;
-  }
-  
-  let selector = element.tagName.toLowerCase();
+// Computed styles of a throwaway element of the same tag, placed in the
+// overlay's shadow root (which page CSS cannot reach) under an `all: initial`
+// wrapper so inherited properties start from their initial values too
+function getDefaultStyles(element) {
+  // Custom elements are probed with an unregistered name so no constructor runs
+  const tag = element.tagName.includes('-') ? 'fuzepicker-probe' : element.tagName.toLowerCase();
   
-  if (element.className) {
-    const classes = Array.from(element.classList).join('.');
-    selector += `.${classes}`;
+  if (defaultStyleCache.has(tag)) {
+    return defaultStyleCache.get(tag);
   }
   
-  // Make it more specific if needed
-  let parent = element.parentElement;
-  if (parent && parent.tagName !== 'BODY') {
-    const parentSelector = parent.id ? `#${parent.id}` : parent.tagName.toLowerCase();
-    selector = `${parentSelector} > ${selector}`;
+  const sandbox = document.createElement('div');
+  sandbox.style.cssText = 'all: initial; position: absolute; top: 0; left: -10000px;';
+  const probe = document.createElement(tag);
+  sandbox.appendChild(probe);
+  shadowRoot.appendChild(sandbox);
+  
+  const computed = window.getComputedStyle(probe);
+  const defaults = {};
+  for (let i = 0; i < computed.length; i++) {
+    defaults[computed[i]] = computed.getPropertyValue(computed[i]);
   }
   
-  return selector;
+  sandbox.remove();
+  defaultStyleCache.set(tag, defaults);
+  return defaults;
 }
 
-function showToolbar(element) {
-  hideToolbar();
-  
-  const rect = element.getBoundingClientRect();
-  toolbar = document.createElement('div');
-  toolbar.className = 'fuzepicker-toolbar';
+// Which CSS custom properties feed the captured styles, what they resolve to
+// at the element, and the page's :root token set
+function extractDesignTokens(element, styles) {
+  const references = resolveTokenReferences(element, Object.keys(styles));
+  const computed = window.getComputedStyle(element);
+  const values = {};
   
-  // Position toolbar
-  const toolbarWidth = 400;
-  const toolbarHeight = 50;
-  let top = rect.bottom + window.scrollY + 10;
-  let left = rect.left + window.scrollX;
+  Object.values(references).flat().forEach(name => {
+    const value = computed.getPropertyValue(name).trim();
+    if (value) values[name] = value;
+  });
   
-  // Adjust if toolbar would go off screen
-  if (left + toolbarWidth > window.innerWidth) {
-    left = window.innerWidth - toolbarWidth - 20;
-  }
+  return { references, values, root: getRootTokens() };
+}
+
+// Map each captured property to the var() names in the declaration that
+// sets it. The element's own rules and inline style come first; inherited
+// properties then fall back to ancestors for as long as the computed value
+// is unchanged, so a literal value set in between stops the search. Later
+// rules win; specificity is not taken into account.
+function resolveTokenReferences(element, properties) {
+  const references = {};
+  const rulesByRoot = new Map();
+  let target = element;
+  let pending = properties;
   
-  if (top + toolbarHeight > window.innerHeight + window.scrollY) {
-    top = rect.top + window.scrollY - toolbarHeight - 10;
+  while (target && target.nodeType === Node.ELEMENT_NODE && pending.length > 0) {
+    const root = target.getRootNode();
+    if (!rulesByRoot.has(root)) {
+      rulesByRoot.set(root, getStyleRules(root).filter(rule => rule.style.cssText.includes('var(')));
+    }
+    
+    const declarations = [];
+    rulesByRoot.get(root).forEach(rule => {
+      if (safeMatches(target, rule.selectorText)) {
+        declarations.push(...parseDeclarations(rule.style.cssText));
+      }
+    });
+    declarations.push(...parseDeclarations(target.getAttribute('style') || ''));
+    
+    const found = {};
+    declarations.forEach(([prop, value]) => {
+      pending.forEach(key => {
+        if (feedsProperty(prop, key)) {
+          found[key] = [...new Set(getVarNames(value))];
+        }
+      });
+    });
+    Object.assign(references, found);
+    
+    const parent = getComposedParent(target);
+    if (parent && parent.nodeType === Node.ELEMENT_NODE) {
+      const own = window.getComputedStyle(target);
+      const inherited = window.getComputedStyle(parent);
+      pending = pending.filter(key => !(key in references) &&
+        INHERITED_STYLE_PROPERTIES.has(key) &&
+        own[key] === inherited[key]);
+    }
+    target = parent;
   }
   
-  toolbar.style.cssText = `
-    top: ${top}px;
-    left: ${left}px;
-  `;
-  
-  toolbar.innerHTML = `
-    <button class="fuzepicker-close">×</button>
-    <button class="fuzepicker-btn" data-action="discuss">💬 Discuss</button>
-    <button class="fuzepicker-btn" data-action="figma">🎨 Figma</button>
-    <button class="fuzepicker-btn" data-action="playwright">🧪 Test</button>
-    <button class="fuzepicker-btn" data-action="react">⚛️ React</button>
-  `;
+  return Object.fromEntries(
+    Object.entries(references).filter(([key, names]) => names.length > 0)
+  );
+}
+
+// Whether a declared property (camelCase) sets a captured one, allowing for
+// shorthands on either side (padding -> paddingTop, paddingTop -> padding)
+function feedsProperty(declared, captured) {
+  if (declared === captured) return true;
+  if (declared.startsWith('borderRadius') !== captured.startsWith('borderRadius')) return false;
   
-  // Add event listeners
-  toolbar.querySelector('.fuzepicker-close').addEventListener('click', hideToolbar);
+  const [shorter, longer] = declared.length < captured.length ? [declared, captured] : [captured, declared];
+  return longer.startsWith(shorter) && /[A-Z]/.test(longer[shorter.length]);
+}
+
+// [camelCaseProperty, value] pairs from a declaration block, skipping
+// custom property definitions
+function parseDeclarations(cssText) {
+  return splitOutsideParens(cssText, ';')
+    .map(declaration => {
+      const colon = declaration.indexOf(':');
+      return colon === -1 ? null : [declaration.slice(0, colon).trim(), declaration.slice(colon + 1).trim()];
+    })
+    .filter(entry => entry && entry[0] && !entry[0].startsWith('--'))
+    .map(([prop, value]) => [toCamelCase(prop.toLowerCase()), value]);
+}
+
+function getVarNames(value) {
+  return Array.from(value.matchAll(/var\(\s*(--[\w-]+)/g), match => match[1]);
+}
+
+// Custom properties declared on :root or html, resolved on the root element
+function getRootTokens() {
+  const computed = window.getComputedStyle(document.documentElement);
+  const tokens = {};
   
-  toolbar.querySelectorAll('[data-action]').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      const action = e.target.dataset.action;
-      handleToolbarAction(action);
-    });
+  getStyleRules(document).forEach(rule => {
+    const targetsRoot = splitSelectorList(rule.selectorText)
+      .some(selector => selector === ':root' || selector === 'html');
+    if (!targetsRoot) return;
+    
+    for (let i = 0; i < rule.style.length && Object.keys(tokens).length < MAX_ROOT_TOKENS; i++) {
+      const prop = rule.style[i];
+      if (prop.startsWith('--')) {
+        tokens[prop] = computed.getPropertyValue(prop).trim();
+      }
+    }
   });
   
-  shadowRoot.appendChild(toolbar);
+  return tokens;
 }
 
-function hideToolbar() {
-  if (toolbar) {
-    toolbar.remove();
-    toolbar = null;
+function safeMatches(element, selector) {
+  try {
+    return element.matches(selector);
+  } catch (error) {
+    return false;
   }
 }
 
-function handleToolbarAction(action) {
-  // Send action to background script for AI processing
-  chrome.runtime.sendMessage({
-    action: 'aiTask',
-    task: action,
-    element: selectedElement,
-    pageUrl: window.location.href
-  });
+// The rendered descendants of the element, breadth first so the node limit
+// cuts the deepest levels rather than the last siblings. Nodes are compact:
+// box is [x, y, width, height] relative to the selected element, styles drop
+// empty values and inherited values equal to the parent's, and empty fields
+// are omitted.
+function extractSubtree(element) {
+  const maxDepth = clamp(captureSettings.subtreeDepth, 1, MAX_SUBTREE_DEPTH);
+  const maxNodes = clamp(captureSettings.subtreeMaxNodes, 1, MAX_SUBTREE_NODES);
+  const origin = element.getBoundingClientRect();
+  const tree = { depth: maxDepth, nodeCount: 0, truncated: false, children: [] };
   
-  // Show loading state
-  const btn = toolbar.querySelector(`[data-action="${action}"]`);
-  if (btn) {
-    const originalText = btn.textContent;
-    btn.textContent = '⏳ Processing...';
-    btn.disabled = true;
+  const queue = [{ element, node: tree, styles: extractStyles(element), depth: 0 }];
+  
+  while (queue.length > 0) {
+    const parent = queue.shift();
     
-    setTimeout(() => {
-      btn.textContent = originalText;
-      btn.disabled = false;
-    }, 3000);
+    for (const child of getRenderedChildren(parent.element)) {
+      if (parent.depth >= maxDepth || tree.nodeCount >= maxNodes) {
+        tree.truncated = true;
+        break;
+      }
+      
+      const rect = child.getBoundingClientRect();
+      const styles = extractStyles(child);
+      const node = {
+        tag: child.tagName.toLowerCase(),
+        box: [rect.x - origin.x, rect.y - origin.y, rect.width, rect.height].map(Math.round)
+      };
+      
+      if (child.id) node.id = child.id;
+      if (child.classList.length > 0) node.classes = Array.from(child.classList);
+      
+      const text = getOwnText(child);
+      if (text) node.text = text;
+      
+      const compactStyles = compactSubtreeStyles(styles, parent.styles);
+      if (Object.keys(compactStyles).length > 0) node.styles = compactStyles;
+      
+      parent.node.children = parent.node.children || [];
+      parent.node.children.push(node);
+      tree.nodeCount++;
+      
+      queue.push({ element: child, node, styles, depth: parent.depth + 1 });
+    }
   }
   
-  // Hide toolbar and open popup
-  hideToolbar();
-  chrome.runtime.sendMessage({ action: 'openPopup' });
-} 
\ No newline at end of file
+  return tree;
+}
+
+// Children as rendered: a shadow root replaces the light DOM and slots
+// show whatever was assigned to them
+function getRenderedChildren(element) {
+  let children;
+  if (element.shadowRoot) {
+    children = element.shadowRoot.children;
+  } else if (element.tagName === 'SLOT' && element.assignedElements().length > 0) {
+    children = element.assignedElements();
+  } else {
+    children = element.children;
+  }
+  
+  return Array.from(children).filter(child => {
+    if (SUBTREE_SKIPPED_TAGS.has(child.tagName.toLowerCase())) return false;
+    if (shadowRoot && child === shadowRoot.host) return false;
+    
+    const computed = window.getComputedStyle(child);
+    return computed.display !== 'none' && computed.visibility !== 'hidden';
+  });
+}
+
+// Text from the node's own text children, not its descendants'
+function getOwnText(element) {
+  const text = normalizeWhitespace(
+    Array.from(element.childNodes)
+      .filter(node => node.nodeType === Node.TEXT_NODE)
+      .map(node => node.textContent)
+      .join(' ')
+  );
+  
+  return text.slice(0, MAX_SUBTREE_TEXT_LENGTH);
+}
+
+function compactSubtreeStyles(styles, parentStyles) {
+  const isContainer = /flex|grid/.test(styles.display || '');
+  
+  return Object.entries(styles).reduce((acc, [prop, value]) => {
+    if (EMPTY_STYLE_VALUES.has(value)) return acc;
+    if (INHERITED_STYLE_PROPERTIES.has(prop) && parentStyles[prop] === value) return acc;
+    if (CONTAINER_STYLE_PROPERTIES.has(prop) && !isContainer) return acc;
+    if (prop.startsWith('border') && /\bnone\b/.test(value)) return acc;
+    
+    acc[prop] = value;
+    return acc;
+  }, {});
+}
+
+function clamp(value, min, max) {
+  const number = Number.parseInt(value, 10);
+  return Number.isNaN(number) ? max : Math.min(Math.max(number, min), max);
+}
+
+// Styles the element takes on in each interaction state plus its rendered
+// pseudo-elements, e.g. { hover: { backgroundColor: '...' }, before: {...} }
+function extractStates(element) {
+  const states = resolveStateStyles(element);
+  
+  PSEUDO_ELEMENTS.forEach(pseudo => {
+    const computed = window.getComputedStyle(element, `::${pseudo}`);
+    if (!computed.content || computed.content === 'none' || computed.content === 'normal') return;
+    
+    states[pseudo] = {};
+    PSEUDO_STYLE_PROPERTIES.forEach(prop => {
+      const value = computed[prop];
+      if (value && value !== 'none' && value !== 'auto' && value !== 'normal') {
+        states[pseudo][prop] = value;
+      }
+    });
+  });
+  
+  return states;
+}
+
+// Walk the stylesheets that apply to the element and collect declarations
+// from rules that would match it in a given state. The state pseudo-class is
+// stripped from the selector and the rest tested with matches(). Declarations
+// cascade by importance, then specificity, then source order; inline styles
+// and rules in other documents or shadow roots are not considered.
+function resolveStateStyles(element) {
+  const matches = [];
+  
+  getStyleRules(element.getRootNode()).forEach((rule, order) => {
+    collectStateMatches(element, rule, order, matches);
+  });
+  
+  matches.sort((a, b) => FuzeSelectors.compareSpecificity(a.specificity, b.specificity) || a.order - b.order);
+  
+  const states = {};
+  [false, true].forEach(important => {
+    matches.forEach(({ state, style }) => {
+      for (let i = 0; i < style.length; i++) {
+        const prop = style[i];
+        const priority = style.getPropertyPriority(prop);
+        if (Boolean(priority) !== important) continue;
+        
+        states[state] = states[state] || {};
+        states[state][toCamelCase(prop)] = style.getPropertyValue(prop) + (priority ? ' !important' : '');
+      }
+    });
+  });
+  
+  return states;
+}
+
+// Every readable style rule that applies to a document or shadow root, in
+// source order, with @media, @supports, @layer and similar blocks flattened
+function getStyleRules(root) {
+  const styleRules = [];
+  const sheets = [
+    ...Array.from(root.styleSheets || []),
+    ...Array.from(root.adoptedStyleSheets || [])
+  ];
+  
+  const visitRules = rules => {
+    Array.from(rules).forEach(rule => {
+      if (rule.selectorText !== undefined && rule.style) {
+        styleRules.push(rule);
+      } else if (rule.cssRules && (!rule.media || mediaMatches(rule.media.mediaText))) {
+        visitRules(rule.cssRules);
+      }
+    });
+  };
+  
+  sheets.forEach(sheet => {
+    try {
+      visitRules(sheet.cssRules);
+    } catch (error) {
+      // Cross-origin stylesheets cannot be read
+    }
+  });
+  
+  return styleRules;
+}
+
+function mediaMatches(mediaText) {
+  try {
+    return window.matchMedia(mediaText).matches;
+  } catch (error) {
+    return false;
+  }
+}
+
+// One match per state a rule applies to, with the specificity of the most
+// specific selector in its list that matches
+function collectStateMatches(element, rule, order, matches) {
+  const selectors = splitSelectorList(rule.selectorText);
+  
+  Object.keys(STATE_PSEUDO_CLASSES).forEach(state => {
+    let specificity = null;
+    
+    selectors.forEach(selector => {
+      if (!FuzeSelectors.hasState(selector, state)) return;
+      
+      let applies = false;
+      try {
+        applies = element.matches(FuzeSelectors.stripStatePseudoClass(selector, state));
+      } catch (error) {
+        applies = false;
+      }
+      if (!applies) return;
+      
+      const selectorSpecificity = FuzeSelectors.getSpecificity(selector);
+      if (!specificity || FuzeSelectors.compareSpecificity(selectorSpecificity, specificity) > 0) {
+        specificity = selectorSpecificity;
+      }
+    });
+    
+    if (specificity) {
+      matches.push({ state, specificity, order, style: rule.style });
+    }
+  });
+}
+
+function toCamelCase(prop) {
+  return prop.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+// Open shadow roots the element lives in, outermost host first
+function getShadowHosts(element) {
+  const hosts = [];
+  let host = getShadowHost(element.getRootNode());
+  
+  while (host) {
+    hosts.unshift(host);
+    host = getShadowHost(host.getRootNode());
+  }
+  
+  return hosts;
+}
+
+// Playwright-style chain that pierces each shadow root in turn, e.g.
+// `my-app >> settings-panel >> button.save`
+function generateDeepSelector(element) {
+  return [...getShadowHosts(element), element]
+    .map(generateSelector)
+    .join(' >> ');
+}
+
+// Position of this document's viewport within the top-level viewport, so
+// boxes measured inside an iframe can be located on a tab screenshot. Null
+// under a cross-origin ancestor, whose frame element cannot be read.
+function getFrameOffset() {
+  const offset = { x: 0, y: 0 };
+  let win = window;
+  
+  while (win !== win.top) {
+    let frameElement = null;
+    try {
+      frameElement = win.frameElement;
+    } catch (error) {
+      frameElement = null;
+    }
+    if (!frameElement) return null;
+    
+    const rect = frameElement.getBoundingClientRect();
+    offset.x += rect.left + frameElement.clientLeft;
+    offset.y += rect.top + frameElement.clientTop;
+    win = win.parent;
+  }
+  
+  return offset;
+}
+
+// Iframes between the top window and this document, outermost first.
+// Cross-origin ancestors cannot be inspected and end the chain.
+function getFramePath() {
+  const path = [];
+  let win = window;
+  
+  while (win !== win.top) {
+    let frameElement = null;
+    try {
+      frameElement = win.frameElement;
+    } catch (error) {
+      frameElement = null;
+    }
+    
+    if (!frameElement) {
+      path.unshift({ crossOrigin: true, src: win.location.href });
+      break;
+    }
+    
+    path.unshift({
+      selector: generateDeepSelector(frameElement),
+      xpath: getXPath(frameElement),
+      src: frameElement.src || null,
+      name: frameElement.name || null
+    });
+    win = win.parent;
+  }
+  
+  return path;
+}
+
+function getXPath(element) {
+  if (element.id) {
+    return `//*[@id="${element.id}"]`;
+  }
+  
+  const parts = [];
+  while (element && element.nodeType === Node.ELEMENT_NODE) {
+    let nbOfPreviousSiblings = 0;
+    let hasNextSiblings = false;
+    let sibling = element.previousSibling;
+    
+    while (sibling) {
+      if (sibling.nodeType === Node.ELEMENT_NODE && sibling.nodeName === element.nodeName) {
+        nbOfPreviousSiblings++;
+      }
+      sibling = sibling.previousSibling;
+    }
+    
+    sibling = element.nextSibling;
+    while (sibling) {
+      if (sibling.nodeType === Node.ELEMENT_NODE && sibling.nodeName === element.nodeName) {
+        hasNextSiblings = true;
+        break;
+      }
+      sibling = sibling.nextSibling;
+    }
+    
+    const index = nbOfPreviousSiblings || hasNextSiblings ? `[${nbOfPreviousSiblings + 1}]` : '';
+    parts.unshift(element.nodeName.toLowerCase() + index);
+    element = element.parentNode;
+  }
+  
+  return parts.length ? '/' + parts.join('/') : null;
+}
+
+function generateSelector(element) {
+  return generateSelectors(element)[0].selector;
+}
+
+// Ranked list of selectors that each match exactly this element within its
+// document or shadow root. Scores run from 100 (test ids) down to 10 (the
+// structural nth-of-type path, which is always available).
+function generateSelectors(element) {
+  const root = element.getRootNode();
+  const candidates = getSelectorCandidates(element);
+  const ranked = [];
+  let anchor;
+  
+  candidates.forEach(candidate => {
+    if (matchesOnly(root, candidate.selector, element)) {
+      ranked.push(candidate);
+      return;
+    }
+    
+    // Not unique on its own: try scoping it under a uniquely identifiable ancestor
+    if (candidate.score < SELECTOR_SCORES.class) return;
+    if (anchor === undefined) anchor = findAnchorAncestor(element);
+    if (anchor) {
+      const scoped = `${anchor.selector} ${candidate.selector}`;
+      if (matchesOnly(root, scoped, element)) {
+        ranked.push({
+          selector: scoped,
+          score: Math.min(anchor.score, candidate.score) - 15,
+          strategy: `${candidate.strategy}-scoped`
+        });
+      }
+    }
+  });
+  
+  // The structural path stops at an ancestor id, which the page may have
+  // duplicated, so the full path is the fallback. Inside a shadow root even
+  // that is not anchored and can match more than the element; it is then
+  // kept as a last resort below every unique selector.
+  const shortPath = buildStructuralSelector(element);
+  const fullPath = buildStructuralSelector(element, { stopAtId: false });
+  const structural = [shortPath, fullPath].find(selector => matchesOnly(root, selector, element));
+  ranked.push({
+    selector: structural || fullPath,
+    score: structural ? SELECTOR_SCORES.structural : 0,
+    strategy: structural ? 'structural' : 'structural-ambiguous'
+  });
+  
+  const seen = new Set();
+  return ranked
+    .sort((a, b) => b.score - a.score)
+    .filter(candidate => !seen.has(candidate.selector) && seen.add(candidate.selector));
+}
+
+function getSelectorCandidates(element) {
+  const tag = element.tagName.toLowerCase();
+  const candidates = [];
+  const add = (selector, strategy) => candidates.push({ selector, score: SELECTOR_SCORES[strategy], strategy });
+  
+  TEST_ID_ATTRIBUTES.forEach(attr => {
+    const value = element.getAttribute(attr);
+    if (value) add(`[${attr}="${escapeAttributeValue(value)}"]`, 'testId');
+  });
+  
+  if (element.id && isStableToken(element.id)) {
+    add(`#${CSS.escape(element.id)}`, 'id');
+  }
+  
+  const ariaLabel = element.getAttribute('aria-label');
+  if (ariaLabel) {
+    add(`${tag}[aria-label="${escapeAttributeValue(ariaLabel)}"]`, 'ariaLabel');
+  }
+  
+  SEMANTIC_ATTRIBUTES.forEach(attr => {
+    const value = element.getAttribute(attr);
+    if (value && value.length <= 80) {
+      add(`${tag}[${attr}="${escapeAttributeValue(value)}"]`, 'attribute');
+    }
+  });
+  
+  const role = element.getAttribute('role');
+  if (role) {
+    add(`${tag}[role="${escapeAttributeValue(role)}"]`, 'role');
+  }
+  
+  const classes = getStableClasses(element).slice(0, 3);
+  if (classes.length > 0) {
+    add(tag + classes.map(cls => `.${CSS.escape(cls)}`).join(''), 'class');
+  }
+  
+  add(tag, 'tag');
+  
+  return candidates;
+}
+
+// Nearest ancestor in the same root with an id, test id or aria-label that
+// identifies it uniquely
+function findAnchorAncestor(element) {
+  const root = element.getRootNode();
+  let ancestor = element.parentElement;
+  
+  while (ancestor && ancestor !== document.body && ancestor !== document.documentElement) {
+    const anchor = getSelectorCandidates(ancestor)
+      .filter(candidate => candidate.score >= SELECTOR_SCORES.ariaLabel)
+      .find(candidate => matchesOnly(root, candidate.selector, ancestor));
+    
+    if (anchor) return anchor;
+    ancestor = ancestor.parentElement;
+  }
+  
+  return null;
+}
+
+function buildStructuralSelector(element, { stopAtId = true } = {}) {
+  const parts = [];
+  let current = element;
+  
+  while (current && current.nodeType === Node.ELEMENT_NODE) {
+    if (stopAtId && current !== element && current.id && isStableToken(current.id)) {
+      parts.unshift(`#${CSS.escape(current.id)}`);
+      break;
+    }
+    
+    const tag = current.tagName.toLowerCase();
+    const parent = current.parentNode;
+    const sameTagSiblings = parent && parent.children
+      ? Array.from(parent.children).filter(sibling => sibling.tagName === current.tagName)
+      : [];
+    
+    parts.unshift(sameTagSiblings.length > 1
+      ? `${tag}:nth-of-type(${sameTagSiblings.indexOf(current) + 1})`
+      : tag);
+    
+    current = current.parentElement;
+  }
+  
+  return parts.join(' > ');
+}
+
+function matchesOnly(root, selector, element) {
+  try {
+    const matches = root.querySelectorAll(selector);
+    return matches.length === 1 && matches[0] === element;
+  } catch (error) {
+    return false;
+  }
+}
+
+function getStableClasses(element) {
+  return Array.from(element.classList).filter(cls =>
+    !cls.startsWith('fuzepicker-') && isStableToken(cls)
+  );
+}
+
+// Reject ids and classes generated at build or run time: CSS module and
+// CSS-in-JS hashes, React useId values and long numeric counters
+function isStableToken(token) {
+  return !UNSTABLE_TOKEN_PATTERNS.some(pattern => pattern.test(token));
+}
+
+function escapeAttributeValue(value) {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\a ');
+}
+
+function getAccessibleRole(element) {
+  const explicit = element.getAttribute('role');
+  if (explicit) {
+    return explicit.trim().split(/\s+/)[0];
+  }
+  
+  const tag = element.tagName.toLowerCase();
+  
+  switch (tag) {
+    case 'a':
+    case 'area':
+      return element.hasAttribute('href') ? 'link' : null;
+    case 'img':
+      return element.getAttribute('alt') === '' ? 'presentation' : 'img';
+    case 'input': {
+      const type = (element.getAttribute('type') || 'text').toLowerCase();
+      if (type === 'hidden') return null;
+      if (element.hasAttribute('list') && INPUT_ROLES[type] === 'textbox') return 'combobox';
+      return INPUT_ROLES[type] || 'textbox';
+    }
+    case 'select':
+      return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+    case 'header':
+      return element.closest('article, aside, main, nav, section') ? null : 'banner';
+    case 'footer':
+      return element.closest('article, aside, main, nav, section') ? null : 'contentinfo';
+    case 'section':
+      return hasExplicitName(element) ? 'region' : null;
+    case 'form':
+      return hasExplicitName(element) ? 'form' : null;
+    default:
+      return IMPLICIT_ROLES[tag] || null;
+  }
+}
+
+function hasExplicitName(element) {
+  return element.hasAttribute('aria-label') || element.hasAttribute('aria-labelledby');
+}
+
+function getAccessibleName(element) {
+  return computeAccessibleName(element).name;
+}
+
+// Simplified accessible name computation (accname 1.2): labelledby, label,
+// native labelling, then content for roles that allow it, then title.
+// Also reports where the name came from, for the accessibility checks.
+function computeAccessibleName(element) {
+  const root = element.getRootNode();
+  const result = (name, source) => ({ name: normalizeWhitespace(name), source });
+  
+  const labelledBy = element.getAttribute('aria-labelledby');
+  if (labelledBy) {
+    const text = labelledBy.split(/\s+/)
+      .map(id => root.getElementById ? root.getElementById(id) : document.getElementById(id))
+      .filter(Boolean)
+      .map(getTextAlternative)
+      .join(' ');
+    if (normalizeWhitespace(text)) return result(text, 'aria-labelledby');
+  }
+  
+  const ariaLabel = element.getAttribute('aria-label');
+  if (ariaLabel && ariaLabel.trim()) {
+    return result(ariaLabel, 'aria-label');
+  }
+  
+  const tag = element.tagName.toLowerCase();
+  
+  if (LABELABLE_TAGS.has(tag)) {
+    const labelText = getLabels(element).map(getTextAlternative).join(' ');
+    if (normalizeWhitespace(labelText)) return result(labelText, 'label');
+    
+    const type = (element.getAttribute('type') || '').toLowerCase();
+    if (['button', 'submit', 'reset'].includes(type)) {
+      return result(element.value || (type === 'submit' ? 'Submit' : type === 'reset' ? 'Reset' : ''), 'value');
+    }
+    if (type === 'image') {
+      return result(element.getAttribute('alt') || 'Submit', 'alt');
+    }
+  }
+  
+  if (tag === 'img' || tag === 'area') {
+    const alt = element.getAttribute('alt');
+    if (alt) return result(alt, 'alt');
+  }
+  
+  const captionSource = {
+    fieldset: 'legend',
+    table: 'caption',
+    figure: 'figcaption'
+  }[tag];
+  if (captionSource) {
+    const caption = Array.from(element.children).find(child => child.tagName.toLowerCase() === captionSource);
+    if (caption) return result(getTextAlternative(caption), captionSource);
+  }
+  
+  if (NAME_FROM_CONTENT_ROLES.has(getAccessibleRole(element))) {
+    const text = normalizeWhitespace(getTextAlternative(element));
+    if (text) return result(text, 'content');
+  }
+  
+  if (element.getAttribute('title')) {
+    return result(element.getAttribute('title'), 'title');
+  }
+  if (element.getAttribute('placeholder')) {
+    return result(element.getAttribute('placeholder'), 'placeholder');
+  }
+  return result('', null);
+}
+
+function getLabels(element) {
+  if (element.labels) {
+    return Array.from(element.labels);
+  }
+  
+  const labels = [];
+  const root = element.getRootNode();
+  if (element.id) {
+    labels.push(...root.querySelectorAll(`label[for="${escapeAttributeValue(element.id)}"]`));
+  }
+  const wrapping = element.closest('label');
+  if (wrapping && !labels.includes(wrapping)) {
+    labels.push(wrapping);
+  }
+  return labels;
+}
+
+// Text of a subtree as a screen reader would read it: image alt text is
+// included, hidden nodes and the values of embedded controls are not
+function getTextAlternative(node) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return node.textContent;
+  }
+  
+  if (node.nodeType !== Node.ELEMENT_NODE || isHiddenFromAccessibility(node)) {
+    return '';
+  }
+  
+  const tag = node.tagName.toLowerCase();
+  if (tag === 'img') return node.getAttribute('alt') || '';
+  if (['input', 'select', 'textarea', 'script', 'style'].includes(tag)) return '';
+  
+  const ariaLabel = node.getAttribute('aria-label');
+  if (ariaLabel && ariaLabel.trim()) return ` ${ariaLabel} `;
+  
+  const children = node.shadowRoot ? node.shadowRoot.childNodes : node.childNodes;
+  return Array.from(children).map(getTextAlternative).join('');
+}
+
+function isHiddenFromAccessibility(element) {
+  if (element.hidden || element.getAttribute('aria-hidden') === 'true') {
+    return true;
+  }
+  
+  const style = window.getComputedStyle(element);
+  return style.display === 'none' || style.visibility === 'hidden';
+}
+
+// Accessible description: aria-describedby, aria-description, then a title
+// that was not already used as the name
+function getAccessibleDescription(element, nameSource) {
+  const root = element.getRootNode();
+  
+  const describedBy = element.getAttribute('aria-describedby');
+  if (describedBy) {
+    const text = describedBy.split(/\s+/)
+      .map(id => root.getElementById ? root.getElementById(id) : document.getElementById(id))
+      .filter(Boolean)
+      .map(getTextAlternative)
+      .join(' ');
+    if (normalizeWhitespace(text)) return normalizeWhitespace(text);
+  }
+  
+  const description = element.getAttribute('aria-description');
+  if (description) return normalizeWhitespace(description);
+  
+  const title = element.getAttribute('title');
+  return title && nameSource !== 'title' ? normalizeWhitespace(title) : '';
+}
+
+// aria-hidden does not stop an element taking focus, so only rendering matters
+function isFocusable(element) {
+  const style = window.getComputedStyle(element);
+  if (element.disabled || style.display === 'none' || style.visibility === 'hidden') {
+    return false;
+  }
+  
+  if (element.hasAttribute('tabindex')) {
+    return element.tabIndex >= 0;
+  }
+  
+  const tag = element.tagName.toLowerCase();
+  return (tag === 'a' && element.hasAttribute('href')) ||
+    ['button', 'select', 'textarea', 'iframe', 'summary'].includes(tag) ||
+    (tag === 'input' && element.type !== 'hidden') ||
+    element.isContentEditable === true;
+}
+
+function getAriaStates(element) {
+  const states = {};
+  
+  ARIA_STATE_ATTRIBUTES.forEach(attr => {
+    if (element.hasAttribute(`aria-${attr}`)) {
+      states[attr] = element.getAttribute(`aria-${attr}`);
+    }
+  });
+  
+  // Native state that maps onto ARIA states
+  if (element.disabled) states.disabled = 'true';
+  if (element.required) states.required = 'true';
+  if (element.readOnly) states.readonly = 'true';
+  if (typeof element.checked === 'boolean' && ['checkbox', 'radio'].includes(element.type)) {
+    states.checked = String(element.checked);
+  }
+  if (element.tagName.toLowerCase() === 'details') {
+    states.expanded = String(element.open);
+  }
+  
+  return states;
+}
+
+// Snapshot of what assistive technology sees for the element and for the
+// labelled or interactive nodes inside it
+function extractAccessibilityData(element) {
+  const { name, source } = computeAccessibleName(element);
+  
+  return {
+    ...describeAccessibleNode(element),
+    name,
+    nameSource: source,
+    description: getAccessibleDescription(element, source),
+    descendants: Array.from(element.querySelectorAll(ACCESSIBILITY_DESCENDANT_SELECTOR))
+      .slice(0, MAX_ACCESSIBILITY_DESCENDANTS)
+      .map(descendant => {
+        const computed = computeAccessibleName(descendant);
+        return {
+          ...describeAccessibleNode(descendant),
+          name: computed.name,
+          nameSource: computed.source,
+          selector: generateSelector(descendant)
+        };
+      })
+  };
+}
+
+function describeAccessibleNode(element) {
+  return {
+    tag: element.tagName.toLowerCase(),
+    role: getAccessibleRole(element),
+    focusable: isFocusable(element),
+    tabIndex: element.tabIndex,
+    hidden: isHiddenFromAccessibility(element),
+    states: getAriaStates(element)
+  };
+}
+
+function normalizeWhitespace(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Playwright locator for the element, following its priority order:
+// role + accessible name, label, placeholder, alt text, title, test id, text,
+// and only then CSS. A locator that is not unique is scoped under the
+// nearest uniquely locatable ancestor, or narrowed with nth().
+function generateLocator(element) {
+  const role = getAccessibleRole(element);
+  const name = getAccessibleName(element);
+  const candidates = getLocatorCandidates(element, role, name);
+  const index = createLocatorIndex(element.getRootNode());
+  const framePrefix = getFramePath()
+    .filter(frame => frame.selector)
+    .map(frame => `.frameLocator(${toJsString(frame.selector)})`)
+    .join('');
+  
+  const resolved = [];
+  let scope;
+  candidates.forEach(candidate => {
+    const matches = findLocatorMatches(index, candidate);
+    if (matches.length === 1 && matches[0] === element) {
+      resolved.push(`page${framePrefix}${candidate.expression}`);
+      return;
+    }
+    
+    if (!matches.includes(element)) return;
+    
+    if (scope === undefined) scope = findLocatorScope(element, index);
+    const scopedMatches = scope ? matches.filter(match => isDeepDescendant(match, scope.element)) : [];
+    if (scope && scopedMatches.length === 1) {
+      resolved.push(`page${framePrefix}${scope.expression}${candidate.expression}`);
+    } else {
+      resolved.push(`page${framePrefix}${candidate.expression}.nth(${matches.indexOf(element)})`);
+    }
+  });
+  
+  resolved.push(`page${framePrefix}.locator(${toJsString(generateDeepSelector(element))})`);
+  
+  const alternatives = [...new Set(resolved)];
+  return {
+    role,
+    name,
+    recommended: alternatives[0],
+    alternatives: alternatives.slice(1)
+  };
+}
+
+function getLocatorCandidates(element, role, name) {
+  const tag = element.tagName.toLowerCase();
+  const candidates = [];
+  const usableName = name && name.length <= MAX_LOCATOR_NAME_LENGTH ? name : null;
+  
+  if (role && role !== 'presentation' && role !== 'none') {
+    if (usableName) {
+      candidates.push({
+        type: 'role',
+        role,
+        name: usableName,
+        expression: `.getByRole(${toJsString(role)}, { name: ${toJsString(usableName)}, exact: true })`
+      });
+    } else {
+      candidates.push({ type: 'role', role, name: null, expression: `.getByRole(${toJsString(role)})` });
+    }
+  }
+  
+  if (LABELABLE_TAGS.has(tag)) {
+    const label = normalizeWhitespace(getLabels(element).map(getTextAlternative).join(' '));
+    if (label && label.length <= MAX_LOCATOR_NAME_LENGTH) {
+      candidates.push({ type: 'label', value: label, expression: `.getByLabel(${toJsString(label)}, { exact: true })` });
+    }
+  }
+  
+  [
+    ['placeholder', 'getByPlaceholder'],
+    ['alt', 'getByAltText'],
+    ['title', 'getByTitle']
+  ].forEach(([attr, method]) => {
+    const value = element.getAttribute(attr);
+    if (value && value.trim() && value.length <= MAX_LOCATOR_NAME_LENGTH) {
+      candidates.push({ type: 'attribute', attr, value, expression: `.${method}(${toJsString(value)}, { exact: true })` });
+    }
+  });
+  
+  const testId = element.getAttribute('data-testid');
+  if (testId) {
+    candidates.push({ type: 'testId', value: testId, expression: `.getByTestId(${toJsString(testId)})` });
+  }
+  
+  const text = normalizeWhitespace(element.textContent);
+  if (!role && text && text.length <= MAX_LOCATOR_NAME_LENGTH && element.children.length === 0) {
+    candidates.push({ type: 'text', value: text, expression: `.getByText(${toJsString(text)}, { exact: true })` });
+  }
+  
+  return candidates;
+}
+
+// Elements under root (including open shadow roots, as Playwright pierces
+// them) with their roles, names and visibility computed on first use, so
+// every candidate and scope check for one locator shares a single scan
+function createLocatorIndex(root) {
+  const caches = { role: new Map(), name: new Map(), hidden: new Map() };
+  const cached = (cache, compute) => el => {
+    if (!cache.has(el)) cache.set(el, compute(el));
+    return cache.get(el);
+  };
+  
+  return {
+    elements: getAllElementsDeep(root),
+    role: cached(caches.role, getAccessibleRole),
+    name: cached(caches.name, getAccessibleName),
+    hidden: cached(caches.hidden, isHiddenFromLocators)
+  };
+}
+
+// Elements a locator candidate would resolve to. Role locators skip hidden
+// elements like Playwright's getByRole; its other locators match them too.
+function findLocatorMatches(index, candidate) {
+  return index.elements.filter(el => {
+    switch (candidate.type) {
+      case 'role':
+        return index.role(el) === candidate.role &&
+          (!candidate.name || index.name(el) === candidate.name) &&
+          !index.hidden(el);
+      case 'label':
+        return LABELABLE_TAGS.has(el.tagName.toLowerCase()) &&
+          normalizeWhitespace(getLabels(el).map(getTextAlternative).join(' ')) === candidate.value;
+      case 'attribute':
+        return el.getAttribute(candidate.attr) === candidate.value;
+      case 'testId':
+        return el.getAttribute('data-testid') === candidate.value;
+      case 'text':
+        return el.children.length === 0 && normalizeWhitespace(el.textContent) === candidate.value;
+      default:
+        return false;
+    }
+  });
+}
+
+// Not rendered, invisible or under aria-hidden="true"
+function isHiddenFromLocators(element) {
+  if (element.closest('[aria-hidden="true"]')) return true;
+  
+  const style = window.getComputedStyle(element);
+  if (style.display === 'contents') return false;
+  return element.getClientRects().length === 0 || style.visibility === 'hidden';
+}
+
+function isDeepDescendant(element, ancestor) {
+  for (let current = getComposedParent(element); current; current = getComposedParent(current)) {
+    if (current === ancestor) return true;
+  }
+  return false;
+}
+
+function getAllElementsDeep(root) {
+  const elements = [];
+  const visit = scope => {
+    scope.querySelectorAll('*').forEach(el => {
+      if (el.id === 'fuzepicker-shadow-host') return;
+      elements.push(el);
+      if (el.shadowRoot) visit(el.shadowRoot);
+    });
+  };
+  visit(root);
+  return elements;
+}
+
+// Nearest ancestor with its own unique test id, or landmark/named role,
+// used to scope an ambiguous locator
+function findLocatorScope(element, index) {
+  let ancestor = getComposedParent(element);
+  
+  while (ancestor && ancestor !== document.body && ancestor !== document.documentElement) {
+    const role = index.role(ancestor);
+    const name = index.name(ancestor);
+    const candidates = getLocatorCandidates(ancestor, role, name)
+      .filter(candidate => candidate.type === 'testId' || (candidate.type === 'role' && candidate.name));
+    
+    const unique = candidates.find(candidate => {
+      const matches = findLocatorMatches(index, candidate);
+      return matches.length === 1 && matches[0] === ancestor;
+    });
+    
+    if (unique) {
+      return { element: ancestor, expression: unique.expression };
+    }
+    ancestor = getComposedParent(ancestor);
+  }
+  
+  return null;
+}
+
+// Same escaping as FuzePlaywright.toJsString, which content scripts do not
+// load; locators built here end up verbatim in generated tests
+function toJsString(value) {
+  return `'${String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029')}'`;
+}
+
+function showToolbar(element) {
+  hideToolbar();
+  
+  const rect = element.getBoundingClientRect();
+  toolbar = document.createElement('div');
+  toolbar.className = 'fuzepicker-toolbar';
+  
+  // Position toolbar
+  const toolbarWidth = 400;
+  const toolbarHeight = 50;
+  let top = rect.bottom + window.scrollY + 10;
+  let left = rect.left + window.scrollX;
+  
+  // Adjust if toolbar would go off screen
+  if (left + toolbarWidth > window.innerWidth) {
+    left = window.innerWidth - toolbarWidth - 20;
+  }
+  
+  if (top + toolbarHeight > window.innerHeight + window.scrollY) {
+    top = rect.top + window.scrollY - toolbarHeight - 10;
+  }
+  
+  toolbar.style.cssText = `
+    top: ${top}px;
+    left: ${left}px;
+  `;
+  
+  const groupSize = selectionGroup.length;
+  
+  toolbar.innerHTML = `
+    <button class="fuzepicker-close">×</button>
+    ${groupSize > 1 ? `<span class="fuzepicker-group-count">${groupSize} selected</span>` : ''}
+    <button class="fuzepicker-btn" data-action="discuss">💬 Discuss</button>
+    <button class="fuzepicker-btn" data-action="figma">🎨 Figma</button>
+    <button class="fuzepicker-btn" data-action="playwright">🧪 Test</button>
+    <button class="fuzepicker-btn" data-action="react">⚛️ Component</button>
+  `;
+  
+  // Add event listeners
+  toolbar.querySelector('.fuzepicker-close').addEventListener('click', hideToolbar);
+  
+  toolbar.querySelectorAll('[data-action]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      const action = e.target.dataset.action;
+      handleToolbarAction(action);
+    });
+  });
+  
+  shadowRoot.appendChild(toolbar);
+}
+
+function hideToolbar() {
+  if (toolbar) {
+    toolbar.remove();
+    toolbar = null;
+  }
+}
+
+function getAncestorChain(element) {
+  const chain = [];
+  while (element && element !== document.documentElement) {
+    chain.unshift(element);
+    element = getComposedParent(element);
+  }
+  return chain;
+}
+
+function describeElement(element) {
+  let label = element.tagName.toLowerCase();
+  
+  if (element.id) {
+    label += `#${element.id}`;
+  } else if (element.classList.length > 0) {
+    label += `.${element.classList[0]}`;
+  }
+  
+  return label;
+}
+
+function showBreadcrumb(element) {
+  hideBreadcrumb();
+  
+  breadcrumb = document.createElement('div');
+  breadcrumb.className = 'fuzepicker-breadcrumb';
+  
+  getAncestorChain(element).forEach((ancestor, index) => {
+    if (index > 0) {
+      const separator = document.createElement('span');
+      separator.className = 'fuzepicker-crumb-separator';
+      separator.textContent = '›';
+      breadcrumb.appendChild(separator);
+    }
+    
+    const crumb = document.createElement('button');
+    crumb.className = 'fuzepicker-crumb';
+    crumb.textContent = describeElement(ancestor);
+    
+    if (ancestor === element) {
+      crumb.classList.add('current');
+    } else {
+      crumb.addEventListener('click', () => moveSelection(ancestor));
+    }
+    
+    breadcrumb.appendChild(crumb);
+  });
+  
+  shadowRoot.appendChild(breadcrumb);
+}
+
+function hideBreadcrumb() {
+  if (breadcrumb) {
+    breadcrumb.remove();
+    breadcrumb = null;
+  }
+}
+
+function handleToolbarAction(action) {
+  // Make sure the background script knows about the element first
+  flushPendingSelection();
+  
+  // Send action to background script for AI processing
+  chrome.runtime.sendMessage({
+    action: 'aiTask',
+    task: action,
+    element: selectedElement,
+    elements: getGroupData(),
+    pageUrl: window.location.href
+  });
+  
+  // Show loading state
+  const btn = toolbar.querySelector(`[data-action="${action}"]`);
+  if (btn) {
+    const originalText = btn.textContent;
+    btn.textContent = '⏳ Processing...';
+    btn.disabled = true;
+    
+    setTimeout(() => {
+      btn.textContent = originalText;
+      btn.disabled = false;
+    }, 3000);
+  }
+  
+  // Hide toolbar and open popup
+  hideToolbar();
+  chrome.runtime.sendMessage({ action: 'openPopup' });
+} 
+
+// --- Flow recording ---
+
+// Capture phase, so page handlers that stop propagation cannot hide
+// interactions from the recorder
+function setupRecordingListeners() {
+  document.addEventListener('click', handleRecordedClick, true);
+  document.addEventListener('input', handleRecordedInput, true);
+  document.addEventListener('change', handleRecordedChange, true);
+  document.addEventListener('keydown', handleRecordedKeyDown, true);
+}
+
+function setRecording(active) {
+  isRecording = active;
+  clearInterval(recordingUrlTimer);
+  recordingUrlTimer = null;
+  
+  // Navigations and the indicator belong to the top frame
+  if (window !== window.top) return;
+  
+  if (active) {
+    lastRecordedUrl = null;
+    recordNavigation();
+    recordingUrlTimer = setInterval(recordNavigation, RECORDING_URL_POLL_INTERVAL);
+    showRecordingIndicator();
+  } else {
+    hideRecordingIndicator();
+  }
+}
+
+function showRecordingIndicator() {
+  if (recordingIndicator) return;
+  
+  recordingIndicator = document.createElement('div');
+  recordingIndicator.className = 'fuzepicker-recording';
+  recordingIndicator.textContent = '● Recording flow · Alt+click adds a check';
+  shadowRoot.appendChild(recordingIndicator);
+}
+
+function hideRecordingIndicator() {
+  if (recordingIndicator) {
+    recordingIndicator.remove();
+    recordingIndicator = null;
+  }
+}
+
+// Only trusted events on the page itself are recorded; the picker's own UI
+// and picker clicks are not part of the flow
+function shouldRecord(event) {
+  return isRecording &&
+    !isPickerActive &&
+    event.isTrusted &&
+    !(event.target instanceof Element && event.target.closest('#fuzepicker-shadow-host'));
+}
+
+function handleRecordedClick(event) {
+  if (!shouldRecord(event)) return;
+  
+  const element = getRecordedClickTarget(getDeepTarget(event));
+  
+  // Alt+click records a visibility check instead of the click
+  if (event.altKey) {
+    event.preventDefault();
+    event.stopPropagation();
+    recordStep('assert', element);
+    return;
+  }
+  
+  // Keyboard activation (detail 0) is already recorded as the key press,
+  // and form controls are recorded from their input and change events
+  if (event.detail === 0 || isRecordedByValue(element)) return;
+  
+  recordStep('click', element);
+}
+
+function handleRecordedInput(event) {
+  if (!shouldRecord(event)) return;
+  
+  const element = getDeepTarget(event);
+  if (!isTextEntry(element)) return;
+  
+  // Password values never leave the page; the test reads them from the
+  // environment instead
+  const masked = element.type === 'password';
+  const value = element.isContentEditable ? element.innerText : element.value;
+  
+  recordStep('fill', element, { value: masked ? '' : value, masked });
+}
+
+function handleRecordedChange(event) {
+  if (!shouldRecord(event)) return;
+  
+  const element = getDeepTarget(event);
+  const tag = element.tagName.toLowerCase();
+  
+  if (tag === 'select') {
+    recordStep('select', element, { values: [...element.selectedOptions].map(option => option.value) });
+  } else if (tag === 'input' && element.type === 'checkbox') {
+    recordStep(element.checked ? 'check' : 'uncheck', element);
+  } else if (tag === 'input' && element.type === 'radio' && element.checked) {
+    recordStep('check', element);
+  } else if (tag === 'input' && PICKED_INPUT_TYPES.has(element.type)) {
+    recordStep('fill', element, { value: element.value, masked: false });
+  } else if (tag === 'input' && element.type === 'file') {
+    // Only the file names are available to the page
+    recordStep('upload', element, { files: [...element.files].map(file => file.name) });
+  }
+}
+
+function handleRecordedKeyDown(event) {
+  if (!shouldRecord(event) || event.repeat || event.isComposing) return;
+  if (['Control', 'Alt', 'Meta', 'Shift'].includes(event.key)) return;
+  
+  const element = getDeepTarget(event);
+  const hasShortcutModifier = event.ctrlKey || event.altKey || event.metaKey;
+  
+  if (!hasShortcutModifier) {
+    if (!RECORDED_KEYS.has(event.key)) return;
+    // Arrow keys also step picked values, which change records
+    if ((isTextEntry(element) || PICKED_INPUT_TYPES.has(element.type)) && TEXT_EDITING_KEYS.has(event.key)) return;
+  }
+  
+  const key = [
+    event.ctrlKey && 'Control',
+    event.altKey && 'Alt',
+    event.metaKey && 'Meta',
+    event.shiftKey && 'Shift',
+    event.key === ' ' ? 'Space' : event.key
+  ].filter(Boolean).join('+');
+  
+  const focused = element !== document.body && element !== document.documentElement ? element : null;
+  recordStep('press', focused, { key });
+}
+
+// Client-side routing changes the URL without reloading the content script,
+// so the top frame compares it before every step and on a timer
+function recordNavigation() {
+  if (window !== window.top || window.location.href === lastRecordedUrl) return;
+  
+  lastRecordedUrl = window.location.href;
+  sendRecordedStep({ type: 'navigate', url: lastRecordedUrl, timestamp: Date.now() });
+}
+
+function recordStep(type, element, details = {}) {
+  recordNavigation();
+  
+  sendRecordedStep({
+    type,
+    url: window.location.href,
+    timestamp: Date.now(),
+    ...(element && { target: describeRecordedTarget(element, type === 'fill') }),
+    ...details
+  });
+}
+
+function sendRecordedStep(step) {
+  chrome.runtime.sendMessage({ action: 'recordStep', step }).catch(() => {});
+}
+
+// Locators are resolved when the step happens, since the page may have
+// changed by the time the flow is saved. Fills reuse the field's locator
+// rather than searching the page on every keystroke.
+function describeRecordedTarget(element, reuse = false) {
+  if (reuse && recordedFillTargets.has(element)) {
+    return recordedFillTargets.get(element);
+  }
+  
+  const locator = generateLocator(element);
+  const framePath = getFramePath();
+  const target = {
+    tag: element.tagName.toLowerCase(),
+    role: locator.role,
+    name: locator.name,
+    text: normalizeWhitespace(element.textContent).slice(0, MAX_LOCATOR_NAME_LENGTH),
+    locator: locator.recommended,
+    alternatives: locator.alternatives,
+    selector: generateDeepSelector(element),
+    ...(framePath.length > 0 && { framePath })
+  };
+  
+  if (reuse) {
+    recordedFillTargets.set(element, target);
+  }
+  
+  return target;
+}
+
+function getRecordedClickTarget(element) {
+  for (let current = element; current && current !== document.documentElement; current = getComposedParent(current)) {
+    if (current.matches(RECORDED_CLICK_TARGETS)) {
+      return current;
+    }
+  }
+  
+  return element;
+}
+
+function isTextEntry(element) {
+  const tag = element.tagName.toLowerCase();
+  return tag === 'textarea' ||
+    (tag === 'input' && !CLICKED_INPUT_TYPES.has(element.type) && !PICKED_INPUT_TYPES.has(element.type) && !['checkbox', 'radio', 'file'].includes(element.type)) ||
+    element.isContentEditable === true;
+}
+
+// Controls whose clicks only set a value that input/change events record;
+// a label click toggles or focuses the control it labels
+function isRecordedByValue(element) {
+  const tag = element.tagName.toLowerCase();
+  return tag === 'select' ||
+    (tag === 'label' && !!element.control) ||
+    (tag === 'input' && !CLICKED_INPUT_TYPES.has(element.type)) ||
+    isTextEntry(element);
+}
@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+
+/**
+ * Bundle the Figma plugin's main thread
+ * Figma loads a single script, so the importer module and code.js are
+ * concatenated into dist/code.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCES = ['lib/importer.js', 'code.js'];
+const OUTPUT = 'dist/code.js';
+
+function build() {
+  const bundle = SOURCES.map(file => {
+    const source = fs.readFileSync(path.join(__dirname, file), 'utf8');
+    return `// ---- ${file} ----\n${source}`;
+  }).join('\n');
+
+  fs.mkdirSync(path.join(__dirname, path.dirname(OUTPUT)), { recursive: true });
+  fs.writeFileSync(path.join(__dirname, OUTPUT), bundle);
+
+  console.log(`✅ Built ${OUTPUT} from ${SOURCES.join(', ')}`);
+}
+
+build();
@@ -0,0 +1,40 @@
+// FuzePicker Figma Plugin - Main thread
+// Bundled after lib/importer.js into dist/code.js by build.cjs, so
+// FuzeFigmaImport is a global here.
+const DEFAULT_API_URL = 'http://localhost:3001/api';
+
+figma.showUI(__html__, { width: 380, height: 520 });
+
+// Restore the backend URL the user last used
+figma.clientStorage.getAsync('apiUrl').then(apiUrl => {
+  figma.ui.postMessage({ type: 'settings', apiUrl: apiUrl || DEFAULT_API_URL });
+});
+
+figma.ui.onmessage = async message => {
+  switch (message.type) {
+    case 'save-settings':
+      await figma.clientStorage.setAsync('apiUrl', message.apiUrl);
+      break;
+
+    case 'import':
+      try {
+        const center = figma.viewport.center;
+        const { root, report } = await FuzeFigmaImport.importFigmaData(figma, message.data, {
+          x: Math.round(center.x),
+          y: Math.round(center.y)
+        });
+
+        figma.currentPage.selection = [root];
+        figma.viewport.scrollAndZoomIntoView([root]);
+        figma.notify(`Imported ${report.nodeCount} layers${report.unmapped.length > 0 ? `, ${report.unmapped.length} properties not mapped` : ''}`);
+        figma.ui.postMessage({ type: 'imported', report });
+      } catch (error) {
+        figma.ui.postMessage({ type: 'error', message: error.message });
+      }
+      break;
+
+    case 'close':
+      figma.closePlugin();
+      break;
+  }
+};
@@ -0,0 +1,422 @@
+// Figma Importer - Builds Figma layers from FuzePicker's Figma node JSON
+// Pure: the plugin API is passed in, so the same code runs in the plugin
+// sandbox and under Node against a mocked `figma` object. The plugin sandbox
+// predates some syntax, so this file avoids optional chaining, `??` and
+// object spread, and it has no `self`, so the global goes on globalThis.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.FuzeFigmaImport = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  const FALLBACK_FONT = { family: 'Inter', style: 'Regular' };
+
+  const FONT_STYLES = {
+    100: 'Thin', 200: 'ExtraLight', 300: 'Light', 400: 'Regular', 500: 'Medium',
+    600: 'SemiBold', 700: 'Bold', 800: 'ExtraBold', 900: 'Black'
+  };
+
+  // Node types created directly; anything else becomes a frame and is reported
+  const CREATORS = {
+    FRAME: 'createFrame',
+    GROUP: 'createFrame',
+    SECTION: 'createFrame',
+    INSTANCE: 'createFrame',
+    COMPONENT: 'createComponent',
+    TEXT: 'createText',
+    RECTANGLE: 'createRectangle',
+    ELLIPSE: 'createEllipse',
+    LINE: 'createLine',
+    POLYGON: 'createPolygon',
+    STAR: 'createStar'
+  };
+
+  // Properties copied as they are, in an order the API accepts: layoutMode
+  // before the other Auto Layout properties
+  const DIRECT_PROPERTIES = [
+    'visible', 'opacity', 'clipsContent', 'strokeWeight', 'strokeAlign', 'dashPattern',
+    'strokeTopWeight', 'strokeRightWeight', 'strokeBottomWeight', 'strokeLeftWeight',
+    'cornerRadius', 'topLeftRadius', 'topRightRadius', 'bottomRightRadius', 'bottomLeftRadius',
+    'layoutMode', 'layoutWrap', 'primaryAxisSizingMode', 'counterAxisSizingMode',
+    'primaryAxisAlignItems', 'counterAxisAlignItems', 'itemSpacing', 'counterAxisSpacing',
+    'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft'
+  ];
+
+  // Properties that only apply once the layer sits in an Auto Layout parent
+  const CHILD_LAYOUT_PROPERTIES = ['layoutAlign', 'layoutGrow', 'layoutPositioning'];
+
+  // Properties handled outside DIRECT_PROPERTIES
+  const HANDLED_PROPERTIES = [
+    'type', 'name', 'id', 'x', 'y', 'width', 'height', 'absoluteBoundingBox', 'children',
+    'fills', 'strokes', 'effects', 'characters', 'style', 'textAutoResize'
+  ];
+
+  // Pull the Figma data out of whatever was loaded: an API response
+  // ({ aiOutput }), an AiOutput, its structuredData.figma, or a bare node.
+  // The model's JSON is used when it passed validation, otherwise the
+  // deterministic conversion.
+  function resolveSource(input) {
+    if (!input || typeof input !== 'object') {
+      throw new Error('Expected a FuzePicker AI output or Figma node JSON');
+    }
+
+    const output = input.aiOutput || input;
+    const figmaData = output.structuredData ? output.structuredData.figma : (output.figma || output);
+
+    if (!figmaData || typeof figmaData !== 'object') {
+      throw new Error('The AI output has no Figma data');
+    }
+
+    if (typeof figmaData.type === 'string') {
+      return { node: figmaData, unmapped: [], source: 'node' };
+    }
+
+    const validation = figmaData.validation || {};
+    const componentsValid = figmaData.components && (!validation.components || validation.components.valid);
+    const node = componentsValid ? figmaData.components : figmaData.generated;
+
+    if (!node || typeof node.type !== 'string') {
+      throw new Error('No valid Figma node found in the AI output');
+    }
+
+    // Local processing stores the conversion as the components too
+    const isGenerated = JSON.stringify(node) === JSON.stringify(figmaData.generated);
+
+    return {
+      node,
+      unmapped: isGenerated ? (figmaData.unmapped || []) : [],
+      source: node === figmaData.generated ? 'generated' : 'components'
+    };
+  }
+
+  // Build the layer tree under options.parent (the current page by
+  // default). Returns the root layer and a report of the fonts used and
+  // every property that could not be applied.
+  async function importFigmaData(figma, input, options) {
+    const settings = options || {};
+    const resolved = resolveSource(input);
+    const report = {
+      source: resolved.source,
+      nodeCount: 0,
+      fonts: [],
+      missingFonts: [],
+      unmapped: resolved.unmapped.slice()
+    };
+
+    const fonts = await loadFonts(figma, collectFonts(resolved.node), report);
+    const context = { figma, fonts, report };
+    const parent = settings.parent || figma.currentPage;
+
+    const rootLayer = buildLayer(resolved.node, parent, context, false);
+    if (typeof settings.x === 'number') rootLayer.x = settings.x;
+    if (typeof settings.y === 'number') rootLayer.y = settings.y;
+
+    return { root: rootLayer, report };
+  }
+
+  function buildLayer(spec, parent, context, inAutoLayout) {
+    const figma = context.figma;
+    const name = spec.name || spec.type;
+
+    if (spec.type === 'COMPONENT_SET') {
+      return buildComponentSet(spec, parent, context);
+    }
+
+    const creator = CREATORS[spec.type];
+    if (!creator) {
+      report(context, name, 'type', spec.type);
+    }
+
+    const layer = figma[creator || 'createFrame']();
+    layer.name = name;
+    parent.appendChild(layer);
+    context.report.nodeCount++;
+
+    applySize(layer, spec, context, name);
+
+    if (spec.type === 'TEXT') {
+      applyText(layer, spec, context, name);
+    }
+
+    setPaints(layer, 'fills', spec.fills, context, name);
+    setPaints(layer, 'strokes', spec.strokes, context, name);
+    applyEffects(layer, spec.effects, context, name);
+
+    DIRECT_PROPERTIES.forEach(property => {
+      if (spec[property] !== undefined) setProperty(layer, property, spec[property], context, name);
+    });
+
+    if (inAutoLayout) {
+      CHILD_LAYOUT_PROPERTIES.forEach(property => {
+        if (spec[property] !== undefined) setProperty(layer, property, spec[property], context, name);
+      });
+    }
+
+    // Positions only hold outside Auto Layout or for absolutely positioned layers
+    if (!inAutoLayout || spec.layoutPositioning === 'ABSOLUTE') {
+      const box = spec.absoluteBoundingBox || {};
+      const x = spec.x !== undefined ? spec.x : box.x;
+      const y = spec.y !== undefined ? spec.y : box.y;
+      if (typeof x === 'number') layer.x = x;
+      if (typeof y === 'number') layer.y = y;
+    }
+
+    reportUnknownProperties(spec, context, name);
+
+    const isAutoLayout = spec.layoutMode === 'HORIZONTAL' || spec.layoutMode === 'VERTICAL';
+    (spec.children || []).forEach(child => {
+      if (!child || typeof child.type !== 'string') {
+        report(context, name, 'children', JSON.stringify(child));
+        return;
+      }
+      if (typeof layer.appendChild !== 'function') {
+        report(context, name, 'children', `${child.type} inside ${spec.type}`);
+        return;
+      }
+      buildLayer(child, layer, context, isAutoLayout);
+    });
+
+    return layer;
+  }
+
+  // Variants are built as components and combined into a set
+  function buildComponentSet(spec, parent, context) {
+    const figma = context.figma;
+    const components = (spec.children || []).map(child => {
+      const componentSpec = Object.assign({}, child, { type: 'COMPONENT' });
+      return buildLayer(componentSpec, parent, context, false);
+    });
+
+    if (components.length === 0) {
+      report(context, spec.name || spec.type, 'children', 'COMPONENT_SET without variants');
+      const frame = figma.createFrame();
+      frame.name = spec.name || 'Component Set';
+      parent.appendChild(frame);
+      return frame;
+    }
+
+    const set = figma.combineAsVariants(components, parent);
+    set.name = spec.name || 'Component Set';
+    context.report.nodeCount++;
+    return set;
+  }
+
+  function applySize(layer, spec, context, name) {
+    const box = spec.absoluteBoundingBox || {};
+    const width = spec.width !== undefined ? spec.width : box.width;
+    const height = spec.height !== undefined ? spec.height : box.height;
+
+    if (typeof width !== 'number' || typeof height !== 'number' || typeof layer.resize !== 'function') return;
+
+    try {
+      // Lines have no height and zero-size frames are rejected
+      if (spec.type === 'LINE') {
+        layer.resize(Math.max(width, 0.01), 0);
+      } else {
+        layer.resize(Math.max(width, 0.01), Math.max(height, 0.01));
+      }
+    } catch (error) {
+      report(context, name, 'size', `${width}x${height}`, error);
+    }
+  }
+
+  // --- Text ---
+
+  function applyText(layer, spec, context, name) {
+    const style = spec.style || {};
+    const fontName = context.fonts[fontKey(toFontName(style))] || FALLBACK_FONT;
+
+    layer.fontName = fontName;
+    layer.characters = typeof spec.characters === 'string' ? spec.characters : '';
+
+    if (typeof style.fontSize === 'number') setProperty(layer, 'fontSize', style.fontSize, context, name);
+    if (typeof style.letterSpacing === 'number') {
+      setProperty(layer, 'letterSpacing', { value: style.letterSpacing, unit: 'PIXELS' }, context, name);
+    }
+    if (typeof style.lineHeightPx === 'number' && style.lineHeightUnit !== 'INTRINSIC_%') {
+      setProperty(layer, 'lineHeight', { value: style.lineHeightPx, unit: 'PIXELS' }, context, name);
+    }
+    if (style.textAlignHorizontal) setProperty(layer, 'textAlignHorizontal', style.textAlignHorizontal, context, name);
+    if (style.textAlignVertical) setProperty(layer, 'textAlignVertical', style.textAlignVertical, context, name);
+    if (style.textCase) setProperty(layer, 'textCase', style.textCase, context, name);
+    if (style.textDecoration) setProperty(layer, 'textDecoration', style.textDecoration, context, name);
+    if (spec.textAutoResize) setProperty(layer, 'textAutoResize', spec.textAutoResize, context, name);
+  }
+
+  function collectFonts(node) {
+    const fonts = {};
+    const visit = spec => {
+      if (!spec || typeof spec !== 'object') return;
+      if (spec.type === 'TEXT') {
+        const fontName = toFontName(spec.style || {});
+        fonts[fontKey(fontName)] = fontName;
+      }
+      (spec.children || []).forEach(visit);
+    };
+    visit(node);
+    return Object.keys(fonts).map(key => fonts[key]);
+  }
+
+  // Each requested font, or Inter Regular when it is not available
+  async function loadFonts(figma, fontNames, report) {
+    const loaded = {};
+
+    await figma.loadFontAsync(FALLBACK_FONT);
+
+    for (const fontName of fontNames) {
+      try {
+        await figma.loadFontAsync(fontName);
+        loaded[fontKey(fontName)] = fontName;
+        report.fonts.push(`${fontName.family} ${fontName.style}`);
+      } catch (error) {
+        loaded[fontKey(fontName)] = FALLBACK_FONT;
+        report.missingFonts.push(`${fontName.family} ${fontName.style}`);
+      }
+    }
+
+    return loaded;
+  }
+
+  function toFontName(style) {
+    const weight = Math.min(Math.max(Math.round((Number(style.fontWeight) || 400) / 100) * 100, 100), 900);
+    const base = FONT_STYLES[weight];
+    let fontStyle = base;
+    if (style.italic) fontStyle = base === 'Regular' ? 'Italic' : `${base} Italic`;
+
+    return { family: style.fontFamily || FALLBACK_FONT.family, style: fontStyle };
+  }
+
+  function fontKey(fontName) {
+    return `${fontName.family}|${fontName.style}`;
+  }
+
+  // --- Paint and effects ---
+
+  function setPaints(layer, property, paints, context, name) {
+    if (!Array.isArray(paints)) return;
+
+    const converted = [];
+    paints.forEach(paint => {
+      const result = toPaint(paint);
+      if (result) converted.push(result);
+      else report(context, name, property, JSON.stringify(paint));
+    });
+
+    setProperty(layer, property, converted, context, name);
+  }
+
+  // Figma's plugin API takes RGB colors with a separate paint opacity
+  function toPaint(paint) {
+    if (!paint || typeof paint !== 'object') return null;
+
+    if (paint.type === 'SOLID' && paint.color) {
+      const alpha = typeof paint.color.a === 'number' ? paint.color.a : 1;
+      const opacity = typeof paint.opacity === 'number' ? paint.opacity : 1;
+      return {
+        type: 'SOLID',
+        color: toRgb(paint.color),
+        opacity: alpha * opacity,
+        visible: paint.visible !== false
+      };
+    }
+
+    if (/^GRADIENT_/.test(paint.type) && Array.isArray(paint.gradientStops)) {
+      return {
+        type: paint.type,
+        gradientTransform: paint.gradientTransform || [[1, 0, 0], [0, 1, 0]],
+        gradientStops: paint.gradientStops.map(stop => ({
+          position: stop.position,
+          color: toRgba(stop.color)
+        })),
+        opacity: typeof paint.opacity === 'number' ? paint.opacity : 1,
+        visible: paint.visible !== false
+      };
+    }
+
+    // Image fills need image bytes, which the JSON does not carry
+    return null;
+  }
+
+  function applyEffects(layer, effects, context, name) {
+    if (!Array.isArray(effects)) return;
+
+    const converted = [];
+    effects.forEach(effect => {
+      if (!effect || typeof effect.radius !== 'number') {
+        report(context, name, 'effects', JSON.stringify(effect));
+        return;
+      }
+
+      if (effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW') {
+        converted.push({
+          type: effect.type,
+          color: toRgba(effect.color || { r: 0, g: 0, b: 0, a: 0.25 }),
+          offset: effect.offset || { x: 0, y: 0 },
+          radius: effect.radius,
+          spread: effect.spread || 0,
+          visible: effect.visible !== false,
+          blendMode: effect.blendMode || 'NORMAL'
+        });
+      } else if (effect.type === 'LAYER_BLUR' || effect.type === 'BACKGROUND_BLUR') {
+        converted.push({ type: effect.type, radius: effect.radius, visible: effect.visible !== false });
+      } else {
+        report(context, name, 'effects', JSON.stringify(effect));
+      }
+    });
+
+    setProperty(layer, 'effects', converted, context, name);
+  }
+
+  function toRgb(color) {
+    return { r: clampUnit(color.r), g: clampUnit(color.g), b: clampUnit(color.b) };
+  }
+
+  function toRgba(color) {
+    return {
+      r: clampUnit(color.r),
+      g: clampUnit(color.g),
+      b: clampUnit(color.b),
+      a: typeof color.a === 'number' ? clampUnit(color.a) : 1
+    };
+  }
+
+  function clampUnit(value) {
+    return Math.min(Math.max(Number(value) || 0, 0), 1);
+  }
+
+  // --- Reporting ---
+
+  // The API throws on values it rejects; those are reported, not fatal
+  function setProperty(layer, property, value, context, name) {
+    try {
+      layer[property] = value;
+    } catch (error) {
+      report(context, name, property, typeof value === 'object' ? JSON.stringify(value) : String(value), error);
+    }
+  }
+
+  function reportUnknownProperties(spec, context, name) {
+    Object.keys(spec).forEach(property => {
+      if (HANDLED_PROPERTIES.indexOf(property) !== -1) return;
+      if (DIRECT_PROPERTIES.indexOf(property) !== -1 || CHILD_LAYOUT_PROPERTIES.indexOf(property) !== -1) return;
+
+      const value = spec[property];
+      report(context, name, property, typeof value === 'object' ? JSON.stringify(value) : String(value));
+    });
+  }
+
+  function report(context, layer, property, value, error) {
+    const entry = { layer, property, value: String(value).slice(0, 200) };
+    if (error) entry.error = error.message;
+    context.report.unmapped.push(entry);
+  }
+
+  return {
+    importFigmaData,
+    resolveSource,
+    collectFonts,
+    toFontName,
+    toPaint
+  };
+});
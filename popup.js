@@ -1,12 +1,31 @@
 // FuzePicker Popup Script
 let currentElement = null;
+let currentGroup = null;
+let currentScreenshot = null;
+
+// Style table sections, matched in order against camelCase property names
+const STYLE_CATEGORIES = [
+  { name: 'Typography', pattern: /^(font|color$|lineHeight|letterSpacing|wordSpacing|text|whiteSpace|wordBreak|overflowWrap|verticalAlign|direction|writingMode|listStyle|hyphens)/ },
+  { name: 'Layout', pattern: /^(display|position|top$|right$|bottom$|left$|inset|float|clear|zIndex|flex|grid|gap|rowGap|columnGap|columns?|justify|align|order|place|overflow|visibility)/ },
+  { name: 'Box Model', pattern: /^(width|height|minWidth|minHeight|maxWidth|maxHeight|padding|margin|border|boxSizing|aspectRatio|outline)/ },
+  { name: 'Effects', pattern: /^(background|boxShadow|opacity|transform|transition|animation|filter|backdropFilter|mixBlendMode|clipPath|mask|cursor|perspective)/ }
+];
 let isPickerActive = false;
+let isRecording = false;
+
+// Workspace sinks the backend can write outputs to, loaded with the outputs
+let workspaceSinks = [];
 
 // Initialize popup when DOM is loaded
 document.addEventListener('DOMContentLoaded', initializePopup);
 
 async function initializePopup() {
   setupEventListeners();
+  await loadCaptureSettings();
+  await loadTestFramework();
+  await loadComponentFramework();
+  await loadRecordingState();
+  await loadLastFlow();
   await loadSelectedElement();
   await loadSelections();
   updateUI();
@@ -23,11 +42,31 @@ function setupEventListeners() {
   // Picker toggle
   document.getElementById('togglePicker').addEventListener('click', togglePicker);
 
+  // Flow recording
+  document.getElementById('toggleRecording').addEventListener('click', toggleRecording);
+  document.getElementById('copyFlowTest').addEventListener('click', copyFlowTest);
+
   // Copy buttons
   document.querySelectorAll('.copy-btn').forEach(button => {
     button.addEventListener('click', handleCopy);
   });
 
+  // Capture settings
+  document.getElementById('fullStyleCapture').addEventListener('change', (e) => {
+    saveCaptureSettings({ styleMode: e.target.checked ? 'full' : 'basic' });
+  });
+  document.getElementById('subtreeCapture').addEventListener('change', (e) => {
+    saveCaptureSettings({ subtree: e.target.checked });
+  });
+  ['subtreeDepth', 'subtreeMaxNodes'].forEach(id => {
+    document.getElementById(id).addEventListener('change', (e) => {
+      const input = e.target;
+      const value = Math.min(Math.max(parseInt(input.value, 10) || 1, Number(input.min)), Number(input.max));
+      input.value = value;
+      saveCaptureSettings({ [id]: value });
+    });
+  });
+
   // Comment form
   document.getElementById('addComment').addEventListener('click', addComment);
   document.getElementById('commentInput').addEventListener('keydown', (e) => {
@@ -36,6 +75,16 @@ function setupEventListeners() {
     }
   });
 
+  // Test framework for the Write Test action
+  document.getElementById('testFramework').addEventListener('change', (e) => {
+    saveTestFramework(e.target.value);
+  });
+
+  // Component framework for the Component action
+  document.getElementById('componentFramework').addEventListener('change', (e) => {
+    saveComponentFramework(e.target.value);
+  });
+
   // AI action buttons
   document.querySelectorAll('.ai-btn').forEach(button => {
     button.addEventListener('click', (e) => {
@@ -48,6 +97,7 @@ function setupEventListeners() {
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === 'dataUpdated') {
       loadSelections();
+      loadLastFlow();
       updateUI();
     }
   });
@@ -102,21 +152,103 @@ function updatePickerButton() {
   }
 }
 
+async function loadRecordingState() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = await chrome.runtime.sendMessage({ action: 'getRecordingState', tabId: tab.id });
+    
+    isRecording = response.active;
+    updateRecordingButton();
+  } catch (error) {
+    console.error('Failed to load recording state:', error);
+  }
+}
+
+async function toggleRecording() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = await chrome.runtime.sendMessage({
+      action: isRecording ? 'stopRecording' : 'startRecording',
+      tabId: tab.id
+    });
+    
+    isRecording = response.active;
+    updateRecordingButton();
+    
+    if (isRecording) {
+      updateStatus('Recording - use the page, then stop to generate a test');
+    } else if (response.flow) {
+      renderLastFlow(response);
+      switchTab('ai-tools');
+      updateStatus(response.flowId ? 'Flow recorded and saved' : 'Flow recorded (backend unavailable, not saved)');
+    } else {
+      updateStatus('Recording stopped');
+    }
+    
+  } catch (error) {
+    console.error('Failed to toggle recording:', error);
+    updateStatus('Failed to toggle recording');
+  }
+}
+
+function updateRecordingButton() {
+  const button = document.getElementById('toggleRecording');
+  
+  button.classList.toggle('recording', isRecording);
+  button.querySelector('.picker-icon').textContent = isRecording ? '⏹' : '⏺';
+  button.querySelector('.picker-text').textContent = isRecording ? 'Stop Recording' : 'Record Flow';
+}
+
+async function loadLastFlow() {
+  const { lastFlow } = await chrome.storage.local.get('lastFlow');
+  if (lastFlow) {
+    renderLastFlow(lastFlow);
+  }
+}
+
+function renderLastFlow({ flow, test, flowId }) {
+  document.getElementById('flowOutput').style.display = 'block';
+  document.getElementById('flowSummary').textContent =
+    `${flow.steps.length} steps from ${flow.startUrl}${flowId ? '' : ' · not saved to the backend'}`;
+  document.getElementById('flowTest').textContent = test;
+}
+
+async function copyFlowTest(event) {
+  try {
+    await navigator.clipboard.writeText(document.getElementById('flowTest').textContent);
+    
+    const originalText = event.target.textContent;
+    event.target.textContent = '✓';
+    setTimeout(() => {
+      event.target.textContent = originalText;
+    }, 1000);
+    
+    updateStatus('Flow test copied');
+  } catch (error) {
+    console.error('Failed to copy:', error);
+    updateStatus('Failed to copy');
+  }
+}
+
 async function loadSelectedElement() {
   try {
     // Get from Chrome storage first
-    const result = await chrome.storage.local.get('selectedElement');
+    const result = await chrome.storage.local.get(['selectedElement', 'selectedElements']);
     if (result.selectedElement) {
       currentElement = result.selectedElement;
+      currentGroup = result.selectedElements || null;
       return;
     }
 
-    // Fallback to content script
+    // Fallback to content script. Only a frame holding a selection answers;
+    // frames the content script cannot run in never do, and the message
+    // fails when no frame answers.
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    const response = await chrome.tabs.sendMessage(tab.id, { action: 'getSelectedElement' });
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'getSelectedElement' }).catch(() => null);
     
     if (response && response.element) {
       currentElement = response.element;
+      currentGroup = response.elements || null;
     }
   } catch (error) {
     console.error('Failed to load selected element:', error);
@@ -131,6 +263,8 @@ async function loadSelections() {
       const latestSelection = response.selections[response.selections.length - 1];
       if (latestSelection) {
         currentElement = latestSelection.element;
+        currentGroup = latestSelection.elements || null;
+        currentScreenshot = latestSelection.screenshot || null;
       }
     }
   } catch (error) {
@@ -158,11 +292,24 @@ function showElementDetails() {
   document.getElementById('elementText').textContent = 
     currentElement.text || 'No text content';
 
+  // Selection sets list their members instead of a single tag
+  const groupRow = document.getElementById('elementGroupRow');
+  if (currentGroup && currentGroup.length > 1) {
+    groupRow.style.display = 'flex';
+    document.getElementById('elementGroup').textContent =
+      `${currentGroup.length} elements (${currentGroup.map(el => el.tag).join(', ')})`;
+  } else {
+    groupRow.style.display = 'none';
+  }
+
+  populateScreenshot();
+
   // Populate styles
   populateStyles();
+  populateSubtreeSummary();
 
   // Populate selectors
-  document.getElementById('cssSelector').textContent = currentElement.selector;
+  populateSelectors();
   document.getElementById('xpathSelector').textContent = currentElement.xpath;
 
   updateStatus('Element selected');
@@ -174,20 +321,137 @@ function showEmptyState() {
   updateStatus('No element selected');
 }
 
+function populateScreenshot() {
+  const section = document.getElementById('screenshotSection');
+  const image = document.getElementById('elementScreenshot');
+
+  if (currentScreenshot && currentScreenshot.dataUrl) {
+    image.src = currentScreenshot.dataUrl;
+    section.style.display = 'block';
+  } else {
+    image.removeAttribute('src');
+    section.style.display = 'none';
+  }
+}
+
+function populateSubtreeSummary() {
+  const summary = document.getElementById('subtreeSummary');
+  const subtree = currentElement.subtree;
+
+  if (!subtree) {
+    summary.textContent = 'Not captured for this selection';
+    return;
+  }
+
+  summary.textContent = `${subtree.nodeCount} nodes, up to ${subtree.depth} levels deep` +
+    (subtree.truncated ? ' (truncated at the limits)' : '');
+}
+
 function populateStyles() {
   const container = document.getElementById('stylesContainer');
   container.innerHTML = '';
 
+  const groups = new Map([...STYLE_CATEGORIES.map(category => [category.name, []]), ['Other', []]]);
+
   Object.entries(currentElement.styles).forEach(([prop, value]) => {
     if (value && value !== 'none' && value !== 'auto') {
+      const category = STYLE_CATEGORIES.find(entry => entry.pattern.test(prop));
+      groups.get(category ? category.name : 'Other').push([prop, value]);
+    }
+  });
+
+  groups.forEach((entries, name) => {
+    if (entries.length === 0) return;
+
+    const group = document.createElement('div');
+    group.className = 'style-group';
+    group.innerHTML = `<div class="style-group-title">${name}</div>`;
+
+    entries.forEach(([prop, value]) => {
       const styleRow = document.createElement('div');
       styleRow.className = 'style-row';
       styleRow.innerHTML = `
         <span class="style-prop">${prop}:</span>
         <span class="style-value">${value}</span>
       `;
-      container.appendChild(styleRow);
-    }
+      group.appendChild(styleRow);
+    });
+
+    container.appendChild(group);
+  });
+}
+
+async function loadCaptureSettings() {
+  const { captureSettings = {} } = await chrome.storage.local.get('captureSettings');
+  document.getElementById('fullStyleCapture').checked = captureSettings.styleMode === 'full';
+  document.getElementById('subtreeCapture').checked = captureSettings.subtree === true;
+  document.getElementById('subtreeDepth').value = captureSettings.subtreeDepth || 3;
+  document.getElementById('subtreeMaxNodes').value = captureSettings.subtreeMaxNodes || 50;
+}
+
+async function saveCaptureSettings(changes) {
+  const { captureSettings = {} } = await chrome.storage.local.get('captureSettings');
+  await chrome.storage.local.set({ captureSettings: { ...captureSettings, ...changes } });
+  updateStatus('Capture settings saved - applies to the next selection');
+}
+
+async function loadTestFramework() {
+  const { testFramework = 'playwright' } = await chrome.storage.local.get('testFramework');
+  const select = document.getElementById('testFramework');
+  select.value = testFramework;
+  updateTestFrameworkLabel(select);
+}
+
+async function saveTestFramework(testFramework) {
+  await chrome.storage.local.set({ testFramework });
+  updateTestFrameworkLabel(document.getElementById('testFramework'));
+  updateStatus('Test framework saved');
+}
+
+function updateTestFrameworkLabel(select) {
+  const label = select.selectedOptions[0]?.textContent || 'Playwright';
+  document.getElementById('testFrameworkDesc').textContent = `Generate ${label} test`;
+}
+
+async function loadComponentFramework() {
+  const { componentFramework = 'react' } = await chrome.storage.local.get('componentFramework');
+  const select = document.getElementById('componentFramework');
+  select.value = componentFramework;
+  updateComponentFrameworkLabel(select);
+}
+
+async function saveComponentFramework(componentFramework) {
+  await chrome.storage.local.set({ componentFramework });
+  updateComponentFrameworkLabel(document.getElementById('componentFramework'));
+  updateStatus('Component framework saved');
+}
+
+function updateComponentFrameworkLabel(select) {
+  const label = select.selectedOptions[0]?.textContent || 'React';
+  document.getElementById('componentFrameworkDesc').textContent = `Create ${label} implementation`;
+}
+
+// Ranked fallback selectors, best first, each with its own copy button
+function populateSelectors() {
+  const container = document.getElementById('cssSelectorList');
+  container.innerHTML = '';
+
+  const selectors = currentElement.selectors || [
+    { selector: currentElement.selector, score: null, strategy: null }
+  ];
+
+  selectors.forEach((entry, index) => {
+    const row = document.createElement('div');
+    row.className = 'selector-row';
+    row.innerHTML = `
+      <span class="label">${index === 0 ? 'CSS Selector:' : ''}</span>
+      <code class="selector-value"></code>
+      ${entry.score !== null ? `<span class="selector-score" title="${entry.strategy}">${entry.score}</span>` : ''}
+      <button class="copy-btn" data-copy="css" data-index="${index}">📋</button>
+    `;
+    row.querySelector('.selector-value').textContent = entry.selector;
+    row.querySelector('.copy-btn').addEventListener('click', handleCopy);
+    container.appendChild(row);
   });
 }
 
@@ -196,7 +460,8 @@ async function handleCopy(event) {
   let textToCopy = '';
 
   if (copyType === 'css') {
-    textToCopy = currentElement.selector;
+    const index = Number(event.target.dataset.index || 0);
+    textToCopy = currentElement.selectors?.[index]?.selector || currentElement.selector;
   } else if (copyType === 'xpath') {
     textToCopy = currentElement.xpath;
   }
@@ -283,9 +548,13 @@ async function triggerAiAction(action) {
     
     await chrome.runtime.sendMessage({
       action: 'aiTask',
+      tabId: tab.id,
       task: action,
       element: currentElement,
-      pageUrl: tab.url
+      elements: currentGroup,
+      pageUrl: tab.url,
+      ...(action === 'playwright' && { framework: document.getElementById('testFramework').value }),
+      ...(action === 'react' && { framework: document.getElementById('componentFramework').value })
     });
 
     updateStatus(`${action} task started`);
@@ -324,6 +593,9 @@ async function loadAiOutputs() {
 
     outputsList.innerHTML = '';
     
+    const sinksResponse = await chrome.runtime.sendMessage({ action: 'getWorkspaceSinks' });
+    workspaceSinks = sinksResponse?.sinks || [];
+    
     Object.entries(outputs).forEach(([task, output]) => {
       const outputItem = document.createElement('div');
       outputItem.className = 'output-item';
@@ -345,6 +617,12 @@ async function loadAiOutputs() {
         <div class="output-content">${formatOutput(output.output)}</div>
       `;
       
+      // Only outputs stored by the backend can be written; offline
+      // fallbacks have no output ID
+      if (output.outputId && workspaceSinks.length > 0) {
+        outputItem.appendChild(createWorkspaceActions(output.outputId));
+      }
+      
       outputsList.appendChild(outputItem);
     });
     
@@ -354,6 +632,67 @@ async function loadAiOutputs() {
   }
 }
 
+// Sink picker and write button for one output. An existing file is only
+// replaced after its diff has been shown and the overwrite confirmed.
+function createWorkspaceActions(outputId) {
+  const container = document.createElement('div');
+  container.className = 'workspace-actions';
+  container.innerHTML = `
+    <div class="workspace-controls">
+      <select class="workspace-sink"></select>
+      <button class="copy-btn workspace-write">Write to workspace</button>
+    </div>
+    <div class="workspace-conflict" style="display: none;">
+      <div class="workspace-message"></div>
+      <pre class="workspace-diff"></pre>
+      <button class="copy-btn workspace-overwrite">Overwrite</button>
+    </div>
+  `;
+  
+  const select = container.querySelector('.workspace-sink');
+  workspaceSinks.forEach(sink => {
+    const option = document.createElement('option');
+    option.value = sink.name;
+    option.textContent = sink.name;
+    select.appendChild(option);
+  });
+  select.style.display = workspaceSinks.length > 1 ? '' : 'none';
+  
+  const conflict = container.querySelector('.workspace-conflict');
+  let baseHash = null;
+  
+  async function write(overwrite) {
+    const result = await chrome.runtime.sendMessage({
+      action: 'writeToWorkspace',
+      sink: select.value,
+      outputId,
+      ...(overwrite && { baseHash })
+    });
+    
+    if (result?.conflict) {
+      baseHash = result.baseHash;
+      conflict.querySelector('.workspace-message').textContent = `${result.path}: ${result.message}`;
+      conflict.querySelector('.workspace-diff').textContent = result.diff;
+      conflict.style.display = '';
+      updateStatus('Review the diff before overwriting');
+      return;
+    }
+    
+    conflict.style.display = 'none';
+    baseHash = null;
+    updateStatus(result?.success ? `${result.message}: ${result.path}` : (result?.message || 'Failed to write to workspace'));
+  }
+  
+  container.querySelector('.workspace-write').addEventListener('click', () => write(false));
+  container.querySelector('.workspace-overwrite').addEventListener('click', () => write(true));
+  select.addEventListener('change', () => {
+    conflict.style.display = 'none';
+    baseHash = null;
+  });
+  
+  return container;
+}
+
 function formatOutput(output) {
   // Convert markdown-like content to HTML
   let formatted = output
@@ -15,7 +15,16 @@ const PACKAGE_DIR = path.join(process.cwd(), 'extension-package');
 
 // Required files
 const requiredFiles = [
-  'manifest.json', 'content.js', 'background.js', 'popup.html', 'popup.css', 'popup.js'
+  'manifest.json', 'content.js', 'background.js', 'popup.html', 'popup.css', 'popup.js',
+  'shared/tailwind.js',
+  'shared/html.js',
+  'shared/react.js',
+  'shared/figma.js',
+  'shared/playwright.js',
+  'shared/test-frameworks.js',
+  'shared/components.js',
+  'shared/selectors.js',
+  'shared/groups.js'
 ];
 
 async function quickInstall() {
@@ -39,6 +48,7 @@ async function quickInstall() {
     
     // Copy files
     requiredFiles.forEach(file => {
+      fs.mkdirSync(path.dirname(path.join(PACKAGE_DIR, file)), { recursive: true });
       fs.copyFileSync(file, path.join(PACKAGE_DIR, file));
     });
     
@@ -0,0 +1,271 @@
+// Component Generators - Deterministic component in each supported UI framework from captured element HTML
+// Shared by the extension service worker (importScripts) and the backend (require).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./html'), require('./tailwind'), require('./react'));
+  } else {
+    root.FuzeComponents = factory(root.FuzeHtml, root.FuzeTailwind, root.FuzeReact);
+  }
+})(typeof self !== 'undefined' ? self : this, function (FuzeHtml, FuzeTailwind, FuzeReact) {
+  // Frameworks the component task can target: label, code block language,
+  // file name suffix and the structuredData key its output is stored under
+  const FRAMEWORKS = {
+    react: { label: 'React component', language: 'tsx', extension: '.tsx', dataKey: 'react' },
+    vue: { label: 'Vue SFC', language: 'vue', extension: '.vue', dataKey: 'vue' },
+    svelte: { label: 'Svelte component', language: 'svelte', extension: '.svelte', dataKey: 'svelte' },
+    angular: { label: 'Angular standalone component', language: 'typescript', extension: '.component.ts', dataKey: 'angular' },
+    'web-component': { label: 'Web Component', language: 'typescript', extension: '.ts', dataKey: 'webComponent' }
+  };
+
+  const DEFAULT_FRAMEWORK = 'react';
+
+  const INDENT = '  ';
+  const MAX_INLINE_LENGTH = 100;
+
+  // Build a component for the framework from element.html, or from its tag
+  // and text when no markup was captured. Options match
+  // FuzeReact.generateComponent: componentName, theme and styling. The
+  // markup is kept as captured apart from scripts and inline event handlers;
+  // React components also turn repeated items into array props.
+  function generateComponent(framework, element, options = {}) {
+    const target = FRAMEWORKS[framework] ? framework : DEFAULT_FRAMEWORK;
+    const { extension, language } = FRAMEWORKS[target];
+
+    if (target === 'react') {
+      const generated = FuzeReact.generateComponent(element, options);
+      return { framework: target, language, fileName: `${generated.componentName}${extension}`, ...generated };
+    }
+
+    const nodes = FuzeReact.normalize(FuzeReact.parseElement(element), false);
+    const roots = nodes.filter(node => node.type === 'element' || node.value.trim());
+    const rootNode = roots.length === 1 && roots[0].type === 'element' ? roots[0] : null;
+    const componentName = options.componentName || FuzeReact.getComponentName(element, rootNode);
+    const tagName = getCustomElementName(componentName);
+    const context = {
+      framework: target,
+      rootNode,
+      rootClasses: getRootClasses(element, rootNode, options),
+      notes: []
+    };
+
+    const generated = RENDERERS[target](roots, componentName, tagName, element, context);
+
+    return {
+      framework: target,
+      language,
+      fileName: target === 'vue' || target === 'svelte'
+        ? `${componentName}${extension}`
+        : `${toKebabCase(componentName)}${extension}`,
+      componentName,
+      notes: context.notes,
+      ...generated
+    };
+  }
+
+  function getRootClasses(element, rootNode, options) {
+    if (!rootNode) return '';
+
+    if (options.styling !== 'classes' && element.styles && Object.keys(element.styles).length > 0) {
+      return FuzeTailwind.classesForElement({ ...element, tag: rootNode.tag }, { theme: options.theme }).classes.join(' ');
+    }
+
+    return FuzeHtml.getAttribute(rootNode, 'class') || '';
+  }
+
+  // --- Frameworks ---
+
+  // Attributes and classes on the component fall through to the root
+  // element, so the SFC needs no props of its own
+  function renderVue(roots, componentName, tagName, element, context) {
+    const markup = renderNodes(roots, 1, context);
+    const code = [
+      `<!-- ${componentName}, converted from the captured <${element.tag || 'element'}> -->`,
+      '<template>',
+      ...markup,
+      '</template>',
+      ''
+    ].join('\n');
+
+    return { code, props: [], usage: `<${componentName} />` };
+  }
+
+  // Svelte 5 runes: class and any other attributes are forwarded to the root
+  function renderSvelte(roots, componentName, tagName, element, context) {
+    const forwards = Boolean(context.rootNode);
+    const markup = renderNodes(roots, 0, { ...context, forwardProps: forwards });
+    const code = [
+      '<script lang="ts">',
+      forwards
+        ? `${INDENT}let { class: className = '', ...rest }: { class?: string; [key: string]: unknown } = $props();`
+        : `${INDENT}// ${componentName}, converted from the captured <${element.tag || 'element'}>`,
+      '</script>',
+      '',
+      ...markup,
+      ''
+    ].join('\n');
+
+    return {
+      code,
+      props: forwards ? [{ name: 'class', type: 'string', optional: true }] : [],
+      usage: `<${componentName} />`
+    };
+  }
+
+  // Standalone component whose host element stays out of the layout
+  function renderAngular(roots, componentName, tagName, element, context) {
+    const className = componentName.endsWith('Component') ? componentName : `${componentName}Component`;
+    const markup = renderNodes(roots, 2, context).map(line => escapeTemplateLiteral(line));
+    const selector = `app-${toKebabCase(componentName)}`;
+    const code = [
+      'import { Component } from \'@angular/core\';',
+      '',
+      '@Component({',
+      `${INDENT}selector: '${selector}',`,
+      `${INDENT}standalone: true,`,
+      `${INDENT}template: \``,
+      ...markup,
+      `${INDENT}\`,`,
+      `${INDENT}styles: [':host { display: contents; }']`,
+      '})',
+      `export class ${className} {}`,
+      ''
+    ].join('\n');
+
+    return { code, props: [], selector, className, usage: `<${selector}></${selector}>` };
+  }
+
+  // Shadow DOM cannot see page or Tailwind CSS, so the root gets the
+  // captured styles as a rule instead of utility classes
+  function renderWebComponent(roots, componentName, tagName, element, context) {
+    const markup = renderNodes(roots, 1, { ...context, rootClasses: null, rootPart: true }).map(line => escapeTemplateLiteral(line));
+    const rule = Object.entries(element.styles || {})
+      .filter(([, value]) => value !== '' && value !== null && value !== undefined)
+      .map(([property, value]) => escapeTemplateLiteral(`${INDENT}${INDENT}${toCssProperty(property)}: ${value};`));
+
+    const code = [
+      'const template = document.createElement(\'template\');',
+      'template.innerHTML = `',
+      `${INDENT}<style>`,
+      `${INDENT}${INDENT}:host { display: contents; }`,
+      ...(context.rootNode && rule.length > 0
+        ? [`${INDENT}${INDENT}[part="root"] {`, ...rule.map(line => `${INDENT}${line}`), `${INDENT}${INDENT}}`]
+        : []),
+      `${INDENT}</style>`,
+      ...markup,
+      '`;',
+      '',
+      `export class ${componentName} extends HTMLElement {`,
+      `${INDENT}constructor() {`,
+      `${INDENT}${INDENT}super();`,
+      `${INDENT}${INDENT}this.attachShadow({ mode: 'open' }).appendChild(template.content.cloneNode(true));`,
+      `${INDENT}}`,
+      '}',
+      '',
+      `if (!customElements.get('${tagName}')) {`,
+      `${INDENT}customElements.define('${tagName}', ${componentName});`,
+      '}',
+      ''
+    ].join('\n');
+
+    return { code, props: [], tagName, usage: `<${tagName}></${tagName}>` };
+  }
+
+  const RENDERERS = {
+    vue: renderVue,
+    svelte: renderSvelte,
+    angular: renderAngular,
+    'web-component': renderWebComponent
+  };
+
+  // --- Markup ---
+
+  function renderNodes(nodes, depth, context) {
+    return nodes.flatMap(node => (node.type === 'text'
+      ? [`${INDENT.repeat(depth)}${escapeText(node.value, context.framework)}`]
+      : renderElement(node, depth, context)));
+  }
+
+  function renderElement(node, depth, context) {
+    const pad = INDENT.repeat(depth);
+    const tagName = node.svg ? node.name : node.tag;
+    const isRoot = node === context.rootNode;
+    const attributes = node.attributes
+      .filter(([name]) => !/^on/i.test(name) && !(isRoot && name.toLowerCase() === 'class'))
+      .map(([name, value]) => (value === '' ? name : `${name}="${escapeAttribute(value, context.framework)}"`));
+
+    if (isRoot) {
+      const classes = context.rootClasses || '';
+      if (context.forwardProps) {
+        attributes.unshift(classes ? `class="${escapeAttribute(classes, context.framework)} {className}"` : 'class={className}');
+        attributes.push('{...rest}');
+      } else if (classes) {
+        attributes.unshift(`class="${escapeAttribute(classes, context.framework)}"`);
+      }
+      if (context.rootPart) attributes.push('part="root"');
+    }
+
+    const open = `<${tagName}${attributes.length > 0 ? ` ${attributes.join(' ')}` : ''}>`;
+
+    if (FuzeHtml.VOID_ELEMENTS.has(node.tag)) {
+      return [`${pad}${open}`];
+    }
+
+    const close = `</${tagName}>`;
+    if (node.children.length === 0) {
+      return [`${pad}${open}${close}`];
+    }
+
+    if (node.children.length === 1 && node.children[0].type === 'text') {
+      const text = escapeText(node.children[0].value, context.framework);
+      if (pad.length + open.length + text.length + close.length <= MAX_INLINE_LENGTH || node.tag === 'pre') {
+        return [`${pad}${open}${text}${close}`];
+      }
+    }
+
+    return [`${pad}${open}`, ...renderNodes(node.children, depth + 1, { ...context, rootNode: null }), `${pad}${close}`];
+  }
+
+  // Template syntaxes read braces (and Angular reads @) as code, so they are
+  // written as character references
+  function escapeText(text, framework) {
+    return escapeTemplateSyntax(text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'), framework);
+  }
+
+  function escapeAttribute(value, framework) {
+    return escapeTemplateSyntax(value.replace(/&/g, '&amp;').replace(/"/g, '&quot;'), framework);
+  }
+
+  function escapeTemplateSyntax(text, framework) {
+    const escaped = text.replace(/{/g, '&#123;').replace(/}/g, '&#125;');
+    return framework === 'angular' ? escaped.replace(/@/g, '&#64;') : escaped;
+  }
+
+  function escapeTemplateLiteral(text) {
+    return text.replace(/[`\\]/g, '\\$&').replace(/\$\{/g, '\\${');
+  }
+
+  // --- Names ---
+
+  // Custom element names need a hyphen
+  function getCustomElementName(componentName) {
+    const name = toKebabCase(componentName);
+    return name.includes('-') ? name : `fuze-${name}`;
+  }
+
+  function toKebabCase(name) {
+    return name
+      .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+      .replace(/([A-Z])([A-Z][a-z])/g, '$1-$2')
+      .toLowerCase();
+  }
+
+  function toCssProperty(property) {
+    return property.startsWith('--') ? property : property.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+  }
+
+  return {
+    FRAMEWORKS,
+    DEFAULT_FRAMEWORK,
+    generateComponent
+  };
+});
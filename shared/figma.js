@@ -0,0 +1,601 @@
+// Figma Generator - Deterministic Figma node JSON from a captured element
+// Shared by the extension service worker (importScripts) and the backend (require).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./html'), require('./tailwind'));
+  } else {
+    root.FuzeFigma = factory(root.FuzeHtml, root.FuzeTailwind);
+  }
+})(typeof self !== 'undefined' ? self : this, function (FuzeHtml, FuzeTailwind) {
+  // Text properties a child takes from its parent unless it sets its own
+  const TEXT_PROPERTIES = [
+    'color', 'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'lineHeight',
+    'letterSpacing', 'textAlign', 'textTransform', 'textDecoration', 'textDecorationLine'
+  ];
+
+  // Figma has no generic families; these stand in for them
+  const GENERIC_FONTS = {
+    'sans-serif': 'Inter', 'system-ui': 'Inter', '-apple-system': 'Inter', 'blinkmacsystemfont': 'Inter',
+    'ui-sans-serif': 'Inter', 'serif': 'Noto Serif', 'ui-serif': 'Noto Serif',
+    'monospace': 'Roboto Mono', 'ui-monospace': 'Roboto Mono', 'cursive': 'Inter', 'fantasy': 'Inter'
+  };
+
+  const FONT_WEIGHTS = { normal: 400, bold: 700, lighter: 300, bolder: 700 };
+
+  const TEXT_ALIGNMENTS = {
+    left: 'LEFT', start: 'LEFT', center: 'CENTER', right: 'RIGHT', end: 'RIGHT', justify: 'JUSTIFIED'
+  };
+
+  const TEXT_CASES = { uppercase: 'UPPER', lowercase: 'LOWER', capitalize: 'TITLE' };
+
+  const PRIMARY_ALIGNMENTS = {
+    center: 'CENTER', 'flex-end': 'MAX', end: 'MAX', right: 'MAX',
+    'space-between': 'SPACE_BETWEEN', 'space-around': 'SPACE_BETWEEN', 'space-evenly': 'SPACE_BETWEEN'
+  };
+
+  const COUNTER_ALIGNMENTS = { center: 'CENTER', 'flex-end': 'MAX', end: 'MAX', baseline: 'BASELINE' };
+
+  // Captured properties with no Figma equivalent in this conversion
+  const UNSUPPORTED_PROPERTIES = [
+    'backgroundImage', 'transform', 'textShadow', 'mixBlendMode', 'clipPath', 'mask',
+    'borderImage', 'outline'
+  ];
+
+  const SIDES = ['Top', 'Right', 'Bottom', 'Left'];
+  const CORNERS = ['TopLeft', 'TopRight', 'BottomRight', 'BottomLeft'];
+
+  // Tolerance in px when comparing boxes, for subpixel layout
+  const BOX_TOLERANCE = 1;
+
+  // Convert an element into a FRAME node tree. Children come from the
+  // captured subtree when there is one, otherwise the element's text becomes
+  // a single TEXT layer. Positions are relative to the parent layer, colors
+  // are 0-1 RGBA, and every CSS property that could not be expressed is
+  // listed in unmapped as { layer, property, value }.
+  function toFigmaNode(element) {
+    const context = { unmapped: [] };
+    const box = element.boundingBox || {};
+    const hasSubtree = Array.isArray(element.subtree?.children) && element.subtree.children.length > 0;
+
+    const source = {
+      tag: element.tag || 'div',
+      id: element.id,
+      classes: element.classes,
+      text: hasSubtree ? getOwnText(element.html) : (element.text || ''),
+      styles: element.styles || {},
+      box: [0, 0, round(box.width || 0), round(box.height || 0)],
+      children: hasSubtree ? element.subtree.children : []
+    };
+
+    const node = buildNode(source, [0, 0], {}, context, true);
+    return { node, unmapped: context.unmapped };
+  }
+
+  function buildNode(source, origin, inherited, context, isRoot) {
+    const styles = source.styles || {};
+    const textStyles = { ...inherited, ...pick(styles, TEXT_PROPERTIES) };
+    const name = layerName(source);
+    const [x, y, width, height] = source.box || [0, 0, 0, 0];
+    const children = source.children || [];
+
+    if (!isRoot && children.length === 0 && source.text && !hasFrameStyles(styles)) {
+      return textNode(source.text, [x - origin[0], y - origin[1], width, height], textStyles);
+    }
+
+    const node = { type: 'FRAME', name, x: round(x - origin[0]), y: round(y - origin[1]), width, height };
+    applyFrameStyles(node, styles, context, name);
+    Object.assign(node, inferLayout(source, styles, children));
+
+    const padding = [node.paddingTop || 0, node.paddingRight || 0, node.paddingBottom || 0, node.paddingLeft || 0];
+    const layers = [];
+
+    if (source.text) {
+      const contentBox = [padding[3], padding[0], Math.max(width - padding[1] - padding[3], 0), Math.max(height - padding[0] - padding[2], 0)];
+      layers.push(textNode(source.text, contentBox, textStyles));
+    }
+
+    const ordered = /reverse/.test(styles.flexDirection || '') ? [...children].reverse() : children;
+    ordered.forEach(child => {
+      const layer = buildNode(child, [x, y], textStyles, context, false);
+      if (node.layoutMode !== 'NONE') {
+        applyChildLayout(layer, child, node, styles, padding);
+      }
+      layers.push(layer);
+    });
+
+    if (layers.length > 0) node.children = layers;
+    return node;
+  }
+
+  // --- Auto Layout ---
+
+  // Direction, spacing and padding from flex or grid styles, or from how the
+  // children's boxes are arranged for block layout
+  function inferLayout(source, styles, children) {
+    const display = styles.display || '';
+    const inline = /^inline/.test(display) || source.tag === 'button';
+    const boxes = children.map(child => child.box).filter(Boolean);
+    const gaps = parseGap(styles);
+    const layout = {};
+
+    if (/flex/.test(display)) {
+      layout.layoutMode = /column/.test(styles.flexDirection || '') ? 'VERTICAL' : 'HORIZONTAL';
+      if (/^wrap/.test(styles.flexWrap || '')) {
+        layout.layoutWrap = 'WRAP';
+        layout.counterAxisSpacing = gaps.row ?? inferWrapSpacing(boxes);
+      }
+      const gap = layout.layoutMode === 'HORIZONTAL' ? gaps.column : gaps.row;
+      layout.itemSpacing = gap ?? inferSpacing(boxes, layout.layoutMode);
+      layout.primaryAxisAlignItems = PRIMARY_ALIGNMENTS[styles.justifyContent] || 'MIN';
+      layout.counterAxisAlignItems = COUNTER_ALIGNMENTS[styles.alignItems] || 'MIN';
+    } else if (/grid/.test(display)) {
+      const columns = countTracks(styles.gridTemplateColumns) || countColumns(boxes);
+      layout.layoutMode = columns > 1 ? 'HORIZONTAL' : 'VERTICAL';
+      if (columns > 1 && boxes.length > columns) {
+        layout.layoutWrap = 'WRAP';
+        layout.counterAxisSpacing = gaps.row ?? inferWrapSpacing(boxes);
+      }
+      const gap = layout.layoutMode === 'HORIZONTAL' ? gaps.column : gaps.row;
+      layout.itemSpacing = gap ?? inferSpacing(boxes, layout.layoutMode);
+      layout.primaryAxisAlignItems = PRIMARY_ALIGNMENTS[styles.justifyContent] || 'MIN';
+      layout.counterAxisAlignItems = COUNTER_ALIGNMENTS[styles.alignItems] || 'MIN';
+    } else if (boxes.length > 0) {
+      layout.layoutMode = inferDirection(boxes);
+      if (layout.layoutMode === 'NONE') return layout;
+      layout.itemSpacing = inferSpacing(boxes, layout.layoutMode);
+      layout.primaryAxisAlignItems = 'MIN';
+      layout.counterAxisAlignItems = TEXT_ALIGNMENTS[styles.textAlign] === 'CENTER' && layout.layoutMode === 'VERTICAL' ? 'CENTER' : 'MIN';
+    } else if (source.text) {
+      // A text-only box such as a button or badge hugs its label
+      layout.layoutMode = 'HORIZONTAL';
+      layout.itemSpacing = 0;
+      layout.primaryAxisAlignItems = { CENTER: 'CENTER', RIGHT: 'MAX' }[TEXT_ALIGNMENTS[styles.textAlign]] || 'MIN';
+      layout.counterAxisAlignItems = inline || styles.alignItems === 'center' ? 'CENTER' : 'MIN';
+    } else {
+      return { layoutMode: 'NONE' };
+    }
+
+    Object.assign(layout, inferPadding(source, styles, boxes, /flex|grid/.test(display), layout.layoutMode));
+
+    // Width is fixed for block boxes and hugs for inline ones; height hugs
+    const widthMode = inline ? 'AUTO' : 'FIXED';
+    layout.primaryAxisSizingMode = layout.layoutMode === 'HORIZONTAL' ? widthMode : 'AUTO';
+    layout.counterAxisSizingMode = layout.layoutMode === 'HORIZONTAL' ? 'AUTO' : widthMode;
+
+    return layout;
+  }
+
+  // Flex and grid containers position children inside their padding, so the
+  // styles are used; block children may carry margins, which show up as the
+  // distance between the children's boxes and the frame's edges (except the
+  // free space at the end of a line of inline children). Figma strokes do not
+  // take up space, so border widths are added to the padding.
+  function inferPadding(source, styles, boxes, isContainer, layoutMode) {
+    const borders = getBorderSides(styles).map(side => (isVisibleBorder(side) ? side.width : 0));
+    const [, , width, height] = source.box || [0, 0, 0, 0];
+    const stylePadding = getSides(styles, 'padding').map((value, index) => round(value + borders[index]));
+    let padding = stylePadding;
+
+    if (!isContainer && boxes.length > 0) {
+      const [originX, originY] = source.box || [0, 0];
+      const left = Math.min(...boxes.map(box => box[0] - originX));
+      const top = Math.min(...boxes.map(box => box[1] - originY));
+      const right = width - Math.max(...boxes.map(box => box[0] - originX + box[2]));
+      const bottom = height - Math.max(...boxes.map(box => box[1] - originY + box[3]));
+      padding = [top, right, bottom, left].map(value => Math.max(round(value), 0));
+      if (layoutMode === 'HORIZONTAL') padding[1] = stylePadding[1];
+    }
+
+    return {
+      paddingTop: padding[0],
+      paddingRight: padding[1],
+      paddingBottom: padding[2],
+      paddingLeft: padding[3]
+    };
+  }
+
+  // Block children stacked top to bottom are VERTICAL, children on one row
+  // are HORIZONTAL, anything overlapping keeps absolute positions
+  function inferDirection(boxes) {
+    if (boxes.length === 1) return 'VERTICAL';
+
+    const pairs = boxes.slice(1).map((box, index) => [boxes[index], box]);
+    if (pairs.every(([a, b]) => b[1] >= a[1] + a[3] - BOX_TOLERANCE)) return 'VERTICAL';
+    if (pairs.every(([a, b]) => b[0] >= a[0] + a[2] - BOX_TOLERANCE)) return 'HORIZONTAL';
+    return 'NONE';
+  }
+
+  // The most common gap between consecutive children on the main axis
+  function inferSpacing(boxes, mode) {
+    const gaps = boxes.slice(1)
+      .map((box, index) => {
+        const previous = boxes[index];
+        return mode === 'VERTICAL'
+          ? box[1] - (previous[1] + previous[3])
+          : box[0] - (previous[0] + previous[2]);
+      })
+      .filter(gap => gap >= 0)
+      .map(Math.round);
+
+    return mostCommon(gaps) ?? 0;
+  }
+
+  function inferWrapSpacing(boxes) {
+    const rows = [...new Set(boxes.map(box => box[1]))].sort((a, b) => a - b);
+    const heights = rows.map(top => Math.max(...boxes.filter(box => box[1] === top).map(box => box[3])));
+    const gaps = rows.slice(1).map((top, index) => Math.round(top - (rows[index] + heights[index]))).filter(gap => gap >= 0);
+    return mostCommon(gaps) ?? 0;
+  }
+
+  function countTracks(template) {
+    if (!template || template === 'none') return 0;
+    return splitOutsideParens(template).length;
+  }
+
+  function countColumns(boxes) {
+    return boxes.length > 0 ? boxes.filter(box => box[1] === boxes[0][1]).length : 0;
+  }
+
+  function parseGap(styles) {
+    const [rowGap, columnGap] = (styles.gap || '').split(/\s+/);
+    return {
+      row: toPixels(styles.rowGap ?? rowGap),
+      column: toPixels(styles.columnGap ?? columnGap ?? rowGap)
+    };
+  }
+
+  // How a child sits inside its auto layout parent
+  function applyChildLayout(layer, child, parent, parentStyles, padding) {
+    const styles = child.styles || {};
+
+    if (/absolute|fixed/.test(styles.position || '')) {
+      layer.layoutPositioning = 'ABSOLUTE';
+      return;
+    }
+
+    if (parseFloat(styles.flexGrow) > 0) {
+      layer.layoutGrow = 1;
+    }
+
+    // Only children that fill the parent's cross axis stretch: flex items
+    // the parent or align-self stretches, and block-level children of a
+    // vertical block parent
+    const box = child.box || [0, 0, 0, 0];
+    const horizontal = parent.layoutMode === 'HORIZONTAL';
+    const crossSize = horizontal ? box[3] : box[2];
+    const availableSize = horizontal ? parent.height - padding[0] - padding[2] : parent.width - padding[1] - padding[3];
+    const isFlex = /flex|grid/.test(parentStyles.display || '');
+    const stretches = isFlex
+      ? /^(normal|stretch)$/.test(parentStyles.alignItems || 'normal') &&
+        /^(auto|normal|stretch)$/.test(styles.alignSelf || 'auto') &&
+        !/wrap/.test(parentStyles.flexWrap || '')
+      : !horizontal && !/^(inline|contents|none)/.test(styles.display || '');
+
+    if (stretches && Math.abs(crossSize - availableSize) <= BOX_TOLERANCE) {
+      layer.layoutAlign = 'STRETCH';
+    }
+  }
+
+  // --- Paint, strokes and effects ---
+
+  function applyFrameStyles(node, styles, context, name) {
+    const background = toFigmaColor(styles.backgroundColor);
+    node.fills = background && background.a > 0 ? [solidPaint(background)] : [];
+
+    Object.assign(node, toStrokes(styles, context, name));
+    Object.assign(node, toCornerRadius(styles, node.width, node.height));
+
+    const effects = [
+      ...parseShadows(styles.boxShadow, context, name),
+      ...parseBlur(styles.filter, 'LAYER_BLUR', 'filter', context, name),
+      ...parseBlur(styles.backdropFilter, 'BACKGROUND_BLUR', 'backdropFilter', context, name)
+    ];
+    if (effects.length > 0) node.effects = effects;
+
+    const opacity = parseFloat(styles.opacity);
+    if (!Number.isNaN(opacity) && opacity < 1) node.opacity = round(opacity, 4);
+
+    node.clipsContent = /hidden|clip|auto|scroll/.test(styles.overflow || '');
+
+    UNSUPPORTED_PROPERTIES.forEach(property => {
+      const value = styles[property];
+      if (!value || /^(none|normal|0px|matrix\(1, 0, 0, 1, 0, 0\))$/.test(value)) return;
+      if (property === 'outline' && /\bnone\b|^0px/.test(value)) return;
+      context.unmapped.push({ layer: name, property, value });
+    });
+  }
+
+  function toStrokes(styles, context, name) {
+    const sides = getBorderSides(styles);
+    const visible = sides.filter(isVisibleBorder);
+    if (visible.length === 0) return {};
+
+    const color = toFigmaColor(visible[0].color) || { r: 0, g: 0, b: 0, a: 1 };
+    if (visible.some(side => side.color !== visible[0].color)) {
+      context.unmapped.push({ layer: name, property: 'borderColor', value: sides.map(side => side.color).join(' ') });
+    }
+
+    const strokes = {
+      strokes: [solidPaint(color)],
+      strokeWeight: round(Math.max(...visible.map(side => side.width))),
+      strokeAlign: 'INSIDE'
+    };
+
+    const widths = sides.map(side => (isVisibleBorder(side) ? round(side.width) : 0));
+    if (widths.some(width => width !== strokes.strokeWeight)) {
+      SIDES.forEach((side, index) => {
+        strokes[`stroke${side}Weight`] = widths[index];
+      });
+    }
+
+    const style = visible[0].style;
+    if (style === 'dashed') strokes.dashPattern = [strokes.strokeWeight * 3, strokes.strokeWeight * 2];
+    if (style === 'dotted') strokes.dashPattern = [strokes.strokeWeight, strokes.strokeWeight];
+
+    return strokes;
+  }
+
+  // [top, right, bottom, left] as { width, style, color }, from longhands in
+  // full style mode or the border shorthands in basic mode
+  function getBorderSides(styles) {
+    const shorthand = parseBorder(styles.border);
+    const widths = styles.borderWidth ? expandSides(styles.borderWidth.split(/\s+/)) : null;
+    const colors = styles.borderColor ? expandSides(splitOutsideParens(styles.borderColor)) : null;
+    const borderStyles = styles.borderStyle ? expandSides(styles.borderStyle.split(/\s+/)) : null;
+
+    return SIDES.map((side, index) => {
+      const sideShorthand = parseBorder(styles[`border${side}`]);
+      return {
+        width: toPixels(styles[`border${side}Width`] ?? widths?.[index] ?? sideShorthand.width ?? shorthand.width) || 0,
+        style: styles[`border${side}Style`] ?? borderStyles?.[index] ?? sideShorthand.style ?? shorthand.style ?? 'none',
+        color: styles[`border${side}Color`] ?? colors?.[index] ?? sideShorthand.color ?? shorthand.color ?? styles.color
+      };
+    });
+  }
+
+  function parseBorder(value) {
+    const result = {};
+    if (!value) return result;
+
+    splitOutsideParens(value).forEach(part => {
+      if (/^-?[\d.]+(px)?$/.test(part)) result.width = part;
+      else if (/^(none|hidden|solid|dashed|dotted|double|groove|ridge|inset|outset)$/.test(part)) result.style = part;
+      else result.color = part;
+    });
+
+    return result;
+  }
+
+  function isVisibleBorder(side) {
+    return side.width > 0 && !/^(none|hidden)$/.test(side.style);
+  }
+
+  function toCornerRadius(styles, width, height) {
+    const shorthand = styles.borderRadius ? expandSides(styles.borderRadius.split('/')[0].trim().split(/\s+/)) : null;
+    const radii = CORNERS.map((corner, index) => {
+      const value = styles[`border${corner}Radius`]?.split(/\s+/)[0] ?? shorthand?.[index] ?? '0';
+      return round(resolveLength(value, Math.min(width || 0, height || 0)));
+    });
+
+    if (radii.every(radius => radius === 0)) return {};
+    if (radii.every(radius => radius === radii[0])) return { cornerRadius: radii[0] };
+
+    return {
+      topLeftRadius: radii[0],
+      topRightRadius: radii[1],
+      bottomRightRadius: radii[2],
+      bottomLeftRadius: radii[3]
+    };
+  }
+
+  // box-shadow lists become DROP_SHADOW / INNER_SHADOW effects
+  function parseShadows(value, context, name) {
+    if (!value || value === 'none') return [];
+
+    return splitOutsideParens(value, ',').map(shadow => {
+      const parts = splitOutsideParens(shadow);
+      const inset = parts.includes('inset');
+      const colorPart = parts.find(part => toFigmaColor(part));
+      const lengths = parts.filter(part => /^-?[\d.]+(px)?$/.test(part)).map(toPixels);
+
+      if (lengths.length < 2) {
+        context.unmapped.push({ layer: name, property: 'boxShadow', value: shadow });
+        return null;
+      }
+
+      return {
+        type: inset ? 'INNER_SHADOW' : 'DROP_SHADOW',
+        color: toFigmaColor(colorPart) || { r: 0, g: 0, b: 0, a: 1 },
+        offset: { x: round(lengths[0]), y: round(lengths[1]) },
+        radius: round(lengths[2] || 0),
+        spread: round(lengths[3] || 0),
+        visible: true,
+        blendMode: 'NORMAL'
+      };
+    }).filter(Boolean);
+  }
+
+  function parseBlur(value, type, property, context, name) {
+    if (!value || value === 'none') return [];
+
+    const blur = value.match(/blur\(([^)]+)\)/);
+    if (value.replace(/blur\([^)]+\)/, '').trim()) {
+      context.unmapped.push({ layer: name, property, value });
+    }
+
+    return blur ? [{ type, radius: round(toPixels(blur[1]) || 0), visible: true }] : [];
+  }
+
+  function solidPaint(color) {
+    return { type: 'SOLID', color };
+  }
+
+  // CSS color to Figma's 0-1 channels
+  function toFigmaColor(value) {
+    if (!value) return null;
+    const color = FuzeTailwind.parseColor(value);
+    if (!color || [color.r, color.g, color.b, color.a].some(Number.isNaN)) return null;
+
+    return {
+      r: round(color.r / 255, 4),
+      g: round(color.g / 255, 4),
+      b: round(color.b / 255, 4),
+      a: round(color.a, 4)
+    };
+  }
+
+  // --- Text ---
+
+  function textNode(characters, box, styles) {
+    const color = toFigmaColor(styles.color) || { r: 0, g: 0, b: 0, a: 1 };
+    const fontSize = toPixels(styles.fontSize) || 16;
+    const style = {
+      fontFamily: getFontFamily(styles.fontFamily),
+      fontWeight: FONT_WEIGHTS[styles.fontWeight] || parseInt(styles.fontWeight, 10) || 400,
+      fontSize: round(fontSize),
+      textAlignHorizontal: TEXT_ALIGNMENTS[styles.textAlign] || 'LEFT',
+      letterSpacing: round(toPixels(styles.letterSpacing) || 0)
+    };
+
+    const lineHeight = toPixels(styles.lineHeight);
+    if (lineHeight) {
+      style.lineHeightPx = round(lineHeight);
+      style.lineHeightUnit = 'PIXELS';
+    } else if (/^[\d.]+$/.test(styles.lineHeight || '')) {
+      style.lineHeightPx = round(parseFloat(styles.lineHeight) * fontSize);
+      style.lineHeightUnit = 'PIXELS';
+    }
+
+    if (TEXT_CASES[styles.textTransform]) style.textCase = TEXT_CASES[styles.textTransform];
+
+    const decoration = styles.textDecorationLine || styles.textDecoration || '';
+    if (/underline/.test(decoration)) style.textDecoration = 'UNDERLINE';
+    if (/line-through/.test(decoration)) style.textDecoration = 'STRIKETHROUGH';
+    if (/italic|oblique/.test(styles.fontStyle || '')) style.italic = true;
+
+    return {
+      type: 'TEXT',
+      name: characters.length > 40 ? `${characters.slice(0, 39)}…` : characters,
+      characters,
+      x: round(box[0]),
+      y: round(box[1]),
+      width: round(box[2]),
+      height: round(box[3]),
+      fills: [solidPaint(color)],
+      textAutoResize: 'WIDTH_AND_HEIGHT',
+      style
+    };
+  }
+
+  // The first named family in the stack, or a stand-in for a generic one
+  function getFontFamily(stack) {
+    const families = (stack || '').split(',').map(family => family.trim().replace(/^["']|["']$/g, '')).filter(Boolean);
+    const named = families.find(family => !GENERIC_FONTS[family.toLowerCase()]);
+    if (named) return named;
+
+    return families.length > 0 ? GENERIC_FONTS[families[0].toLowerCase()] : 'Inter';
+  }
+
+  // The element's own text, not its children's, from the captured markup
+  function getOwnText(html) {
+    const roots = FuzeHtml.parse(html || '').filter(node => node.type === 'element');
+    if (roots.length !== 1) return '';
+
+    return roots[0].children
+      .filter(node => node.type === 'text')
+      .map(node => node.value)
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // --- Helpers ---
+
+  function hasFrameStyles(styles) {
+    const background = toFigmaColor(styles.backgroundColor);
+    return (background && background.a > 0) ||
+      getBorderSides(styles).some(isVisibleBorder) ||
+      getSides(styles, 'padding').some(value => value > 0) ||
+      (styles.boxShadow && styles.boxShadow !== 'none') ||
+      /flex|grid/.test(styles.display || '');
+  }
+
+  function layerName(source) {
+    if (source.id) return `${source.tag}#${source.id}`;
+    if (source.classes?.length > 0) return `${source.tag}.${source.classes[0]}`;
+    return source.tag;
+  }
+
+  // [top, right, bottom, left] in px from longhands or the shorthand
+  function getSides(styles, property) {
+    const shorthand = styles[property] ? expandSides(styles[property].split(/\s+/)) : [];
+    return SIDES.map((side, index) => toPixels(styles[`${property}${side}`] ?? shorthand[index]) || 0);
+  }
+
+  // CSS 1-4 value side shorthand to [top, right, bottom, left]
+  function expandSides(values) {
+    const [top, right = top, bottom = top, left = right] = values;
+    return [top, right, bottom, left];
+  }
+
+  function resolveLength(value, reference) {
+    if (/%$/.test(value)) return Math.min((parseFloat(value) / 100) * reference, reference / 2);
+    return toPixels(value) || 0;
+  }
+
+  function toPixels(value) {
+    if (value === undefined || value === null) return null;
+    const match = String(value).trim().match(/^(-?[\d.]+)(px)?$/);
+    return match ? parseFloat(match[1]) : null;
+  }
+
+  function splitOutsideParens(text, separator = ' ') {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of text) {
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+
+      const splits = separator === ' ' ? /\s/.test(char) : char === separator;
+      if (splits && depth === 0) {
+        if (current.trim()) parts.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+  }
+
+  function mostCommon(values) {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+    let best = null;
+    counts.forEach((count, value) => {
+      if (best === null || count > counts.get(best) || (count === counts.get(best) && value < best)) best = value;
+    });
+    return best;
+  }
+
+  function pick(object, keys) {
+    return keys.reduce((acc, key) => {
+      if (object[key] !== undefined) acc[key] = object[key];
+      return acc;
+    }, {});
+  }
+
+  function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+  }
+
+  return {
+    toFigmaNode,
+    toFigmaColor
+  };
+});
@@ -0,0 +1,58 @@
+// Selection Groups - Combines the elements of a selection set into one element
+// Used by the background worker's offline fallbacks and the backend's AI tasks.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.FuzeGroups = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // One element-shaped object for a selection set, so every task and
+  // fallback can treat the group as a whole. The bounding box spans every
+  // member; styles and frame details come from the first member.
+  function buildGroupElement(elements) {
+    const first = elements[0] || {};
+
+    return {
+      id: null,
+      tag: 'div',
+      classes: [...new Set(elements.flatMap(el => el.classes || []))],
+      text: elements.map(el => el.text).filter(Boolean).join('\n'),
+      html: elements.map(el => el.html).filter(Boolean).join('\n'),
+      styles: first.styles || {},
+      attributes: {},
+      boundingBox: getBoundingBox(elements),
+      viewport: first.viewport,
+      frameOffset: first.frameOffset,
+      framePath: first.framePath,
+      xpath: elements.map(el => el.xpath).filter(Boolean).join(' | '),
+      selector: elements.map(el => el.selector).filter(Boolean).join(', '),
+      members: elements
+    };
+  }
+
+  function getBoundingBox(elements) {
+    const boxes = elements.map(el => el.boundingBox).filter(Boolean);
+    if (boxes.length === 0) return null;
+
+    const left = Math.min(...boxes.map(box => box.left));
+    const top = Math.min(...boxes.map(box => box.top));
+    const right = Math.max(...boxes.map(box => box.right));
+    const bottom = Math.max(...boxes.map(box => box.bottom));
+
+    return {
+      x: left,
+      y: top,
+      width: right - left,
+      height: bottom - top,
+      top,
+      left,
+      bottom,
+      right
+    };
+  }
+
+  return {
+    buildGroupElement
+  };
+});
@@ -0,0 +1,183 @@
+// HTML Parser - Small tolerant parser for captured outerHTML
+// Service workers have no DOMParser, so the extension and the backend share this.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.FuzeHtml = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link',
+    'meta', 'param', 'source', 'track', 'wbr'
+  ]);
+
+  // Elements whose content is not markup
+  const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+  // An open element of the key's tag is closed when one of these starts
+  const IMPLIED_END_TAGS = {
+    p: new Set(['p', 'div', 'ul', 'ol', 'table', 'section', 'header', 'footer', 'nav', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'blockquote']),
+    li: new Set(['li']),
+    option: new Set(['option', 'optgroup']),
+    dt: new Set(['dt', 'dd']),
+    dd: new Set(['dt', 'dd']),
+    tr: new Set(['tr']),
+    td: new Set(['td', 'th', 'tr']),
+    th: new Set(['td', 'th', 'tr'])
+  };
+
+  const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00a0',
+    copy: '©', reg: '®', trade: '™', hellip: '…',
+    mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’',
+    ldquo: '“', rdquo: '”', bull: '•', middot: '·',
+    times: '×', larr: '←', rarr: '→', uarr: '↑', darr: '↓'
+  };
+
+  const TAG_PATTERN = /^<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/;
+  const END_TAG_PATTERN = /^<\/([a-zA-Z][\w:-]*)\s*>/;
+  const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+  // Parse markup into nodes:
+  //   { type: 'element', tag, name, attributes: [[name, value]], children }
+  //   { type: 'text', value }
+  // Comments and doctypes are dropped; unknown end tags are ignored and
+  // unclosed elements are closed at the end of input.
+  function parse(html) {
+    const document = { type: 'element', tag: '#document', attributes: [], children: [] };
+    const stack = [document];
+    const current = () => stack[stack.length - 1];
+    let index = 0;
+
+    const pushText = text => {
+      if (!text) return;
+      const parent = current();
+      const last = parent.children[parent.children.length - 1];
+      if (last && last.type === 'text') {
+        last.value += decodeEntities(text);
+      } else {
+        parent.children.push({ type: 'text', value: decodeEntities(text) });
+      }
+    };
+
+    while (index < html.length) {
+      const next = html.indexOf('<', index);
+      if (next === -1) {
+        pushText(html.slice(index));
+        break;
+      }
+
+      pushText(html.slice(index, next));
+      index = next;
+      const rest = html.slice(index);
+
+      if (rest.startsWith('<!--')) {
+        const end = html.indexOf('-->', index + 4);
+        index = end === -1 ? html.length : end + 3;
+        continue;
+      }
+
+      if (rest.startsWith('<!') || rest.startsWith('<?')) {
+        const end = html.indexOf('>', index);
+        index = end === -1 ? html.length : end + 1;
+        continue;
+      }
+
+      const endTag = rest.match(END_TAG_PATTERN);
+      if (endTag) {
+        closeElement(stack, endTag[1].toLowerCase());
+        index += endTag[0].length;
+        continue;
+      }
+
+      const startTag = rest.match(TAG_PATTERN);
+      if (!startTag) {
+        // A stray '<' is text
+        pushText('<');
+        index += 1;
+        continue;
+      }
+
+      const tag = startTag[1].toLowerCase();
+      const node = {
+        type: 'element',
+        tag,
+        // As written, for case-sensitive SVG names like linearGradient
+        name: startTag[1],
+        attributes: parseAttributes(startTag[2]),
+        children: []
+      };
+      index += startTag[0].length;
+
+      const implied = IMPLIED_END_TAGS[current().tag];
+      if (implied && implied.has(tag)) {
+        stack.pop();
+      }
+
+      current().children.push(node);
+
+      if (RAW_TEXT_ELEMENTS.has(tag)) {
+        const close = html.toLowerCase().indexOf(`</${tag}`, index);
+        const end = close === -1 ? html.length : close;
+        if (end > index) {
+          node.children.push({ type: 'text', value: tag === 'textarea' || tag === 'title' ? decodeEntities(html.slice(index, end)) : html.slice(index, end) });
+        }
+        const closeEnd = close === -1 ? html.length : html.indexOf('>', close) + 1;
+        index = closeEnd || html.length;
+        continue;
+      }
+
+      if (!VOID_ELEMENTS.has(tag) && !startTag[3]) {
+        stack.push(node);
+      }
+    }
+
+    return document.children;
+  }
+
+  // Pop up to and including the nearest open element with the tag
+  function closeElement(stack, tag) {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (stack[i].tag === tag) {
+        stack.length = i;
+        return;
+      }
+    }
+  }
+
+  function parseAttributes(source) {
+    const attributes = [];
+    let match;
+    ATTRIBUTE_PATTERN.lastIndex = 0;
+
+    while ((match = ATTRIBUTE_PATTERN.exec(source)) !== null) {
+      const value = match[2] ?? match[3] ?? match[4];
+      // Names keep their case so SVG attributes like viewBox survive
+      attributes.push([match[1], value === undefined ? '' : decodeEntities(value)]);
+    }
+
+    return attributes;
+  }
+
+  function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (entity, body) => {
+      if (body[0] === '#') {
+        const code = body[1] === 'x' || body[1] === 'X' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+        return Number.isNaN(code) ? entity : String.fromCodePoint(code);
+      }
+      return NAMED_ENTITIES[body.toLowerCase()] ?? entity;
+    });
+  }
+
+  function getAttribute(node, name) {
+    const match = node.attributes.find(([key]) => key.toLowerCase() === name);
+    return match ? match[1] : null;
+  }
+
+  return {
+    parse,
+    getAttribute,
+    VOID_ELEMENTS
+  };
+});
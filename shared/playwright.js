@@ -0,0 +1,843 @@
+// Playwright Generator - Deterministic spec from a captured element's tag, role and attributes
+// Shared by the extension service worker (importScripts) and the backend (require).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./html'));
+  } else {
+    root.FuzePlaywright = factory(root.FuzeHtml);
+  }
+})(typeof self !== 'undefined' ? self : this, function (FuzeHtml) {
+  // Sample values typed into text controls, by input type
+  const SAMPLE_VALUES = {
+    email: 'test@example.com',
+    tel: '+1 555 0100',
+    url: 'https://example.com',
+    number: '42',
+    password: 'P@ssw0rd!',
+    search: 'Sample search',
+    date: '2024-01-15',
+    time: '13:30',
+    'datetime-local': '2024-01-15T13:30',
+    month: '2024-01',
+    week: '2024-W03',
+    color: '#336699',
+    text: 'Sample text'
+  };
+
+  // Input types that are not filled with text
+  const NON_TEXT_INPUTS = new Set(['checkbox', 'radio', 'button', 'submit', 'reset', 'image', 'file', 'hidden', 'range']);
+
+  const TEXTBOX_ROLES = new Set(['textbox', 'searchbox', 'spinbutton', 'combobox']);
+  const CLICKABLE_ROLES = new Set(['button', 'link', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'tab', 'option', 'treeitem']);
+
+  // ARIA attributes flip between these values when toggled
+  const TOGGLE_ATTRIBUTES = ['aria-expanded', 'aria-pressed', 'aria-checked', 'aria-selected'];
+
+  // Action method per control kind: its verb, parameter and body
+  const ACTIONS = {
+    textbox: { verb: 'fill', params: 'value: string', call: 'fill(value)' },
+    contenteditable: { verb: 'fill', params: 'value: string', call: 'fill(value)' },
+    select: { verb: 'select', params: 'value: string', call: 'selectOption(value)' },
+    checkbox: { verb: 'set', params: 'checked: boolean', call: 'setChecked(checked)' },
+    ariaCheckbox: { verb: 'set', params: 'checked: boolean', call: 'setChecked(checked)' },
+    radio: { verb: 'check', params: '', call: 'check()' },
+    link: { verb: 'click', params: '', call: 'click()' },
+    button: { verb: 'click', params: '', call: 'click()' }
+  };
+
+  // Member name suffix per control kind
+  const MEMBER_SUFFIXES = {
+    textbox: 'Input',
+    contenteditable: 'Editor',
+    select: 'Select',
+    checkbox: 'Checkbox',
+    radio: 'Radio',
+    link: 'Link',
+    button: 'Button'
+  };
+
+  // A navigation this soon after a recorded action is treated as its result
+  const NAVIGATION_WINDOW = 5000;
+
+  const MAX_TEXT_LENGTH = 80;
+  const MAX_NAME_WORDS = 4;
+  const MAX_ARIA_ASSERTIONS = 10;
+  const INDENT = '  ';
+
+  // Build a spec for the element. Options: axe adds an @axe-core/playwright
+  // scan of the element. Every value from the page goes through toJsString.
+  function generateSpec(element, pageUrl, options = {}) {
+    const locator = getLocator(element);
+    const kind = getControlKind(element);
+    const states = (element.accessibility && element.accessibility.states) || {};
+    const disabled = states.disabled === 'true' || hasAttribute(element, 'disabled');
+    const tests = [
+      visibilityTest(element, locator, kind, states),
+      ariaTest(element, locator),
+      focusTest(element, locator, kind, disabled),
+      interactionTest(element, locator, kind, disabled, pageUrl),
+      options.axe ? axeTest(element) : null
+    ].filter(Boolean);
+
+    const lines = [
+      'import { test, expect } from \'@playwright/test\';',
+      ...(options.axe ? ['import AxeBuilder from \'@axe-core/playwright\';'] : []),
+      '',
+      `test.describe(${toJsString(describeElement(element, kind))}, () => {`,
+      `${INDENT}test.beforeEach(async ({ page }) => {`,
+      `${INDENT}${INDENT}await page.goto(${toJsString(pageUrl)});`,
+      `${INDENT}});`
+    ];
+
+    tests.forEach(({ title, body }) => {
+      lines.push('');
+      lines.push(`${INDENT}test(${toJsString(title)}, async ({ page }) => {`);
+      body.forEach(line => lines.push(line ? `${INDENT}${INDENT}${line}` : ''));
+      lines.push(`${INDENT}});`);
+    });
+
+    lines.push('});', '');
+
+    return {
+      code: lines.join('\n'),
+      kind,
+      locator,
+      tests: tests.map(entry => entry.title)
+    };
+  }
+
+  // The recommended locator from the content script, otherwise CSS that
+  // enters each iframe and pierces shadow roots
+  function getLocator(element) {
+    if (element.locator && element.locator.recommended) {
+      return element.locator.recommended;
+    }
+
+    const frames = (element.framePath || [])
+      .filter(frame => frame.selector)
+      .map(frame => `.frameLocator(${toJsString(frame.selector)})`)
+      .join('');
+
+    return `page${frames}.locator(${toJsString(element.deepSelector || element.selector || element.tag)})`;
+  }
+
+  // What kind of control drives the interaction test
+  function getControlKind(element) {
+    const tag = element.tag;
+    const role = getRole(element);
+    const type = (getAttribute(element, 'type') || 'text').toLowerCase();
+
+    if (tag === 'select') return 'select';
+    if (tag === 'input' && type === 'checkbox') return 'checkbox';
+    if (tag === 'input' && type === 'radio') return 'radio';
+    if (role === 'checkbox' || role === 'switch') return 'ariaCheckbox';
+    if (tag === 'textarea' || (tag === 'input' && !NON_TEXT_INPUTS.has(type))) return 'textbox';
+    if (TEXTBOX_ROLES.has(role) && getAttribute(element, 'contenteditable') === 'true') return 'contenteditable';
+    if (role === 'link' || (tag === 'a' && hasAttribute(element, 'href'))) return 'link';
+    if (CLICKABLE_ROLES.has(role) || tag === 'button' || (tag === 'input' && /^(button|submit|reset)$/.test(type))) return 'button';
+    return 'other';
+  }
+
+  // --- Tests ---
+
+  function visibilityTest(element, locator, kind, states) {
+    const body = [`const element = ${locator};`, '', 'await expect(element).toBeVisible();'];
+    const text = getVisibleText(element);
+
+    if (text && kind !== 'textbox' && kind !== 'select') {
+      body.push(`await expect(element).toContainText(${toJsString(text)});`);
+    }
+
+    const value = getAttribute(element, 'value');
+    if (kind === 'textbox' && value) {
+      body.push(`await expect(element).toHaveValue(${toJsString(value)});`);
+    }
+
+    if (states.disabled === 'true' || hasAttribute(element, 'disabled')) {
+      body.push('await expect(element).toBeDisabled();');
+    }
+    if (kind === 'checkbox' || kind === 'radio') {
+      body.push(states.checked === 'true' || hasAttribute(element, 'checked')
+        ? 'await expect(element).toBeChecked();'
+        : 'await expect(element).not.toBeChecked();');
+    }
+    if (hasAttribute(element, 'required')) {
+      body.push('await expect(element).toHaveAttribute(\'required\');');
+    }
+
+    const display = element.styles && element.styles.display;
+    if (display) {
+      body.push(`await expect(element).toHaveCSS('display', ${toJsString(display)});`);
+    }
+
+    return { title: 'is visible', body };
+  }
+
+  // The element's role and ARIA attributes as captured
+  function ariaTest(element, locator) {
+    const attributes = Object.entries(element.attributes || {})
+      .filter(([name]) => name === 'role' || name.startsWith('aria-'))
+      .slice(0, MAX_ARIA_ASSERTIONS);
+
+    if (attributes.length === 0) return null;
+
+    return {
+      title: 'exposes its ARIA attributes',
+      body: [
+        `const element = ${locator};`,
+        '',
+        ...attributes.map(([name, value]) => `await expect(element).toHaveAttribute(${toJsString(name)}, ${toJsString(value)});`)
+      ]
+    };
+  }
+
+  function focusTest(element, locator, kind, disabled) {
+    const accessibility = element.accessibility || {};
+    const tabIndex = accessibility.tabIndex !== undefined ? accessibility.tabIndex : Number(getAttribute(element, 'tabindex'));
+    const focusable = accessibility.focusable !== undefined ? accessibility.focusable : kind !== 'other';
+
+    if (!focusable || disabled) return null;
+
+    const body = [`const element = ${locator};`, '', 'await element.focus();', 'await expect(element).toBeFocused();'];
+
+    // A negative tabindex keeps the element out of the Tab order
+    if (tabIndex < 0) {
+      if (hasAttribute(element, 'tabindex')) {
+        body.push(`await expect(element).toHaveAttribute('tabindex', ${toJsString(getAttribute(element, 'tabindex'))});`);
+      }
+      return { title: 'can be focused programmatically', body };
+    }
+
+    body.push('', '// Focus leaves the element when tabbing away', 'await page.keyboard.press(\'Tab\');', 'await expect(element).not.toBeFocused();');
+    return { title: 'can be focused with the keyboard', body };
+  }
+
+  function interactionTest(element, locator, kind, disabled, pageUrl) {
+    if (disabled || hasAttribute(element, 'readonly')) return null;
+
+    const body = [`const element = ${locator};`, ''];
+
+    switch (kind) {
+      case 'textbox': {
+        const value = getSampleValue(element);
+        body.push(`await element.fill(${toJsString(value)});`);
+        body.push(`await expect(element).toHaveValue(${toJsString(value)});`);
+        return { title: 'accepts input', body };
+      }
+
+      case 'contenteditable':
+        body.push('await element.fill(\'Sample text\');');
+        body.push('await expect(element).toHaveText(\'Sample text\');');
+        return { title: 'accepts input', body };
+
+      case 'select': {
+        const option = getSelectableOption(element);
+        if (option === null) return null;
+        body.push(`await element.selectOption(${toJsString(option)});`);
+        body.push(`await expect(element).toHaveValue(${toJsString(option)});`);
+        return { title: 'selects an option', body };
+      }
+
+      case 'checkbox':
+        body.push('await element.check();', 'await expect(element).toBeChecked();');
+        body.push('await element.uncheck();', 'await expect(element).not.toBeChecked();');
+        return { title: 'can be checked and unchecked', body };
+
+      case 'radio':
+        body.push('await element.check();', 'await expect(element).toBeChecked();');
+        return { title: 'can be selected', body };
+
+      case 'ariaCheckbox': {
+        const checked = getAttribute(element, 'aria-checked') === 'true';
+        body.push('await element.click();');
+        body.push(`await expect(element).toHaveAttribute('aria-checked', ${toJsString(String(!checked))});`);
+        body.push('', '// Space toggles it back', 'await element.press(\'Space\');');
+        body.push(`await expect(element).toHaveAttribute('aria-checked', ${toJsString(String(checked))});`);
+        return { title: 'toggles when activated', body };
+      }
+
+      case 'link':
+        return linkTest(element, body, pageUrl);
+
+      case 'button':
+        return buttonTest(element, body);
+
+      default:
+        return null;
+    }
+  }
+
+  function linkTest(element, body, pageUrl) {
+    const href = getAttribute(element, 'href');
+    if (href === null) return null;
+
+    body.push(`await expect(element).toHaveAttribute('href', ${toJsString(href)});`);
+
+    const target = resolveUrl(href, pageUrl);
+    const opensNewPage = getAttribute(element, 'target') === '_blank';
+    if (target && !opensNewPage && !href.startsWith('#') && /^https?:$/.test(target.protocol)) {
+      body.push('', 'await element.click();', `await expect(page).toHaveURL(${toJsString(target.href)});`);
+    }
+
+    return { title: 'links to its destination', body };
+  }
+
+  // Toggle buttons are activated from the keyboard and their ARIA state is
+  // checked; other buttons are clicked
+  function buttonTest(element, body) {
+    const toggle = TOGGLE_ATTRIBUTES.find(name => {
+      const value = getAttribute(element, name);
+      return value === 'true' || value === 'false';
+    });
+
+    if (toggle) {
+      const value = getAttribute(element, toggle);
+      const flipped = String(value !== 'true');
+      body.push('await element.focus();', 'await page.keyboard.press(\'Enter\');');
+      body.push(`await expect(element).toHaveAttribute(${toJsString(toggle)}, ${toJsString(flipped)});`);
+      return { title: `toggles ${toggle} from the keyboard`, body };
+    }
+
+    body.push('await expect(element).toBeEnabled();', 'await element.click();');
+    body.push('// Add assertions for what the click should change');
+    return { title: 'can be clicked', body };
+  }
+
+  function axeTest(element) {
+    const insideFrameOrShadow = (element.framePath || []).length > 0 || (element.shadowHosts || []).length > 0;
+    const builder = insideFrameOrShadow || !element.selector
+      ? 'new AxeBuilder({ page })'
+      : `new AxeBuilder({ page }).include(${toJsString(element.selector)})`;
+
+    return {
+      title: 'has no detectable accessibility violations',
+      body: [
+        ...(insideFrameOrShadow ? ['// The element is inside a frame or shadow root, so the whole page is scanned'] : []),
+        `const results = await ${builder}.analyze();`,
+        'expect(results.violations).toEqual([]);'
+      ]
+    };
+  }
+
+  // --- Page objects ---
+
+  // One Page Object class for a page's saved elements plus a spec that drives
+  // it. Elements resolving to the same locator are one member, and the later
+  // capture wins, so re-picking an element updates its member in place.
+  // Options: className overrides the name derived from the page URL.
+  function generatePageObject(elements, pageUrl, options = {}) {
+    const className = options.className || getPageClassName(pageUrl);
+    const fileName = toKebabCase(className);
+    const used = new Set(['page', 'goto']);
+
+    const byLocator = new Map();
+    elements.forEach((element, index) => {
+      const locator = getLocator(element);
+      const previous = byLocator.get(locator);
+      byLocator.set(locator, { element, index, order: previous ? previous.order : byLocator.size });
+    });
+
+    const members = [...byLocator.entries()]
+      .sort(([, a], [, b]) => a.order - b.order)
+      .map(([locator, { element, index }]) => {
+        const kind = getControlKind(element);
+        const name = uniqueIdentifier(getMemberName(element, kind), used);
+        const action = ACTIONS[kind] ? uniqueIdentifier(`${ACTIONS[kind].verb}${capitalize(name)}`, used) : null;
+        return { name, kind, locator, action, index, element };
+      });
+
+    return {
+      className,
+      fileName: `${fileName}.ts`,
+      specFileName: `${fileName}.spec.ts`,
+      code: pageObjectClass(className, members, pageUrl),
+      spec: pageObjectSpec(className, fileName, members, pageUrl),
+      members: members.map(({ name, kind, locator, action, index }) => ({ name, kind, locator, action, index }))
+    };
+  }
+
+  function pageObjectClass(className, members, pageUrl) {
+    const lines = [
+      'import type { Locator, Page } from \'@playwright/test\';',
+      '',
+      `// Page object for ${pageUrl.replace(/\s+/g, ' ')}`,
+      `export class ${className} {`,
+      `${INDENT}readonly page: Page;`,
+      ...members.map(member => `${INDENT}readonly ${member.name}: Locator;`),
+      '',
+      `${INDENT}constructor(page: Page) {`,
+      `${INDENT}${INDENT}this.page = page;`,
+      ...members.map(member => `${INDENT}${INDENT}this.${member.name} = ${member.locator};`),
+      `${INDENT}}`,
+      '',
+      `${INDENT}async goto() {`,
+      `${INDENT}${INDENT}await this.page.goto(${toJsString(pageUrl)});`,
+      `${INDENT}}`
+    ];
+
+    members.filter(member => member.action).forEach(member => {
+      const { params, call } = ACTIONS[member.kind];
+      lines.push(
+        '',
+        `${INDENT}async ${member.action}(${params}) {`,
+        `${INDENT}${INDENT}await this.${member.name}.${call};`,
+        `${INDENT}}`
+      );
+    });
+
+    lines.push('}', '');
+    return lines.join('\n');
+  }
+
+  function pageObjectSpec(className, fileName, members, pageUrl) {
+    const instance = `${className.charAt(0).toLowerCase()}${className.slice(1)}`;
+    const tests = [
+      {
+        title: 'shows the captured elements',
+        body: members.map(member => `await expect(${instance}.${member.name}).toBeVisible();`)
+      },
+      ...members.map(member => actionTest(instance, member, pageUrl)).filter(Boolean)
+    ];
+
+    const lines = [
+      'import { test, expect } from \'@playwright/test\';',
+      `import { ${className} } from './${fileName}';`,
+      '',
+      `test.describe(${toJsString(className)}, () => {`,
+      `${INDENT}let ${instance}: ${className};`,
+      '',
+      `${INDENT}test.beforeEach(async ({ page }) => {`,
+      `${INDENT}${INDENT}${instance} = new ${className}(page);`,
+      `${INDENT}${INDENT}await ${instance}.goto();`,
+      `${INDENT}});`
+    ];
+
+    tests.forEach(({ title, body, usesPage }) => {
+      lines.push('');
+      lines.push(`${INDENT}test(${toJsString(title)}, async (${usesPage ? '{ page }' : ''}) => {`);
+      body.forEach(line => lines.push(line ? `${INDENT}${INDENT}${line}` : ''));
+      lines.push(`${INDENT}});`);
+    });
+
+    lines.push('});', '');
+    return lines.join('\n');
+  }
+
+  // A test that calls the member's action method and checks the result.
+  // Disabled and read-only controls only get the visibility check.
+  function actionTest(instance, member, pageUrl) {
+    const { element, kind, action } = member;
+    const target = `${instance}.${member.name}`;
+    const states = (element.accessibility && element.accessibility.states) || {};
+
+    if (!action || states.disabled === 'true' || hasAttribute(element, 'disabled') || hasAttribute(element, 'readonly')) {
+      return null;
+    }
+
+    switch (kind) {
+      case 'textbox':
+      case 'contenteditable': {
+        const value = kind === 'textbox' ? getSampleValue(element) : SAMPLE_VALUES.text;
+        const matcher = kind === 'textbox' ? 'toHaveValue' : 'toHaveText';
+        return {
+          title: `fills ${member.name}`,
+          body: [`await ${instance}.${action}(${toJsString(value)});`, `await expect(${target}).${matcher}(${toJsString(value)});`]
+        };
+      }
+
+      case 'select': {
+        const option = getSelectableOption(element);
+        if (option === null) return null;
+        return {
+          title: `selects an option in ${member.name}`,
+          body: [`await ${instance}.${action}(${toJsString(option)});`, `await expect(${target}).toHaveValue(${toJsString(option)});`]
+        };
+      }
+
+      case 'checkbox':
+      case 'ariaCheckbox':
+        return {
+          title: `toggles ${member.name}`,
+          body: [
+            `await ${instance}.${action}(true);`,
+            `await expect(${target}).toBeChecked();`,
+            `await ${instance}.${action}(false);`,
+            `await expect(${target}).not.toBeChecked();`
+          ]
+        };
+
+      case 'radio':
+        return {
+          title: `selects ${member.name}`,
+          body: [`await ${instance}.${action}();`, `await expect(${target}).toBeChecked();`]
+        };
+
+      case 'link': {
+        const href = getAttribute(element, 'href');
+        const url = href !== null && getAttribute(element, 'target') !== '_blank' && !href.startsWith('#')
+          ? resolveUrl(href, pageUrl)
+          : null;
+        if (!url || !/^https?:$/.test(url.protocol)) return null;
+        return {
+          title: `follows ${member.name}`,
+          usesPage: true,
+          body: [`await ${instance}.${action}();`, `await expect(page).toHaveURL(${toJsString(url.href)});`]
+        };
+      }
+
+      case 'button':
+        return {
+          title: `clicks ${member.name}`,
+          body: [
+            `await expect(${target}).toBeEnabled();`,
+            `await ${instance}.${action}();`,
+            '// Add assertions for what the click should change'
+          ]
+        };
+
+      default:
+        return null;
+    }
+  }
+
+  // camelCase member name from the accessible name or text, then the test
+  // id, then the role, followed by a suffix for the kind of control
+  function getMemberName(element, kind) {
+    const role = getRole(element);
+    const sources = [
+      (element.locator && element.locator.name) || (element.accessibility && element.accessibility.name),
+      getVisibleText(element),
+      getAttribute(element, 'data-testid'),
+      role,
+      element.tag
+    ];
+
+    const words = (sources.map(toWords).find(candidate => candidate.length > 0) || ['element']).slice(0, MAX_NAME_WORDS);
+    const suffix = getMemberSuffix(kind, role);
+    if (words[words.length - 1] !== suffix.toLowerCase()) {
+      words.push(suffix.toLowerCase());
+    }
+
+    const name = words.map((word, index) => (index === 0 ? word : capitalize(word))).join('');
+    return /^[0-9]/.test(name) ? `${suffix.toLowerCase()}${capitalize(name)}` : name;
+  }
+
+  function getMemberSuffix(kind, role) {
+    if (kind === 'ariaCheckbox') return role === 'switch' ? 'Switch' : 'Checkbox';
+    if (kind === 'button' && role && role !== 'button') return toPascalCase(role);
+    if (MEMBER_SUFFIXES[kind]) return MEMBER_SUFFIXES[kind];
+    return role ? toPascalCase(role) : 'Element';
+  }
+
+  // Class name from the last path segment with a letter in it, otherwise
+  // from the host name
+  function getPageClassName(pageUrl) {
+    const url = resolveUrl(pageUrl);
+    const segments = url ? url.pathname.split('/').map(segment => segment.replace(/\.[a-z0-9]+$/i, '')) : [];
+    const segment = segments.reverse().find(part => /[a-z]/i.test(part));
+    const host = url ? url.hostname.replace(/^www\./, '').split('.')[0] : '';
+    const base = toPascalCase(segment || host || 'Home');
+
+    return /^[0-9]/.test(base) ? `Page${base}` : `${base}${base.endsWith('Page') ? '' : 'Page'}`;
+  }
+
+  function uniqueIdentifier(name, used) {
+    let candidate = name;
+    for (let counter = 2; used.has(candidate); counter++) {
+      candidate = `${name}${counter}`;
+    }
+    used.add(candidate);
+    return candidate;
+  }
+
+  // Lower-case ASCII words, splitting camelCase and dropping diacritics and
+  // apostrophes
+  function toWords(text) {
+    if (!text) return [];
+    return String(text)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/['\u2019]/g, '')
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .split(/[^A-Za-z0-9]+/)
+      .filter(Boolean)
+      .map(word => word.toLowerCase());
+  }
+
+  function toPascalCase(text) {
+    return toWords(text).map(capitalize).join('');
+  }
+
+  function toKebabCase(text) {
+    return toWords(text).join('-');
+  }
+
+  function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+  }
+
+  // --- Flows ---
+
+  // One multi-step test from a recorded flow. Steps are replayed in order
+  // through their recommended locators; fills, selects and checks assert
+  // the resulting state, and navigations that follow an action within
+  // NAVIGATION_WINDOW are awaited with toHaveURL instead of replayed.
+  function generateFlowTest(flow) {
+    const steps = (flow.steps || []).reduce(mergeFlowStep, []);
+    const body = [`await page.goto(${toJsString(flow.startUrl)});`];
+    let currentUrl = flow.startUrl;
+    let previous = null;
+    let secrets = 0;
+    let number = 0;
+
+    steps.forEach(step => {
+      if (step.type === 'navigate') {
+        if (step.url === currentUrl) return;
+
+        const triggered = previous && previous.type !== 'navigate' &&
+          step.timestamp - previous.timestamp <= NAVIGATION_WINDOW;
+        body.push('', `// ${++number}. ${triggered ? 'Wait for' : 'Open'} ${step.url.replace(/\s+/g, ' ')}`);
+        body.push(triggered
+          ? `await expect(page).toHaveURL(${toJsString(step.url)});`
+          : `await page.goto(${toJsString(step.url)});`);
+        currentUrl = step.url;
+        previous = step;
+        return;
+      }
+
+      const lines = flowStepLines(step, getStepLocator(step), () => `FLOW_SECRET_${++secrets}`);
+      if (lines.length === 0) return;
+
+      body.push('', `// ${++number}. ${describeFlowStep(step)}`, ...lines);
+      previous = step;
+    });
+
+    const code = [
+      'import { test, expect } from \'@playwright/test\';',
+      '',
+      `test(${toJsString(flow.name || `Flow on ${flow.startUrl}`)}, async ({ page }) => {`,
+      ...body.map(line => (line ? `${INDENT}${line}` : '')),
+      '});',
+      ''
+    ].join('\n');
+
+    return { code, steps: steps.length, secrets };
+  }
+
+  // Append a recorded step, folding keystrokes into the field's last fill
+  // and repeated navigations to the same URL into one
+  function mergeFlowStep(steps, step) {
+    const last = steps[steps.length - 1];
+    const sameTarget = last && last.target && step.target && getStepLocator(last) === getStepLocator(step);
+
+    if (last && step.type === 'fill' && last.type === 'fill' && sameTarget) {
+      return [...steps.slice(0, -1), { ...last, value: step.value, masked: step.masked, timestamp: step.timestamp }];
+    }
+    if (last && step.type === 'navigate' && last.type === 'navigate' && last.url === step.url) {
+      return steps;
+    }
+
+    return [...steps, step];
+  }
+
+  function flowStepLines(step, locator, nextSecret) {
+    switch (step.type) {
+      case 'click':
+        return [`await ${locator}.click();`];
+
+      case 'fill': {
+        if (step.masked) {
+          const name = nextSecret();
+          return [
+            `// The recorded value was not stored; set ${name} before running`,
+            `await ${locator}.fill(process.env.${name} ?? '');`
+          ];
+        }
+        const value = toJsString(step.value || '');
+        // Contenteditable targets have text rather than a value
+        const matcher = isFormField(step.target) ? 'toHaveValue' : 'toHaveText';
+        return [`await ${locator}.fill(${value});`, `await expect(${locator}).${matcher}(${value});`];
+      }
+
+      case 'upload': {
+        const files = step.files || [];
+        if (files.length === 0) {
+          return [`await ${locator}.setInputFiles([]);`];
+        }
+        return [
+          '// Only the file names were recorded; paths resolve from the working directory',
+          `await ${locator}.setInputFiles([${files.map(toJsString).join(', ')}]);`
+        ];
+      }
+
+      case 'select': {
+        const values = step.values || [];
+        if (values.length === 1) {
+          return [`await ${locator}.selectOption(${toJsString(values[0])});`, `await expect(${locator}).toHaveValue(${toJsString(values[0])});`];
+        }
+        const list = `[${values.map(toJsString).join(', ')}]`;
+        return [`await ${locator}.selectOption(${list});`, `await expect(${locator}).toHaveValues(${list});`];
+      }
+
+      case 'check':
+        return [`await ${locator}.check();`, `await expect(${locator}).toBeChecked();`];
+
+      case 'uncheck':
+        return [`await ${locator}.uncheck();`, `await expect(${locator}).not.toBeChecked();`];
+
+      case 'press':
+        return [step.target ? `await ${locator}.press(${toJsString(step.key)});` : `await page.keyboard.press(${toJsString(step.key)});`];
+
+      case 'assert': {
+        const lines = [`await expect(${locator}).toBeVisible();`];
+        const text = getVisibleText(step.target || {});
+        if (text) lines.push(`await expect(${locator}).toContainText(${toJsString(text)});`);
+        return lines;
+      }
+
+      default:
+        return [];
+    }
+  }
+
+  // Recorded targets without a tag are treated as fields
+  function isFormField(target) {
+    return !target || !target.tag || ['input', 'textarea', 'select'].includes(target.tag);
+  }
+
+  function getStepLocator(step) {
+    const target = step.target;
+    if (!target) return 'page';
+    return target.locator || `page.locator(${toJsString(target.selector || target.tag)})`;
+  }
+
+  function describeFlowStep(step) {
+    const target = step.target || {};
+    const name = target.name || getVisibleText(target);
+    const kind = target.role || target.tag || 'element';
+    const label = name ? `${kind} "${truncate(name)}"` : kind;
+
+    switch (step.type) {
+      case 'fill': return `Fill ${label}`;
+      case 'select': return `Select ${truncate((step.values || []).join(', '))} in ${label}`;
+      case 'check': return `Check ${label}`;
+      case 'uncheck': return `Uncheck ${label}`;
+      case 'upload': return step.files && step.files.length > 0 ? `Upload ${truncate(step.files.join(', '))} to ${label}` : `Clear the files in ${label}`;
+      case 'press': return `Press ${truncate(step.key || '')}${step.target ? ` in ${label}` : ''}`;
+      case 'assert': return `Check ${label} is shown`;
+      default: return `Click ${label}`;
+    }
+  }
+
+  // --- Helpers ---
+
+  function describeElement(element, kind) {
+    const role = getRole(element) || (kind !== 'other' ? kind : element.tag);
+    const name = (element.locator && element.locator.name) || (element.accessibility && element.accessibility.name) || getVisibleText(element);
+    return name ? `${role} "${truncate(name)}"` : `${role || element.tag} element`;
+  }
+
+  function getRole(element) {
+    return (element.locator && element.locator.role) ||
+      (element.accessibility && element.accessibility.role) ||
+      getAttribute(element, 'role') ||
+      null;
+  }
+
+  function getVisibleText(element) {
+    const firstLine = (element.text || '').split('\n').map(line => line.trim()).find(Boolean);
+    return firstLine ? truncate(firstLine) : '';
+  }
+
+  function getSampleValue(element) {
+    const type = (getAttribute(element, 'type') || 'text').toLowerCase();
+    let value = SAMPLE_VALUES[type] || SAMPLE_VALUES.text;
+
+    const maxLength = parseInt(getAttribute(element, 'maxlength'), 10);
+    if (maxLength > 0 && value.length > maxLength && !SAMPLE_VALUES[type]) {
+      value = value.slice(0, maxLength);
+    }
+
+    return value;
+  }
+
+  function getSelectableOption(element) {
+    const option = findSelectableOption(element);
+    return option ? option.value : null;
+  }
+
+  // The first enabled option that is not already selected: its value, its
+  // label and whether the value comes from a value attribute
+  function findSelectableOption(element) {
+    const options = [];
+    const visit = node => {
+      if (node.type !== 'element') return;
+      if (node.tag === 'option') options.push(node);
+      node.children.forEach(visit);
+    };
+    FuzeHtml.parse(element.html || '').forEach(visit);
+
+    const candidate = options.find(option =>
+      FuzeHtml.getAttribute(option, 'disabled') === null && FuzeHtml.getAttribute(option, 'selected') === null
+    ) || options[0];
+
+    if (!candidate) return null;
+
+    const value = FuzeHtml.getAttribute(candidate, 'value');
+    const label = candidate.children.map(child => child.value || '').join('').replace(/\s+/g, ' ').trim();
+    return { value: value !== null ? value : label, label, hasValue: value !== null };
+  }
+
+  function resolveUrl(href, base) {
+    try {
+      return new URL(href, base);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function getAttribute(element, name) {
+    const attributes = element.attributes || {};
+    return Object.prototype.hasOwnProperty.call(attributes, name) ? attributes[name] : null;
+  }
+
+  function hasAttribute(element, name) {
+    return getAttribute(element, name) !== null;
+  }
+
+  function truncate(text) {
+    const normalized = text.replace(/\s+/g, ' ').trim();
+    return normalized.length > MAX_TEXT_LENGTH ? normalized.slice(0, MAX_TEXT_LENGTH) : normalized;
+  }
+
+  // Single-quoted TypeScript string literal
+  function toJsString(value) {
+    return `'${String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/'/g, '\\\'')
+      .replace(/\r/g, '\\r')
+      .replace(/\n/g, '\\n')
+      .replace(/\u2028/g, '\\u2028')
+      .replace(/\u2029/g, '\\u2029')}'`;
+  }
+
+  return {
+    generateSpec,
+    generatePageObject,
+    generateFlowTest,
+    mergeFlowStep,
+    getLocator,
+    getControlKind,
+    describeElement,
+    getRole,
+    getVisibleText,
+    getSampleValue,
+    findSelectableOption,
+    getAttribute,
+    hasAttribute,
+    resolveUrl,
+    toPascalCase,
+    toKebabCase,
+    toJsString
+  };
+});
@@ -0,0 +1,658 @@
+// React Generator - Deterministic TSX component from captured element HTML
+// Shared by the extension service worker (importScripts) and the backend (require).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./html'), require('./tailwind'));
+  } else {
+    root.FuzeReact = factory(root.FuzeHtml, root.FuzeTailwind);
+  }
+})(typeof self !== 'undefined' ? self : this, function (FuzeHtml, FuzeTailwind) {
+  // HTML attribute names that React spells differently
+  const ATTRIBUTE_NAMES = {
+    'class': 'className', 'for': 'htmlFor', 'tabindex': 'tabIndex', 'readonly': 'readOnly',
+    'maxlength': 'maxLength', 'minlength': 'minLength', 'colspan': 'colSpan', 'rowspan': 'rowSpan',
+    'autocomplete': 'autoComplete', 'autofocus': 'autoFocus', 'autoplay': 'autoPlay',
+    'contenteditable': 'contentEditable', 'crossorigin': 'crossOrigin', 'enctype': 'encType',
+    'formaction': 'formAction', 'srcset': 'srcSet', 'novalidate': 'noValidate',
+    'spellcheck': 'spellCheck', 'accesskey': 'accessKey', 'cellpadding': 'cellPadding',
+    'cellspacing': 'cellSpacing', 'datetime': 'dateTime', 'frameborder': 'frameBorder',
+    'inputmode': 'inputMode', 'itemprop': 'itemProp', 'itemscope': 'itemScope', 'itemtype': 'itemType',
+    'usemap': 'useMap', 'allowfullscreen': 'allowFullScreen', 'playsinline': 'playsInline',
+    'referrerpolicy': 'referrerPolicy', 'charset': 'charSet', 'http-equiv': 'httpEquiv',
+    'srcdoc': 'srcDoc', 'srclang': 'srcLang', 'hreflang': 'hrefLang', 'enterkeyhint': 'enterKeyHint',
+    'fetchpriority': 'fetchPriority', 'xlink:href': 'xlinkHref', 'xml:space': 'xmlSpace'
+  };
+
+  const BOOLEAN_ATTRIBUTES = new Set([
+    'allowfullscreen', 'async', 'autofocus', 'autoplay', 'checked', 'controls', 'default',
+    'defer', 'disabled', 'formnovalidate', 'hidden', 'inert', 'ismap', 'loop', 'multiple',
+    'muted', 'nomodule', 'novalidate', 'open', 'playsinline', 'readonly', 'required',
+    'reversed', 'selected', 'itemscope'
+  ]);
+
+  // Event attribute suffixes React spells with more than one capital
+  const EVENT_NAMES = {
+    dblclick: 'DoubleClick', mousedown: 'MouseDown', mouseup: 'MouseUp', mouseover: 'MouseOver',
+    mouseout: 'MouseOut', mouseenter: 'MouseEnter', mouseleave: 'MouseLeave', mousemove: 'MouseMove',
+    keydown: 'KeyDown', keyup: 'KeyUp', keypress: 'KeyPress', contextmenu: 'ContextMenu',
+    touchstart: 'TouchStart', touchend: 'TouchEnd', touchmove: 'TouchMove',
+    pointerdown: 'PointerDown', pointerup: 'PointerUp', dragstart: 'DragStart', dragend: 'DragEnd',
+    dragover: 'DragOver', focusin: 'Focus', focusout: 'Blur'
+  };
+
+  const EVENT_HANDLER_TYPES = [
+    { pattern: /^(Click|DoubleClick|Mouse\w*|ContextMenu)$/, type: 'MouseEventHandler' },
+    { pattern: /^Key\w+$/, type: 'KeyboardEventHandler' },
+    { pattern: /^(Focus|Blur)$/, type: 'FocusEventHandler' },
+    { pattern: /^Change$/, type: 'ChangeEventHandler' },
+    { pattern: /^(Input|Submit)$/, type: 'FormEventHandler' },
+    { pattern: /^Touch\w+$/, type: 'TouchEventHandler' },
+    { pattern: /^Pointer\w+$/, type: 'PointerEventHandler' },
+    { pattern: /^Drag\w*$/, type: 'DragEventHandler' },
+    { pattern: /^Scroll$/, type: 'UIEventHandler' }
+  ];
+
+  const DOM_INTERFACES = {
+    a: 'HTMLAnchorElement', button: 'HTMLButtonElement', div: 'HTMLDivElement', form: 'HTMLFormElement',
+    img: 'HTMLImageElement', input: 'HTMLInputElement', label: 'HTMLLabelElement', li: 'HTMLLIElement',
+    ol: 'HTMLOListElement', ul: 'HTMLUListElement', p: 'HTMLParagraphElement', select: 'HTMLSelectElement',
+    span: 'HTMLSpanElement', table: 'HTMLTableElement', textarea: 'HTMLTextAreaElement',
+    option: 'HTMLOptionElement', video: 'HTMLVideoElement', audio: 'HTMLAudioElement'
+  };
+
+  // Attributes typed as numbers in React's DOM props
+  const NUMERIC_ATTRIBUTES = new Set(['tabindex', 'colspan', 'rowspan', 'maxlength', 'minlength', 'size', 'rows', 'cols', 'span', 'start']);
+
+  // Markup that has no place in a component
+  const DROPPED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'link', 'meta']);
+
+  // Attributes that may differ between otherwise identical repeated siblings
+  const VARIABLE_ATTRIBUTES = /^(class|id|style|title|href|src|srcset|alt|value|aria-(current|selected|expanded|pressed|label)|data-.*)$/i;
+
+  // Field names for text that varies inside a repeated item, by parent tag
+  const TEXT_FIELD_NAMES = {
+    h1: 'title', h2: 'title', h3: 'title', h4: 'title', h5: 'title', h6: 'title',
+    p: 'description', a: 'label', button: 'label', label: 'label', option: 'label', img: 'alt'
+  };
+
+  // Item names for repeated siblings without a usable class
+  const ITEM_NAMES = {
+    li: 'item', a: 'link', img: 'image', button: 'action', option: 'option',
+    tr: 'row', article: 'card', section: 'section'
+  };
+
+  const INDENT = '  ';
+
+  // Build a component from element.html, or from its tag and text when no
+  // markup was captured. Options: componentName, theme (a Tailwind theme
+  // extend for the conversion), and styling ('tailwind' converts the root's
+  // captured styles, 'classes' keeps the page's class names on the root too).
+  // Descendants keep their classes.
+  function generateComponent(element, options = {}) {
+    const nodes = normalize(parseElement(element), false);
+    const roots = nodes.filter(node => node.type === 'element' || node.value.trim());
+    const rootNode = roots.length === 1 && roots[0].type === 'element' ? roots[0] : null;
+
+    const componentName = options.componentName || getComponentName(element, rootNode);
+    const context = {
+      componentName,
+      rootNode,
+      usedNames: new Set(['className', 'props', 'children']),
+      repeats: new Map(),
+      types: [],
+      props: [],
+      defaults: [],
+      notes: []
+    };
+
+    collectRepeats(roots, context, null);
+
+    const rootClasses = getRootClasses(element, rootNode, options);
+    const body = rootNode
+      ? renderElement(rootNode, 1, context, { rootClasses })
+      : renderFragment(roots, 1, context);
+
+    const code = renderModule(body, context, rootNode);
+
+    return {
+      componentName,
+      code,
+      props: context.props.map(({ name, type, optional }) => ({ name, type, optional })),
+      repeated: context.types.map(({ name, propName, fields }) => ({ type: name, prop: propName, fields: fields.map(field => field.name) })),
+      notes: context.notes,
+      usage: `<${componentName} />`
+    };
+  }
+
+  function parseElement(element) {
+    if ((element.html || '').trim()) {
+      return FuzeHtml.parse(element.html);
+    }
+
+    const tag = (element.tag || 'div').toLowerCase();
+    const text = FuzeHtml.VOID_ELEMENTS.has(tag) ? '' : (element.text || '');
+    return [{ type: 'element', tag, name: tag, attributes: [], children: text ? [{ type: 'text', value: text }] : [] }];
+  }
+
+  // Drop comments-only whitespace and unwanted tags, collapse whitespace
+  // outside <pre>, and mark the svg subtree
+  function normalize(nodes, inPre, inSvg) {
+    const result = [];
+
+    nodes.forEach((node, index) => {
+      if (node.type === 'text') {
+        if (inPre) {
+          result.push(node);
+          return;
+        }
+
+        const value = node.value.replace(/[ \t\r\n\f]+/g, ' ');
+        const isEdge = index === 0 || index === nodes.length - 1;
+        if (value === ' ' && (isEdge || /\n/.test(node.value))) return;
+        result.push({ type: 'text', value });
+        return;
+      }
+
+      if (DROPPED_TAGS.has(node.tag)) return;
+
+      const svg = inSvg || node.tag === 'svg';
+      result.push({
+        ...node,
+        svg,
+        children: normalize(node.children, inPre || node.tag === 'pre', svg)
+      });
+    });
+
+    if (!inPre && result.length > 0) {
+      const first = result[0];
+      const last = result[result.length - 1];
+      if (first.type === 'text') first.value = first.value.replace(/^ /, '');
+      if (last.type === 'text') last.value = last.value.replace(/ $/, '');
+    }
+
+    return result.filter(node => node.type === 'element' || node.value !== '');
+  }
+
+  // Find runs of identical-shaped sibling elements whose text or attribute
+  // values differ, and turn each into an array prop rendered with .map()
+  function collectRepeats(children, context, parent) {
+    const elements = children.filter(node => node.type === 'element');
+    let index = 0;
+
+    while (index < elements.length) {
+      const shape = signature(elements[index]);
+      let end = index + 1;
+      while (end < elements.length && signature(elements[end]) === shape) end++;
+
+      const run = elements.slice(index, end);
+      const contiguous = run.length >= 2 && children.indexOf(run[run.length - 1]) - children.indexOf(run[0]) === run.length - 1;
+
+      if (contiguous) {
+        const fields = [];
+        const usedFields = new Set();
+        markFields(run, fields, usedFields);
+
+        if (fields.length > 0) {
+          registerRepeat(run, fields, context, parent);
+          index = end;
+          continue;
+        }
+      }
+
+      // Descend only into elements that are not repeated templates
+      run.forEach(node => collectRepeats(node.children, context, node));
+      index = end;
+    }
+  }
+
+  function signature(node) {
+    if (node.type === 'text') return '#text';
+
+    const attributes = node.attributes
+      .map(([name]) => name.toLowerCase())
+      .filter(name => !VARIABLE_ATTRIBUTES.test(name))
+      .sort()
+      .join(',');
+
+    return `${node.tag}[${attributes}](${node.children.map(signature).join(' ')})`;
+  }
+
+  // Walk the instances in parallel, marking on the first one (the template)
+  // which attribute values and texts vary
+  function markFields(instances, fields, usedFields) {
+    const template = instances[0];
+
+    if (template.type === 'text') {
+      const values = instances.map(node => node.value);
+      if (new Set(values).size > 1) {
+        template.field = addField(fields, usedFields, template.fieldHint || 'text', values, false);
+      }
+      return;
+    }
+
+    const attributeNames = new Set();
+    instances.forEach(node => node.attributes.forEach(([name]) => attributeNames.add(name)));
+
+    template.fieldAttributes = {};
+    attributeNames.forEach(name => {
+      if (/^on/i.test(name)) return;
+
+      const values = instances.map(node => FuzeHtml.getAttribute(node, name.toLowerCase()));
+      if (values.every(value => value === values[0])) return;
+
+      const fieldName = name.toLowerCase() === 'class'
+        ? 'className'
+        : toCamelCase(name.toLowerCase().replace(/^(data|aria)-/, ''));
+      // ARIA props are string unions in React's types
+      const type = /^aria-/i.test(name) ? `React.AriaAttributes['${name.toLowerCase()}']` : 'string';
+      template.fieldAttributes[name] = addField(fields, usedFields, fieldName, values, values.includes(null), type);
+    });
+
+    template.children.forEach((child, index) => {
+      if (child.type === 'text') {
+        child.fieldHint = TEXT_FIELD_NAMES[template.tag] || 'text';
+      }
+      markFields(instances.map(node => node.children[index]), fields, usedFields);
+    });
+  }
+
+  function addField(fields, usedFields, baseName, values, optional, type = 'string') {
+    let name = baseName;
+    for (let suffix = 2; usedFields.has(name); suffix++) {
+      name = `${baseName}${suffix}`;
+    }
+    usedFields.add(name);
+    fields.push({ name, values, optional, type });
+    return name;
+  }
+
+  function registerRepeat(run, fields, context, parent) {
+    const template = run[0];
+    const firstClass = (FuzeHtml.getAttribute(template, 'class') || '').split(/\s+/).find(cls => /^[a-z][\w-]{2,}$/i.test(cls));
+    const baseName = firstClass ? toCamelCase(firstClass.replace(/_/g, '-')) : (ITEM_NAMES[template.tag] || 'item');
+
+    let itemName = baseName;
+    for (let suffix = 2; context.usedNames.has(pluralize(itemName)); suffix++) {
+      itemName = `${baseName}${suffix}`;
+    }
+
+    const propName = pluralize(itemName);
+    const typeName = toPascalCase(itemName);
+    context.usedNames.add(propName);
+    context.usedNames.add(itemName);
+
+    const keyField = fields.find(field => ['id', 'href', 'value'].includes(field.name) && !field.optional && new Set(field.values).size === field.values.length);
+    const repeat = { template, count: run.length, propName, itemName, typeName, fields, keyField, parent };
+
+    context.repeats.set(template, repeat);
+    run.slice(1).forEach(node => context.repeats.set(node, { skip: true }));
+
+    context.types.push({ name: typeName, propName, fields });
+    context.props.push({ name: propName, type: `${typeName}[]`, optional: true, defaultValue: `default${toPascalCase(propName)}` });
+    context.defaults.push({
+      name: `default${toPascalCase(propName)}`,
+      type: `${typeName}[]`,
+      items: run.map((node, index) => fields.map(field => [field.name, field.values[index]]))
+    });
+  }
+
+  function getRootClasses(element, rootNode, options) {
+    if (!rootNode) return null;
+
+    if (options.styling !== 'classes' && element.styles && Object.keys(element.styles).length > 0) {
+      return FuzeTailwind.classesForElement({ ...element, tag: rootNode.tag }, { theme: options.theme }).classes.join(' ');
+    }
+
+    return FuzeHtml.getAttribute(rootNode, 'class') || '';
+  }
+
+  // --- Rendering ---
+
+  function renderModule(body, context, rootNode) {
+    const { componentName } = context;
+    const lines = ['import React from \'react\';', ''];
+
+    context.types.forEach(({ name, fields }) => {
+      lines.push(`export interface ${name} {`);
+      fields.forEach(field => {
+        lines.push(`${INDENT}${field.name}${field.optional ? '?' : ''}: ${field.type};`);
+      });
+      lines.push('}', '');
+    });
+
+    const extendsClause = rootNode ? ` extends React.ComponentPropsWithoutRef<'${rootNode.tag}'>` : '';
+    if (context.props.length === 0) {
+      lines.push(`export interface ${componentName}Props${extendsClause} {}`, '');
+    } else {
+      lines.push(`export interface ${componentName}Props${extendsClause} {`);
+      context.props.forEach(prop => {
+        lines.push(`${INDENT}${prop.name}${prop.optional ? '?' : ''}: ${prop.type};`);
+      });
+      lines.push('}', '');
+    }
+
+    context.defaults.forEach(({ name, type, items }) => {
+      lines.push(`const ${name}: ${type} = [`);
+      items.forEach((entries, index) => {
+        const fields = entries
+          .filter(([, value]) => value !== null)
+          .map(([key, value]) => `${key}: ${toJsString(value)}`)
+          .join(', ');
+        lines.push(`${INDENT}{ ${fields} }${index < items.length - 1 ? ',' : ''}`);
+      });
+      lines.push('];', '');
+    });
+
+    const params = [
+      ...context.props.map(prop => (prop.defaultValue ? `${prop.name} = ${prop.defaultValue}` : prop.name)),
+      ...(rootNode ? ['className = \'\'', '...props'] : [])
+    ];
+
+    lines.push(`export const ${componentName} = ({`);
+    params.forEach((param, index) => {
+      lines.push(`${INDENT}${param}${index < params.length - 1 ? ',' : ''}`);
+    });
+    lines.push(`}: ${componentName}Props) => (`);
+    lines.push(body);
+    lines.push(');', '');
+    lines.push(`export default ${componentName};`, '');
+
+    return lines.join('\n');
+  }
+
+  function renderFragment(nodes, depth, context) {
+    const pad = INDENT.repeat(depth);
+    return [`${pad}<>`, ...renderChildren(nodes, depth + 1, context, null), `${pad}</>`].join('\n');
+  }
+
+  function renderElement(node, depth, context, scope) {
+    const pad = INDENT.repeat(depth);
+    const tagName = node.svg ? node.name : node.tag;
+    const attributes = renderAttributes(node, context, scope);
+
+    if (node === context.rootNode) {
+      attributes.unshift(scope.rootClasses
+        ? `className={\`${escapeTemplate(scope.rootClasses)} \${className}\`.trim()}`
+        : 'className={className}');
+      attributes.push('{...props}');
+    }
+
+    const open = attributes.length > 0 ? `<${tagName} ${attributes.join(' ')}` : `<${tagName}`;
+
+    if (FuzeHtml.VOID_ELEMENTS.has(node.tag) || node.children.length === 0 || node.tag === 'textarea') {
+      return `${pad}${open} />`;
+    }
+
+    const children = renderChildren(node.children, depth + 1, context, scope);
+    const inline = children.length === 1 && node.children.length === 1 && node.children[0].type === 'text' &&
+      pad.length + open.length + children[0].trim().length + tagName.length < 100;
+
+    if (inline) {
+      return `${pad}${open}>${children[0].trim()}</${tagName}>`;
+    }
+
+    return [`${pad}${open}>`, ...children, `${pad}</${tagName}>`].join('\n');
+  }
+
+  function renderChildren(children, depth, context, scope) {
+    const pad = INDENT.repeat(depth);
+    const lines = [];
+
+    children.forEach(child => {
+      const repeat = context.repeats.get(child);
+      if (repeat && repeat.skip) return;
+
+      if (repeat) {
+        lines.push(renderRepeat(repeat, depth, context));
+      } else if (child.type === 'text') {
+        lines.push(`${pad}${renderText(child, scope)}`);
+      } else {
+        lines.push(renderElement(child, depth, context, { ...scope, rootClasses: null }));
+      }
+    });
+
+    return lines;
+  }
+
+  function renderRepeat(repeat, depth, context) {
+    const pad = INDENT.repeat(depth);
+    const { propName, itemName, keyField, template } = repeat;
+    const key = keyField ? `${itemName}.${keyField.name}` : 'index';
+    const args = keyField ? itemName : `(${itemName}, index)`;
+    const scope = { itemName, key, handlers: {}, typeName: repeat.typeName };
+
+    const body = renderElement(template, depth + 1, context, scope);
+    return [`${pad}{${propName}.map(${args} => (`, body, `${pad}))}`].join('\n');
+  }
+
+  function renderText(node, scope) {
+    if (node.field && scope && scope.itemName) {
+      return `{${scope.itemName}.${node.field}}`;
+    }
+
+    const value = node.value;
+    if (/[{}<>]/.test(value) || /^\s|\s$/.test(value)) {
+      return `{${toJsString(value)}}`;
+    }
+    return value;
+  }
+
+  function renderAttributes(node, context, scope) {
+    const inTemplate = scope && scope.itemName;
+    const result = [];
+
+    if (inTemplate && node === context.repeats.get(node)?.template) {
+      result.push(`key={${scope.key}}`);
+    }
+
+    let selectDefault = null;
+    if (node.tag === 'select') {
+      const selected = findSelectedOption(node);
+      if (selected !== null) selectDefault = selected;
+    }
+
+    node.attributes.forEach(([rawName, value]) => {
+      const lower = rawName.toLowerCase();
+
+      // Framework directives like @click or :class are not valid JSX
+      if (!/^[a-zA-Z_][\w.:-]*$/.test(rawName) || /^(x-on|v-on):/.test(lower)) return;
+
+      if (lower.startsWith('on')) {
+        const handler = renderEventAttribute(node, lower, context, scope);
+        if (handler) result.push(handler);
+        return;
+      }
+
+      if (node.tag === 'option' && lower === 'selected') return;
+
+      // The root's class list is merged into its className expression
+      if (node === context.rootNode && lower === 'class') return;
+
+      const field = inTemplate && node.fieldAttributes ? node.fieldAttributes[rawName] : null;
+      const name = getReactAttributeName(node, rawName, lower);
+
+      if (field) {
+        result.push(`${name}={${scope.itemName}.${field}}`);
+        return;
+      }
+
+      if (lower === 'style') {
+        result.push(`style={${renderStyleObject(value)}}`);
+        return;
+      }
+
+      if (BOOLEAN_ATTRIBUTES.has(lower) && (value === '' || value.toLowerCase() === lower)) {
+        result.push(name);
+        return;
+      }
+
+      if (NUMERIC_ATTRIBUTES.has(lower) && /^-?\d+$/.test(value.trim())) {
+        result.push(`${name}={${Number(value)}}`);
+        return;
+      }
+
+      result.push(renderAttributeValue(name, value));
+    });
+
+    if (node.tag === 'textarea' && node.children.length > 0) {
+      result.push(renderAttributeValue('defaultValue', node.children.map(child => child.value || '').join('')));
+    }
+    if (selectDefault !== null) {
+      result.push(renderAttributeValue('defaultValue', selectDefault));
+    }
+
+    return result;
+  }
+
+  function getReactAttributeName(node, rawName, lower) {
+    if (ATTRIBUTE_NAMES[lower]) {
+      if (lower === 'class') return 'className';
+      return ATTRIBUTE_NAMES[lower];
+    }
+
+    // Uncontrolled form values; a checkbox or radio value is not user-edited
+    const isToggle = /^(checkbox|radio)$/i.test(FuzeHtml.getAttribute(node, 'type') || '');
+    if (['input', 'select'].includes(node.tag) && lower === 'value' && !isToggle) return 'defaultValue';
+    if (node.tag === 'input' && lower === 'checked') return 'defaultChecked';
+
+    if (/^(aria|data)-/.test(lower)) return lower;
+    if (node.svg) return rawName.includes('-') ? toCamelCase(rawName) : rawName;
+
+    return lower;
+  }
+
+  // Inline handlers become props: the root passes them through ...props,
+  // descendants get a typed handler prop, and elements inside a repeated
+  // item call a prop that receives the item. The page's handler code is
+  // dropped; the notes say which prop replaces it.
+  function renderEventAttribute(node, lower, context, scope) {
+    const eventName = EVENT_NAMES[lower.slice(2)] || toPascalCase(lower.slice(2));
+    const reactName = `on${eventName}`;
+    const handler = `${lower}="${FuzeHtml.getAttribute(node, lower)}"`;
+
+    if (node === context.rootNode) {
+      context.notes.push(`${handler} was dropped; pass ${reactName} to the component instead`);
+      return '';
+    }
+
+    if (scope && scope.itemName) {
+      const propName = uniquePropName(context, `on${scope.typeName}${eventName}`);
+      context.props.push({ name: propName, type: `(${scope.itemName}: ${scope.typeName}) => void`, optional: true });
+      context.notes.push(`${handler} was dropped; the ${propName} prop is called with the ${scope.itemName} instead`);
+      return `${reactName}={() => ${propName}?.(${scope.itemName})}`;
+    }
+
+    const propName = uniquePropName(context, `on${toPascalCase(node.tag)}${eventName}`);
+    context.notes.push(`${handler} was dropped; the ${propName} prop is passed to <${node.tag}> as ${reactName} instead`);
+    const handlerType = (EVENT_HANDLER_TYPES.find(entry => entry.pattern.test(eventName)) || { type: 'ReactEventHandler' }).type;
+    context.props.push({
+      name: propName,
+      type: `React.${handlerType}<${DOM_INTERFACES[node.tag] || (node.svg ? 'SVGElement' : 'HTMLElement')}>`,
+      optional: true
+    });
+    return `${reactName}={${propName}}`;
+  }
+
+  function uniquePropName(context, baseName) {
+    let name = baseName;
+    for (let suffix = 2; context.usedNames.has(name); suffix++) {
+      name = `${baseName}${suffix}`;
+    }
+    context.usedNames.add(name);
+    return name;
+  }
+
+  function findSelectedOption(select) {
+    const options = [];
+    const visit = node => {
+      if (node.type !== 'element') return;
+      if (node.tag === 'option') options.push(node);
+      node.children.forEach(visit);
+    };
+    select.children.forEach(visit);
+
+    const selected = options.find(option => FuzeHtml.getAttribute(option, 'selected') !== null);
+    if (!selected) return null;
+
+    const value = FuzeHtml.getAttribute(selected, 'value');
+    return value !== null ? value : selected.children.map(child => child.value || '').join('').trim();
+  }
+
+  function renderStyleObject(cssText) {
+    const entries = cssText
+      .split(';')
+      .map(declaration => {
+        const colon = declaration.indexOf(':');
+        if (colon === -1) return null;
+        const property = declaration.slice(0, colon).trim();
+        const value = declaration.slice(colon + 1).trim();
+        return property && value ? [property, value] : null;
+      })
+      .filter(Boolean)
+      .map(([property, value]) => {
+        const key = property.startsWith('--')
+          ? toJsString(property)
+          : toCamelCase(property.toLowerCase().replace(/^-ms-/, 'ms-').replace(/^-(webkit|moz)-/, (match, vendor) => `${vendor[0].toUpperCase()}${vendor.slice(1)}-`));
+        return `${key}: ${toJsString(value)}`;
+      });
+
+    if (entries.length === 0) return '{}';
+    const hasCustomProperty = entries.some(entry => entry.startsWith('\''));
+    const object = `{ ${entries.join(', ')} }`;
+    return hasCustomProperty ? `${object} as React.CSSProperties` : object;
+  }
+
+  function renderAttributeValue(name, value) {
+    return /["\\{}]/.test(value) || /\n/.test(value)
+      ? `${name}={${toJsString(value)}}`
+      : `${name}="${value}"`;
+  }
+
+  // --- Naming helpers ---
+
+  function getComponentName(element, rootNode) {
+    const candidates = [
+      rootNode && FuzeHtml.getAttribute(rootNode, 'aria-label'),
+      rootNode && FuzeHtml.getAttribute(rootNode, 'id'),
+      ...(element.classes || [])
+    ].filter(Boolean);
+
+    for (const candidate of candidates) {
+      const name = toPascalCase(candidate);
+      if (/^[A-Z][A-Za-z0-9]{2,}$/.test(name) && name.length <= 40) return name;
+    }
+
+    const tag = (rootNode ? rootNode.tag : element.tag) || 'div';
+    return `${toPascalCase(tag)}Component`;
+  }
+
+  function toCamelCase(text) {
+    return text.replace(/[-_:\s]+([a-zA-Z0-9])/g, (match, letter) => letter.toUpperCase());
+  }
+
+  function toPascalCase(text) {
+    const camel = toCamelCase(String(text).replace(/[^A-Za-z0-9-_\s]/g, ' ').trim());
+    return camel.charAt(0).toUpperCase() + camel.slice(1);
+  }
+
+  function pluralize(word) {
+    if (/[^aeiou]y$/.test(word)) return `${word.slice(0, -1)}ies`;
+    if (/(s|x|ch|sh)$/.test(word)) return `${word}es`;
+    return `${word}s`;
+  }
+
+  function toJsString(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, '\\\'').replace(/\n/g, '\\n')}'`;
+  }
+
+  function escapeTemplate(text) {
+    return text.replace(/[`\\]/g, '\\$&').replace(/\$\{/g, '\\${');
+  }
+
+  return {
+    generateComponent,
+    parseElement,
+    normalize,
+    getComponentName
+  };
+});
@@ -0,0 +1,191 @@
+// Selector Helpers - Selector list splitting, state pseudo-class stripping and specificity
+// Loaded before content.js as a content script; the backend requires it in tests.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.FuzeSelectors = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Interaction states resolved from stylesheet rules
+  const STATE_PSEUDO_CLASSES = {
+    hover: /:hover(?![\w-])/g,
+    focus: /:focus(?![\w-])/g,
+    focusVisible: /:focus-visible(?![\w-])/g,
+    active: /:active(?![\w-])/g,
+    disabled: /:disabled(?![\w-])/g
+  };
+
+  // Pseudo-classes whose specificity is that of their most specific argument
+  const MATCHES_ANY_PSEUDO_CLASSES = new Set(['is', 'not', 'has', 'matches', '-webkit-any', '-moz-any']);
+
+  // CSS2 pseudo-elements that may be written with a single colon
+  const LEGACY_PSEUDO_ELEMENTS = new Set(['before', 'after', 'first-line', 'first-letter']);
+
+  // Split a selector list on top-level commas, leaving :is(a, b) intact
+  function splitSelectorList(selectorText) {
+    return splitOutsideParens(selectorText, ',');
+  }
+
+  function splitOutsideParens(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of text) {
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+
+      if (char === separator && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    parts.push(current.trim());
+    return parts.filter(Boolean);
+  }
+
+  function hasState(selector, state) {
+    return new RegExp(STATE_PSEUDO_CLASSES[state].source).test(selector);
+  }
+
+  // The selector without the state's pseudo-class, to test with matches().
+  // A compound that was only the pseudo-class becomes *, so `.nav > :hover`
+  // is `.nav > *` while `.nav > a:hover` is `.nav > a`.
+  function stripStatePseudoClass(selector, state) {
+    const pattern = new RegExp(STATE_PSEUDO_CLASSES[state].source, 'g');
+
+    return selector.replace(pattern, (match, offset) => (
+      offset === 0 || /[\s>+~(,]/.test(selector[offset - 1]) ? '*' : ''
+    )).trim();
+  }
+
+  // [ids, classes, types] for one complex selector. :is(), :not() and :has()
+  // count their most specific argument and :where() counts nothing.
+  function getSpecificity(selector) {
+    const specificity = [0, 0, 0];
+    let index = 0;
+
+    while (index < selector.length) {
+      const char = selector[index];
+
+      if (char === '\\') {
+        index += 2;
+      } else if (char === '"' || char === '\'') {
+        index = skipString(selector, index);
+      } else if (char === '#') {
+        specificity[0]++;
+        index = skipIdentifier(selector, index + 1);
+      } else if (char === '.') {
+        specificity[1]++;
+        index = skipIdentifier(selector, index + 1);
+      } else if (char === '[') {
+        specificity[1]++;
+        index = skipBlock(selector, index, '[', ']');
+      } else if (char === ':') {
+        index = addPseudoSpecificity(selector, index, specificity);
+      } else if (/[A-Za-z_\u00a0-\uffff]/.test(char)) {
+        specificity[2]++;
+        index = skipIdentifier(selector, index);
+        // Namespaced type selector, ns|tag
+        if (selector[index] === '|' && /[A-Za-z_*]/.test(selector[index + 1] || '')) {
+          index = skipIdentifier(selector, index + 1);
+        }
+      } else {
+        index++;
+      }
+    }
+
+    return specificity;
+  }
+
+  function addPseudoSpecificity(selector, start, specificity) {
+    const isElement = selector[start + 1] === ':';
+    const nameStart = start + (isElement ? 2 : 1);
+    let index = skipIdentifier(selector, nameStart);
+    const name = selector.slice(nameStart, index).toLowerCase();
+    let args = null;
+
+    if (selector[index] === '(') {
+      const end = skipBlock(selector, index, '(', ')');
+      args = selector.slice(index + 1, end - 1);
+      index = end;
+    }
+
+    if (isElement || LEGACY_PSEUDO_ELEMENTS.has(name)) {
+      specificity[2]++;
+    } else if (MATCHES_ANY_PSEUDO_CLASSES.has(name) && args !== null) {
+      const most = splitSelectorList(args)
+        .map(getSpecificity)
+        .reduce((best, current) => (compareSpecificity(current, best) > 0 ? current : best), [0, 0, 0]);
+      most.forEach((count, position) => { specificity[position] += count; });
+    } else if (name !== 'where') {
+      specificity[1]++;
+    }
+
+    return index;
+  }
+
+  // Negative, zero or positive like a sort comparator
+  function compareSpecificity(a, b) {
+    return (a[0] - b[0]) || (a[1] - b[1]) || (a[2] - b[2]);
+  }
+
+  function skipIdentifier(text, index) {
+    while (index < text.length) {
+      if (text[index] === '\\') {
+        index += 2;
+      } else if (/[\w\-\u00a0-\uffff]/.test(text[index])) {
+        index++;
+      } else {
+        break;
+      }
+    }
+    return index;
+  }
+
+  function skipString(text, index) {
+    const quote = text[index];
+    index++;
+    while (index < text.length && text[index] !== quote) {
+      index += text[index] === '\\' ? 2 : 1;
+    }
+    return index + 1;
+  }
+
+  // Index after the bracket that closes the one at index
+  function skipBlock(text, index, open, close) {
+    let depth = 0;
+    while (index < text.length) {
+      const char = text[index];
+      if (char === '\\') {
+        index += 2;
+        continue;
+      }
+      if (char === '"' || char === '\'') {
+        index = skipString(text, index);
+        continue;
+      }
+      if (char === open) depth++;
+      if (char === close) {
+        depth--;
+        if (depth === 0) return index + 1;
+      }
+      index++;
+    }
+    return index;
+  }
+
+  return {
+    STATE_PSEUDO_CLASSES,
+    splitSelectorList,
+    splitOutsideParens,
+    hasState,
+    stripStatePseudoClass,
+    getSpecificity,
+    compareSpecificity
+  };
+});
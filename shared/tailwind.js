@@ -0,0 +1,665 @@
+// Tailwind Converter - Maps computed CSS to Tailwind utility classes
+// Shared by the extension service worker (importScripts) and the backend (require).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.FuzeTailwind = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Default spacing scale: utility suffix -> pixels
+  const SPACING_SCALE = {
+    '0': 0, 'px': 1, '0.5': 2, '1': 4, '1.5': 6, '2': 8, '2.5': 10, '3': 12,
+    '3.5': 14, '4': 16, '5': 20, '6': 24, '7': 28, '8': 32, '9': 36, '10': 40,
+    '11': 44, '12': 48, '14': 56, '16': 64, '20': 80, '24': 96, '28': 112,
+    '32': 128, '36': 144, '40': 160, '44': 176, '48': 192, '52': 208,
+    '56': 224, '60': 240, '64': 256, '72': 288, '80': 320, '96': 384
+  };
+
+  const FONT_SIZE_SCALE = {
+    'xs': 12, 'sm': 14, 'base': 16, 'lg': 18, 'xl': 20, '2xl': 24, '3xl': 30,
+    '4xl': 36, '5xl': 48, '6xl': 60, '7xl': 72, '8xl': 96, '9xl': 128
+  };
+
+  // Suffix '' is the bare utility (`rounded`)
+  const RADIUS_SCALE = {
+    'none': 0, 'sm': 2, '': 4, 'md': 6, 'lg': 8, 'xl': 12, '2xl': 16, '3xl': 24, 'full': 9999
+  };
+
+  const BORDER_WIDTH_SCALE = { '0': 0, '': 1, '2': 2, '4': 4, '8': 8 };
+
+  const FONT_WEIGHTS = {
+    '100': 'thin', '200': 'extralight', '300': 'light', '400': 'normal',
+    '500': 'medium', '600': 'semibold', '700': 'bold', '800': 'extrabold', '900': 'black'
+  };
+
+  const LINE_HEIGHT_RATIOS = {
+    'none': 1, 'tight': 1.25, 'snug': 1.375, 'normal': 1.5, 'relaxed': 1.625, 'loose': 2
+  };
+
+  const OPACITY_STEPS = [0, 5, 10, 15, 20, 25, 30, 35, 40, 45, 50, 55, 60, 65, 70, 75, 80, 85, 90, 95, 100];
+
+  const Z_INDEX_STEPS = [0, 10, 20, 30, 40, 50];
+
+  const PERCENT_FRACTIONS = {
+    '100%': 'full', '50%': '1/2', '33.3333%': '1/3', '66.6667%': '2/3',
+    '25%': '1/4', '75%': '3/4', '20%': '1/5', '40%': '2/5', '60%': '3/5', '80%': '4/5'
+  };
+
+  // Default palette, shades 50-950 in order
+  const SHADES = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900', '950'];
+  const PALETTE_SOURCE = {
+    slate: 'f8fafc f1f5f9 e2e8f0 cbd5e1 94a3b8 64748b 475569 334155 1e293b 0f172a 020617',
+    gray: 'f9fafb f3f4f6 e5e7eb d1d5db 9ca3af 6b7280 4b5563 374151 1f2937 111827 030712',
+    zinc: 'fafafa f4f4f5 e4e4e7 d4d4d8 a1a1aa 71717a 52525b 3f3f46 27272a 18181b 09090b',
+    neutral: 'fafafa f5f5f5 e5e5e5 d4d4d4 a3a3a3 737373 525252 404040 262626 171717 0a0a0a',
+    stone: 'fafaf9 f5f5f4 e7e5e4 d6d3d1 a8a29e 78716c 57534e 44403c 292524 1c1917 0c0a09',
+    red: 'fef2f2 fee2e2 fecaca fca5a5 f87171 ef4444 dc2626 b91c1c 991b1b 7f1d1d 450a0a',
+    orange: 'fff7ed ffedd5 fed7aa fdba74 fb923c f97316 ea580c c2410c 9a3412 7c2d12 431407',
+    amber: 'fffbeb fef3c7 fde68a fcd34d fbbf24 f59e0b d97706 b45309 92400e 78350f 451a03',
+    yellow: 'fefce8 fef9c3 fef08a fde047 facc15 eab308 ca8a04 a16207 854d0e 713f12 422006',
+    lime: 'f7fee7 ecfccb d9f99d bef264 a3e635 84cc16 65a30d 4d7c0f 3f6212 365314 1a2e05',
+    green: 'f0fdf4 dcfce7 bbf7d0 86efac 4ade80 22c55e 16a34a 15803d 166534 14532d 052e16',
+    emerald: 'ecfdf5 d1fae5 a7f3d0 6ee7b7 34d399 10b981 059669 047857 065f46 064e3b 022c22',
+    teal: 'f0fdfa ccfbf1 99f6e4 5eead4 2dd4bf 14b8a6 0d9488 0f766e 115e59 134e4a 042f2e',
+    cyan: 'ecfeff cffafe a5f3fc 67e8f9 22d3ee 06b6d4 0891b2 0e7490 155e75 164e63 083344',
+    sky: 'f0f9ff e0f2fe bae6fd 7dd3fc 38bdf8 0ea5e9 0284c7 0369a1 075985 0c4a6e 082f49',
+    blue: 'eff6ff dbeafe bfdbfe 93c5fd 60a5fa 3b82f6 2563eb 1d4ed8 1e40af 1e3a8a 172554',
+    indigo: 'eef2ff e0e7ff c7d2fe a5b4fc 818cf8 6366f1 4f46e5 4338ca 3730a3 312e81 1e1b4b',
+    violet: 'f5f3ff ede9fe ddd6fe c4b5fd a78bfa 8b5cf6 7c3aed 6d28d9 5b21b6 4c1d95 2e1065',
+    purple: 'faf5ff f3e8ff e9d5ff d8b4fe c084fc a855f7 9333ea 7e22ce 6b21a8 581c87 3b0764',
+    fuchsia: 'fdf4ff fae8ff f5d0fe f0abfc e879f9 d946ef c026d3 a21caf 86198f 701a75 4a044e',
+    pink: 'fdf2f8 fce7f3 fbcfe8 f9a8d4 f472b6 ec4899 db2777 be185d 9d174d 831843 500724',
+    rose: 'fff1f2 ffe4e6 fecdd3 fda4af fb7185 f43f5e e11d48 be123c 9f1239 881337 4c0519'
+  };
+
+  const PALETTE = [{ name: 'black', hex: '#000000' }, { name: 'white', hex: '#ffffff' }];
+  Object.entries(PALETTE_SOURCE).forEach(([family, shades]) => {
+    shades.split(' ').forEach((hex, index) => {
+      PALETTE.push({ name: `${family}-${SHADES[index]}`, hex: `#${hex}` });
+    });
+  });
+  PALETTE.forEach(entry => {
+    entry.rgb = parseColor(entry.hex);
+  });
+
+  // A value this close to a default (or within half a pixel) uses the default
+  const DIMENSION_TOLERANCE = 0.04;
+
+  // Largest RGB distance at which a color counts as a palette color
+  const COLOR_TOLERANCE = 3;
+
+  // Elements that are display: block without any page CSS
+  const BLOCK_TAGS = new Set([
+    'div', 'p', 'section', 'header', 'footer', 'main', 'nav', 'article', 'aside',
+    'ul', 'ol', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'figure', 'fieldset'
+  ]);
+
+  const STATE_VARIANTS = {
+    hover: 'hover',
+    focus: 'focus',
+    focusVisible: 'focus-visible',
+    active: 'active',
+    disabled: 'disabled'
+  };
+
+  const KEYWORD_UTILITIES = {
+    display: {
+      'block': 'block', 'inline-block': 'inline-block', 'inline': 'inline', 'flex': 'flex',
+      'inline-flex': 'inline-flex', 'grid': 'grid', 'inline-grid': 'inline-grid',
+      'none': 'hidden', 'contents': 'contents', 'table': 'table', 'list-item': 'list-item'
+    },
+    position: { 'relative': 'relative', 'absolute': 'absolute', 'fixed': 'fixed', 'sticky': 'sticky' },
+    flexDirection: { 'row-reverse': 'flex-row-reverse', 'column': 'flex-col', 'column-reverse': 'flex-col-reverse' },
+    flexWrap: { 'wrap': 'flex-wrap', 'wrap-reverse': 'flex-wrap-reverse' },
+    justifyContent: {
+      'flex-start': 'justify-start', 'start': 'justify-start', 'center': 'justify-center',
+      'flex-end': 'justify-end', 'end': 'justify-end', 'space-between': 'justify-between',
+      'space-around': 'justify-around', 'space-evenly': 'justify-evenly'
+    },
+    alignItems: {
+      'flex-start': 'items-start', 'start': 'items-start', 'center': 'items-center',
+      'flex-end': 'items-end', 'end': 'items-end', 'baseline': 'items-baseline', 'stretch': 'items-stretch'
+    },
+    textAlign: { 'center': 'text-center', 'right': 'text-right', 'end': 'text-end', 'justify': 'text-justify' },
+    textTransform: { 'uppercase': 'uppercase', 'lowercase': 'lowercase', 'capitalize': 'capitalize' },
+    fontStyle: { 'italic': 'italic' },
+    textDecorationLine: { 'underline': 'underline', 'line-through': 'line-through', 'overline': 'overline' },
+    whiteSpace: { 'nowrap': 'whitespace-nowrap', 'pre': 'whitespace-pre', 'pre-line': 'whitespace-pre-line', 'pre-wrap': 'whitespace-pre-wrap' },
+    overflow: { 'hidden': 'overflow-hidden', 'auto': 'overflow-auto', 'scroll': 'overflow-scroll', 'clip': 'overflow-clip' },
+    overflowX: { 'hidden': 'overflow-x-hidden', 'auto': 'overflow-x-auto', 'scroll': 'overflow-x-scroll' },
+    overflowY: { 'hidden': 'overflow-y-hidden', 'auto': 'overflow-y-auto', 'scroll': 'overflow-y-scroll' },
+    cursor: { 'pointer': 'cursor-pointer', 'not-allowed': 'cursor-not-allowed', 'text': 'cursor-text', 'move': 'cursor-move', 'wait': 'cursor-wait' },
+    boxSizing: { 'content-box': 'box-content' },
+    visibility: { 'hidden': 'invisible' }
+  };
+
+  // Utility prefix for each box-side property
+  const SIDED_UTILITIES = { padding: 'p', margin: 'm' };
+
+  const SIDES = ['Top', 'Right', 'Bottom', 'Left'];
+
+  // Properties that are consumed together or only describe defaults
+  const SKIPPED_PROPERTIES = new Set(['borderStyle', 'borderTopStyle', 'borderRightStyle', 'borderBottomStyle', 'borderLeftStyle']);
+
+  // Convert a camelCase style map into Tailwind classes. Values close to a
+  // default utility use it, anything else becomes an arbitrary value
+  // (`p-[13px]`). Options: tag (skips the tag's default display), theme (a
+  // theme.extend object whose names are preferred) and variant (prefixes
+  // every class, e.g. 'hover').
+  function toClasses(styles, options = {}) {
+    const classes = [];
+    const unmatched = {};
+    const context = { styles: styles || {}, options, classes, unmatched };
+
+    convertSides(context, 'padding');
+    convertSides(context, 'margin');
+    convertBorder(context);
+    convertRadius(context);
+
+    Object.entries(context.styles).forEach(([property, value]) => {
+      if (context.handled && context.handled.has(property)) return;
+      if (SKIPPED_PROPERTIES.has(property) || value === undefined || value === null || value === '') return;
+
+      const result = convertProperty(property, String(value).trim(), context);
+      if (result === null) {
+        unmatched[property] = value;
+      } else if (result) {
+        classes.push(...[].concat(result));
+      }
+    });
+
+    const prefix = options.variant ? `${options.variant}:` : '';
+    return {
+      classes: [...new Set(classes)].map(cls => prefix + cls),
+      unmatched
+    };
+  }
+
+  // Classes for an element including its captured interaction states
+  function classesForElement(element, options = {}) {
+    const base = toClasses(element.styles, { ...options, tag: element.tag });
+    const classes = [...base.classes];
+    const unmatched = { ...base.unmatched };
+
+    Object.entries(element.states || {}).forEach(([state, styles]) => {
+      const variant = STATE_VARIANTS[state];
+      if (!variant) return;
+
+      const result = toClasses(styles, { ...options, variant });
+      classes.push(...result.classes);
+      Object.entries(result.unmatched).forEach(([property, value]) => {
+        unmatched[`${variant}:${property}`] = value;
+      });
+    });
+
+    return { classes, unmatched };
+  }
+
+  // Returns a class or list of classes, '' for values that need no class,
+  // or null when the property is not supported
+  function convertProperty(property, value, context) {
+    const { options, styles } = context;
+
+    if (property === 'display' && value === 'block' && BLOCK_TAGS.has(options.tag)) return '';
+    if (KEYWORD_UTILITIES[property]) {
+      if (KEYWORD_UTILITIES[property][value]) return KEYWORD_UTILITIES[property][value];
+      return isInitialKeyword(value) ? '' : null;
+    }
+
+    switch (property) {
+      case 'color':
+        return colorClass('text', value, options);
+      case 'backgroundColor':
+        return colorClass('bg', value, options);
+      case 'borderColor':
+        return colorClass('border', value, options);
+      case 'fontSize':
+        return scaleClass('text', value, FONT_SIZE_SCALE, options.theme?.fontSize);
+      case 'fontWeight': {
+        const weight = { normal: '400', bold: '700' }[value] || value;
+        if (weight === '400') return '';
+        return FONT_WEIGHTS[weight] ? `font-${FONT_WEIGHTS[weight]}` : `font-[${weight}]`;
+      }
+      case 'fontFamily':
+        return fontFamilyClass(value, options);
+      case 'lineHeight':
+        return lineHeightClass(value, styles.fontSize);
+      case 'letterSpacing':
+        return value === 'normal' ? '' : `tracking-[${value}]`;
+      case 'gap':
+        return gapClasses(value, options);
+      case 'rowGap':
+        return value === 'normal' ? '' : scaleClass('gap-y', value, SPACING_SCALE, options.theme?.spacing);
+      case 'columnGap':
+        return value === 'normal' ? '' : scaleClass('gap-x', value, SPACING_SCALE, options.theme?.spacing);
+      case 'width':
+      case 'height':
+      case 'minWidth':
+      case 'minHeight':
+      case 'maxWidth':
+      case 'maxHeight':
+        return sizeClass(property, value, options);
+      case 'top':
+      case 'right':
+      case 'bottom':
+      case 'left':
+        if (!styles.position || styles.position === 'static' || value === 'auto') return '';
+        return scaleClass(property, value, SPACING_SCALE, options.theme?.spacing, true);
+      case 'opacity':
+        return opacityClass(value);
+      case 'zIndex':
+        if (value === 'auto') return '';
+        return Z_INDEX_STEPS.includes(Number(value)) ? `z-${value}` : `z-[${value}]`;
+      case 'boxShadow':
+        return value === 'none' ? '' : `shadow-[${arbitrary(value)}]`;
+      case 'flexGrow':
+        return value === '0' ? '' : value === '1' ? 'grow' : `grow-[${value}]`;
+      case 'flexShrink':
+        return value === '1' ? '' : value === '0' ? 'shrink-0' : `shrink-[${value}]`;
+      case 'backgroundImage':
+        return value === 'none' ? '' : `bg-[image:${arbitrary(value)}]`;
+      case 'transform':
+        return value === 'none' || isIdentityMatrix(value) ? '' : null;
+      default:
+        return null;
+    }
+  }
+
+  const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+  const IDENTITY_MATRIX_3D = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+  // Computed styles report an untransformed element as matrix(1, 0, 0, 1, 0, 0)
+  // (or its matrix3d form) rather than none
+  function isIdentityMatrix(value) {
+    const match = /^matrix(3d)?\(([^)]*)\)$/.exec(value);
+    if (!match) return false;
+
+    const numbers = match[2].split(',').map(Number);
+    const identity = match[1] ? IDENTITY_MATRIX_3D : IDENTITY_MATRIX;
+    return numbers.length === identity.length && numbers.every((number, index) => number === identity[index]);
+  }
+
+  // padding / margin, from the shorthand or the four longhands, collapsed
+  // to p-, px-/py- or per-side classes
+  function convertSides(context, property) {
+    const { styles } = context;
+    const longhands = SIDES.map(side => `${property}${side}`);
+    let values;
+
+    if (longhands.every(key => styles[key] !== undefined)) {
+      values = longhands.map(key => String(styles[key]).trim());
+    } else if (styles[property] !== undefined) {
+      values = expandShorthand(String(styles[property]));
+    }
+
+    markHandled(context, [property, ...longhands]);
+    if (!values) return;
+
+    sideClasses(SIDED_UTILITIES[property], values).forEach(([utility, value]) => {
+      const cls = value === 'auto'
+        ? `${utility}-auto`
+        : scaleClass(utility, value, SPACING_SCALE, context.options.theme?.spacing, property === 'margin');
+      if (cls === null) {
+        context.unmatched[property] = styles[property];
+      } else if (cls) {
+        context.classes.push(cls);
+      }
+    });
+  }
+
+  // The `border` shorthand or its longhands: width, style and color
+  function convertBorder(context) {
+    const { styles, options } = context;
+    const widthLonghands = SIDES.map(side => `border${side}Width`);
+    let widths;
+    let style;
+    let color;
+
+    if (widthLonghands.every(key => styles[key] !== undefined)) {
+      widths = widthLonghands.map(key => String(styles[key]).trim());
+      style = styles.borderTopStyle || styles.borderStyle;
+      color = styles.borderTopColor || styles.borderColor;
+    } else if (styles.border !== undefined) {
+      const parsed = parseBorder(String(styles.border));
+      widths = [parsed.width, parsed.width, parsed.width, parsed.width];
+      style = parsed.style;
+      color = parsed.color;
+    }
+
+    markHandled(context, [
+      'border', ...widthLonghands,
+      ...SIDES.map(side => `border${side}Color`), ...SIDES.map(side => `border${side}Style`)
+    ]);
+    if (!widths || !style || style === 'none' || style === 'hidden') return;
+
+    sideClasses('border', widths).forEach(([utility, value]) => {
+      const px = parsePx(value);
+      if (px === 0) return;
+      const suffix = Object.keys(BORDER_WIDTH_SCALE).find(key => BORDER_WIDTH_SCALE[key] === px);
+      context.classes.push(suffix === undefined ? `${utility}-[${value}]` : suffix ? `${utility}-${suffix}` : utility);
+    });
+
+    if (style !== 'solid') {
+      context.classes.push(`border-${style}`);
+    }
+    if (color) {
+      const cls = colorClass('border', color, options);
+      if (cls) context.classes.push(cls);
+    }
+  }
+
+  function convertRadius(context) {
+    const { styles, options } = context;
+    const corners = ['TopLeft', 'TopRight', 'BottomRight', 'BottomLeft'];
+    const longhands = corners.map(corner => `border${corner}Radius`);
+    let values;
+
+    if (longhands.every(key => styles[key] !== undefined)) {
+      values = longhands.map(key => String(styles[key]).trim().split(' ')[0]);
+    } else if (styles.borderRadius !== undefined) {
+      values = expandShorthand(String(styles.borderRadius).split('/')[0]);
+    }
+
+    markHandled(context, ['borderRadius', ...longhands]);
+    if (!values) return;
+
+    const theme = options.theme?.borderRadius;
+    const radius = (utility, value) => {
+      if (parsePx(value) === 0) return '';
+      return scaleClass(utility, value, RADIUS_SCALE, theme);
+    };
+
+    if (values.every(value => value === values[0])) {
+      pushClass(context, radius('rounded', values[0]));
+      return;
+    }
+
+    ['tl', 'tr', 'br', 'bl'].forEach((corner, index) => {
+      pushClass(context, radius(`rounded-${corner}`, values[index]));
+    });
+  }
+
+  function pushClass(context, cls) {
+    if (cls) context.classes.push(cls);
+  }
+
+  function markHandled(context, properties) {
+    context.handled = context.handled || new Set();
+    properties.forEach(property => context.handled.add(property));
+  }
+
+  // [utility, value] pairs for top/right/bottom/left values
+  function sideClasses(prefix, [top, right, bottom, left]) {
+    if (top === right && right === bottom && bottom === left) {
+      return [[prefix, top]];
+    }
+    const joiner = prefix === 'border' ? '-' : '';
+    if (top === bottom && left === right) {
+      return [[`${prefix}${joiner}x`, left], [`${prefix}${joiner}y`, top]];
+    }
+
+    return [
+      [`${prefix}${joiner}t`, top],
+      [`${prefix}${joiner}r`, right],
+      [`${prefix}${joiner}b`, bottom],
+      [`${prefix}${joiner}l`, left]
+    ];
+  }
+
+  // CSS 1-4 value shorthand to [top, right, bottom, left]
+  function expandShorthand(value) {
+    const parts = value.trim().split(/\s+/);
+    const [top, right = top, bottom = top, left = right] = parts;
+    return [top, right, bottom, left];
+  }
+
+  function parseBorder(value) {
+    const color = (value.match(/#[0-9a-f]{3,8}\b|(rgb|hsl)a?\([^)]*\)/i) || [])[0];
+    const rest = color ? value.replace(color, '') : value;
+    const width = (rest.match(/-?\d*\.?\d+px/) || ['0px'])[0];
+    const style = (rest.match(/\b(none|hidden|solid|dashed|dotted|double|groove|ridge|inset|outset)\b/) || ['none'])[0];
+    return { width, style, color };
+  }
+
+  // Nearest scale entry within tolerance, a theme.extend name, or an
+  // arbitrary value. Negative values get a leading '-' when allowed.
+  function scaleClass(utility, value, scale, theme, allowNegative) {
+    const px = parsePx(value);
+
+    if (px === null) {
+      if (isInitialKeyword(value)) return '';
+      return `${utility}-[${arbitrary(value)}]`;
+    }
+
+    const negative = px < 0;
+    if (negative && !allowNegative) return `${utility}-[${value}]`;
+    const magnitude = Math.abs(px);
+    const sign = negative ? '-' : '';
+
+    const themed = findThemeName(theme, `${formatNumber(magnitude)}px`);
+    if (themed) return `${sign}${utility}-${themed}`;
+
+    const match = Object.entries(scale)
+      .map(([suffix, size]) => ({ suffix, size, diff: Math.abs(size - magnitude) }))
+      .sort((a, b) => a.diff - b.diff)[0];
+
+    if (match && match.diff <= Math.max(0.5, match.size * DIMENSION_TOLERANCE)) {
+      // Preflight already zeroes padding, margin and radius
+      if (match.size === 0 && /^(p|m|gap|rounded)/.test(utility)) return '';
+      return `${sign}${utility}${match.suffix ? `-${match.suffix}` : ''}`;
+    }
+
+    return `${sign}${utility}-[${formatNumber(magnitude)}px]`;
+  }
+
+  function sizeClass(property, value, options) {
+    const utility = {
+      width: 'w', height: 'h', minWidth: 'min-w', minHeight: 'min-h', maxWidth: 'max-w', maxHeight: 'max-h'
+    }[property];
+
+    if (value === 'auto' || value === 'none' || (value === '0px' && property.startsWith('min'))) return '';
+    if (PERCENT_FRACTIONS[value]) return `${utility}-${PERCENT_FRACTIONS[value]}`;
+    if (value === '100vw' || value === '100vh') return `${utility}-screen`;
+    if (['fit-content', 'min-content', 'max-content'].includes(value)) return `${utility}-${value.replace('-content', '')}`;
+
+    return scaleClass(utility, value, SPACING_SCALE, options.theme?.spacing);
+  }
+
+  function gapClasses(value, options) {
+    const [row, column = row] = value.split(/\s+/);
+    if (row === 'normal' && column === 'normal') return '';
+    if (row === column) return scaleClass('gap', row, SPACING_SCALE, options.theme?.spacing);
+
+    return [
+      scaleClass('gap-y', row, SPACING_SCALE, options.theme?.spacing),
+      scaleClass('gap-x', column, SPACING_SCALE, options.theme?.spacing)
+    ].filter(Boolean);
+  }
+
+  function colorClass(utility, value, options) {
+    const color = parseColor(value);
+    if (!color) return isInitialKeyword(value) || value === 'currentcolor' ? '' : `${utility}-[${arbitrary(value)}]`;
+    if (color.a === 0) return utility === 'bg' ? '' : `${utility}-transparent`;
+
+    const hex = toHex(color);
+    const themed = findThemeName(options.theme?.colors, hex);
+    if (themed) return `${utility}-${themed}`;
+
+    const nearest = PALETTE
+      .map(entry => ({ entry, distance: colorDistance(entry.rgb, color) }))
+      .sort((a, b) => a.distance - b.distance)[0];
+
+    if (nearest.distance <= COLOR_TOLERANCE) {
+      const opacity = color.a < 1 ? `/${Math.round(color.a * 100)}` : '';
+      return `${utility}-${nearest.entry.name}${opacity}`;
+    }
+
+    return `${utility}-[${hex}]`;
+  }
+
+  function fontFamilyClass(value, options) {
+    const families = value.split(',').map(family => family.trim().replace(/^["']|["']$/g, ''));
+
+    const themed = findThemeName(options.theme?.fontFamily, families.join(', '));
+    if (themed) return `font-${themed}`;
+
+    const generic = families[families.length - 1];
+    if (families.length === 1 || ['ui-sans-serif', 'system-ui', '-apple-system'].includes(families[0])) {
+      if (generic === 'monospace') return 'font-mono';
+      if (generic === 'serif') return 'font-serif';
+      if (generic === 'sans-serif') return 'font-sans';
+    }
+
+    return `font-[${families.map(family => (/\s/.test(family) ? `'${family}'` : family)).join(',').replace(/\s/g, '_')}]`;
+  }
+
+  function lineHeightClass(value, fontSize) {
+    if (value === 'normal') return '';
+
+    const px = parsePx(value);
+    const base = parsePx(fontSize || '');
+    const ratio = px !== null && base ? px / base : Number(value);
+
+    if (!Number.isNaN(ratio)) {
+      const match = Object.entries(LINE_HEIGHT_RATIOS).find(([, size]) => Math.abs(size - ratio) < 0.01);
+      if (match) return `leading-${match[0]}`;
+    }
+
+    return `leading-[${px !== null ? `${formatNumber(px)}px` : value}]`;
+  }
+
+  function opacityClass(value) {
+    const percent = Math.round(Number(value) * 100);
+    if (Number.isNaN(percent)) return null;
+    if (percent === 100) return '';
+    return OPACITY_STEPS.includes(percent) ? `opacity-${percent}` : `opacity-[${value}]`;
+  }
+
+  // theme.extend section keyed by value -> name lookups
+  function findThemeName(section, value) {
+    if (!section) return null;
+    const normalized = String(value).toLowerCase();
+    const match = Object.entries(section).find(([, candidate]) => {
+      const text = Array.isArray(candidate) ? candidate.join(', ') : String(candidate);
+      return text.toLowerCase() === normalized;
+    });
+    return match ? match[0] : null;
+  }
+
+  // Whether a value matches a default utility closely enough not to need a
+  // theme entry. Groups: color, fontSize, radius, spacing, fontFamily.
+  function matchesDefault(group, value) {
+    const px = parsePx(value);
+    const withinScale = scale => px !== null && Object.values(scale)
+      .some(size => Math.abs(size - px) <= Math.max(0.5, size * DIMENSION_TOLERANCE));
+
+    switch (group) {
+      case 'color': {
+        const color = parseColor(value);
+        return !!color && PALETTE.some(entry => colorDistance(entry.rgb, color) <= COLOR_TOLERANCE);
+      }
+      case 'fontSize':
+        return withinScale(FONT_SIZE_SCALE);
+      case 'radius':
+        return withinScale(RADIUS_SCALE);
+      case 'spacing':
+        return withinScale(SPACING_SCALE);
+      default:
+        return false;
+    }
+  }
+
+  // tailwind.config.js source for a theme.extend object
+  function formatConfig(extend) {
+    return `/** @type {import('tailwindcss').Config} */\nmodule.exports = ${toJsLiteral({ theme: { extend } }, '')};\n`;
+  }
+
+  // Object literal source with unquoted identifier keys and single quotes
+  function toJsLiteral(value, indent) {
+    const quote = text => `'${String(text).replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+
+    if (Array.isArray(value)) {
+      return `[${value.map(item => toJsLiteral(item, indent)).join(', ')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const entries = Object.entries(value);
+      if (entries.length === 0) return '{}';
+
+      const inner = `${indent}  `;
+      const lines = entries.map(([key, item]) => {
+        const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : quote(key);
+        return `${inner}${name}: ${toJsLiteral(item, inner)}`;
+      });
+      return `{\n${lines.join(',\n')}\n${indent}}`;
+    }
+    return typeof value === 'string' ? quote(value) : String(value);
+  }
+
+  function parsePx(value) {
+    const match = String(value).trim().match(/^(-?\d*\.?\d+)(px)?$/);
+    return match ? parseFloat(match[1]) : null;
+  }
+
+  function parseColor(value) {
+    const text = String(value).trim().toLowerCase();
+    if (text === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+
+    const hex = text.match(/^#([0-9a-f]{3,8})$/);
+    if (hex) {
+      let digits = hex[1];
+      if (digits.length <= 4) digits = digits.split('').map(digit => digit + digit).join('');
+      if (digits.length !== 6 && digits.length !== 8) return null;
+      return {
+        r: parseInt(digits.slice(0, 2), 16),
+        g: parseInt(digits.slice(2, 4), 16),
+        b: parseInt(digits.slice(4, 6), 16),
+        a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1
+      };
+    }
+
+    const rgb = text.match(/^rgba?\(([^)]*)\)$/);
+    if (!rgb) return null;
+
+    const parts = rgb[1].split(/[\s,/]+/).filter(Boolean);
+    const channel = (part, scale) => (part.endsWith('%') ? (parseFloat(part) / 100) * scale : parseFloat(part));
+    return {
+      r: channel(parts[0], 255),
+      g: channel(parts[1], 255),
+      b: channel(parts[2], 255),
+      a: parts[3] === undefined ? 1 : channel(parts[3], 1)
+    };
+  }
+
+  function toHex({ r, g, b, a }) {
+    const hex = n => Math.round(n).toString(16).padStart(2, '0');
+    return `#${hex(r)}${hex(g)}${hex(b)}${a < 1 ? hex(a * 255) : ''}`;
+  }
+
+  function colorDistance(first, second) {
+    return Math.hypot(first.r - second.r, first.g - second.g, first.b - second.b);
+  }
+
+  function formatNumber(number) {
+    return String(Math.round(number * 100) / 100);
+  }
+
+  // Arbitrary values cannot contain spaces; Tailwind reads '_' as one
+  function arbitrary(value) {
+    return value.trim().replace(/\s*,\s*/g, ',').replace(/\s+/g, '_');
+  }
+
+  function isInitialKeyword(value) {
+    return ['none', 'normal', 'auto', 'initial', 'inherit', 'unset', 'static', 'visible', 'nowrap', 'start', 'left', 'row'].includes(value) ||
+      ['0', '0px'].includes(value);
+  }
+
+  return {
+    toClasses,
+    classesForElement,
+    matchesDefault,
+    formatConfig,
+    parseColor,
+    toHex
+  };
+});
@@ -0,0 +1,624 @@
+// Test Framework Generators - Deterministic element tests for each supported test framework
+// Shared by the extension service worker (importScripts) and the backend (require).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./playwright'), require('./react'));
+  } else {
+    root.FuzeTestFrameworks = factory(root.FuzePlaywright, root.FuzeReact);
+  }
+})(typeof self !== 'undefined' ? self : this, function (FuzePlaywright, FuzeReact) {
+  const {
+    getControlKind, describeElement, getRole, getVisibleText, getSampleValue, findSelectableOption,
+    getAttribute, hasAttribute, resolveUrl, toKebabCase, toJsString
+  } = FuzePlaywright;
+
+  // Test frameworks the test task can target: label, output language, the
+  // suffix of the generated file name and the package the axe option needs
+  const FRAMEWORKS = {
+    playwright: { label: 'Playwright', language: 'typescript', extension: '.spec.ts', axePackage: '@axe-core/playwright' },
+    cypress: { label: 'Cypress', language: 'typescript', extension: '.cy.ts', axePackage: 'cypress-axe' },
+    'testing-library': { label: 'React Testing Library', language: 'tsx', extension: '.test.tsx', axePackage: null },
+    webdriverio: { label: 'WebdriverIO', language: 'typescript', extension: '.e2e.ts', axePackage: '@axe-core/webdriverio' }
+  };
+
+  const DEFAULT_FRAMEWORK = 'playwright';
+
+  // Roles Testing Library cannot query an element by
+  const UNQUERYABLE_ROLES = new Set(['generic', 'none', 'presentation']);
+
+  // Implicit role per control kind when the capture has none
+  const IMPLICIT_ROLES = { button: 'button', link: 'link', checkbox: 'checkbox', radio: 'radio' };
+  const TEXTBOX_TYPE_ROLES = { text: 'textbox', email: 'textbox', tel: 'textbox', url: 'textbox', search: 'searchbox', number: 'spinbutton' };
+
+  // ARIA attributes flip between these values when toggled
+  const TOGGLE_ATTRIBUTES = ['aria-expanded', 'aria-pressed', 'aria-checked', 'aria-selected'];
+
+  const SHADOW_SEPARATOR = ' >> ';
+  const MAX_NAME_LENGTH = 80;
+  const MAX_ARIA_ASSERTIONS = 10;
+  const INDENT = '  ';
+
+  // Build a test for the element in the given framework. Options: axe adds
+  // an accessibility scan (end-to-end frameworks only), componentName names
+  // the component Testing Library renders.
+  function generateTest(framework, element, pageUrl, options = {}) {
+    const target = FRAMEWORKS[framework] ? framework : DEFAULT_FRAMEWORK;
+    const componentName = options.componentName || FuzeReact.generateComponent(element).componentName;
+    const baseName = target === 'testing-library' ? componentName : toKebabCase(componentName);
+
+    const result = target === 'playwright'
+      ? FuzePlaywright.generateSpec(element, pageUrl, options)
+      : GENERATORS[target](element, pageUrl, { ...options, componentName });
+
+    return {
+      framework: target,
+      language: FRAMEWORKS[target].language,
+      fileName: `${baseName}${FRAMEWORKS[target].extension}`,
+      ...result
+    };
+  }
+
+  // What every framework asserts about the element, read once from the capture
+  function describeState(element) {
+    const kind = getControlKind(element);
+    const accessibility = element.accessibility || {};
+    const states = accessibility.states || {};
+
+    return {
+      kind,
+      title: describeElement(element, kind),
+      text: kind !== 'textbox' && kind !== 'select' ? getVisibleText(element) : '',
+      value: kind === 'textbox' ? getAttribute(element, 'value') : null,
+      disabled: states.disabled === 'true' || hasAttribute(element, 'disabled'),
+      readOnly: hasAttribute(element, 'readonly'),
+      checked: kind === 'checkbox' || kind === 'radio' ? states.checked === 'true' || hasAttribute(element, 'checked') : null,
+      required: hasAttribute(element, 'required'),
+      display: (element.styles && element.styles.display) || null,
+      ariaAttributes: Object.entries(element.attributes || {})
+        .filter(([name]) => name === 'role' || name.startsWith('aria-'))
+        .slice(0, MAX_ARIA_ASSERTIONS),
+      focusable: accessibility.focusable !== undefined ? accessibility.focusable : kind !== 'other',
+      tabIndex: accessibility.tabIndex !== undefined ? accessibility.tabIndex : Number(getAttribute(element, 'tabindex')),
+      toggle: TOGGLE_ATTRIBUTES.find(name => /^(true|false)$/.test(getAttribute(element, name) || ''))
+    };
+  }
+
+  // Same-page http(s) destination of a link, or null when following it
+  // cannot be asserted
+  function getLinkTarget(element, pageUrl) {
+    const href = getAttribute(element, 'href');
+    if (href === null || href.startsWith('#') || getAttribute(element, 'target') === '_blank') return null;
+
+    const target = resolveUrl(href, pageUrl);
+    return target && /^https?:$/.test(target.protocol) ? target.href : null;
+  }
+
+  // Selectors from the outermost shadow host to the element
+  function splitDeepSelector(selector) {
+    return selector.split(SHADOW_SEPARATOR);
+  }
+
+  function render(header, describeLine, setup, tests) {
+    const lines = [...header, '', describeLine, ...setup.map(line => (line ? `${INDENT}${line}` : ''))];
+
+    tests.forEach(({ title, body, open }) => {
+      lines.push('');
+      lines.push(`${INDENT}${open(toJsString(title))}`);
+      body.forEach(line => lines.push(line ? `${INDENT}${INDENT}${line}` : ''));
+      lines.push(`${INDENT}});`);
+    });
+
+    lines.push('});', '');
+    return lines.join('\n');
+  }
+
+  // --- Cypress ---
+
+  // The element is aliased as @element in beforeEach. Cypress cannot press
+  // Tab or Space natively, so keyboard checks become focus and click checks.
+  function generateCypressTest(element, pageUrl, options) {
+    const state = describeState(element);
+    const selector = element.deepSelector || element.selector || element.tag;
+    const get = 'cy.get(\'@element\')';
+    const tests = [];
+
+    const visible = [`${get}.should('be.visible');`];
+    if (state.text) visible.push(`${get}.should('contain.text', ${toJsString(state.text)});`);
+    if (state.value) visible.push(`${get}.should('have.value', ${toJsString(state.value)});`);
+    if (state.disabled) visible.push(`${get}.should('be.disabled');`);
+    if (state.checked !== null) visible.push(`${get}.should('${state.checked ? 'be.checked' : 'not.be.checked'}');`);
+    if (state.required) visible.push(`${get}.should('have.attr', 'required');`);
+    if (state.display) visible.push(`${get}.should('have.css', 'display', ${toJsString(state.display)});`);
+    tests.push({ title: 'is visible', body: visible });
+
+    if (state.ariaAttributes.length > 0) {
+      tests.push({
+        title: 'exposes its ARIA attributes',
+        body: state.ariaAttributes.map(([name, value]) => `${get}.should('have.attr', ${toJsString(name)}, ${toJsString(value)});`)
+      });
+    }
+
+    if (state.focusable && !state.disabled) {
+      tests.push({ title: 'can be focused', body: [`${get}.focus();`, `${get}.should('have.focus');`] });
+    }
+
+    const interaction = cypressInteraction(element, state, get, pageUrl);
+    if (interaction) tests.push(interaction);
+
+    if (options.axe) {
+      tests.push({
+        title: 'has no detectable accessibility violations',
+        body: [
+          '// Requires cypress-axe in the support file',
+          'cy.injectAxe();',
+          (element.framePath || []).length > 0 || (element.shadowHosts || []).length > 0
+            ? 'cy.checkA11y();'
+            : `cy.checkA11y(${toJsString(element.selector || selector)});`
+        ]
+      });
+    }
+
+    const code = render(
+      ['/// <reference types="cypress" />'],
+      `describe(${toJsString(state.title)}, () => {`,
+      ['beforeEach(() => {', `${INDENT}cy.visit(${toJsString(pageUrl)});`, `${INDENT}${cypressChain(element, selector)}.as('element');`, '});'],
+      tests.map(test => ({ ...test, open: title => `it(${title}, () => {` }))
+    );
+
+    return { code, kind: state.kind, selector, tests: tests.map(test => test.title) };
+  }
+
+  // Same-origin frames are entered through their document body; shadow
+  // roots through .shadow()
+  function cypressChain(element, selector) {
+    const frames = (element.framePath || []).filter(frame => frame.selector);
+    let chain = 'cy';
+
+    frames.forEach(frame => {
+      chain = `${cypressFind(chain, frame.selector)}.its('0.contentDocument.body').should('not.be.empty').then(cy.wrap)`;
+    });
+
+    return cypressFind(chain, selector);
+  }
+
+  function cypressFind(chain, selector) {
+    return splitDeepSelector(selector).reduce((current, part, index) => {
+      if (index > 0) return `${current}.shadow().find(${toJsString(part)})`;
+      return chain === 'cy' ? `cy.get(${toJsString(part)})` : `${chain}.find(${toJsString(part)})`;
+    }, chain);
+  }
+
+  function cypressInteraction(element, state, get, pageUrl) {
+    if (state.disabled || state.readOnly) return null;
+
+    switch (state.kind) {
+      case 'textbox': {
+        const value = getSampleValue(element);
+        return {
+          title: 'accepts input',
+          body: [`${get}.clear().type(${toJsString(value)}, { parseSpecialCharSequences: false });`, `${get}.should('have.value', ${toJsString(value)});`]
+        };
+      }
+
+      case 'contenteditable':
+        return {
+          title: 'accepts input',
+          body: [`${get}.clear().type('Sample text');`, `${get}.should('have.text', 'Sample text');`]
+        };
+
+      case 'select': {
+        const option = findSelectableOption(element);
+        if (!option) return null;
+        return {
+          title: 'selects an option',
+          body: [`${get}.select(${toJsString(option.value)});`, `${get}.should('have.value', ${toJsString(option.value)});`]
+        };
+      }
+
+      case 'checkbox':
+        return {
+          title: 'can be checked and unchecked',
+          body: [`${get}.check();`, `${get}.should('be.checked');`, `${get}.uncheck();`, `${get}.should('not.be.checked');`]
+        };
+
+      case 'radio':
+        return { title: 'can be selected', body: [`${get}.check();`, `${get}.should('be.checked');`] };
+
+      case 'ariaCheckbox': {
+        const checked = getAttribute(element, 'aria-checked') === 'true';
+        return {
+          title: 'toggles when clicked',
+          body: [
+            `${get}.click();`,
+            `${get}.should('have.attr', 'aria-checked', ${toJsString(String(!checked))});`,
+            `${get}.click();`,
+            `${get}.should('have.attr', 'aria-checked', ${toJsString(String(checked))});`
+          ]
+        };
+      }
+
+      case 'link': {
+        const href = getAttribute(element, 'href');
+        if (href === null) return null;
+        const body = [`${get}.should('have.attr', 'href', ${toJsString(href)});`];
+        const target = getLinkTarget(element, pageUrl);
+        if (target) body.push('', `${get}.click();`, `cy.url().should('eq', ${toJsString(target)});`);
+        return { title: 'links to its destination', body };
+      }
+
+      case 'button':
+        if (state.toggle) {
+          const flipped = String(getAttribute(element, state.toggle) !== 'true');
+          return {
+            title: `toggles ${state.toggle} when clicked`,
+            body: [`${get}.click();`, `${get}.should('have.attr', ${toJsString(state.toggle)}, ${toJsString(flipped)});`]
+          };
+        }
+        return {
+          title: 'can be clicked',
+          body: [`${get}.should('be.enabled');`, `${get}.click();`, '// Add assertions for what the click should change']
+        };
+
+      default:
+        return null;
+    }
+  }
+
+  // --- React Testing Library ---
+
+  // Renders the generated React component in isolation with Jest and
+  // jest-dom. The component has no behaviour of its own, so clicks are
+  // checked through the handler props it forwards to the element.
+  function generateTestingLibraryTest(element, pageUrl, options) {
+    const state = describeState(element);
+    const componentName = options.componentName;
+    const query = getTestingLibraryQuery(element, state);
+    const tests = [];
+
+    const rendered = [`render(<${componentName} />);`, `const element = ${query.code};`, ''];
+    const visible = [...rendered, 'expect(element).toBeInTheDocument();'];
+    if (state.text) visible.push(`expect(element).toHaveTextContent(${toJsString(state.text)});`);
+    if (state.value) visible.push(`expect(element).toHaveValue(${testingLibraryValue(element, state.value)});`);
+    if (state.disabled) visible.push('expect(element).toBeDisabled();');
+    if (state.checked !== null) visible.push(state.checked ? 'expect(element).toBeChecked();' : 'expect(element).not.toBeChecked();');
+    if (state.required) visible.push('expect(element).toBeRequired();');
+    tests.push({ title: `renders the ${query.label}`, body: visible });
+
+    if (state.ariaAttributes.length > 0) {
+      tests.push({
+        title: 'exposes its ARIA attributes',
+        body: [...rendered, ...state.ariaAttributes.map(([name, value]) => `expect(element).toHaveAttribute(${toJsString(name)}, ${toJsString(value)});`)]
+      });
+    }
+
+    if (state.focusable && !state.disabled) {
+      tests.push({ title: 'can be focused', body: [...rendered, 'element.focus();', 'expect(element).toHaveFocus();'] });
+    }
+
+    const interaction = testingLibraryInteraction(element, state, componentName, query.code);
+    if (interaction) tests.push(interaction);
+
+    const usesUser = tests.some(test => test.async);
+    const code = render(
+      [
+        'import React from \'react\';',
+        `import { ${query.code.startsWith('screen.') ? 'render, screen' : 'render'} } from '@testing-library/react';`,
+        ...(usesUser ? ['import userEvent from \'@testing-library/user-event\';'] : []),
+        'import \'@testing-library/jest-dom\';',
+        `import { ${componentName} } from './${componentName}';`
+      ],
+      `describe(${toJsString(componentName)}, () => {`,
+      [],
+      tests.map(test => ({ ...test, open: title => `it(${title}, ${test.async ? 'async ' : ''}() => {` }))
+    );
+
+    return { code, kind: state.kind, componentName, query: query.code, tests: tests.map(test => test.title) };
+  }
+
+  // By role and accessible name, then by text, then by test id; the root
+  // element of the render is the last resort
+  function getTestingLibraryQuery(element, state) {
+    const role = getRole(element) || getImplicitRole(element, state.kind);
+    const fullText = (element.text || '').replace(/\s+/g, ' ').trim();
+    const name = (element.locator && element.locator.name) ||
+      (element.accessibility && element.accessibility.name) ||
+      (role && IMPLICIT_ROLES[state.kind] ? fullText : '');
+    const testId = getAttribute(element, 'data-testid');
+
+    if (role && !UNQUERYABLE_ROLES.has(role)) {
+      const byName = name && name.length <= MAX_NAME_LENGTH ? `, { name: ${toJsString(name)} }` : '';
+      return { code: `screen.getByRole(${toJsString(role)}${byName})`, label: role };
+    }
+    if (state.text && state.text === fullText) {
+      return { code: `screen.getByText(${toJsString(state.text)})`, label: element.tag };
+    }
+    if (testId) {
+      return { code: `screen.getByTestId(${toJsString(testId)})`, label: element.tag };
+    }
+    return { code: 'document.body.firstElementChild!.firstElementChild as HTMLElement', label: element.tag };
+  }
+
+  function getImplicitRole(element, kind) {
+    if (kind === 'textbox') {
+      if (element.tag === 'textarea') return 'textbox';
+      return TEXTBOX_TYPE_ROLES[(getAttribute(element, 'type') || 'text').toLowerCase()] || null;
+    }
+    if (kind === 'select') {
+      return hasAttribute(element, 'multiple') || Number(getAttribute(element, 'size')) > 1 ? 'listbox' : 'combobox';
+    }
+    return IMPLICIT_ROLES[kind] || null;
+  }
+
+  // jest-dom compares number inputs by number
+  function testingLibraryValue(element, value) {
+    const type = (getAttribute(element, 'type') || '').toLowerCase();
+    return type === 'number' && value !== '' && !isNaN(Number(value)) ? String(Number(value)) : toJsString(value);
+  }
+
+  // user-event reads { and [ as key descriptors unless doubled
+  function toUserEventText(text) {
+    return toJsString(text.replace(/[{[]/g, '$&$&'));
+  }
+
+  function testingLibraryInteraction(element, state, componentName, query) {
+    if (state.disabled || state.readOnly) return null;
+
+    const setup = (props = '') => [
+      'const user = userEvent.setup();',
+      ...(props ? ['const onClick = jest.fn();'] : []),
+      `render(<${componentName}${props} />);`,
+      `const element = ${query};`,
+      ''
+    ];
+
+    switch (state.kind) {
+      case 'textbox': {
+        const value = getSampleValue(element);
+        return {
+          title: 'accepts input',
+          async: true,
+          body: [...setup(), 'await user.clear(element);', `await user.type(element, ${toUserEventText(value)});`, `expect(element).toHaveValue(${testingLibraryValue(element, value)});`]
+        };
+      }
+
+      case 'contenteditable':
+        return {
+          title: 'accepts input',
+          async: true,
+          body: [...setup(), 'await user.clear(element);', 'await user.type(element, \'Sample text\');', 'expect(element).toHaveTextContent(\'Sample text\');']
+        };
+
+      case 'select': {
+        const option = findSelectableOption(element);
+        if (!option) return null;
+        return {
+          title: 'selects an option',
+          async: true,
+          body: [...setup(), `await user.selectOptions(element, ${toJsString(option.value)});`, `expect(element).toHaveValue(${toJsString(option.value)});`]
+        };
+      }
+
+      case 'checkbox':
+        return {
+          title: 'can be checked and unchecked',
+          async: true,
+          body: [
+            ...setup(),
+            'await user.click(element);',
+            state.checked ? 'expect(element).not.toBeChecked();' : 'expect(element).toBeChecked();',
+            'await user.click(element);',
+            state.checked ? 'expect(element).toBeChecked();' : 'expect(element).not.toBeChecked();'
+          ]
+        };
+
+      case 'radio':
+        return {
+          title: 'can be selected',
+          async: true,
+          body: [...setup(), 'await user.click(element);', 'expect(element).toBeChecked();']
+        };
+
+      case 'link': {
+        const href = getAttribute(element, 'href');
+        if (href === null) return null;
+        return {
+          title: 'links to its destination',
+          body: [`render(<${componentName} />);`, `expect(${query}).toHaveAttribute('href', ${toJsString(href)});`]
+        };
+      }
+
+      case 'ariaCheckbox':
+      case 'button':
+        return {
+          title: 'calls onClick when clicked',
+          async: true,
+          body: [
+            ...setup(' onClick={onClick}'),
+            'await user.click(element);',
+            'expect(onClick).toHaveBeenCalledTimes(1);',
+            ...(state.kind === 'ariaCheckbox' || state.toggle
+              ? [`// The parent owns ${state.kind === 'ariaCheckbox' ? 'aria-checked' : state.toggle} and passes the toggled value back in`]
+              : [])
+          ]
+        };
+
+      default:
+        return null;
+    }
+  }
+
+  // --- WebdriverIO ---
+
+  // Uses the @wdio/globals test runner globals. Frames are entered in
+  // beforeEach; shadow roots through shadow$.
+  function generateWebdriverioTest(element, pageUrl, options) {
+    const state = describeState(element);
+    const selector = element.deepSelector || element.selector || element.tag;
+    const locate = `const element = ${webdriverioChain(selector)};`;
+    const tests = [];
+
+    const visible = [locate, '', 'await expect(element).toBeDisplayed();'];
+    if (state.text) visible.push(`await expect(element).toHaveText(expect.stringContaining(${toJsString(state.text)}));`);
+    if (state.value) visible.push(`await expect(element).toHaveValue(${toJsString(state.value)});`);
+    if (state.disabled) visible.push('await expect(element).toBeDisabled();');
+    if (state.checked !== null) visible.push(state.checked ? 'await expect(element).toBeChecked();' : 'await expect(element).not.toBeChecked();');
+    if (state.required) visible.push('await expect(element).toHaveAttribute(\'required\');');
+    if (state.display) visible.push(`expect((await element.getCSSProperty('display')).value).toBe(${toJsString(state.display)});`);
+    tests.push({ title: 'is visible', body: visible });
+
+    if (state.ariaAttributes.length > 0) {
+      tests.push({
+        title: 'exposes its ARIA attributes',
+        body: [locate, '', ...state.ariaAttributes.map(([name, value]) => `await expect(element).toHaveAttribute(${toJsString(name)}, ${toJsString(value)});`)]
+      });
+    }
+
+    if (state.focusable && !state.disabled) {
+      const body = [locate, '', 'await browser.execute(el => el.focus(), element);', 'await expect(element).toBeFocused();'];
+      if (state.tabIndex < 0) {
+        tests.push({ title: 'can be focused programmatically', body });
+      } else {
+        body.push('', '// Focus leaves the element when tabbing away', 'await browser.keys(\'Tab\');', 'await expect(element).not.toBeFocused();');
+        tests.push({ title: 'can be focused with the keyboard', body });
+      }
+    }
+
+    const interaction = webdriverioInteraction(element, state, pageUrl);
+    if (interaction) tests.push({ ...interaction, body: [locate, '', ...interaction.body] });
+
+    if (options.axe) {
+      const whole = (element.framePath || []).length > 0 || (element.shadowHosts || []).length > 0 || !element.selector;
+      tests.push({
+        title: 'has no detectable accessibility violations',
+        body: [
+          ...(whole ? ['// The element is inside a frame or shadow root, so the whole page is scanned'] : []),
+          `const results = await new AxeBuilder({ client: browser })${whole ? '' : `.include(${toJsString(element.selector)})`}.analyze();`,
+          'expect(results.violations).toEqual([]);'
+        ]
+      });
+    }
+
+    const frames = (element.framePath || []).filter(frame => frame.selector);
+    const code = render(
+      [
+        'import { browser, $, expect } from \'@wdio/globals\';',
+        ...(options.axe ? ['import AxeBuilder from \'@axe-core/webdriverio\';'] : [])
+      ],
+      `describe(${toJsString(state.title)}, () => {`,
+      [
+        'beforeEach(async () => {',
+        `${INDENT}await browser.url(${toJsString(pageUrl)});`,
+        ...frames.map(frame => `${INDENT}await browser.switchToFrame(await ${webdriverioChain(frame.selector)});`),
+        '});'
+      ],
+      tests.map(test => ({ ...test, open: title => `it(${title}, async () => {` }))
+    );
+
+    return { code, kind: state.kind, selector, tests: tests.map(test => test.title) };
+  }
+
+  function webdriverioChain(selector) {
+    return splitDeepSelector(selector)
+      .map((part, index) => (index === 0 ? `$(${toJsString(part)})` : `.shadow$(${toJsString(part)})`))
+      .join('');
+  }
+
+  function webdriverioInteraction(element, state, pageUrl) {
+    if (state.disabled || state.readOnly) return null;
+
+    switch (state.kind) {
+      case 'textbox': {
+        const value = getSampleValue(element);
+        return {
+          title: 'accepts input',
+          body: [`await element.setValue(${toJsString(value)});`, `await expect(element).toHaveValue(${toJsString(value)});`]
+        };
+      }
+
+      case 'contenteditable':
+        return {
+          title: 'accepts input',
+          body: ['await element.setValue(\'Sample text\');', 'await expect(element).toHaveText(\'Sample text\');']
+        };
+
+      case 'select': {
+        const option = findSelectableOption(element);
+        if (!option) return null;
+        return {
+          title: 'selects an option',
+          body: [
+            option.hasValue
+              ? `await element.selectByAttribute('value', ${toJsString(option.value)});`
+              : `await element.selectByVisibleText(${toJsString(option.label)});`,
+            `await expect(element).toHaveValue(${toJsString(option.value)});`
+          ]
+        };
+      }
+
+      case 'checkbox':
+        return {
+          title: 'can be checked and unchecked',
+          body: ['await element.click();', 'await expect(element).toBeChecked();', 'await element.click();', 'await expect(element).not.toBeChecked();']
+        };
+
+      case 'radio':
+        return { title: 'can be selected', body: ['await element.click();', 'await expect(element).toBeChecked();'] };
+
+      case 'ariaCheckbox': {
+        const checked = getAttribute(element, 'aria-checked') === 'true';
+        return {
+          title: 'toggles when activated',
+          body: [
+            'await element.click();',
+            `await expect(element).toHaveAttribute('aria-checked', ${toJsString(String(!checked))});`,
+            '',
+            '// Space toggles it back',
+            'await browser.keys(\' \');',
+            `await expect(element).toHaveAttribute('aria-checked', ${toJsString(String(checked))});`
+          ]
+        };
+      }
+
+      case 'link': {
+        const href = getAttribute(element, 'href');
+        if (href === null) return null;
+        const body = [`await expect(element).toHaveAttribute('href', ${toJsString(href)});`];
+        const target = getLinkTarget(element, pageUrl);
+        if (target) body.push('', 'await element.click();', `await expect(browser).toHaveUrl(${toJsString(target)});`);
+        return { title: 'links to its destination', body };
+      }
+
+      case 'button':
+        if (state.toggle) {
+          const flipped = String(getAttribute(element, state.toggle) !== 'true');
+          return {
+            title: `toggles ${state.toggle} from the keyboard`,
+            body: [
+              'await browser.execute(el => el.focus(), element);',
+              'await browser.keys(\'Enter\');',
+              `await expect(element).toHaveAttribute(${toJsString(state.toggle)}, ${toJsString(flipped)});`
+            ]
+          };
+        }
+        return {
+          title: 'can be clicked',
+          body: ['await expect(element).toBeEnabled();', 'await element.click();', '// Add assertions for what the click should change']
+        };
+
+      default:
+        return null;
+    }
+  }
+
+  const GENERATORS = {
+    cypress: generateCypressTest,
+    'testing-library': generateTestingLibraryTest,
+    webdriverio: generateWebdriverioTest
+  };
+
+  return {
+    FRAMEWORKS,
+    DEFAULT_FRAMEWORK,
+    generateTest
+  };
+});
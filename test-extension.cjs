@@ -14,7 +14,16 @@ const requiredFiles = [
   'background.js',
   'popup.html',
   'popup.css',
-  'popup.js'
+  'popup.js',
+  'shared/tailwind.js',
+  'shared/html.js',
+  'shared/react.js',
+  'shared/figma.js',
+  'shared/playwright.js',
+  'shared/test-frameworks.js',
+  'shared/components.js',
+  'shared/selectors.js',
+  'shared/groups.js'
 ];
 
 // Required icon files